@@ -9,6 +9,8 @@
  * When AUTHORIZATION_URL is NOT set, this is a no-op pass-through.
  */
 
+import { parseUploadMetadata } from './upload-metadata.js';
+
 /**
  * Create authorization middleware
  * @param {string|null} authorizationUrl - URL to call for auth checks (e.g., "http://your-api/files/authorize")
@@ -30,14 +32,29 @@ export function createAuthorizationMiddleware(authorizationUrl, timeout = 3000)
     try {
       // Determine action from HTTP method + path
       let action;
-      if (req.method === 'POST' && req.path === '/upload') {
+      if (req.method === 'POST' && ['/upload', '/uploads', '/uploads/presign'].includes(req.path)) {
+        // '/uploads' is tus upload creation, '/uploads/presign' a direct upload; chunks and
+        // completion of an existing upload are tied to its creator
         action = 'upload';
-      } else if (req.method === 'GET' && req.path.startsWith('/files/')) {
+      } else if ((req.method === 'GET' || req.method === 'HEAD') && req.path.startsWith('/files/')) {
+        // Includes HEAD /files/:id, GET /files/:id/metadata and GET /files/:id/versions
+        action = 'download';
+      } else if (req.method === 'POST' && /^\/files\/[^/]+\/link$/.test(req.path)) {
+        // A signed link grants download access to whoever holds it
         action = 'download';
+      } else if ((req.method === 'PATCH' || req.method === 'PUT') && req.path.startsWith('/files/')) {
+        // PUT uploads a new version of an existing file
+        action = 'update';
+      } else if (req.method === 'POST' && /^\/files\/[^/]+\/versions\/[^/]+\/promote$/.test(req.path)) {
+        action = 'update';
       } else if (req.method === 'DELETE' && req.path.startsWith('/files/')) {
         action = 'delete';
+      } else if (req.method === 'POST' && /^\/files\/[^/]+\/restore$/.test(req.path)) {
+        // Restoring undoes a delete, so it needs the same permission
+        action = 'delete';
       } else {
-        // Not a file operation route (e.g., /health, /list) — pass through
+        // Not a file operation route (e.g., /health, /list) — pass through.
+        // POST /files/archive authorizes each file itself (createFileAuthorizer)
         req.fileScope = 'user';
         return next();
       }
@@ -45,80 +62,144 @@ export function createAuthorizationMiddleware(authorizationUrl, timeout = 3000)
       // Build authorization request body
       const body = { action };
 
-      if ((action === 'download' || action === 'delete') && req.params.id) {
-        body.file_id = req.params.id;
+      // Mounted app-wide, so req.params is not populated yet — read the ID from the path
+      const fileIdMatch = req.path.match(/^\/files\/([^/]+)/);
+      if (['download', 'update', 'delete'].includes(action) && fileIdMatch) {
+        body.file_id = fileIdMatch[1];
       }
 
       if (action === 'upload') {
-        body.resource_type = req.body?.resource_type || null;
-        body.resource_id = req.body?.resource_id ? parseInt(req.body.resource_id) : null;
+        // tus clients send form fields as Upload-Metadata instead of a body
+        const fields = req.path === '/uploads'
+          ? parseUploadMetadata(req.headers['upload-metadata'])
+          : req.body;
+        body.resource_type = fields?.resource_type || null;
+        body.resource_id = fields?.resource_id ? parseInt(fields.resource_id) : null;
       }
 
-      // Forward the user's JWT token
-      const authHeader = req.headers.authorization;
-
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      const response = await fetch(authorizationUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(authHeader ? { 'Authorization': authHeader } : {})
-        },
-        body: JSON.stringify(body),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorRaw = await response.json().catch(() => ({}));
-        const errorBody = errorRaw.data || errorRaw;
-
-        if (response.status === 403) {
-          console.warn(`Authorization denied: user=${req.user?.id} action=${action} reason=${errorBody.reason || errorRaw.message || 'unknown'}`);
-          return res.status(403).json({
-            error: 'Forbidden',
-            message: errorBody.reason || errorRaw.message || 'Access denied'
-          });
-        }
-
-        console.error(`Authorization service error: status=${response.status} body=${JSON.stringify(errorBody)}`);
-        return res.status(503).json({
-          error: 'Service Unavailable',
-          message: 'Authorization service returned an error'
-        });
-      }
+      const result = await checkAuthorization(authorizationUrl, timeout, req, body);
 
-      const raw = await response.json();
-      // Unwrap StoneScriptPHP {status, message, data} wrapper if present
-      const authResult = raw.data || raw;
-
-      if (!authResult.allowed) {
-        console.warn(`Authorization denied: user=${req.user?.id} action=${action} reason=${authResult.reason || 'unknown'}`);
+      if (!result.allowed) {
+        console.warn(`Authorization denied: user=${req.user?.id} action=${action} reason=${result.reason || 'unknown'}`);
         return res.status(403).json({
           error: 'Forbidden',
-          message: authResult.reason || 'Access denied'
+          message: result.reason || 'Access denied'
         });
       }
 
       // Set scope on request for route handlers
-      req.fileScope = authResult.scope || 'user';
+      req.fileScope = result.scope;
       next();
 
     } catch (error) {
-      if (error.name === 'AbortError') {
-        console.error(`Authorization timeout: url=${authorizationUrl} timeout=${timeout}ms`);
-      } else {
+      // checkAuthorization has logged its own failures
+      if (error.statusCode !== 503) {
         console.error(`Authorization error: ${error.message}`);
       }
 
       // Fail closed — deny access when authorization service is unavailable
       return res.status(503).json({
         error: 'Service Unavailable',
-        message: 'Authorization service unavailable'
+        message: error.statusCode === 503 ? error.message : 'Authorization service unavailable'
       });
     }
   };
 }
+
+/**
+ * Create a per-file authorization check for routes that act on several files
+ * in one request (POST /files/archive). It asks the same question the
+ * middleware asks for `GET /files/:id`, one file at a time.
+ *
+ * @param {string|null} authorizationUrl - As for createAuthorizationMiddleware; null allows everything
+ * @param {number} timeout - Request timeout in ms (default: 3000)
+ * @returns {Function} async (req, fileId, action = 'download') => scope; throws
+ *   `Error('Unauthorized: ...')` when denied, statusCode 503 when the service is unavailable
+ */
+export function createFileAuthorizer(authorizationUrl, timeout = 3000) {
+  if (!authorizationUrl) {
+    return async () => 'user';
+  }
+
+  return async (req, fileId, action = 'download') => {
+    const result = await checkAuthorization(authorizationUrl, timeout, req, { action, file_id: fileId });
+
+    if (!result.allowed) {
+      console.warn(`Authorization denied: user=${req.user?.id} action=${action} file=${fileId} reason=${result.reason || 'unknown'}`);
+      throw new Error(`Unauthorized: ${result.reason || 'Access denied'}`);
+    }
+
+    return result.scope;
+  };
+}
+
+/**
+ * Ask the authorization service about one operation, forwarding the user's JWT.
+ *
+ * @param {string} authorizationUrl
+ * @param {number} timeout - ms
+ * @param {import('express').Request} req
+ * @param {Object} body - { action, file_id?, resource_type?, resource_id? }
+ * @returns {Promise<Object>} { allowed: true, scope } or { allowed: false, reason }
+ * @throws {Error} statusCode 503 when the service errors or does not answer
+ */
+async function checkAuthorization(authorizationUrl, timeout, req, body) {
+  const authHeader = req.headers.authorization;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  let response;
+  let raw;
+  try {
+    response = await fetch(authorizationUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(authHeader ? { 'Authorization': authHeader } : {})
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorRaw = await response.json().catch(() => ({}));
+      const errorBody = errorRaw.data || errorRaw;
+
+      if (response.status === 403) {
+        return { allowed: false, reason: errorBody.reason || errorRaw.message || null };
+      }
+
+      console.error(`Authorization service error: status=${response.status} body=${JSON.stringify(errorBody)}`);
+      throw unavailable('Authorization service returned an error');
+    }
+
+    raw = await response.json();
+  } catch (error) {
+    if (error.statusCode === 503) throw error;
+
+    if (error.name === 'AbortError') {
+      console.error(`Authorization timeout: url=${authorizationUrl} timeout=${timeout}ms`);
+    } else {
+      console.error(`Authorization error: ${error.message}`);
+    }
+    throw unavailable('Authorization service unavailable');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  // Unwrap StoneScriptPHP {status, message, data} wrapper if present
+  const authResult = raw.data || raw;
+
+  if (!authResult.allowed) {
+    return { allowed: false, reason: authResult.reason || null };
+  }
+
+  return { allowed: true, scope: authResult.scope || 'user' };
+}
+
+function unavailable(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  return error;
+}
@@ -1,12 +1,27 @@
-import { BlobServiceClient } from '@azure/storage-blob';
+import { BlobServiceClient, BlobSASPermissions } from '@azure/storage-blob';
 import { v4 as uuidv4 } from 'uuid';
+import { StorageDriver, DIRECT_UPLOAD_TTL, VERSION_ID, countBytes, readChunks } from './storage.js';
+import { digestBuffer, digestStream } from './checksum.js';
+
+// Block size and parallelism for streamed uploads: at most 4MB × 4 buffered per upload
+const STREAM_BUFFER_SIZE = 4 * 1024 * 1024;
+const STREAM_MAX_CONCURRENCY = 4;
+
+/**
+ * Block ID for the n-th staged block of a resumable upload.
+ * Azure requires all block IDs of a blob to be base64 strings of equal length.
+ */
+function blockId(index) {
+  return Buffer.from(String(index).padStart(8, '0')).toString('base64');
+}
 
 /**
  * Azure Blob Storage operations.
- * Handles upload, download, list, and delete operations.
+ * Handles upload, download, stat, list, and delete operations.
  */
-export class AzureStorageClient {
+export class AzureStorageClient extends StorageDriver {
   constructor(connectionString, containerName = 'files') {
+    super();
     this.connectionString = connectionString;
     this.containerName = containerName;
     this.blobServiceClient = null;
@@ -42,43 +57,29 @@ export class AzureStorageClient {
    *
    * @param {string} tenantId - Tenant ID (for multi-tenant namespacing, stored as metadata)
    * @param {string} userId - User ID (for ownership metadata)
-   * @param {Buffer} fileBuffer - File content
+   * @param {Buffer|Readable} content - File content. Streams are staged as blocks and only
+   *                                    committed once fully read, so a failed stream leaves no blob.
    * @param {string} originalFilename - Original filename
    * @param {string} contentType - MIME type
    * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
    * @param {string} [blobPrefix=null] - Override blob prefix. When set, ignores tenantId/userId/scope
    *                                     prefix computation and uses this value directly.
    *                                     Use with the resolveTenant() plugin hook.
+   * @param {Object} [attributes={}] - resource_type / resource_id / meta_* (metadata + blob index tags)
+   * @param {Object} [options={}] - { checksum, dedup }; in dedup mode the blob holds only the content hash
    * @returns {Object} File metadata
    */
-  async uploadFile(tenantId, userId, fileBuffer, originalFilename, contentType, scope = 'user', blobPrefix = null) {
-    if (!this.isConfigured) {
-      const error = new Error('Storage not configured');
-      error.statusCode = 503;
-      throw error;
-    }
-
-    if (!this.containerClient) {
-      throw new Error('Azure Storage not initialized');
-    }
+  async uploadFile(tenantId, userId, content, originalFilename, contentType, scope = 'user', blobPrefix = null, attributes = {}, options = {}) {
+    this.assertReady();
 
     const fileId = uuidv4();
-    const extension = originalFilename.split('.').pop();
-
-    let prefix;
-    if (blobPrefix !== null) {
-      // Consumer-supplied prefix (from resolveTenant hook)
-      prefix = blobPrefix.endsWith('/') ? blobPrefix : blobPrefix + '/';
-    } else if (scope === 'tenant') {
-      prefix = tenantId ? `${tenantId}/shared/` : 'shared/';
-    } else {
-      prefix = tenantId ? `${tenantId}/${userId}/` : `${userId}/`;
-    }
 
-    const blobName = `${prefix}${fileId}.${extension}`;
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+
+    const blobName = this.blobName(prefix, fileId);
     const blockBlobClient = this.containerClient.getBlockBlobClient(blobName);
 
-    await blockBlobClient.upload(fileBuffer, fileBuffer.length, {
+    const uploadOptions = {
       blobHTTPHeaders: { blobContentType: contentType },
       metadata: {
         tenant_id: tenantId || '',
@@ -87,9 +88,38 @@ export class AzureStorageClient {
         content_type: contentType,
         uploaded_at: new Date().toISOString(),
         file_id: fileId,
-        scope: scope
+        scope: scope,
+        ...attributes
+      },
+      tags: this.blobTags(attributes)
+    };
+
+    let size;
+    let digests;
+    if (options.dedup) {
+      const shared = await this.storeSharedContent(tenantId, fileId, content, options.checksum);
+      ({ size, digests } = shared);
+      Object.assign(uploadOptions.metadata, this.checksumMetadata(digests), this.sharedContentMetadata(shared));
+      try {
+        await blockBlobClient.upload(shared.hash, shared.hash.length, uploadOptions);
+      } catch (error) {
+        await this.releaseSharedContent(uploadOptions.metadata);
+        throw error;
       }
-    });
+    } else if (Buffer.isBuffer(content)) {
+      digests = digestBuffer(content, options.checksum);
+      uploadOptions.blobHTTPHeaders.blobContentMD5 = Buffer.from(digests.md5, 'base64');
+      Object.assign(uploadOptions.metadata, this.checksumMetadata(digests));
+      await blockBlobClient.upload(content, content.length, uploadOptions);
+      size = content.length;
+    } else {
+      const counted = countBytes(content);
+      const hashed = digestStream(counted, options.checksum);
+      const { etag } = await blockBlobClient.uploadStream(hashed, STREAM_BUFFER_SIZE, STREAM_MAX_CONCURRENCY, uploadOptions);
+      size = counted.bytes;
+      digests = hashed.digests;
+      await this.recordDigests(blockBlobClient, etag, contentType, uploadOptions.metadata, digests);
+    }
 
     return {
       fileId,
@@ -98,8 +128,10 @@ export class AzureStorageClient {
       userId,
       originalFilename,
       contentType,
-      size: fileBuffer.length,
-      uploadedAt: new Date().toISOString()
+      size,
+      uploadedAt: new Date().toISOString(),
+      checksum: digests,
+      ...this.fileAttributes(attributes)
     };
   }
 
@@ -111,147 +143,935 @@ export class AzureStorageClient {
    * @param {string} userId - User ID (for ownership validation)
    * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
    * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [range={}] - { offset = 0, count } byte range to read
+   * @param {Object} [options={}] - { version } snapshot or { variant } image variant to read instead of the current blob
    * @returns {Object} { stream, metadata }
    */
-  async downloadFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
-    if (!this.isConfigured) {
-      const error = new Error('Storage not configured');
-      error.statusCode = 503;
-      throw error;
-    }
+  async downloadFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, range = {}, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix, { version: options.version, variant: options.variant });
 
-    if (!this.containerClient) {
-      throw new Error('Azure Storage not initialized');
-    }
+    const source = blob.metadata.content_blob
+      ? this.containerClient.getBlockBlobClient(blob.metadata.content_blob)
+      : this.blobClient(blob);
+    const downloadResponse = await source.download(range.offset || 0, range.count);
 
-    let prefix;
-    if (blobPrefix !== null) {
-      prefix = blobPrefix.endsWith('/') ? blobPrefix : blobPrefix + '/';
-    } else if (scope === 'tenant') {
-      prefix = tenantId ? `${tenantId}/shared/` : 'shared/';
-    } else {
-      prefix = tenantId ? `${tenantId}/${userId}/` : `${userId}/`;
-    }
+    return {
+      stream: downloadResponse.readableStreamBody,
+      metadata: {
+        fileName: blob.metadata.original_filename,
+        contentType: blob.metadata.content_type,
+        size: blob.size,
+        etag: blob.properties.etag,
+        lastModified: blob.properties.lastModified
+      }
+    };
+  }
 
+  /**
+   * Read file metadata without downloading the blob.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [options={}] - { version } snapshot or { variant } image variant to read instead of the current blob
+   * @returns {Object} { fileId, fileName, contentType, size, uploadedAt, etag, lastModified }
+   */
+  async statFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix, { version: options.version, variant: options.variant });
+
+    // Azure keeps Content-MD5 for blobs uploaded in a single request
+    const { contentMD5 } = blob.properties;
+
+    return this.toFileStat(fileId, blob.metadata, {
+      size: blob.size,
+      etag: blob.properties.etag,
+      lastModified: blob.properties.lastModified,
+      checksum: contentMD5 ? { md5: Buffer.from(contentMD5).toString('base64') } : null,
+      versionId: blob.snapshot || null
+    });
+  }
+
+  /**
+   * List files in a prefix namespace.
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Array} List of file metadata
+   */
+  async listFiles(tenantId, userId, scope = 'user', blobPrefix = null) {
+    this.assertReady();
+
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+
+    const files = [];
     const blobs = this.containerClient.listBlobsFlat({ prefix, includeMetadata: true });
 
     for await (const blob of blobs) {
-      if (blob.metadata && blob.metadata.file_id === fileId) {
-        const blockBlobClient = this.containerClient.getBlockBlobClient(blob.name);
+      if (blob.metadata && blob.metadata.file_id && !blob.metadata.deleted_at) {
+        files.push(this.toListedFile(blob.metadata, this.contentSize(blob.metadata, blob.properties.contentLength)));
+      }
+    }
 
-        // Verify ownership for user-scoped files only.
-        // Tenant-scoped files are shared — authorization middleware already checked access.
-        if (scope === 'user' && blobPrefix === null && blob.metadata.user_id !== userId) {
-          throw new Error('Unauthorized: File belongs to different user');
-        }
+    return files;
+  }
+
+  /**
+   * Read one page of blobs via the listing's continuation token.
+   */
+  async listPage(prefix, token, pageSize, after) {
+    this.assertReady();
+
+    const pages = this.containerClient
+      .listBlobsFlat({ prefix, includeMetadata: true })
+      .byPage({ continuationToken: token || undefined, maxPageSize: pageSize });
+    const { value: page } = await pages.next();
+
+    const entries = [];
+    for (const blob of page?.segment.blobItems || []) {
+      if (after !== null && blob.name <= after) continue;
+      if (!blob.metadata || !blob.metadata.file_id) continue;
+
+      entries.push({ key: blob.name, file: this.toListedFile(blob.metadata, this.contentSize(blob.metadata, blob.properties.contentLength)) });
+    }
+
+    return { entries, nextToken: page?.continuationToken || null };
+  }
+
+  /**
+   * Update a blob's metadata (and Content-Type header) in place. Writes are
+   * conditional on the ETag that was read, so a concurrent change gives 412.
+   * Setting tags does not change the ETag, so every update rewrites the tags
+   * from its metadata, only if the blob still carries that metadata; a later
+   * update's tags win along with its metadata.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [changes={}] - { originalFilename?, contentType?, meta? }
+   * @param {Object} [options={}] - { ifMatch }
+   * @returns {Object} Updated file metadata (same shape as statFile)
+   */
+  async updateFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, changes = {}, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(blob.properties.etag, options.ifMatch);
 
-        const downloadResponse = await blockBlobClient.download(0);
+    const metadata = this.applyFileChanges(blob.metadata, changes, options);
+    const blockBlobClient = this.containerClient.getBlockBlobClient(blob.name);
 
-        return {
-          stream: downloadResponse.readableStreamBody,
-          metadata: {
-            fileName: blob.metadata.original_filename,
-            contentType: blob.metadata.content_type,
-            size: blob.properties.contentLength
-          }
-        };
+    try {
+      let etag = blob.properties.etag;
+
+      if (changes.contentType !== undefined) {
+        // setHTTPHeaders replaces every header, so carry the others over
+        const { properties } = blob;
+        ({ etag } = await blockBlobClient.setHTTPHeaders({
+          blobContentType: metadata.content_type,
+          blobContentEncoding: properties.contentEncoding,
+          blobContentLanguage: properties.contentLanguage,
+          blobContentDisposition: properties.contentDisposition,
+          blobCacheControl: properties.cacheControl,
+          blobContentMD5: properties.contentMD5
+        }, { conditions: { ifMatch: etag } }));
       }
+
+      ({ etag } = await blockBlobClient.setMetadata(metadata, { conditions: { ifMatch: etag } }));
+
+      await blockBlobClient.setTags(this.blobTags(this.pickAttributes(metadata)) || {}, { conditions: { ifMatch: etag } });
+    } catch (error) {
+      if (error.statusCode !== 412) throw error;
+      this.preconditionFailed();
     }
 
-    throw new Error('File not found');
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
   }
 
   /**
-   * List files in a prefix namespace.
+   * Delete file from Azure Blob Storage, with its snapshots and image
+   * variants. Content it shares in dedup mode is deleted once no other file
+   * refers to it.
    *
+   * @param {string} fileId - File ID (UUID)
    * @param {string} tenantId - Tenant ID
-   * @param {string} userId - User ID
+   * @param {string} userId - User ID (for ownership validation)
    * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
    * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
-   * @returns {Array} List of file metadata
    */
-  async listFiles(tenantId, userId, scope = 'user', blobPrefix = null) {
-    if (!this.isConfigured) {
-      const error = new Error('Storage not configured');
-      error.statusCode = 503;
+  async deleteFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+
+    const blockBlobClient = this.containerClient.getBlockBlobClient(blob.name);
+    await blockBlobClient.delete({ deleteSnapshots: 'include' });
+    await this.deleteVariants(blob.name, fileId);
+    await this.releaseSharedContent(blob.metadata);
+  }
+
+  /**
+   * Replace a blob's content, keeping the current content as a snapshot.
+   * The snapshot and the upload are conditional on the ETag that was read; if
+   * the upload fails, nothing is committed and the snapshot is dropped.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Buffer|Readable} content - New content
+   * @param {string} originalFilename - Filename of the new content
+   * @param {string} contentType - MIME type of the new content
+   * @param {Object} [options={}] - { ifMatch }
+   * @returns {Object} New current file metadata (same shape as statFile)
+   */
+  async putFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, content, originalFilename, contentType, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(blob.properties.etag, options.ifMatch);
+
+    const blockBlobClient = this.containerClient.getBlockBlobClient(blob.name);
+    const metadata = this.versionMetadata(blob.metadata, originalFilename, contentType);
+    const conditions = { ifMatch: blob.properties.etag };
+
+    let snapshot = null;
+    let streamed = null;
+    try {
+      ({ snapshot } = await blockBlobClient.createSnapshot({ conditions }));
+
+      const uploadOptions = {
+        blobHTTPHeaders: { blobContentType: contentType },
+        metadata,
+        tags: this.blobTags(this.pickAttributes(metadata)),
+        conditions
+      };
+
+      if (Buffer.isBuffer(content)) {
+        const digests = digestBuffer(content, options.checksum);
+        uploadOptions.blobHTTPHeaders.blobContentMD5 = Buffer.from(digests.md5, 'base64');
+        Object.assign(metadata, this.checksumMetadata(digests));
+        await blockBlobClient.upload(content, content.length, uploadOptions);
+      } else {
+        const hashed = digestStream(content, options.checksum);
+        const { etag } = await blockBlobClient.uploadStream(hashed, STREAM_BUFFER_SIZE, STREAM_MAX_CONCURRENCY, uploadOptions);
+        streamed = { etag, digests: hashed.digests };
+      }
+    } catch (error) {
+      if (snapshot) {
+        await blockBlobClient.withSnapshot(snapshot).deleteIfExists().catch(() => {});
+      }
+      if (error.statusCode === 412) this.preconditionFailed();
       throw error;
     }
 
-    if (!this.containerClient) {
-      throw new Error('Azure Storage not initialized');
+    if (streamed) {
+      await this.recordDigests(blockBlobClient, streamed.etag, contentType, metadata, streamed.digests);
     }
 
-    let prefix;
-    if (blobPrefix !== null) {
-      prefix = blobPrefix.endsWith('/') ? blobPrefix : blobPrefix + '/';
-    } else if (scope === 'tenant') {
-      prefix = tenantId ? `${tenantId}/shared/` : 'shared/';
-    } else {
-      prefix = tenantId ? `${tenantId}/${userId}/` : `${userId}/`;
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * List the current blob and its snapshots.
+   *
+   * @returns {Array} [{ versionId, current, fileName, contentType, size, uploadedAt }] — versionId is the snapshot time
+   */
+  async listFileVersions(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+
+    const versions = [];
+    const items = this.containerClient.listBlobsFlat({ prefix: blob.name, includeSnapshots: true, includeMetadata: true });
+    for await (const item of items) {
+      if (item.name !== blob.name || !item.snapshot) continue;
+      const metadata = item.metadata || {};
+      versions.push(this.toFileVersion(item.snapshot, metadata, this.contentSize(metadata, item.properties.contentLength)));
     }
 
-    const files = [];
-    const blobs = this.containerClient.listBlobsFlat({ prefix, includeMetadata: true });
+    return this.sortFileVersions(this.toFileVersion(null, blob.metadata, blob.size), versions);
+  }
 
-    for await (const blob of blobs) {
-      if (blob.metadata) {
-        files.push({
-          fileId: blob.metadata.file_id,
-          fileName: blob.metadata.original_filename,
-          contentType: blob.metadata.content_type,
-          size: blob.properties.contentLength,
-          uploadedAt: blob.metadata.uploaded_at
-        });
+  /**
+   * Copy a snapshot back over the blob (server-side), snapshotting the
+   * current content first. The snapshot and the copy are conditional on the
+   * ETag that was read; if the copy fails, the snapshot is dropped.
+   *
+   * @param {string} versionId - Snapshot time, from listFileVersions
+   * @param {Object} [options={}] - { ifMatch }
+   * @returns {Object} New current file metadata (same shape as statFile)
+   */
+  async promoteFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, versionId, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(blob.properties.etag, options.ifMatch);
+    const version = await this.findVersion(blob, versionId);
+
+    const blockBlobClient = this.containerClient.getBlockBlobClient(blob.name);
+    const metadata = this.versionMetadata(blob.metadata, version.metadata.original_filename, version.metadata.content_type, version.metadata);
+    const conditions = { ifMatch: blob.properties.etag };
+
+    let snapshot = null;
+    try {
+      ({ snapshot } = await blockBlobClient.createSnapshot({ conditions }));
+      const poller = await blockBlobClient.beginCopyFromURL(this.blobClient(version).url, {
+        metadata,
+        tags: this.blobTags(this.pickAttributes(metadata)),
+        conditions
+      });
+      await poller.pollUntilDone();
+    } catch (error) {
+      if (snapshot) {
+        await blockBlobClient.withSnapshot(snapshot).deleteIfExists().catch(() => {});
       }
+      if (error.statusCode === 412) this.preconditionFailed();
+      throw error;
     }
 
-    return files;
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
   }
 
   /**
-   * Delete file from Azure Blob Storage.
+   * Upload an image variant to `{prefix}_variants/{fileId}/{variant}`.
+   *
+   * @param {string} variant - Preset key
+   * @param {Buffer} content - The rendered image
+   * @param {string} fileName - Variant filename
+   * @param {string} contentType - Variant MIME type
+   * @returns {Object} Variant metadata (same shape as statFile)
+   */
+  async putFileVariant(fileId, tenantId, userId, scope = 'user', blobPrefix = null, variant, content, fileName, contentType) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+
+    const digests = digestBuffer(content);
+    await this.containerClient.getBlockBlobClient(this.variantPrefix(blob.name, fileId) + variant).upload(content, content.length, {
+      blobHTTPHeaders: { blobContentType: contentType, blobContentMD5: Buffer.from(digests.md5, 'base64') },
+      metadata: this.variantMetadata(blob.metadata, fileName, contentType, digests)
+    });
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix, { variant });
+  }
+
+  /**
+   * Mark a blob as deleted in its metadata and record it under `_trash/`.
+   * The record is written first, so a failed trash leaves only a stale
+   * record, which purgeTrash drops.
    *
    * @param {string} fileId - File ID (UUID)
    * @param {string} tenantId - Tenant ID
-   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} userId - User ID (for ownership validation; stored as deleted_by)
    * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
    * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Object} { fileId, deletedAt }
    */
-  async deleteFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
-    if (!this.isConfigured) {
-      const error = new Error('Storage not configured');
-      error.statusCode = 503;
+  async trashFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    const { metadata, record } = this.trashEntry(blob, userId);
+
+    await this.writeJsonBlob(this.trashRecordName(fileId), record);
+    await this.containerClient.getBlockBlobClient(blob.name).setMetadata(metadata);
+
+    return { fileId, deletedAt: record.deleted_at };
+  }
+
+  /**
+   * Clear a trashed blob's deletion mark and drop its trash record.
+   *
+   * @returns {Object} Restored file metadata (same shape as statFile)
+   */
+  async restoreFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix, { trashed: true });
+
+    await this.containerClient.getBlockBlobClient(blob.name).setMetadata(this.restoredMetadata(blob.metadata));
+    await this.containerClient.getBlockBlobClient(this.trashRecordName(fileId)).deleteIfExists();
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Delete every blob trashed before `before`. Deletes are conditional on the
+   * ETag that was checked, so a concurrent restore wins.
+   *
+   * @param {Date} before
+   * @returns {Array} [{ fileId, blobName, tenantId, userId, size }]
+   */
+  async purgeTrash(before) {
+    this.assertReady();
+
+    const purged = [];
+    for await (const item of this.containerClient.listBlobsFlat({ prefix: '_trash/' })) {
+      const recordClient = this.containerClient.getBlockBlobClient(item.name);
+
+      let record;
+      try {
+        record = JSON.parse((await recordClient.downloadToBuffer()).toString('utf8'));
+      } catch (error) {
+        // Purged by another run in the meantime
+        if (error.statusCode === 404) continue;
+        throw error;
+      }
+      if (!(Date.parse(record.deleted_at) < before.getTime())) continue;
+
+      const blobClient = this.containerClient.getBlockBlobClient(record.blob_name);
+      try {
+        const properties = await blobClient.getProperties();
+        if (properties.metadata?.deleted_at === record.deleted_at) {
+          await blobClient.delete({ deleteSnapshots: 'include', conditions: { ifMatch: properties.etag } });
+          await this.deleteVariants(record.blob_name, record.file_id);
+          await this.releaseSharedContent(properties.metadata);
+          purged.push(this.purgedEntry(record, properties.metadata, this.contentSize(properties.metadata, properties.contentLength)));
+        }
+      } catch (error) {
+        if (error.statusCode !== 404 && error.statusCode !== 412) throw error;
+      }
+
+      await recordClient.deleteIfExists();
+    }
+
+    return purged;
+  }
+
+  /**
+   * Start a resumable upload. Chunks are staged as uncommitted blocks on the
+   * final blob and committed in one go when the last byte arrives.
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {Object} file - { originalFilename, contentType, length }
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Object} Upload state
+   */
+  async createResumableUpload(tenantId, userId, file, scope = 'user', blobPrefix = null) {
+    this.assertReady();
+
+    const state = this.newUploadState(tenantId, userId, file, scope, blobPrefix);
+    await this.writeUploadState(state);
+
+    return this.toUpload(state, 0);
+  }
+
+  /**
+   * Read a resumable upload's state. The offset is the total size of the staged blocks.
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Upload state
+   */
+  async getResumableUpload(uploadId) {
+    const state = await this.readUploadState(uploadId);
+
+    if (state.completed_at) {
+      return this.toUpload(state, state.length);
+    }
+
+    const blocks = await this.stagedBlocks(state.blob_name);
+    return this.toUpload(state, blocks.reduce((sum, block) => sum + block.size, 0));
+  }
+
+  /**
+   * Stage the incoming bytes as blocks; commit the block list once the upload is complete.
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {number} offset - Expected current offset
+   * @param {Readable} stream - Chunk content
+   * @param {Object} [options] - { contentType, head } (see StorageDriver#appendResumableUpload)
+   * @returns {Object} { offset, completed, file }
+   */
+  async appendResumableUpload(uploadId, offset, stream, options = {}) {
+    const state = await this.readUploadState(uploadId);
+    const blocks = state.completed_at ? [] : await this.stagedBlocks(state.blob_name);
+    const stored = state.completed_at ? state.length : blocks.reduce((sum, block) => sum + block.size, 0);
+
+    this.checkUploadOffset(this.toUpload(state, stored), offset);
+
+    if ((options.contentType && options.contentType !== state.content_type) || options.head) {
+      // Stored now: the upload may be completed by a later request
+      if (options.contentType) state.content_type = options.contentType;
+      if (options.head) state.head = options.head.toString('base64');
+      await this.writeUploadState(state);
+    }
+
+    const blockBlobClient = this.containerClient.getBlockBlobClient(state.blob_name);
+    let blockCount = blocks.length;
+    let newOffset = offset;
+
+    for await (const chunk of readChunks(stream, STREAM_BUFFER_SIZE)) {
+      await blockBlobClient.stageBlock(blockId(blockCount), chunk, chunk.length);
+      blockCount++;
+      newOffset += chunk.length;
+    }
+
+    if (newOffset < state.length) {
+      return { offset: newOffset, completed: false, file: null };
+    }
+
+    state.completed_at = new Date().toISOString();
+
+    const blockIds = Array.from({ length: blockCount }, (_, i) => blockId(i));
+    await blockBlobClient.commitBlockList(blockIds, {
+      blobHTTPHeaders: { blobContentType: state.content_type },
+      metadata: this.uploadBlobMetadata(state),
+      tags: this.blobTags(state.attributes)
+    });
+    await this.writeUploadState(state);
+
+    return { offset: newOffset, completed: true, file: this.uploadFileResult(state) };
+  }
+
+  /**
+   * Discard an unfinished resumable upload.
+   * Committing an empty block list drops the staged blocks immediately instead of
+   * leaving them for Azure's 7-day garbage collection.
+   *
+   * @param {string} uploadId - Upload ID
+   */
+  async abortResumableUpload(uploadId) {
+    const state = await this.readUploadState(uploadId);
+
+    if (state.completed_at) {
+      const error = new Error('Upload already completed');
+      error.statusCode = 409;
       throw error;
     }
 
-    if (!this.containerClient) {
-      throw new Error('Azure Storage not initialized');
+    const blockBlobClient = this.containerClient.getBlockBlobClient(state.blob_name);
+    await blockBlobClient.commitBlockList([]);
+    await blockBlobClient.deleteIfExists();
+    await this.containerClient.getBlockBlobClient(this.uploadStateName(uploadId)).deleteIfExists();
+  }
+
+  /**
+   * Issue a write-only SAS URL for the upload's staging blob.
+   * Requires a connection string with an account key (SAS signing needs it).
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {Object} file - { originalFilename, contentType, length, attributes?, checksum? }
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [options]
+   * @param {number} [options.expiresIn=900] - SAS lifetime in seconds
+   * @returns {Object} upload plus { url, method, headers, expiresAt }
+   */
+  async createDirectUpload(tenantId, userId, file, scope = 'user', blobPrefix = null, options = {}) {
+    this.assertReady();
+
+    const state = this.newUploadState(tenantId, userId, file, scope, blobPrefix, 'direct');
+    state.checksum = file.checksum || null;
+    const expiresOn = new Date(Date.now() + (options.expiresIn || DIRECT_UPLOAD_TTL) * 1000);
+
+    let url;
+    try {
+      // create + write only: the holder can upload the blob but not read or list anything
+      url = await this.containerClient.getBlockBlobClient(this.directUploadName(state.upload_id)).generateSasUrl({
+        permissions: BlobSASPermissions.parse('cw'),
+        expiresOn
+      });
+    } catch (error) {
+      if (error instanceof RangeError) this.notSupported('Direct uploads without an account key');
+      throw error;
     }
 
-    let prefix;
-    if (blobPrefix !== null) {
-      prefix = blobPrefix.endsWith('/') ? blobPrefix : blobPrefix + '/';
-    } else if (scope === 'tenant') {
-      prefix = tenantId ? `${tenantId}/shared/` : 'shared/';
-    } else {
-      prefix = tenantId ? `${tenantId}/${userId}/` : `${userId}/`;
+    state.expires_at = expiresOn.toISOString();
+    await this.writeUploadState(state);
+
+    return {
+      ...this.toUpload(state, 0),
+      url,
+      method: 'PUT',
+      headers: { 'x-ms-blob-type': 'BlockBlob', 'Content-Type': state.content_type },
+      expiresAt: state.expires_at
+    };
+  }
+
+  /**
+   * Read a direct upload's state.
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Upload state
+   */
+  async getDirectUpload(uploadId) {
+    const state = await this.readUploadState(uploadId, 'direct');
+    return this.toUpload(state, 0);
+  }
+
+  /**
+   * Verify the staged blob, then copy it to the file's blob with its metadata,
+   * detected content type and digests, and delete it. Reading and copying are both conditional
+   * on the ETag that was checked, so a concurrent overwrite through the
+   * still-valid SAS URL cannot slip in unverified.
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {Object} [options] - { resolveContentType } (see StorageDriver#completeDirectUpload)
+   * @returns {Object} File metadata (same shape as uploadFile)
+   */
+  async completeDirectUpload(uploadId, options = {}) {
+    const state = await this.readUploadState(uploadId, 'direct');
+    const staging = this.containerClient.getBlockBlobClient(this.directUploadName(uploadId));
+
+    let properties = null;
+    try {
+      properties = await staging.getProperties();
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    const size = properties ? properties.contentLength : null;
+    // Bytes written after completion are never used
+    if (properties && (state.completed_at || size !== state.length)) {
+      await staging.deleteIfExists();
+    }
+    this.checkDirectUploadSize(state, size);
+
+    let digests;
+    try {
+      const download = await staging.download(0, undefined, { conditions: { ifMatch: properties.etag } });
+      digests = await this.inspectDirectUpload(download.readableStreamBody, state, options);
+    } catch (error) {
+      if (error.statusCode === 412) throw this.directUploadOverwritten();
+      if (error.statusCode === 400 || error.statusCode === 415) await staging.deleteIfExists();
+      throw error;
     }
 
+    state.completed_at = new Date().toISOString();
+
+    const blockBlobClient = this.containerClient.getBlockBlobClient(state.blob_name);
+    try {
+      const poller = await blockBlobClient.beginCopyFromURL(staging.url, {
+        metadata: { ...this.uploadBlobMetadata(state), ...this.checksumMetadata(digests) },
+        tags: this.blobTags(state.attributes),
+        sourceConditions: { ifMatch: properties.etag }
+      });
+      await poller.pollUntilDone();
+    } catch (error) {
+      if (error.statusCode === 412) throw this.directUploadOverwritten();
+      throw error;
+    }
+    // Replaces every HTTP header the client may have set on the staging blob
+    await blockBlobClient.setHTTPHeaders({
+      blobContentType: state.content_type,
+      blobContentMD5: Buffer.from(digests.md5, 'base64')
+    });
+
+    await this.writeUploadState(state);
+    await staging.deleteIfExists();
+
+    return { ...this.uploadFileResult(state), checksum: digests };
+  }
+
+  /**
+   * Rename legacy `{fileId}.{ext}` blobs to `{fileId}` (server-side copy + delete).
+   * Metadata and content type are carried over by the copy.
+   *
+   * @param {string} [prefix=''] - Only migrate blobs under this prefix
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report renames without performing them
+   * @returns {Array} [{ from, to }]
+   */
+  async migrateLegacyBlobNames(prefix = '', options = {}) {
+    this.assertReady();
+
+    const renamed = [];
     const blobs = this.containerClient.listBlobsFlat({ prefix, includeMetadata: true });
 
     for await (const blob of blobs) {
-      if (blob.metadata && blob.metadata.file_id === fileId) {
-        if (scope === 'user' && blobPrefix === null && blob.metadata.user_id !== userId) {
-          throw new Error('Unauthorized: File belongs to different user');
-        }
+      const target = this.migratedBlobName(blob.name, blob.metadata);
+      if (!target) continue;
+
+      if (!options.dryRun) {
+        const source = this.containerClient.getBlockBlobClient(blob.name);
+        const destination = this.containerClient.getBlockBlobClient(target);
+        const poller = await destination.beginCopyFromURL(source.url);
+        await poller.pollUntilDone();
+        await source.delete();
+      }
+
+      renamed.push({ from: blob.name, to: target });
+    }
+
+    return renamed;
+  }
+
+  /**
+   * Resolve a file ID to its blob and check ownership. Trashed files are
+   * missing unless `options.trashed` is set, which looks only at the trash.
+   * With `options.version`, the checks apply to the current blob and that
+   * snapshot is returned instead; likewise the image variant named by
+   * `options.variant`.
+   * Reads `{prefix}{fileId}` directly; falls back to a listing narrowed to
+   * `{prefix}{fileId}.` for blobs stored under the legacy `{fileId}.{ext}` name.
+   *
+   * @returns {Object} { name, size, metadata, properties }
+   */
+  async findBlob(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    this.assertReady();
 
-        const blockBlobClient = this.containerClient.getBlockBlobClient(blob.name);
-        await blockBlobClient.delete();
-        return;
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const name = this.blobName(prefix, fileId);
+
+    let blob = null;
+    try {
+      const properties = await this.containerClient.getBlockBlobClient(name).getProperties();
+      const metadata = properties.metadata || {};
+      blob = { name, size: this.contentSize(metadata, properties.contentLength), metadata, properties };
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    if (!blob) {
+      const legacy = this.containerClient.listBlobsFlat({ prefix: `${name}.`, includeMetadata: true });
+      for await (const item of legacy) {
+        if (item.metadata && item.metadata.file_id === fileId) {
+          blob = { name: item.name, size: this.contentSize(item.metadata, item.properties.contentLength), metadata: item.metadata, properties: item.properties };
+          break;
+        }
       }
     }
 
-    throw new Error('File not found');
+    if (!blob || blob.metadata.file_id !== fileId) {
+      throw new Error('File not found');
+    }
+
+    this.checkOwnership(blob.metadata, userId, scope, blobPrefix);
+    this.checkTrashed(blob.metadata, options.trashed);
+
+    if (options.variant) return this.findVariant(blob, options.variant);
+    return options.version ? this.findVersion(blob, options.version) : blob;
+  }
+
+  /**
+   * Read an image variant of a blob. Callers check the current blob first.
+   *
+   * @param {Object} blob - From findBlob
+   * @param {string} variant - Preset key
+   * @returns {Object} { name, size, metadata, properties }
+   */
+  async findVariant(blob, variant) {
+    const name = this.variantPrefix(blob.name, blob.metadata.file_id) + variant;
+    try {
+      const properties = await this.containerClient.getBlockBlobClient(name).getProperties();
+      return { name, size: properties.contentLength, metadata: properties.metadata || {}, properties };
+    } catch (error) {
+      if (error.statusCode === 404) throw new Error('Variant not found');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every image variant of a file.
+   *
+   * @param {string} blobName - The file's blob name
+   * @param {string} fileId
+   */
+  async deleteVariants(blobName, fileId) {
+    for await (const item of this.containerClient.listBlobsFlat({ prefix: this.variantPrefix(blobName, fileId) })) {
+      await this.containerClient.getBlockBlobClient(item.name).deleteIfExists();
+    }
+  }
+
+  /**
+   * Read a snapshot of a blob. Callers check the current blob first.
+   *
+   * @param {Object} blob - From findBlob
+   * @param {string} versionId - Snapshot time
+   * @returns {Object} { name, snapshot, size, metadata, properties }
+   */
+  async findVersion(blob, versionId) {
+    if (!VERSION_ID.test(String(versionId))) {
+      throw new Error('Version not found');
+    }
+
+    try {
+      const properties = await this.containerClient.getBlockBlobClient(blob.name).withSnapshot(versionId).getProperties();
+      const metadata = properties.metadata || {};
+      return { name: blob.name, snapshot: versionId, size: this.contentSize(metadata, properties.contentLength), metadata, properties };
+    } catch (error) {
+      // 400 when the value is not a snapshot time at all
+      if (error.statusCode === 404 || error.statusCode === 400) throw new Error('Version not found');
+      throw error;
+    }
+  }
+
+  /**
+   * Client for a blob from findBlob, or for the snapshot findVersion returned.
+   *
+   * @param {Object} blob
+   * @returns {import('@azure/storage-blob').BlockBlobClient}
+   */
+  blobClient(blob) {
+    const client = this.containerClient.getBlockBlobClient(blob.name);
+    return blob.snapshot ? client.withSnapshot(blob.snapshot) : client;
+  }
+
+  /**
+   * Blob index tags for file attributes, or undefined when there are none.
+   * Tags can be queried across the container with `findBlobsByTags`.
+   *
+   * @param {Object} [attributes]
+   * @returns {Object|undefined}
+   */
+  blobTags(attributes) {
+    return attributes && Object.keys(attributes).length ? { ...attributes } : undefined;
+  }
+
+  /**
+   * Uncommitted blocks staged on a blob ([] when nothing has been staged yet).
+   *
+   * @param {string} blobName
+   * @returns {Array} [{ name, size }]
+   */
+  async stagedBlocks(blobName) {
+    try {
+      const response = await this.containerClient.getBlockBlobClient(blobName).getBlockList('uncommitted');
+      return response.uncommittedBlocks || [];
+    } catch (error) {
+      if (error.statusCode === 404) return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Load an upload's state record.
+   *
+   * @param {string} uploadId
+   * @param {string} [type='tus'] - Expected upload type; others read as 'Upload not found'
+   * @returns {Object}
+   */
+  async readUploadState(uploadId, type = 'tus') {
+    this.assertReady();
+
+    let state;
+    try {
+      const content = await this.containerClient.getBlockBlobClient(this.uploadStateName(uploadId)).downloadToBuffer();
+      state = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      if (error.statusCode === 404) throw new Error('Upload not found');
+      throw error;
+    }
+
+    this.checkUploadType(state, type);
+    return state;
+  }
+
+  /**
+   * Persist a resumable upload's state record.
+   *
+   * @param {Object} state
+   */
+  async writeUploadState(state) {
+    await this.writeJsonBlob(this.uploadStateName(state.upload_id), state);
+  }
+
+  /**
+   * Record the digests of content uploaded in blocks; Azure only computes
+   * Content-MD5 itself for single-request uploads. Skipped if the blob changed
+   * since the upload returned `etag`, as the digests may no longer apply.
+   *
+   * @param {Object} blockBlobClient
+   * @param {string} etag - ETag returned by the upload
+   * @param {string} contentType
+   * @param {Object} metadata - Metadata the blob was uploaded with
+   * @param {Object} digests - { sha256, md5 }
+   */
+  async recordDigests(blockBlobClient, etag, contentType, metadata, digests) {
+    try {
+      ({ etag } = await blockBlobClient.setHTTPHeaders({
+        blobContentType: contentType,
+        blobContentMD5: Buffer.from(digests.md5, 'base64')
+      }, { conditions: { ifMatch: etag } }));
+      await blockBlobClient.setMetadata({ ...metadata, ...this.checksumMetadata(digests) }, { conditions: { ifMatch: etag } });
+    } catch (error) {
+      if (error.statusCode !== 412) throw error;
+    }
+  }
+
+  /**
+   * Upload shared content (dedup mode) to its own blob.
+   */
+  async writeSharedBlob(name, content, expected = null) {
+    const blockBlobClient = this.containerClient.getBlockBlobClient(name);
+
+    if (Buffer.isBuffer(content)) {
+      const digests = digestBuffer(content, expected);
+      await blockBlobClient.upload(content, content.length, {
+        blobHTTPHeaders: { blobContentMD5: Buffer.from(digests.md5, 'base64') }
+      });
+      return { size: content.length, digests };
+    }
+
+    const counted = countBytes(content);
+    const hashed = digestStream(counted, expected);
+    await blockBlobClient.uploadStream(hashed, STREAM_BUFFER_SIZE, STREAM_MAX_CONCURRENCY);
+    return { size: counted.bytes, digests: hashed.digests };
+  }
+
+  /**
+   * Create a JSON record blob with a conditional write (If-None-Match: *).
+   */
+  async createSharedRecord(name, record) {
+    const content = Buffer.from(JSON.stringify(record));
+    try {
+      await this.containerClient.getBlockBlobClient(name).upload(content, content.length, {
+        blobHTTPHeaders: { blobContentType: 'application/json' },
+        conditions: { ifNoneMatch: '*' }
+      });
+      return true;
+    } catch (error) {
+      if (error.statusCode === 409 || error.statusCode === 412) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Read a record from createSharedRecord. Returns null when it does not exist.
+   */
+  async readSharedRecord(name) {
+    try {
+      return JSON.parse((await this.containerClient.getBlockBlobClient(name).downloadToBuffer()).toString('utf8'));
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether any blob name starts with a prefix.
+   */
+  async hasSharedBlobs(prefix) {
+    const pages = this.containerClient.listBlobsFlat({ prefix }).byPage({ maxPageSize: 1 });
+    const { value: page } = await pages.next();
+    return (page?.segment.blobItems || []).length > 0;
+  }
+
+  /**
+   * Delete a shared content blob or record.
+   */
+  async deleteSharedBlob(name) {
+    await this.containerClient.getBlockBlobClient(name).deleteIfExists();
+  }
+
+  /**
+   * Write a small JSON record blob (upload state, trash record).
+   *
+   * @param {string} name - Blob name
+   * @param {Object} value
+   */
+  async writeJsonBlob(name, value) {
+    const content = Buffer.from(JSON.stringify(value));
+    await this.containerClient.getBlockBlobClient(name).upload(content, content.length, {
+      blobHTTPHeaders: { blobContentType: 'application/json' }
+    });
+  }
+
+  /**
+   * Throw unless the driver is configured and initialized.
+   */
+  assertReady() {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    if (!this.containerClient) {
+      throw new Error('Azure Storage not initialized');
+    }
   }
 
   /**
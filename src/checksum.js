@@ -0,0 +1,150 @@
+/**
+ * Content checksums.
+ *
+ * Drivers hash uploads while they stream (SHA-256, plus MD5 for backends
+ * that keep a Content-MD5) and store the digests with the file. A digest the
+ * client sent is checked before the content is committed, so a corrupted
+ * upload is never stored.
+ *
+ * Digests are base64, as in HTTP digest fields (RFC 9530):
+ * `Repr-Digest: sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:`.
+ */
+
+import crypto from 'crypto';
+import { pipeline, Transform } from 'stream';
+
+// Digest field algorithm names → our keys
+const ALGORITHMS = { 'sha-256': 'sha256', sha256: 'sha256', md5: 'md5' };
+
+// Digest lengths in bytes
+const DIGEST_BYTES = { sha256: 32, md5: 16 };
+
+function checksumError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse client-supplied digests: an RFC 9530 field value
+ * (`sha-256=:<base64>:, md5=:<base64>:`) or `sha256:<hex|base64>` items, as
+ * sent in `Content-Digest` / `Repr-Digest` or a `checksum` form field.
+ * Algorithms other than SHA-256 and MD5 are ignored.
+ *
+ * @param {string} [value]
+ * @param {string} [source='checksum'] - Named in error messages
+ * @returns {Object|null} { sha256?, md5? } as base64, null if none applies
+ * @throws {Error} statusCode 400 on a malformed digest
+ */
+export function parseDigests(value, source = 'checksum') {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    throw checksumError(`${source} must be a single value`);
+  }
+
+  const digests = {};
+  for (const item of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = /^([A-Za-z0-9-]+)(?:=:([A-Za-z0-9+/=]*):|:([A-Za-z0-9+/=]+))$/.exec(item);
+    if (!match) {
+      throw checksumError(`Invalid ${source}: expected "sha-256=:<base64>:" or "sha256:<hex>"`);
+    }
+
+    const algorithm = ALGORITHMS[match[1].toLowerCase()];
+    if (!algorithm) continue;
+
+    const text = match[2] ?? match[3];
+    const bytes = text.length === DIGEST_BYTES[algorithm] * 2 && /^[0-9a-f]+$/i.test(text)
+      ? Buffer.from(text, 'hex')
+      : Buffer.from(text, 'base64');
+    if (bytes.length !== DIGEST_BYTES[algorithm]) {
+      throw checksumError(`Invalid ${source}: malformed ${algorithm} digest`);
+    }
+    digests[algorithm] = bytes.toString('base64');
+  }
+
+  return Object.keys(digests).length > 0 ? digests : null;
+}
+
+/**
+ * Format digests as an RFC 9530 field value, e.g. for `Repr-Digest`.
+ *
+ * @param {Object|null} checksum - { sha256?, md5? } as base64
+ * @returns {string|null}
+ */
+export function formatDigests(checksum) {
+  if (!checksum) return null;
+  const items = [];
+  if (checksum.sha256) items.push(`sha-256=:${checksum.sha256}:`);
+  if (checksum.md5) items.push(`md5=:${checksum.md5}:`);
+  return items.length > 0 ? items.join(', ') : null;
+}
+
+/**
+ * Throw if computed digests contradict the expected ones.
+ *
+ * @param {Object} digests - { sha256, md5 } computed from the content
+ * @param {Object|null} expected - { sha256?, md5? } from the client
+ * @throws {Error} statusCode 400 on a mismatch
+ */
+export function checkDigests(digests, expected) {
+  for (const [algorithm, value] of Object.entries(expected || {})) {
+    if (digests[algorithm] !== value) {
+      throw checksumError(`Checksum mismatch: the received content's ${algorithm} is ${digests[algorithm]}, expected ${value}`);
+    }
+  }
+}
+
+/**
+ * Hash a buffer and check it against the expected digests.
+ *
+ * @param {Buffer} content
+ * @param {Object|null} [expected]
+ * @returns {Object} { sha256, md5 } as base64
+ * @throws {Error} statusCode 400 on a mismatch
+ */
+export function digestBuffer(content, expected = null) {
+  const digests = {
+    sha256: crypto.createHash('sha256').update(content).digest('base64'),
+    md5: crypto.createHash('md5').update(content).digest('base64')
+  };
+  checkDigests(digests, expected);
+  return digests;
+}
+
+/**
+ * Wrap a readable in a pass-through that hashes the bytes flowing through it.
+ * Once the source has ended, `digests` holds { sha256, md5 }. If they
+ * contradict `expected`, the stream fails with 400 instead of ending, so the
+ * driver never commits the content. Source errors are forwarded.
+ *
+ * @param {import('stream').Readable} source
+ * @param {Object|null} [expected] - { sha256?, md5? } from the client
+ * @returns {import('stream').Transform} stream with a `digests` property (null until the end)
+ */
+export function digestStream(source, expected = null) {
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      sha256.update(chunk);
+      md5.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const digests = { sha256: sha256.digest('base64'), md5: md5.digest('base64') };
+      try {
+        checkDigests(digests, expected);
+      } catch (error) {
+        return callback(error);
+      }
+      hasher.digests = digests;
+      callback();
+    }
+  });
+  hasher.digests = null;
+
+  pipeline(source, hasher, () => {});
+
+  return hasher;
+}
@@ -0,0 +1,356 @@
+/**
+ * Content-type verification for uploads.
+ *
+ * Uploads are sniffed from their first bytes so a client cannot store, say,
+ * an HTML page labelled `image/png`. The detected type is what gets stored;
+ * a claimed type that the content contradicts is rejected with 415.
+ *
+ * Allow/deny lists (globally and per tenant) then apply to the stored type
+ * and to the filename's extension.
+ */
+
+import { PassThrough } from 'stream';
+
+// Enough for every signature below (tar's is at offset 257)
+export const SNIFF_BYTES = 512;
+
+// Claimed types that say nothing about the content
+const GENERIC_TYPES = new Set(['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown']);
+
+// Non-standard names clients send for the types detected below
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png',
+  'image/x-ms-bmp': 'image/bmp',
+  'image/x-icon': 'image/vnd.microsoft.icon',
+  'image/tif': 'image/tiff',
+  'application/x-pdf': 'application/pdf',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-zip': 'application/zip',
+  'application/x-gzip': 'application/gzip',
+  'application/x-rar-compressed': 'application/vnd.rar',
+  'text/rtf': 'application/rtf',
+  'text/xml': 'application/xml',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-mp3': 'audio/mpeg',
+  'audio/mpeg3': 'audio/mpeg',
+  'audio/x-flac': 'audio/flac'
+};
+
+// Container formats: the signature only identifies the container, so a more
+// specific claimed type from the same family is kept. `text` families are
+// recognised from markup rather than a binary signature.
+const FAMILIES = [
+  {
+    types: ['application/zip', 'application/epub+zip', 'application/java-archive', 'application/vnd.android.package-archive'],
+    test: (type) => type.endsWith('+zip')
+      || /^application\/vnd\.(openxmlformats-officedocument\.|oasis\.opendocument\.|ms-[a-z]+\.[a-z.]*macroenabled)/.test(type)
+  },
+  {
+    types: ['application/x-cfb', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint', 'application/vnd.ms-outlook', 'application/vnd.visio']
+  },
+  {
+    types: ['video/mp4', 'audio/mp4', 'audio/x-m4a', 'audio/m4a', 'video/x-m4v', 'video/quicktime', 'video/3gpp', 'video/3gpp2', 'image/heic', 'image/heif', 'image/avif']
+  },
+  { types: ['audio/ogg', 'video/ogg', 'application/ogg', 'audio/opus'] },
+  { types: ['video/webm', 'audio/webm', 'video/x-matroska', 'audio/x-matroska'] },
+  {
+    types: ['application/xml', 'image/svg+xml', 'application/xhtml+xml'],
+    test: (type) => type.endsWith('+xml'),
+    text: true
+  },
+  { types: ['text/html', 'application/xhtml+xml'], text: true }
+];
+
+const ISO_BRANDS = {
+  'M4A ': 'audio/mp4',
+  'M4B ': 'audio/mp4',
+  'M4V ': 'video/x-m4v',
+  'qt  ': 'video/quicktime',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp',
+  '3g2a': 'video/3gpp2',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif'
+};
+
+// Binary signatures: [offset, bytes, type, extra check for short magic numbers]
+const SIGNATURES = [
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [0, [0xff, 0xd8, 0xff], 'image/jpeg'],
+  [0, 'GIF87a', 'image/gif'],
+  [0, 'GIF89a', 'image/gif'],
+  [0, 'BM', 'image/bmp', (head) => head.length >= 10 && head.readUInt32LE(6) === 0],
+  [0, [0x49, 0x49, 0x2a, 0x00], 'image/tiff'],
+  [0, [0x4d, 0x4d, 0x00, 0x2a], 'image/tiff'],
+  [0, [0x00, 0x00, 0x01, 0x00], 'image/vnd.microsoft.icon'],
+  [0, '8BPS', 'image/vnd.adobe.photoshop'],
+  [0, '%PDF-', 'application/pdf'],
+  [0, '%!PS', 'application/postscript'],
+  [0, '{\\rtf', 'application/rtf'],
+  [0, [0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [0, [0x50, 0x4b, 0x05, 0x06], 'application/zip'],
+  [0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], 'application/x-cfb'],
+  [0, [0x1f, 0x8b], 'application/gzip'],
+  [0, 'BZh', 'application/x-bzip2', (head) => head[3] >= 0x31 && head[3] <= 0x39],
+  [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+  [0, 'Rar!\x1a\x07', 'application/vnd.rar'],
+  [257, 'ustar', 'application/x-tar'],
+  [0, 'SQLite format 3\x00', 'application/vnd.sqlite3'],
+  [0, [0x00, 0x61, 0x73, 0x6d], 'application/wasm'],
+  [0, 'MZ', 'application/vnd.microsoft.portable-executable', (head) => {
+    const pe = head.length >= 64 ? head.readUInt32LE(60) : head.length;
+    return pe + 4 <= head.length && head.toString('latin1', pe, pe + 4) === 'PE\x00\x00';
+  }],
+  [0, [0x7f, 0x45, 0x4c, 0x46], 'application/x-elf'],
+  [0, 'wOFF', 'font/woff'],
+  [0, 'wOF2', 'font/woff2'],
+  [0, 'OTTO', 'font/otf'],
+  [0, 'fLaC', 'audio/flac'],
+  [0, 'ID3', 'audio/mpeg', (head) => head[3] < 0x10],
+  [0, 'OggS', 'audio/ogg'],
+  [0, [0x1a, 0x45, 0xdf, 0xa3], 'video/webm']
+];
+
+// Every type a signature (or a family member) vouches for; claiming one of
+// these for content without the signature is a mismatch
+const SIGNED_TYPES = new Set([
+  ...SIGNATURES.map(([, , type]) => type),
+  ...Object.values(ISO_BRANDS),
+  'image/webp', 'audio/wav', 'video/x-msvideo',
+  ...FAMILIES.filter(family => !family.text).flatMap(family => family.types)
+]);
+
+// Markup that browsers render as HTML (a subset of the WHATWG sniffing table)
+const HTML_TAGS = /^(<!doctype html|<html|<head|<body|<script|<iframe|<title|<style|<table)[\s>]/i;
+
+function startsWith(head, offset, bytes) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return head.length >= offset + expected.length && head.subarray(offset, offset + expected.length).equals(expected);
+}
+
+/**
+ * Detect a file's type from its first bytes.
+ *
+ * @param {Buffer} head - Up to SNIFF_BYTES from the start of the file
+ * @returns {string|null} MIME type, or null when no known format matches
+ */
+export function sniffContentType(head) {
+  for (const [offset, bytes, type, check] of SIGNATURES) {
+    if (startsWith(head, offset, bytes) && (!check || check(head))) return type;
+  }
+
+  if (startsWith(head, 0, 'RIFF') && head.length >= 12) {
+    const format = head.toString('latin1', 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+  }
+
+  if (head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') {
+    return ISO_BRANDS[head.toString('latin1', 8, 12)] || 'video/mp4';
+  }
+
+  // MPEG audio frame without an ID3 tag
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe6) === 0xe2) {
+    return 'audio/mpeg';
+  }
+
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (HTML_TAGS.test(text)) return 'text/html';
+  if (/^<svg[\s>]/i.test(text) || (/^<\?xml/i.test(text) && /<svg[\s>]/i.test(text))) return 'image/svg+xml';
+  if (/^<\?xml/i.test(text)) return 'application/xml';
+
+  return null;
+}
+
+/**
+ * Lower-case a MIME type, drop its parameters and map common aliases.
+ *
+ * @param {string} [type]
+ * @returns {string}
+ */
+export function normalizeContentType(type) {
+  const bare = String(type || '').split(';')[0].trim().toLowerCase();
+  return TYPE_ALIASES[bare] || bare;
+}
+
+function sameFamily(claimed, detected) {
+  return FAMILIES.some(family => {
+    const member = (type) => family.types.includes(type) || (family.test && family.test(type));
+    return family.types.includes(detected) && member(claimed);
+  });
+}
+
+function unsupportedMediaType(message) {
+  const error = new Error(message);
+  error.statusCode = 415;
+  return error;
+}
+
+/**
+ * Decide the type to store for an upload from its first bytes and the type
+ * the client claimed. Throws 415 when the two disagree.
+ *
+ * - A recognised format is stored as detected; a more specific claimed type
+ *   from the same container family (e.g. a .docx for a ZIP) is kept.
+ * - Unrecognised content keeps the claimed type, unless that type has a
+ *   signature the content lacks.
+ *
+ * @param {Buffer} head - Up to SNIFF_BYTES from the start of the file
+ * @param {string} [claimedType] - Client-supplied MIME type
+ * @returns {string} MIME type to store
+ */
+export function resolveContentType(head, claimedType) {
+  const claimed = normalizeContentType(claimedType);
+  const detected = sniffContentType(head);
+
+  if (!detected) {
+    if (SIGNED_TYPES.has(claimed)) {
+      throw unsupportedMediaType(`File content does not match its declared type ${claimed}`);
+    }
+    return claimed || 'application/octet-stream';
+  }
+
+  if (GENERIC_TYPES.has(claimed) || claimed === detected) return detected;
+  if (sameFamily(claimed, detected)) return claimed;
+
+  throw unsupportedMediaType(`File content is ${detected}, not its declared type ${claimed}`);
+}
+
+/**
+ * Normalise an allow/deny policy. Lists may be arrays or comma-separated
+ * strings; types may end in `/*`, extensions may include the dot.
+ *
+ * @param {Object} [policy]
+ * @returns {Object|null} { allowedTypes, deniedTypes, allowedExtensions, deniedExtensions }, null when empty
+ */
+export function parseContentPolicy(policy) {
+  if (!policy) return null;
+
+  const list = (value, normalize) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => normalize(String(item).trim()))
+    .filter(Boolean);
+  const extension = (value) => value.toLowerCase().replace(/^\./, '');
+
+  const parsed = {
+    allowedTypes: list(policy.allowedTypes, normalizeContentType),
+    deniedTypes: list(policy.deniedTypes, normalizeContentType),
+    allowedExtensions: list(policy.allowedExtensions, extension),
+    deniedExtensions: list(policy.deniedExtensions, extension)
+  };
+
+  return Object.values(parsed).some(items => items.length > 0) ? parsed : null;
+}
+
+function matchesType(patterns, type) {
+  return patterns.some(pattern => pattern === type || (pattern.endsWith('/*') && type.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Check a file against allow/deny policies. Every policy must let it through;
+ * a deny entry wins over an allow entry. Throws 415 otherwise.
+ *
+ * @param {Array<Object|null>} policies - From parseContentPolicy (nulls are skipped)
+ * @param {string} contentType - Stored MIME type
+ * @param {string} [filename] - Original filename
+ */
+export function checkContentPolicy(policies, contentType, filename) {
+  const type = normalizeContentType(contentType);
+  const match = /\.([^./\\]+)$/.exec(filename || '');
+  const extension = match ? match[1].toLowerCase() : '';
+
+  for (const policy of policies) {
+    if (!policy) continue;
+
+    if (matchesType(policy.deniedTypes, type) || (policy.allowedTypes.length > 0 && !matchesType(policy.allowedTypes, type))) {
+      throw unsupportedMediaType(`File type ${type} is not allowed`);
+    }
+    if (policy.deniedExtensions.includes(extension) || (policy.allowedExtensions.length > 0 && !policy.allowedExtensions.includes(extension))) {
+      throw unsupportedMediaType(extension ? `File extension .${extension} is not allowed` : 'Files without an extension are not allowed');
+    }
+  }
+}
+
+/**
+ * The policies that apply to a request: the global one and the tenant's
+ * from `hooks.resolveContentPolicy`.
+ *
+ * @param {express.Request} req
+ * @param {Object} hooks
+ * @param {Object|null} globalPolicy - From parseContentPolicy
+ * @returns {Promise<Array<Object|null>>}
+ */
+export async function requestContentPolicies(req, hooks, globalPolicy) {
+  const tenantPolicy = hooks.resolveContentPolicy
+    ? await hooks.resolveContentPolicy(req, req.user)
+    : null;
+  return [globalPolicy, parseContentPolicy(tenantPolicy)];
+}
+
+/**
+ * Read the first bytes of a stream without losing them.
+ *
+ * @param {Readable} source
+ * @param {number} [bytes=SNIFF_BYTES]
+ * @returns {Promise<{ head: Buffer, stream: Readable }>} `stream` replays the whole source
+ */
+export function peekStream(source, bytes = SNIFF_BYTES) {
+  return new Promise((resolve, reject) => {
+    // It may have failed before anyone was listening
+    if (source.errored || source.destroyed) {
+      return reject(source.errored || new Error('Stream closed before it was read'));
+    }
+
+    const chunks = [];
+    let length = 0;
+
+    const cleanup = () => {
+      source.off('data', onData);
+      source.off('end', onEnd);
+      source.off('error', onError);
+      source.off('close', onClose);
+    };
+
+    const onEnd = () => {
+      cleanup();
+      source.pause();
+
+      const buffered = Buffer.concat(chunks);
+      const stream = new PassThrough();
+      stream.write(buffered);
+      if (source.readableEnded) {
+        stream.end();
+      } else {
+        source.once('error', (err) => stream.destroy(err));
+        source.pipe(stream);
+      }
+      resolve({ head: buffered.subarray(0, bytes), stream });
+    };
+
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= bytes) onEnd();
+    };
+
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+
+    // Destroyed without an error event, e.g. by a client disconnect
+    const onClose = () => onError(source.errored || new Error('Stream closed before it was read'));
+
+    source.on('data', onData);
+    source.once('end', onEnd);
+    source.once('error', onError);
+    source.once('close', onClose);
+  });
+}
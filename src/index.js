@@ -1,14 +1,27 @@
 import express from 'express';
 import cors from 'cors';
 import { AzureStorageClient } from './azure-storage.js';
+import { LocalFsStorage } from './local-storage.js';
+import { S3StorageClient } from './s3-storage.js';
 import { createAuthMiddleware, createJwksAuthMiddleware } from './auth.js';
 import { JwksClient } from './jwks-client.js';
-import { createAuthorizationMiddleware } from './authorization.js';
+import { createAuthorizationMiddleware, createFileAuthorizer } from './authorization.js';
 import { createRateLimiters } from './rate-limit.js';
+import { ClamdScanner, createScanStage } from './scanner.js';
+import { createQuotaTracker } from './quota.js';
 import { createUploadRouter } from './routes/upload.js';
+import { createTusRouter } from './routes/tus.js';
+import { createDirectUploadRouter } from './routes/direct-upload.js';
 import { createDownloadRouter } from './routes/download.js';
+import { createVariantRouter } from './routes/variants.js';
+import { createArchiveRouter } from './routes/archive.js';
+import { createLinkRouter, createSignedLinkRouter } from './routes/link.js';
 import { createListRouter } from './routes/list.js';
+import { createUpdateRouter } from './routes/update.js';
+import { createVersionRouter } from './routes/versions.js';
 import { createDeleteRouter } from './routes/delete.js';
+import { createTrashRouter, DEFAULT_TRASH_RETENTION_DAYS } from './routes/trash.js';
+import { createUsageRouter } from './routes/usage.js';
 import { createHealthRouter } from './routes/health.js';
 
 /**
@@ -102,6 +115,67 @@ function resolveAuthMiddleware(config) {
   };
 }
 
+/**
+ * Resolve the storage driver from config.
+ * STORAGE_DRIVER selects the backend: 'azure' (default), 's3' or 'local'.
+ *
+ * @param {Object} config - createFilesServer config
+ * @param {string} containerName - Resolved container name
+ * @returns {import('./storage.js').StorageDriver}
+ */
+function resolveStorageDriver(config, containerName) {
+  const driver = (config.storageDriver || process.env.STORAGE_DRIVER || 'azure').toLowerCase();
+
+  if (driver === 'local') {
+    const rootDir = config.localStoragePath || process.env.LOCAL_STORAGE_PATH || './data';
+    return new LocalFsStorage(rootDir, containerName);
+  }
+
+  if (driver === 's3') {
+    const forcePathStyle = config.s3ForcePathStyle ?? (process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : undefined);
+    return new S3StorageClient({
+      bucket:          config.s3Bucket   || process.env.S3_BUCKET || containerName,
+      region:          config.s3Region   || process.env.S3_REGION || process.env.AWS_REGION,
+      endpoint:        config.s3Endpoint || process.env.S3_ENDPOINT,
+      accessKeyId:     config.s3AccessKeyId     || process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: config.s3SecretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle
+    });
+  }
+
+  if (driver === 'azure') {
+    const connectionString = config.azureConnectionString
+      || process.env.AZURE_STORAGE_CONNECTION_STRING;
+    return new AzureStorageClient(connectionString, containerName);
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+/**
+ * Resolve the malware scanner from config: `config.scanner`, else clamd when
+ * CLAMD_HOST or CLAMD_SOCKET is set. Null disables scanning.
+ *
+ * @param {Object} config - createFilesServer config
+ * @returns {Object|null} { scanStream(stream) → { infected, signature } }
+ */
+function resolveScanner(config) {
+  if (config.scanner) return config.scanner;
+
+  const host = config.clamdHost || process.env.CLAMD_HOST;
+  const socketPath = config.clamdSocket || process.env.CLAMD_SOCKET;
+  if (!host && !socketPath) return null;
+
+  return new ClamdScanner({
+    host,
+    socketPath,
+    port:    config.clamdPort    || parseInt(process.env.CLAMD_PORT) || undefined,
+    timeout: config.clamdTimeout || parseInt(process.env.CLAMD_TIMEOUT) || undefined
+  });
+}
+
 /**
  * Create a configured files server.
  *
@@ -109,7 +183,15 @@ function resolveAuthMiddleware(config) {
  *
  * | Variable                         | Default          | Description                              |
  * |----------------------------------|------------------|------------------------------------------|
+ * | `STORAGE_DRIVER`                 | `azure`          | Storage backend: `azure`, `s3` or `local`|
  * | `AZURE_STORAGE_CONNECTION_STRING`| —                | Azure Blob Storage connection string     |
+ * | `S3_BUCKET`                      | `BLOB_CONTAINER` | S3 bucket name                           |
+ * | `S3_REGION`                      | `us-east-1`      | S3 region (`AWS_REGION` also accepted)   |
+ * | `S3_ENDPOINT`                    | —                | Custom endpoint (MinIO, R2, ...)         |
+ * | `S3_ACCESS_KEY_ID`               | —                | Access key (default: AWS credential chain)|
+ * | `S3_SECRET_ACCESS_KEY`           | —                | Secret key                               |
+ * | `S3_FORCE_PATH_STYLE`            | set if endpoint  | `true` / `false` path-style addressing   |
+ * | `LOCAL_STORAGE_PATH`             | `./data`         | Root directory for the `local` driver    |
  * | `BLOB_CONTAINER`                 | `files`          | Blob container name                      |
  * | `JWKS_URL`                       | —                | JWKS endpoint for JWT key retrieval      |
  * | `JWT_PUBLIC_KEY`                 | —                | PEM public key (alternative to JWKS_URL) |
@@ -119,6 +201,39 @@ function resolveAuthMiddleware(config) {
  * | `CORS_ORIGINS`                   | `*`              | Comma-separated allowed origins          |
  * | `LOG_LEVEL`                      | `info`           | Log verbosity (info / warn / error)      |
  * | `MAX_UPLOAD_BYTES`               | 104857600 (100MB)| Maximum upload size in bytes             |
+ * | `MAX_UPLOAD_FILES`               | `10`             | Maximum files per `POST /upload`         |
+ * | `MAX_UPLOAD_TOTAL_BYTES`         | `MAX_UPLOAD_BYTES` | Maximum bytes per `POST /upload`       |
+ * | `UPLOAD_ALLOWED_TYPES`           | —                | Comma-separated MIME types (`image/*` ok) |
+ * | `UPLOAD_DENIED_TYPES`            | —                | MIME types refused with 415              |
+ * | `UPLOAD_ALLOWED_EXTENSIONS`      | —                | Comma-separated extensions (`pdf,.docx`) |
+ * | `UPLOAD_DENIED_EXTENSIONS`       | —                | Extensions refused with 415              |
+ * | `DOWNLOAD_CACHE_CONTROL`         | `private, no-cache` | Cache-Control sent with file downloads |
+ * | `DIRECT_UPLOAD_TTL`              | `900`            | Presigned direct-upload URL lifetime (s) |
+ * | `LINK_SIGNING_SECRET`            | —                | HMAC secret for signed download links    |
+ * | `PUBLIC_BASE_URL`                | request host     | Base URL used in signed links            |
+ * | `SOFT_DELETE`                    | `false`          | `true` moves deleted files to the trash  |
+ * | `TRASH_RETENTION_DAYS`           | `30`             | Days before trashed files are purged     |
+ * | `TRASH_PURGE_INTERVAL`           | `3600`           | Seconds between purge runs (`0` = never) |
+ * | `CLAMD_HOST`                     | —                | clamd host; enables malware scanning     |
+ * | `CLAMD_PORT`                     | `3310`           | clamd TCP port                           |
+ * | `CLAMD_SOCKET`                   | —                | clamd Unix socket (instead of host/port) |
+ * | `CLAMD_TIMEOUT`                  | `60000`          | clamd socket idle timeout (ms)           |
+ * | `SCAN_MODE`                      | `sync`           | `sync` blocks infected uploads, `async` quarantines them |
+ * | `DEDUP_UPLOADS`                  | `false`          | `true` stores identical uploads once per tenant |
+ * | `IMAGE_PRESETS`                  | `thumbnail` 256×256 WebP | JSON image variant presets          |
+ * | `MAX_ARCHIVE_FILES`              | `1000`           | Maximum files per `POST /files/archive`  |
+ * | `QUOTA_USER_BYTES`               | —                | Bytes each user may store                |
+ * | `QUOTA_USER_FILES`               | —                | Files each user may store                |
+ * | `QUOTA_TENANT_BYTES`             | —                | Bytes each tenant may store              |
+ * | `QUOTA_TENANT_FILES`             | —                | Files each tenant may store              |
+ * | `RATE_LIMIT_WINDOW_MS`           | `60000`          | Rate limit window (ms)                   |
+ * | `RATE_LIMIT_UPLOAD`              | `10`             | Uploads per window                       |
+ * | `RATE_LIMIT_DOWNLOAD`            | `60`             | Downloads per window                     |
+ * | `RATE_LIMIT_LIST`                | `RATE_LIMIT_DOWNLOAD` | Listings per window                      |
+ * | `RATE_LIMIT_DELETE`              | `RATE_LIMIT_DOWNLOAD` | Deletes and restores per window          |
+ * | `RATE_LIMIT_DOWNLOAD_BYTES`      | —                | Download bytes per window                |
+ * | `RATE_LIMIT_REDIS_URL`           | —                | `redis://` URL; shares rate-limit counters |
+ * | `RATE_LIMIT_PREFIX`              | `files-rl:`      | Redis key prefix for rate-limit counters |
  *
  * Legacy: `AZURE_CONTAINER_NAME` still accepted as fallback for `BLOB_CONTAINER`.
  *
@@ -136,18 +251,44 @@ function resolveAuthMiddleware(config) {
  *     resolveTenant: (req, user) => `${user.tenantId}/${user.id}/`,
  *
  *     // Called after a successful upload (errors are logged but don't fail the upload).
+ *     // For resumable (tus) uploads it fires once, when the last chunk is stored.
+ *     // meta.checksum holds the content's { sha256, md5 } digests (multipart and direct uploads).
  *     onUpload: async (meta) => { await db.insertFileRecord(meta); },
  *
  *     // Called after a successful download.
  *     onDownload: async (meta) => { await db.logDownload(meta); },
+ *
+ *     // Called after PATCH /files/:id renames or edits a file (meta.changes lists what changed).
+ *     onUpdate: async (meta) => { await db.updateFileRecord(meta); },
+ *
+ *     // Per-tenant allow/deny lists, applied on top of config.contentPolicy.
+ *     resolveContentPolicy: async (req, user) => ({ allowedTypes: ['image/*', 'application/pdf'] }),
+ *
+ *     // Called when a malware scan verdict is recorded (meta.status is 'clean' or 'infected').
+ *     onScan: async (meta) => { if (meta.status === 'infected') await alertSecurity(meta); },
+ *
+ *     // Per-user or per-plan storage limits, overriding config.quota key by key (null = unlimited).
+ *     resolveQuota: async (req, user) => plans[user.plan] ?? null,
+ *
+ *     // Per-user, per-tenant or per-plan rate limits. name is 'upload', 'download', 'list',
+ *     // 'delete' or 'bandwidth'; return { max?, key? } (key: e.g. one counter per tenant) or null.
+ *     resolveRateLimit: async (req, user, name) => (user?.plan === 'pro' ? { max: 600 } : null),
  *   }
  * });
  * ```
  *
  * @param {Object} [config={}] - Configuration options (all optional, env vars as defaults)
  * @param {number}            [config.port]               - Server port
- * @param {string}            [config.containerName]      - Azure container name (BLOB_CONTAINER)
+ * @param {string}            [config.storageDriver]      - 'azure', 's3' or 'local' (STORAGE_DRIVER)
+ * @param {string}            [config.containerName]      - Container name (BLOB_CONTAINER)
  * @param {string}            [config.azureConnectionString] - Azure connection string
+ * @param {string}            [config.s3Bucket]           - S3 bucket (S3_BUCKET, defaults to containerName)
+ * @param {string}            [config.s3Region]           - S3 region (S3_REGION / AWS_REGION)
+ * @param {string}            [config.s3Endpoint]         - S3-compatible endpoint, e.g. MinIO (S3_ENDPOINT)
+ * @param {string}            [config.s3AccessKeyId]      - S3 access key (S3_ACCESS_KEY_ID)
+ * @param {string}            [config.s3SecretAccessKey]  - S3 secret key (S3_SECRET_ACCESS_KEY)
+ * @param {boolean}           [config.s3ForcePathStyle]   - Path-style addressing (S3_FORCE_PATH_STYLE)
+ * @param {string}            [config.localStoragePath]   - Root directory for the local driver (LOCAL_STORAGE_PATH)
  * @param {string}            [config.jwtPublicKey]       - PEM public key for JWT verification
  * @param {string}            [config.jwksUrl]            - Single JWKS URL
  * @param {Array}             [config.authServers]        - Array of { issuer, jwksUrl } entries
@@ -158,12 +299,43 @@ function resolveAuthMiddleware(config) {
  * @param {string}            [config.authorizationUrl]   - URL for per-request authorization checks
  * @param {number}            [config.authorizationTimeout] - Authorization timeout ms
  * @param {number}            [config.maxFileSize]        - Max upload bytes (MAX_UPLOAD_BYTES env)
+ * @param {number}            [config.maxUploadFiles]     - Max files per multipart upload (MAX_UPLOAD_FILES env)
+ * @param {number}            [config.maxUploadTotalSize] - Max bytes per multipart upload request (MAX_UPLOAD_TOTAL_BYTES env)
+ * @param {Object}            [config.contentPolicy]      - { allowedTypes, deniedTypes, allowedExtensions, deniedExtensions } (UPLOAD_* env)
  * @param {string|string[]}   [config.corsOrigins]        - CORS allowed origins (CORS_ORIGINS env)
+ * @param {string}            [config.downloadCacheControl] - Cache-Control for downloads (DOWNLOAD_CACHE_CONTROL env)
+ * @param {number}            [config.directUploadTtl]    - Presigned upload URL lifetime in seconds (DIRECT_UPLOAD_TTL env)
+ * @param {number}            [config.listSortMaxFiles]   - Most matching files GET /files?sort= reads (LIST_SORT_MAX_FILES env, default 1000)
+ * @param {string}            [config.linkSigningSecret]  - HMAC secret for signed links (LINK_SIGNING_SECRET env)
+ * @param {Object}            [config.linkStore]          - Shared download counter for links with maxDownloads (default in-memory)
+ * @param {string}            [config.publicBaseUrl]      - Base URL for signed links (PUBLIC_BASE_URL env)
+ * @param {boolean}           [config.softDelete]         - Move deleted files to the trash (SOFT_DELETE env)
+ * @param {number}            [config.trashRetentionDays] - Days trashed files are kept (TRASH_RETENTION_DAYS env)
+ * @param {number}            [config.trashPurgeInterval] - Seconds between purge runs, 0 disables (TRASH_PURGE_INTERVAL env)
+ * @param {Object}            [config.scanner]            - Custom malware scanner { scanStream(stream) } (default: clamd from CLAMD_* env)
+ * @param {string}            [config.clamdHost]          - clamd host (CLAMD_HOST env)
+ * @param {number}            [config.clamdPort]          - clamd port (CLAMD_PORT env)
+ * @param {string}            [config.clamdSocket]        - clamd Unix socket (CLAMD_SOCKET env)
+ * @param {number}            [config.clamdTimeout]       - clamd socket timeout ms (CLAMD_TIMEOUT env)
+ * @param {string}            [config.scanMode]           - 'sync' or 'async' (SCAN_MODE env)
+ * @param {boolean}           [config.dedup]              - Store identical multipart uploads once per tenant (DEDUP_UPLOADS env)
+ * @param {number}            [config.maxArchiveFiles]    - Max files per ZIP archive (MAX_ARCHIVE_FILES env)
+ * @param {Object}            [config.imagePresets]       - Image variant presets { name: { width, height, fit, format, quality } } (IMAGE_PRESETS env, JSON)
+ * @param {Object}            [config.quota]              - Storage limits { userBytes, userFiles, tenantBytes, tenantFiles } (QUOTA_* env).
+ *                                                          Tenant usage is first counted under `{tenantId}/`; with a resolveTenant
+ *                                                          hook that stores a tenant's files elsewhere, earlier files are not counted
+ * @param {Object}            [config.usageStore]         - Shared usage counter for quotas (default in-memory)
  * @param {number}            [config.rateLimitWindowMs]  - Rate limit window ms
  * @param {number}            [config.rateLimitUpload]    - Max uploads per window
  * @param {number}            [config.rateLimitDownload]  - Max downloads per window
+ * @param {number}            [config.rateLimitList]      - Max listings per window (RATE_LIMIT_LIST env, default rateLimitDownload)
+ * @param {number}            [config.rateLimitDelete]    - Max deletes/restores per window (RATE_LIMIT_DELETE env, default rateLimitDownload)
+ * @param {number}            [config.rateLimitDownloadBytes] - Max download bytes per window (RATE_LIMIT_DOWNLOAD_BYTES env)
+ * @param {string}            [config.rateLimitRedisUrl]  - Share rate-limit counters through Redis (RATE_LIMIT_REDIS_URL env)
+ * @param {string}            [config.rateLimitPrefix]    - Redis key prefix for rate-limit counters (RATE_LIMIT_PREFIX env)
+ * @param {Function}          [config.rateLimitStore]     - (name) => express-rate-limit store, one per limiter (overrides rateLimitRedisUrl)
  * @param {Object}            [config.hooks]              - Plugin hooks (see above)
- * @returns {{ app: express.Application, storage: AzureStorageClient, listen: Function }}
+ * @returns {{ app: express.Application, storage: import('./storage.js').StorageDriver, listen: Function, purgeTrash: Function }}
  */
 export function createFilesServer(config = {}) {
   const port = config.port || parseInt(process.env.PORT) || 3000;
@@ -174,21 +346,19 @@ export function createFilesServer(config = {}) {
     || process.env.AZURE_CONTAINER_NAME
     || 'files';
 
-  const connectionString = config.azureConnectionString
-    || process.env.AZURE_STORAGE_CONNECTION_STRING;
-
   const maxFileSize = config.maxFileSize
     || parseInt(process.env.MAX_UPLOAD_BYTES)
     || 100 * 1024 * 1024;  // 100MB
 
-  // CORS_ORIGINS env: comma-separated list or '*'
-  let corsOrigins = config.corsOrigins;
-  if (!corsOrigins) {
-    const raw = process.env.CORS_ORIGINS || '*';
-    corsOrigins = raw.includes(',') ? raw.split(',').map(s => s.trim()) : raw;
-  }
+  // Comma-separated lists; parsed by the routers
+  const contentPolicy = config.contentPolicy || {
+    allowedTypes: process.env.UPLOAD_ALLOWED_TYPES,
+    deniedTypes: process.env.UPLOAD_DENIED_TYPES,
+    allowedExtensions: process.env.UPLOAD_ALLOWED_EXTENSIONS,
+    deniedExtensions: process.env.UPLOAD_DENIED_EXTENSIONS
+  };
 
-  const logLevel = process.env.LOG_LEVEL || 'info';
+  const storage = resolveStorageDriver(config, containerName);
 
   // Hooks
   const hooks = config.hooks || {};
@@ -197,19 +367,97 @@ export function createFilesServer(config = {}) {
     hooks.resolveTenant = defaultResolveTenant;
   }
 
-  const storage = new AzureStorageClient(connectionString, containerName);
+  // With a scanner, every upload path scans and downloads require a clean verdict
+  const scanner = resolveScanner(config);
+  const scanMode = config.scanMode || process.env.SCAN_MODE || 'sync';
+  if (scanMode !== 'sync' && scanMode !== 'async') {
+    throw new Error(`Unknown scan mode: ${scanMode}`);
+  }
+  const scan = scanner ? createScanStage(storage, scanner, { mode: scanMode, hooks }) : undefined;
+  const requireScan = !!scanner;
+
+  const quota = createQuotaTracker(storage, hooks, {
+    limits: config.quota || {
+      userBytes: process.env.QUOTA_USER_BYTES,
+      userFiles: process.env.QUOTA_USER_FILES,
+      tenantBytes: process.env.QUOTA_TENANT_BYTES,
+      tenantFiles: process.env.QUOTA_TENANT_FILES
+    },
+    store: config.usageStore
+  });
+
+  const uploadOptions = {
+    maxFiles: config.maxUploadFiles || parseInt(process.env.MAX_UPLOAD_FILES) || undefined,
+    maxTotalSize: config.maxUploadTotalSize || parseInt(process.env.MAX_UPLOAD_TOTAL_BYTES) || undefined,
+    contentPolicy,
+    scan,
+    dedup: config.dedup ?? process.env.DEDUP_UPLOADS === 'true',
+    quota
+  };
+
+  // Default makes browsers revalidate every time, which is cheap with ETags (304)
+  const downloadCacheControl = config.downloadCacheControl
+    || process.env.DOWNLOAD_CACHE_CONTROL
+    || 'private, no-cache';
+
+  const imagePresets = config.imagePresets || process.env.IMAGE_PRESETS || undefined;
+
+  const directUploadTtl = config.directUploadTtl || parseInt(process.env.DIRECT_UPLOAD_TTL) || undefined;
+
+  const listSortMaxFiles = config.listSortMaxFiles || parseInt(process.env.LIST_SORT_MAX_FILES) || undefined;
+
+  const linkOptions = {
+    secret: config.linkSigningSecret || process.env.LINK_SIGNING_SECRET || null,
+    store: config.linkStore,
+    baseUrl: config.publicBaseUrl || process.env.PUBLIC_BASE_URL || null,
+    cacheControl: downloadCacheControl,
+    requireScan
+  };
+
+  const trashOptions = {
+    softDelete: config.softDelete ?? process.env.SOFT_DELETE === 'true',
+    retentionDays: config.trashRetentionDays || parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_TRASH_RETENTION_DAYS,
+    quota
+  };
+  // 0 disables the built-in timer, e.g. when purgeTrash() runs from cron instead
+  const trashPurgeInterval = config.trashPurgeInterval
+    ?? (process.env.TRASH_PURGE_INTERVAL !== undefined ? parseInt(process.env.TRASH_PURGE_INTERVAL) : 3600);
+
+  // CORS_ORIGINS env: comma-separated list or '*'
+  let corsOrigins = config.corsOrigins;
+  if (!corsOrigins) {
+    const raw = process.env.CORS_ORIGINS || '*';
+    corsOrigins = raw.includes(',') ? raw.split(',').map(s => s.trim()) : raw;
+  }
+
+  const logLevel = process.env.LOG_LEVEL || 'info';
 
   const authenticate = resolveAuthMiddleware(config);
 
   const authorizationUrl = config.authorizationUrl || process.env.AUTHORIZATION_URL || null;
   const authorizationTimeout = config.authorizationTimeout || parseInt(process.env.AUTHORIZATION_TIMEOUT) || 3000;
   const authorize = createAuthorizationMiddleware(authorizationUrl, authorizationTimeout);
+  // Routes acting on several files at once authorize each of them
+  const authorizeFile = createFileAuthorizer(authorizationUrl, authorizationTimeout);
+  const maxArchiveFiles = config.maxArchiveFiles || parseInt(process.env.MAX_ARCHIVE_FILES) || undefined;
 
-  const { uploadLimiter, downloadLimiter } = createRateLimiters(config);
+  const { uploadLimiter, downloadLimiter, listLimiter, deleteLimiter, bandwidthLimiter } = createRateLimiters(config);
+  // Each limiter counts only the routes it is passed to
+  const fileDownloadLimiter = [downloadLimiter, bandwidthLimiter];
 
   const app = express();
 
-  app.use(cors({ origin: corsOrigins }));
+  const corsOptions = {
+    origin: corsOrigins,
+    // Browser clients (tus, ranged/conditional downloads) must be able to read these cross-origin
+    exposedHeaders: ['ETag', 'Repr-Digest', 'Content-Range', 'Content-Disposition', 'X-Archive-Skipped', 'Location', 'Upload-Offset', 'Upload-Length', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size']
+  };
+  const tusRouter = createTusRouter(storage, maxFileSize, hooks, { creationLimiter: uploadLimiter, contentPolicy, scan, quota });
+
+  // tus capability discovery is an unauthenticated OPTIONS request; let it
+  // through the CORS preflight handler so the router can add the Tus-* headers
+  app.options('/uploads', cors({ ...corsOptions, preflightContinue: true }), tusRouter);
+  app.use(cors(corsOptions));
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
@@ -223,10 +471,28 @@ export function createFilesServer(config = {}) {
 
   // Routes
   app.use(createHealthRouter());
-  app.use(authenticate, authorize, uploadLimiter,  createUploadRouter(storage, maxFileSize, hooks));
-  app.use(authenticate, authorize, downloadLimiter, createDownloadRouter(storage, hooks));
-  app.use(authenticate, downloadLimiter,            createListRouter(storage, hooks));
-  app.use(authenticate, authorize, downloadLimiter, createDeleteRouter(storage, hooks));
+  // Signed links carry their own credentials — mounted ahead of authenticate
+  app.use(createSignedLinkRouter(storage, hooks, { ...linkOptions, limiter: fileDownloadLimiter }));
+  // Every authenticated route sits behind one authenticate + authorize pair, so
+  // a request is verified and authorized once however many routers it passes
+  const api = express.Router();
+  // Direct uploads first because the tus router claims /uploads/:id
+  api.use(createDirectUploadRouter(storage, maxFileSize, hooks, { expiresIn: directUploadTtl, creationLimiter: uploadLimiter, contentPolicy, scan, quota }));
+  api.use(tusRouter);
+  api.use(createUploadRouter(storage, maxFileSize, hooks, { ...uploadOptions, limiter: uploadLimiter }));
+  api.use(createDownloadRouter(storage, hooks, { cacheControl: downloadCacheControl, requireScan, limiter: fileDownloadLimiter }));
+  api.use(createVariantRouter(storage, hooks, { presets: imagePresets, cacheControl: downloadCacheControl, requireScan, limiter: fileDownloadLimiter }));
+  api.use(createArchiveRouter(storage, hooks, { authorizeFile, maxEntries: maxArchiveFiles, requireScan, limiter: fileDownloadLimiter }));
+  api.use(createLinkRouter(storage, hooks, linkOptions));
+  api.use(createListRouter(storage, hooks, { limiter: listLimiter, maxSortedFiles: listSortMaxFiles }));
+  api.use(createUsageRouter(storage, hooks, { quota, limiter: listLimiter }));
+  api.use(createUpdateRouter(storage, hooks, { limiter: downloadLimiter, contentPolicy }));
+  api.use(createVersionRouter(storage, maxFileSize, hooks, { uploadLimiter, contentPolicy, scan, quota }));
+  api.use(createDeleteRouter(storage, hooks, { ...trashOptions, limiter: deleteLimiter }));
+  if (trashOptions.softDelete) {
+    api.use(createTrashRouter(storage, hooks, { ...trashOptions, limiter: deleteLimiter }));
+  }
+  app.use(authenticate, authorize, api);
 
   // 404 handler
   app.use((req, res) => {
@@ -239,9 +505,20 @@ export function createFilesServer(config = {}) {
     res.status(500).json({ error: 'Internal Server Error', message: 'An unexpected error occurred' });
   });
 
+  // Permanently remove files trashed more than retentionDays ago, and take them off their owners' usage
+  const purgeTrash = async () => {
+    const before = new Date(Date.now() - trashOptions.retentionDays * 24 * 60 * 60 * 1000);
+    const purged = await storage.purgeTrash(before);
+    for (const file of purged) {
+      await quota.record(file, -file.size, -1);
+    }
+    return purged;
+  };
+
   const server = {
     app,
     storage,
+    purgeTrash,
     listen: () => {
       return storage.initialize().then(() => {
         const httpServer = app.listen(port, () => {
@@ -251,8 +528,22 @@ export function createFilesServer(config = {}) {
           }
         });
 
+        let purgeTimer = null;
+        if (trashOptions.softDelete && trashPurgeInterval > 0) {
+          const runPurge = () => purgeTrash()
+            .then((purged) => {
+              if (purged.length && logLevel !== 'error') console.log(`Purged ${purged.length} file(s) from trash`);
+            })
+            .catch((error) => console.error('Trash purge error:', error));
+
+          runPurge();
+          purgeTimer = setInterval(runPurge, trashPurgeInterval * 1000);
+          purgeTimer.unref();
+        }
+
         const shutdown = () => {
           if (logLevel !== 'error') console.log('Shutting down gracefully...');
+          clearInterval(purgeTimer);
           httpServer.close(() => {
             if (logLevel !== 'error') console.log('Server closed');
             process.exit(0);
@@ -271,13 +562,32 @@ export function createFilesServer(config = {}) {
 }
 
 // Named exports for advanced/composable usage
+export { StorageDriver, parseFileAttributes } from './storage.js';
 export { AzureStorageClient } from './azure-storage.js';
+export { S3StorageClient } from './s3-storage.js';
+export { LocalFsStorage } from './local-storage.js';
 export { createAuthMiddleware, createJwksAuthMiddleware } from './auth.js';
-export { createAuthorizationMiddleware } from './authorization.js';
+export { createAuthorizationMiddleware, createFileAuthorizer } from './authorization.js';
 export { JwksClient } from './jwks-client.js';
-export { createRateLimiters } from './rate-limit.js';
+export { sniffContentType, resolveContentType, checkContentPolicy } from './content-type.js';
+export { ClamdScanner, createScanStage, scanStoredFile } from './scanner.js';
+export { createQuotaTracker, MemoryUsageStore, parseQuota } from './quota.js';
+export { parseDigests, formatDigests, digestStream } from './checksum.js';
+export { createRateLimiters, createBandwidthLimiter, MemoryRateLimitStore, RedisRateLimitStore } from './rate-limit.js';
+export { RedisClient } from './redis.js';
 export { createUploadRouter } from './routes/upload.js';
-export { createDownloadRouter } from './routes/download.js';
+export { createTusRouter } from './routes/tus.js';
+export { createDirectUploadRouter } from './routes/direct-upload.js';
+export { createDownloadRouter, sendFile, fileMetadataResponse } from './routes/download.js';
+export { createVariantRouter } from './routes/variants.js';
+export { createArchiveRouter } from './routes/archive.js';
+export { parseImagePresets, renderVariant } from './variants.js';
+export { createLinkRouter, createSignedLinkRouter } from './routes/link.js';
+export { signLink, verifyLink, MemoryLinkStore } from './links.js';
 export { createListRouter } from './routes/list.js';
+export { createUpdateRouter } from './routes/update.js';
+export { createVersionRouter } from './routes/versions.js';
 export { createDeleteRouter } from './routes/delete.js';
+export { createTrashRouter, purgeDate } from './routes/trash.js';
+export { createUsageRouter } from './routes/usage.js';
 export { createHealthRouter } from './routes/health.js';
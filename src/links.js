@@ -0,0 +1,107 @@
+/**
+ * Signed download links for stonescriptphp-files.
+ *
+ * A link token is `{claims}.{signature}`: base64url JSON claims naming the file
+ * location, expiry and download cap, followed by an HMAC-SHA256 over them.
+ * Tokens are self-contained — verifying one needs only the secret — so any
+ * instance can serve a link created by another. Only the per-link download
+ * count needs shared state, kept in a pluggable store.
+ *
+ * Error conventions:
+ *   - `Error(...)` with `statusCode = 403` → bad or tampered token
+ *   - `Error(...)` with `statusCode = 410` → expired or download cap reached
+ */
+
+import crypto from 'crypto';
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function signature(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function linkError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Sign link claims into a URL-safe token.
+ *
+ * @param {Object} claims - { jti, fid, tid, uid, scp, pfx, exp, max }
+ * @param {string} secret - HMAC secret
+ * @returns {string} token
+ */
+export function signLink(claims, secret) {
+  const payload = base64url(JSON.stringify(claims));
+  return `${payload}.${signature(payload, secret)}`;
+}
+
+/**
+ * Verify a link token and return its claims.
+ *
+ * @param {string} token
+ * @param {string} secret - HMAC secret
+ * @returns {Object} claims
+ * @throws {Error} statusCode 403 if the token is malformed or the signature is wrong, 410 if expired
+ */
+export function verifyLink(token, secret) {
+  const [payload, sig, extra] = String(token).split('.');
+  if (!payload || !sig || extra !== undefined) {
+    throw linkError('Invalid link', 403);
+  }
+
+  const expected = Buffer.from(signature(payload, secret));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw linkError('Invalid link', 403);
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw linkError('Invalid link', 403);
+  }
+
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw linkError('Link expired', 410);
+  }
+
+  return claims;
+}
+
+/**
+ * In-process download counter for links with a download cap.
+ *
+ * Counts are lost on restart and not shared between instances; pass a store
+ * backed by shared state (same `increment` signature) when running more than one.
+ */
+export class MemoryLinkStore {
+  constructor() {
+    this.counts = new Map();
+  }
+
+  /**
+   * Count one download of a link.
+   *
+   * @param {string} linkId - Link ID (`jti` claim)
+   * @param {number} expiresAt - Epoch ms after which the entry can be dropped
+   * @returns {Promise<number>} downloads so far, including this one
+   */
+  async increment(linkId, expiresAt) {
+    const now = Date.now();
+    for (const [id, entry] of this.counts) {
+      if (entry.expiresAt <= now) this.counts.delete(id);
+    }
+
+    const entry = this.counts.get(linkId) || { count: 0, expiresAt };
+    entry.count++;
+    this.counts.set(linkId, entry);
+
+    return entry.count;
+  }
+}
@@ -0,0 +1,803 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { StorageDriver, countBytes } from './storage.js';
+import { digestBuffer, digestStream } from './checksum.js';
+
+const META_SUFFIX = '.meta.json';
+
+/**
+ * Local filesystem storage driver.
+ *
+ * Mirrors the Azure blob layout on disk: each blob is a regular file at
+ * `{rootDir}/{containerName}/{prefix}{fileId}` with its metadata kept
+ * in a `{fileId}.meta.json` sidecar next to it.
+ *
+ * Intended for development and on-prem deployments without Azure.
+ */
+export class LocalFsStorage extends StorageDriver {
+  constructor(rootDir, containerName = 'files') {
+    super();
+    this.rootDir = rootDir;
+    this.containerName = containerName;
+    this.basePath = rootDir ? path.resolve(rootDir, containerName) : null;
+    this.isConfigured = !!rootDir;
+  }
+
+  /**
+   * Create the container directory if it does not exist.
+   */
+  async initialize() {
+    if (!this.isConfigured) {
+      console.warn('⚠️  LOCAL_STORAGE_PATH not set — file uploads will fail');
+      return;
+    }
+
+    await fs.mkdir(this.basePath, { recursive: true });
+    console.log(`Local filesystem storage initialized: path=${this.basePath}`);
+  }
+
+  /**
+   * Write a file and its metadata sidecar.
+   *
+   * @param {string} tenantId - Tenant ID (stored as metadata)
+   * @param {string} userId - User ID (for ownership metadata)
+   * @param {Buffer|Readable} content - File content. A partially written file is removed if the stream fails.
+   * @param {string} originalFilename - Original filename
+   * @param {string} contentType - MIME type
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [attributes={}] - resource_type / resource_id / meta_* (stored in the sidecar)
+   * @param {Object} [options={}] - { checksum, dedup }; in dedup mode the file holds only the content hash
+   * @returns {Object} File metadata
+   */
+  async uploadFile(tenantId, userId, content, originalFilename, contentType, scope = 'user', blobPrefix = null, attributes = {}, options = {}) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    const fileId = uuidv4();
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const blobName = this.blobName(prefix, fileId);
+    const filePath = this.blobPath(blobName);
+    const uploadedAt = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    let size;
+    let digests;
+    let shared = null;
+    if (options.dedup) {
+      shared = await this.storeSharedContent(tenantId, fileId, content, options.checksum);
+      ({ size, digests } = shared);
+    } else {
+      ({ size, digests } = await this.writeContent(filePath, content, options.checksum));
+    }
+
+    const metadata = {
+      tenant_id: tenantId || '',
+      user_id: userId,
+      original_filename: originalFilename,
+      content_type: contentType,
+      uploaded_at: uploadedAt,
+      file_id: fileId,
+      scope: scope,
+      ...this.checksumMetadata(digests),
+      ...(shared ? this.sharedContentMetadata(shared) : {}),
+      ...attributes
+    };
+
+    try {
+      if (shared) await fs.writeFile(filePath, shared.hash);
+      // Sidecar is written last so listings never see a file without content
+      await fs.writeFile(filePath + META_SUFFIX, JSON.stringify(metadata));
+    } catch (error) {
+      if (shared) {
+        await fs.rm(filePath, { force: true });
+        await this.releaseSharedContent(metadata);
+      }
+      throw error;
+    }
+
+    return {
+      fileId,
+      blobName,
+      tenantId,
+      userId,
+      originalFilename,
+      contentType,
+      size,
+      uploadedAt,
+      checksum: digests,
+      ...this.fileAttributes(attributes)
+    };
+  }
+
+  /**
+   * Open a file for streaming.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [range={}] - { offset = 0, count } byte range to read
+   * @param {Object} [options={}] - { version } to read an earlier version, { variant } an image variant
+   * @returns {Object} { stream, metadata }
+   */
+  async downloadFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, range = {}, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix, { version: options.version, variant: options.variant });
+
+    const start = range.offset || 0;
+    // createReadStream's `end` is inclusive
+    const end = range.count === undefined ? undefined : start + range.count - 1;
+
+    return {
+      stream: createReadStream(blob.contentPath, { start, end }),
+      metadata: {
+        fileName: blob.metadata.original_filename,
+        contentType: blob.metadata.content_type,
+        size: blob.size,
+        etag: blob.etag,
+        lastModified: blob.lastModified
+      }
+    };
+  }
+
+  /**
+   * Read file metadata without opening the content.
+   *
+   * @returns {Object} { fileId, fileName, contentType, size, uploadedAt, etag, lastModified }
+   */
+  async statFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix, { version: options.version, variant: options.variant });
+
+    return this.toFileStat(fileId, blob.metadata, {
+      size: blob.size,
+      etag: blob.etag,
+      lastModified: blob.lastModified,
+      versionId: blob.versionId
+    });
+  }
+
+  /**
+   * List files under the resolved prefix (recursive, like Azure's flat listing).
+   *
+   * @returns {Array} List of file metadata
+   */
+  async listFiles(tenantId, userId, scope = 'user', blobPrefix = null) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const files = [];
+
+    for await (const blob of this.walk(prefix)) {
+      // Image variants have no file_id
+      if (!blob.metadata.file_id || blob.metadata.deleted_at) continue;
+      files.push(this.toListedFile(blob.metadata, blob.size));
+    }
+
+    return files;
+  }
+
+  /**
+   * Read one page of files. There is no native continuation token, so the
+   * token is the last blob name of the previous page.
+   */
+  async listPage(prefix, token, pageSize, after) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    // `after` is always past the start of its page, so it wins when set
+    const start = after ?? token;
+    const names = (await this.blobNames(prefix)).filter(name => start === null || name > start);
+
+    const entries = [];
+    for (const name of names.slice(0, pageSize)) {
+      const blob = await this.readBlob(name);
+      // Deleted between readdir and read, or an image variant — skip it
+      if (!blob || !blob.metadata.file_id) continue;
+
+      entries.push({ key: name, file: this.toListedFile(blob.metadata, blob.size) });
+    }
+
+    const more = names.length > pageSize;
+    return { entries, nextToken: more ? names[pageSize - 1] : null };
+  }
+
+  /**
+   * Rewrite a file's metadata sidecar. The content file's mtime is bumped so
+   * the size+mtime ETag changes with the metadata.
+   */
+  async updateFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, changes = {}, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(blob.etag, options.ifMatch);
+
+    const metadata = this.applyFileChanges(blob.metadata, changes, options);
+    await fs.writeFile(blob.path + META_SUFFIX, JSON.stringify(metadata));
+
+    const modified = new Date(Math.max(Date.now(), blob.lastModified.getTime() + 1));
+    await fs.utimes(blob.path, modified, modified);
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Delete a file, its metadata sidecar, its versions and its image variants,
+   * then release the content it shares in dedup mode.
+   */
+  async deleteFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+
+    await fs.rm(blob.path, { force: true });
+    await fs.rm(blob.path + META_SUFFIX, { force: true });
+    await fs.rm(this.blobPath(this.versionPrefix(fileId)), { recursive: true, force: true });
+    await fs.rm(this.blobPath(this.variantPrefix(blob.name, fileId)), { recursive: true, force: true });
+    await this.releaseSharedContent(blob.metadata);
+  }
+
+  /**
+   * Replace a file's content. The new bytes go to a temporary file next to
+   * the current one and are renamed over it once complete, after the current
+   * content has been copied to `_versions/{fileId}/`.
+   */
+  async putFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, content, originalFilename, contentType, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(blob.etag, options.ifMatch);
+
+    const tempPath = `${blob.path}.${uuidv4()}.tmp`;
+    const { digests } = await this.writeContent(tempPath, content, options.checksum);
+
+    await this.archiveVersion(blob);
+    await fs.rename(tempPath, blob.path);
+    await fs.writeFile(blob.path + META_SUFFIX, JSON.stringify(
+      this.versionMetadata(blob.metadata, originalFilename, contentType, this.checksumMetadata(digests))));
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * List the current content and the copies under `_versions/{fileId}/`.
+   */
+  async listFileVersions(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+
+    const versions = [];
+    for await (const version of this.walk(this.versionPrefix(fileId))) {
+      versions.push(this.toFileVersion(version.name.slice(this.versionPrefix(fileId).length), version.metadata, version.size));
+    }
+
+    return this.sortFileVersions(this.toFileVersion(null, blob.metadata, blob.size), versions);
+  }
+
+  /**
+   * Copy an earlier version back over the current content, keeping the
+   * current content as a version first.
+   */
+  async promoteFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, versionId, options = {}) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(blob.etag, options.ifMatch);
+    const version = await this.findVersion(fileId, versionId);
+
+    const tempPath = `${blob.path}.${uuidv4()}.tmp`;
+    await fs.copyFile(version.path, tempPath);
+
+    await this.archiveVersion(blob);
+    await fs.rename(tempPath, blob.path);
+    await fs.writeFile(blob.path + META_SUFFIX, JSON.stringify(
+      this.versionMetadata(blob.metadata, version.metadata.original_filename, version.metadata.content_type, version.metadata)));
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Write an image variant and its sidecar under `{prefix}_variants/{fileId}/`.
+   */
+  async putFileVariant(fileId, tenantId, userId, scope = 'user', blobPrefix = null, variant, content, fileName, contentType) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+
+    const variantPath = this.blobPath(this.variantPrefix(blob.name, fileId) + variant);
+    const tempPath = `${variantPath}.${uuidv4()}.tmp`;
+    await fs.mkdir(path.dirname(variantPath), { recursive: true });
+    const { digests } = await this.writeContent(tempPath, content);
+
+    await fs.rename(tempPath, variantPath);
+    await fs.writeFile(variantPath + META_SUFFIX, JSON.stringify(this.variantMetadata(blob.metadata, fileName, contentType, digests)));
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix, { variant });
+  }
+
+  /**
+   * Mark a file as deleted in its sidecar and record it under `_trash/`.
+   */
+  async trashFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix);
+    const { metadata, record } = this.trashEntry(blob, userId);
+
+    const recordPath = this.blobPath(this.trashRecordName(fileId));
+    await fs.mkdir(path.dirname(recordPath), { recursive: true });
+    await fs.writeFile(recordPath, JSON.stringify(record));
+    await fs.writeFile(blob.path + META_SUFFIX, JSON.stringify(metadata));
+
+    return { fileId, deletedAt: record.deleted_at };
+  }
+
+  /**
+   * Clear a trashed file's deletion mark and drop its trash record.
+   */
+  async restoreFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const blob = await this.findBlob(fileId, tenantId, userId, scope, blobPrefix, { trashed: true });
+
+    await fs.writeFile(blob.path + META_SUFFIX, JSON.stringify(this.restoredMetadata(blob.metadata)));
+    await fs.rm(this.blobPath(this.trashRecordName(fileId)), { force: true });
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Delete every file trashed before `before`. A record whose file was
+   * restored (or trashed again later) only loses the stale record.
+   */
+  async purgeTrash(before) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.blobPath('_trash'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const purged = [];
+    for (const entry of entries.filter(e => e.endsWith('.json'))) {
+      const recordPath = this.blobPath(`_trash/${entry}`);
+
+      let record;
+      try {
+        record = JSON.parse(await fs.readFile(recordPath, 'utf8'));
+      } catch (error) {
+        // Purged by another run in the meantime
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      if (!(Date.parse(record.deleted_at) < before.getTime())) continue;
+
+      const blob = await this.readBlob(record.blob_name);
+      if (blob && blob.metadata.deleted_at === record.deleted_at) {
+        await fs.rm(blob.path, { force: true });
+        await fs.rm(blob.path + META_SUFFIX, { force: true });
+        await fs.rm(this.blobPath(this.versionPrefix(record.file_id)), { recursive: true, force: true });
+        await fs.rm(this.blobPath(this.variantPrefix(blob.name, record.file_id)), { recursive: true, force: true });
+        await this.releaseSharedContent(blob.metadata);
+        purged.push(this.purgedEntry(record, blob.metadata, blob.size));
+      }
+      await fs.rm(recordPath, { force: true });
+    }
+
+    return purged;
+  }
+
+  /**
+   * Start a resumable upload. Bytes are appended to `_uploads/{uploadId}.part`
+   * and moved into place when the upload completes.
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {Object} file - { originalFilename, contentType, length }
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Object} Upload state
+   */
+  async createResumableUpload(tenantId, userId, file, scope = 'user', blobPrefix = null) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    const state = this.newUploadState(tenantId, userId, file, scope, blobPrefix);
+    const statePath = this.blobPath(this.uploadStateName(state.upload_id));
+
+    // Validate the target path up front rather than at completion
+    this.blobPath(state.blob_name);
+
+    await fs.mkdir(path.dirname(statePath), { recursive: true });
+    await fs.writeFile(this.uploadPartPath(state.upload_id), '');
+    await fs.writeFile(statePath, JSON.stringify(state));
+
+    return this.toUpload(state, 0);
+  }
+
+  /**
+   * Read a resumable upload's state. The offset is the size of the part file.
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Upload state
+   */
+  async getResumableUpload(uploadId) {
+    const state = await this.readUploadState(uploadId);
+
+    if (state.completed_at) {
+      return this.toUpload(state, state.length);
+    }
+
+    const stats = await fs.stat(this.uploadPartPath(uploadId));
+    return this.toUpload(state, stats.size);
+  }
+
+  /**
+   * Append the incoming bytes to the part file; move it into place once complete.
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {number} offset - Expected current offset
+   * @param {Readable} stream - Chunk content
+   * @param {Object} [options] - { contentType, head } (see StorageDriver#appendResumableUpload)
+   * @returns {Object} { offset, completed, file }
+   */
+  async appendResumableUpload(uploadId, offset, stream, options = {}) {
+    const upload = await this.getResumableUpload(uploadId);
+    this.checkUploadOffset(upload, offset);
+
+    if ((options.contentType && options.contentType !== upload.contentType) || options.head) {
+      // Stored now: the upload may be completed by a later request
+      const state = await this.readUploadState(uploadId);
+      if (options.contentType) state.content_type = options.contentType;
+      if (options.head) state.head = options.head.toString('base64');
+      await fs.writeFile(this.blobPath(this.uploadStateName(uploadId)), JSON.stringify(state));
+    }
+
+    const partPath = this.uploadPartPath(uploadId);
+
+    // Whatever was written before a failure stays in the part file
+    await pipeline(stream, createWriteStream(partPath, { flags: 'a' }));
+
+    const { size } = await fs.stat(partPath);
+    if (size < upload.length) {
+      return { offset: size, completed: false, file: null };
+    }
+
+    const state = await this.readUploadState(uploadId);
+    state.completed_at = new Date().toISOString();
+
+    const filePath = this.blobPath(state.blob_name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.rename(partPath, filePath);
+    await fs.writeFile(filePath + META_SUFFIX, JSON.stringify(this.uploadBlobMetadata(state)));
+    await fs.writeFile(this.blobPath(this.uploadStateName(uploadId)), JSON.stringify(state));
+
+    return { offset: size, completed: true, file: this.uploadFileResult(state) };
+  }
+
+  /**
+   * Discard an unfinished resumable upload.
+   *
+   * @param {string} uploadId - Upload ID
+   */
+  async abortResumableUpload(uploadId) {
+    const state = await this.readUploadState(uploadId);
+
+    if (state.completed_at) {
+      const error = new Error('Upload already completed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await fs.rm(this.uploadPartPath(uploadId), { force: true });
+    await fs.rm(this.blobPath(this.uploadStateName(uploadId)), { force: true });
+  }
+
+  /**
+   * Rename legacy `{fileId}.{ext}` files (and their sidecars) to `{fileId}`.
+   *
+   * @param {string} [prefix=''] - Only migrate files under this prefix
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report renames without performing them
+   * @returns {Array} [{ from, to }]
+   */
+  async migrateLegacyBlobNames(prefix = '', options = {}) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    const renamed = [];
+
+    for await (const blob of this.walk(prefix)) {
+      const target = this.migratedBlobName(blob.name, blob.metadata);
+      if (!target) continue;
+
+      if (!options.dryRun) {
+        const targetPath = this.blobPath(target);
+        await fs.rename(blob.path, targetPath);
+        await fs.rename(blob.path + META_SUFFIX, targetPath + META_SUFFIX);
+      }
+
+      renamed.push({ from: blob.name, to: target });
+    }
+
+    return renamed;
+  }
+
+  /**
+   * Resolve a file ID to its blob and check ownership. Trashed files are
+   * missing unless `options.trashed` is set, which looks only at the trash.
+   * With `options.version`, the checks apply to the current file and that
+   * earlier version is returned instead; likewise the image variant named by
+   * `options.variant`.
+   * Reads `{prefix}{fileId}` directly; falls back to the legacy
+   * `{prefix}{fileId}.{ext}` name for files stored before the rename.
+   *
+   * @returns {Object} { name, path, size, metadata }
+   */
+  async findBlob(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const name = this.blobName(prefix, fileId);
+
+    let blob = await this.readBlob(name);
+
+    if (!blob) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(path.dirname(this.blobPath(name)));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      const legacy = entries.find(e => e.startsWith(`${fileId}.`) && e.endsWith(META_SUFFIX));
+      if (legacy) {
+        blob = await this.readBlob(prefix + legacy.slice(0, -META_SUFFIX.length));
+      }
+    }
+
+    if (!blob || blob.metadata.file_id !== fileId) {
+      throw new Error('File not found');
+    }
+
+    this.checkOwnership(blob.metadata, userId, scope, blobPrefix);
+    this.checkTrashed(blob.metadata, options.trashed);
+
+    if (options.variant) return this.findVariant(blob, options.variant);
+    return options.version ? this.findVersion(fileId, options.version) : blob;
+  }
+
+  /**
+   * Read an image variant of a file. Callers check the file first.
+   *
+   * @param {Object} blob - The file, from findBlob
+   * @param {string} variant - Preset key
+   * @returns {Object} { name, path, size, metadata, etag, lastModified }
+   */
+  async findVariant(blob, variant) {
+    const found = await this.readBlob(this.variantPrefix(blob.name, blob.metadata.file_id) + variant);
+    if (!found) throw new Error('Variant not found');
+
+    return found;
+  }
+
+  /**
+   * Read an earlier version of a file. Callers check the current file first.
+   *
+   * @param {string} fileId
+   * @param {string} versionId
+   * @returns {Object} { name, path, size, metadata, etag, lastModified, versionId }
+   */
+  async findVersion(fileId, versionId) {
+    const version = await this.readBlob(this.versionName(fileId, versionId));
+    if (!version) throw new Error('Version not found');
+
+    return { ...version, versionId };
+  }
+
+  /**
+   * Copy a file's current content and metadata to `_versions/{fileId}/{versionId}`.
+   *
+   * @param {Object} blob - From findBlob
+   */
+  async archiveVersion(blob) {
+    const versionPath = this.blobPath(this.versionName(blob.metadata.file_id, this.newVersionId()));
+
+    await fs.mkdir(path.dirname(versionPath), { recursive: true });
+    await fs.copyFile(blob.path, versionPath);
+    await fs.writeFile(versionPath + META_SUFFIX, JSON.stringify(blob.metadata));
+  }
+
+  /**
+   * Write content to a path, removing the partial file if a stream fails or
+   * the content does not match the expected digests.
+   *
+   * @param {string} filePath
+   * @param {Buffer|Readable} content
+   * @param {Object} [expected] - { sha256?, md5? } from the client
+   * @returns {Promise<Object>} { size, digests } — bytes written and { sha256, md5 }
+   */
+  async writeContent(filePath, content, expected = null) {
+    if (Buffer.isBuffer(content)) {
+      const digests = digestBuffer(content, expected);
+      await fs.writeFile(filePath, content);
+      return { size: content.length, digests };
+    }
+
+    const counted = countBytes(content);
+    const hashed = digestStream(counted, expected);
+    try {
+      await pipeline(hashed, createWriteStream(filePath));
+    } catch (error) {
+      await fs.rm(filePath, { force: true });
+      throw error;
+    }
+    return { size: counted.bytes, digests: hashed.digests };
+  }
+
+  /**
+   * Read one blob's metadata and size. Returns null when it does not exist.
+   * The ETag is derived from size and mtime, like a static file server's.
+   * `contentPath` is where the bytes are: the shared content for a file
+   * stored in dedup mode, else the blob itself.
+   *
+   * @param {string} name - Blob name
+   * @returns {Object|null} { name, path, contentPath, size, metadata }
+   */
+  async readBlob(name) {
+    const filePath = this.blobPath(name);
+
+    try {
+      const metadata = JSON.parse(await fs.readFile(filePath + META_SUFFIX, 'utf8'));
+      const stats = await fs.stat(filePath);
+      const size = this.contentSize(metadata, stats.size);
+      return {
+        name,
+        path: filePath,
+        contentPath: metadata.content_blob ? this.blobPath(metadata.content_blob) : filePath,
+        size,
+        metadata,
+        etag: `"${size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write shared content (dedup mode) to its own file.
+   */
+  async writeSharedBlob(name, content, expected = null) {
+    const filePath = this.blobPath(name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    return this.writeContent(filePath, content, expected);
+  }
+
+  /**
+   * Create a JSON record file; the exclusive flag makes a concurrent second writer fail.
+   */
+  async createSharedRecord(name, record) {
+    const filePath = this.blobPath(name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await fs.writeFile(filePath, JSON.stringify(record), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Read a record from createSharedRecord. Returns null when it does not exist.
+   */
+  async readSharedRecord(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.blobPath(name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the directory for a prefix has any entries, or the prefix is a file.
+   */
+  async hasSharedBlobs(prefix) {
+    try {
+      return (await fs.readdir(this.blobPath(prefix))).length > 0;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      // The prefix is a file's own name, as for object stores
+      if (error.code === 'ENOTDIR') return true;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a shared content file or record.
+   */
+  async deleteSharedBlob(name) {
+    await fs.rm(this.blobPath(name), { force: true });
+  }
+
+  /**
+   * Load a resumable upload's state record.
+   *
+   * @param {string} uploadId
+   * @returns {Object}
+   */
+  async readUploadState(uploadId) {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.blobPath(this.uploadStateName(uploadId)), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error('Upload not found');
+      throw error;
+    }
+  }
+
+  /**
+   * Path of the part file holding a resumable upload's bytes.
+   *
+   * @param {string} uploadId
+   * @returns {string}
+   */
+  uploadPartPath(uploadId) {
+    return this.blobPath(`_uploads/${uploadId}.part`);
+  }
+
+  /**
+   * Yield every stored blob under a prefix.
+   *
+   * @param {string} prefix - Blob prefix (with trailing slash)
+   */
+  async *walk(prefix) {
+    for (const name of await this.blobNames(prefix)) {
+      const blob = await this.readBlob(name);
+      // Deleted between readdir and read — skip it
+      if (blob) yield blob;
+    }
+  }
+
+  /**
+   * Names of the stored blobs under a prefix, in ascending order.
+   *
+   * @param {string} prefix - Blob prefix (with trailing slash)
+   * @returns {Promise<string[]>}
+   */
+  async blobNames(prefix) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.blobPath(prefix), { recursive: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => entry.endsWith(META_SUFFIX))
+      .map(entry => prefix + entry.slice(0, -META_SUFFIX.length).split(path.sep).join('/'))
+      .sort();
+  }
+
+  /**
+   * Map a blob name to an absolute path, refusing anything that escapes the container.
+   *
+   * @param {string} blobName
+   * @returns {string}
+   */
+  blobPath(blobName) {
+    const resolved = path.resolve(this.basePath, blobName);
+    if (resolved !== this.basePath && !resolved.startsWith(this.basePath + path.sep)) {
+      throw new Error('Unauthorized: Invalid blob path');
+    }
+    return resolved;
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * Storage quotas for stonescriptphp-files.
+ *
+ * Usage — bytes and file count — is kept per user and per tenant in a
+ * pluggable store. A key is counted from storage the first time it is needed
+ * (a listing of the user's prefix, or of `{tenantId}/` for the tenant) and
+ * the routes keep it current from then on as files are stored and deleted.
+ * The tenant count assumes the default layout: with a resolveTenant hook that
+ * puts a tenant's files elsewhere, files stored before the first count are
+ * missed (see createFilesServer's `config.quota`).
+ * A file counts toward the user who uploaded it. Trashed files count until
+ * they are purged; earlier versions and image variants do not count.
+ *
+ * Limits are checked against usage at the start of a request, so uploads
+ * running side by side can together go somewhat past a limit.
+ *
+ * Error conventions:
+ *   - `Error(...)` with `statusCode = 413` → one file is larger than a byte limit on its own
+ *   - `Error(...)` with `statusCode = 507` → the upload would take usage over a limit
+ */
+
+import { MAX_LIST_LIMIT } from './storage.js';
+
+const LIMIT_KEYS = ['userBytes', 'userFiles', 'tenantBytes', 'tenantFiles'];
+
+function quotaError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalize quota limits. Keys left out are not returned, so the result can
+ * be spread over defaults; a null, empty or negative value means no limit.
+ *
+ * @param {Object|null} [quota] - { userBytes?, userFiles?, tenantBytes?, tenantFiles? }
+ * @returns {Object} the keys present, each a non-negative integer or null
+ */
+export function parseQuota(quota) {
+  const limits = {};
+  if (!quota) return limits;
+
+  for (const key of LIMIT_KEYS) {
+    if (!(key in quota)) continue;
+    const value = quota[key] === null || quota[key] === '' ? NaN : Number(quota[key]);
+    limits[key] = Number.isInteger(value) && value >= 0 ? value : null;
+  }
+
+  return limits;
+}
+
+/**
+ * The quota error for adding to usage, or null when it fits.
+ *
+ * @param {Object} allowance - { bytes, files, maxBytes } as createQuotaTracker#allowance returns it
+ * @param {Object} added
+ * @param {number} [added.bytes=0] - Bytes to add
+ * @param {number} [added.files=0] - Files to add
+ * @param {number} [added.largest=added.bytes] - Size of the largest single file
+ * @returns {Error|null} statusCode 413 or 507
+ */
+export function quotaExceeded(allowance, { bytes = 0, files = 0, largest = bytes }) {
+  if (largest > allowance.maxBytes) {
+    return quotaError('File is larger than the storage quota', 413);
+  }
+  if (bytes > allowance.bytes) {
+    return quotaError('Storage quota exceeded', 507);
+  }
+  if (files > allowance.files) {
+    return quotaError('File count quota exceeded', 507);
+  }
+  return null;
+}
+
+/**
+ * In-process usage store.
+ *
+ * Usage is recounted from storage after a restart and not shared between
+ * instances; pass a store backed by shared state (same `get`, `set` and `add`
+ * signatures) when running more than one.
+ */
+export class MemoryUsageStore {
+  constructor() {
+    this.usage = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object|null>} { bytes, files }, or null if the key has not been counted
+   */
+  async get(key) {
+    const usage = this.usage.get(key);
+    return usage ? { ...usage } : null;
+  }
+
+  /**
+   * Store a freshly counted usage.
+   *
+   * @param {string} key
+   * @param {Object} usage - { bytes, files }
+   */
+  async set(key, usage) {
+    this.usage.set(key, { bytes: usage.bytes, files: usage.files });
+  }
+
+  /**
+   * Add to a counted usage (negative to subtract). Keys not counted yet are
+   * left alone: their first count will include the change.
+   *
+   * @param {string} key
+   * @param {number} bytes
+   * @param {number} files
+   * @returns {Promise<Object|null>} the updated { bytes, files }, or null
+   */
+  async add(key, bytes, files) {
+    const usage = this.usage.get(key);
+    if (!usage) return null;
+
+    usage.bytes = Math.max(0, usage.bytes + bytes);
+    usage.files = Math.max(0, usage.files + files);
+    return { ...usage };
+  }
+}
+
+/**
+ * Create the quota tracker the upload and delete routes share.
+ *
+ * Limits come from `options.limits`, overridden key by key by whatever
+ * `hooks.resolveQuota(req, user)` returns (e.g. per plan). With no limit set,
+ * uploads are not checked and usage is only counted for `GET /usage`.
+ *
+ * @param {StorageDriver} storage
+ * @param {Object} [hooks={}]
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.resolveQuota]  - async (req, user) => { userBytes?, userFiles?, tenantBytes?, tenantFiles? } | null
+ * @param {Object} [options={}]
+ * @param {Object} [options.limits] - Default limits (see parseQuota)
+ * @param {Object} [options.store] - Usage store (default: MemoryUsageStore)
+ * @returns {Object} { usage, allowance, check, record }
+ */
+export function createQuotaTracker(storage, hooks = {}, options = {}) {
+  const store = options.store || new MemoryUsageStore();
+  const defaults = parseQuota(options.limits);
+
+  // One count per key at a time
+  const counting = new Map();
+
+  function userKey(tenantId, userId) {
+    return `user:${tenantId || ''}:${userId}`;
+  }
+
+  function tenantKey(tenantId) {
+    return tenantId ? `tenant:${tenantId}` : null;
+  }
+
+  async function countPrefix(tenantId, userId, blobPrefix) {
+    const usage = { bytes: 0, files: 0 };
+    // Live and trashed files in one pass
+    let cursor = null;
+    do {
+      const page = await storage.listFilesPage(tenantId, userId, 'user', blobPrefix, { limit: MAX_LIST_LIMIT, cursor, trashed: 'all' });
+      for (const file of page.files) {
+        usage.bytes += file.size || 0;
+        usage.files++;
+      }
+      cursor = page.cursor;
+    } while (cursor);
+    return usage;
+  }
+
+  async function load(key, count) {
+    const known = await store.get(key);
+    if (known) return known;
+
+    if (!counting.has(key)) {
+      counting.set(key, count()
+        .then(async (usage) => {
+          await store.set(key, usage);
+          return usage;
+        })
+        .finally(() => counting.delete(key)));
+    }
+    return counting.get(key);
+  }
+
+  async function resolveLimits(req) {
+    const resolved = hooks.resolveQuota ? await hooks.resolveQuota(req, req.user) : null;
+    return { userBytes: null, userFiles: null, tenantBytes: null, tenantFiles: null, ...defaults, ...parseQuota(resolved) };
+  }
+
+  async function measure(req) {
+    const user = req.user;
+    const blobPrefix = hooks.resolveTenant
+      ? await hooks.resolveTenant(req, user)
+      : null;
+
+    const userUsage = await load(userKey(user.tenantId, user.id), () => countPrefix(user.tenantId, user.id, blobPrefix));
+    const tenantUsage = user.tenantId
+      ? await load(tenantKey(user.tenantId), () => countPrefix(user.tenantId, user.id, `${user.tenantId}/`))
+      : null;
+
+    return { user: userUsage, tenant: tenantUsage };
+  }
+
+  /**
+   * Current usage of the caller and their tenant against their limits.
+   *
+   * @returns {Promise<Object>} { user: { bytes, files, maxBytes, maxFiles }, tenant: same | null } — null limits are unlimited
+   */
+  async function usage(req) {
+    const limits = await resolveLimits(req);
+    const current = await measure(req);
+
+    return {
+      user: { ...current.user, maxBytes: limits.userBytes, maxFiles: limits.userFiles },
+      tenant: current.tenant && { ...current.tenant, maxBytes: limits.tenantBytes, maxFiles: limits.tenantFiles }
+    };
+  }
+
+  /**
+   * What the caller may still store: the tighter of the user and tenant
+   * headroom. Null when no limit applies, without counting anything.
+   *
+   * @returns {Promise<Object|null>} { bytes, files, maxBytes } — Infinity where unlimited
+   */
+  async function allowance(req) {
+    const limits = await resolveLimits(req);
+    const tenantLimited = req.user.tenantId && (limits.tenantBytes !== null || limits.tenantFiles !== null);
+    if (limits.userBytes === null && limits.userFiles === null && !tenantLimited) return null;
+
+    const current = await measure(req);
+    const headroom = (limit, used) => (limit === null ? Infinity : limit - used);
+
+    const allowed = {
+      bytes: headroom(limits.userBytes, current.user.bytes),
+      files: headroom(limits.userFiles, current.user.files),
+      maxBytes: limits.userBytes ?? Infinity
+    };
+    if (current.tenant) {
+      allowed.bytes = Math.min(allowed.bytes, headroom(limits.tenantBytes, current.tenant.bytes));
+      allowed.files = Math.min(allowed.files, headroom(limits.tenantFiles, current.tenant.files));
+      allowed.maxBytes = Math.min(allowed.maxBytes, limits.tenantBytes ?? Infinity);
+    }
+    return allowed;
+  }
+
+  /**
+   * Check that the caller can add `bytes` in `files` files.
+   *
+   * @param {import('express').Request} req
+   * @param {Object} [added={}] - { bytes, files } (see quotaExceeded)
+   * @returns {Promise<Object|null>} the allowance, null when no limit applies
+   * @throws {Error} statusCode 413 or 507 when it does not fit
+   */
+  async function check(req, added = {}) {
+    const allowed = await allowance(req);
+    if (!allowed) return null;
+
+    const error = quotaExceeded(allowed, added);
+    if (error) throw error;
+    return allowed;
+  }
+
+  /**
+   * Record files stored (positive) or removed (negative) for their owner.
+   * Best effort: a failing store is logged, not thrown.
+   *
+   * @param {Object} owner - { tenantId, userId } of the uploader
+   * @param {number} bytes
+   * @param {number} files
+   */
+  async function record(owner, bytes, files) {
+    if (!bytes && !files) return;
+    try {
+      await store.add(userKey(owner.tenantId, owner.userId), bytes, files);
+      if (owner.tenantId) {
+        await store.add(tenantKey(owner.tenantId), bytes, files);
+      }
+    } catch (error) {
+      console.error('Usage tracking error:', error.message);
+    }
+  }
+
+  return { usage, allowance, check, record };
+}
@@ -1,29 +1,325 @@
+/**
+ * Rate limiting for stonescriptphp-files.
+ *
+ * Request limiters (express-rate-limit) for uploads, downloads, listings and
+ * deletes, each applied by the routes it covers, plus a bandwidth limiter
+ * that counts the bytes of download responses. All count per user (per IP
+ * where there is no user) in fixed windows.
+ *
+ * Counters live in a store. The default keeps them in the process, so each
+ * instance counts on its own; RedisRateLimitStore shares them through Redis.
+ * `hooks.resolveRateLimit` can change a caller's limit or counter key, e.g.
+ * per plan, or one budget for a whole tenant.
+ *
+ * A store that fails lets requests through; the error is logged.
+ */
+
 import rateLimit from 'express-rate-limit';
+import { RedisClient } from './redis.js';
+
+/**
+ * In-process fixed-window counters (the express-rate-limit Store interface).
+ * `increment` takes an amount, so the store also serves the bandwidth limiter.
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.windowMs = 60 * 1000;
+    this.windows = new Map();
+    this.nextPrune = 0;
+    // Counts are not shared with other processes
+    this.localKeys = true;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object|undefined>} { totalHits, resetTime }
+   */
+  async get(key) {
+    const entry = this.current(key);
+    return entry ? { totalHits: entry.hits, resetTime: new Date(entry.resetTime) } : undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} [amount=1] - Hits (or bytes) to add
+   * @returns {Promise<Object>} { totalHits, resetTime }
+   */
+  async increment(key, amount = 1) {
+    const now = Date.now();
+    if (now >= this.nextPrune) {
+      for (const [k, entry] of this.windows) {
+        if (entry.resetTime <= now) this.windows.delete(k);
+      }
+      this.nextPrune = now + this.windowMs;
+    }
+
+    let entry = this.current(key);
+    if (!entry) {
+      entry = { hits: 0, resetTime: now + this.windowMs };
+      this.windows.set(key, entry);
+    }
+    entry.hits += amount;
+
+    return { totalHits: entry.hits, resetTime: new Date(entry.resetTime) };
+  }
+
+  async decrement(key) {
+    const entry = this.current(key);
+    if (entry && entry.hits > 0) entry.hits--;
+  }
+
+  async resetKey(key) {
+    this.windows.delete(key);
+  }
+
+  async resetAll() {
+    this.windows.clear();
+  }
 
+  current(key) {
+    const entry = this.windows.get(key);
+    return entry && entry.resetTime > Date.now() ? entry : null;
+  }
+}
+
+/**
+ * Fixed-window counters in Redis, shared by every instance using the same
+ * server and prefix. A window starts with the first hit and its key expires
+ * with it. Give each limiter its own prefix.
+ */
+export class RedisRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {RedisClient|Object|string} options.client - RedisClient, or its options / URL
+   * @param {string} [options.prefix='files-rl:'] - Prepended to every key
+   */
+  constructor(options) {
+    this.client = options.client instanceof RedisClient ? options.client : new RedisClient(options.client);
+    this.prefix = options.prefix ?? 'files-rl:';
+    this.windowMs = 60 * 1000;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const name = this.prefix + key;
+    const [hits, ttl] = await Promise.all([
+      this.client.command('GET', name),
+      this.client.command('PTTL', name)
+    ]);
+    if (hits === null || ttl < 0) return undefined;
+
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + ttl) };
+  }
+
+  async increment(key, amount = 1) {
+    const name = this.prefix + key;
+    // Start the window if there is none, then count; one transaction so
+    // instances racing on a new window agree on when it ends
+    const [, , , , results] = await Promise.all([
+      this.client.command('MULTI'),
+      this.client.command('SET', name, 0, 'PX', this.windowMs, 'NX'),
+      this.client.command('INCRBY', name, amount),
+      this.client.command('PTTL', name),
+      this.client.command('EXEC')
+    ]);
+    const [, hits, ttl] = results;
+
+    return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+  }
+
+  async decrement(key) {
+    const name = this.prefix + key;
+    const [, , , results] = await Promise.all([
+      this.client.command('MULTI'),
+      this.client.command('DECRBY', name, 1),
+      this.client.command('PTTL', name),
+      this.client.command('EXEC')
+    ]);
+    // The window ended in between, and DECRBY made a key that would never expire
+    if (results[1] === -1) await this.client.command('DEL', name);
+  }
+
+  async resetKey(key) {
+    await this.client.command('DEL', this.prefix + key);
+  }
+}
+
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') return 0;
+  return Buffer.isBuffer(chunk) || chunk instanceof Uint8Array
+    ? chunk.byteLength
+    : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+/**
+ * Bandwidth limiter: caps the response bytes a caller may download per window.
+ *
+ * A request is refused with 429 (and `Retry-After`) once the caller's bytes
+ * in the current window have reached the limit. Bytes are counted as the
+ * response is written and added to the store when it ends, so the download
+ * that crosses the limit completes and concurrent ones are not cut short.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs
+ * @param {number|null} options.maxBytes - Default limit; null for none
+ * @param {Object} [options.store] - Counter store with `get` and `increment(key, amount)` (default: MemoryRateLimitStore)
+ * @param {Function} [options.keyGenerator] - (req) => key (default: user ID, else IP)
+ * @param {Function} [options.resolvePolicy] - async (req) => { max?, key? } | null, overriding the above
+ * @returns {Function} Express middleware
+ */
+export function createBandwidthLimiter(options) {
+  const store = options.store || new MemoryRateLimitStore();
+  store.init?.({ windowMs: options.windowMs });
+  const keyGenerator = options.keyGenerator || ((req) => req.user?.id || req.ip);
+
+  if (!options.maxBytes && !options.resolvePolicy) {
+    return (req, res, next) => next();
+  }
+
+  return async (req, res, next) => {
+    const policy = options.resolvePolicy ? await options.resolvePolicy(req) : null;
+    const limit = policy?.max ?? options.maxBytes;
+    if (limit === null || limit === undefined) return next();
+    const key = policy?.key ?? keyGenerator(req);
+
+    try {
+      const used = await store.get(key);
+      if (limit === 0 || (used && used.totalHits >= limit)) {
+        const resetTime = used?.resetTime?.getTime() ?? Date.now() + options.windowMs;
+        res.setHeader('Retry-After', String(Math.max(1, Math.ceil((resetTime - Date.now()) / 1000))));
+        return res.status(429).json({ error: 'Too Many Requests', message: 'Download bandwidth limit exceeded. Try again later.' });
+      }
+    } catch (error) {
+      console.error('Bandwidth limit store error:', error.message);
+      return next();
+    }
+
+    let sent = 0;
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, callback) {
+      sent += byteLength(chunk, encoding);
+      return write.call(this, chunk, encoding, callback);
+    };
+    res.end = function (chunk, encoding, callback) {
+      sent += byteLength(chunk, encoding);
+      return end.call(this, chunk, encoding, callback);
+    };
+
+    res.once('close', () => {
+      // Node drops the body of a HEAD response
+      if (sent === 0 || req.method === 'HEAD') return;
+      Promise.resolve(store.increment(key, sent))
+        .catch((error) => console.error('Bandwidth limit store error:', error.message));
+    });
+
+    next();
+  };
+}
+
+/**
+ * Store factory for the limiters: `config.rateLimitStore`, else Redis when a
+ * URL is configured, else null (in-process counters).
+ */
+function resolveStoreFactory(config) {
+  if (config.rateLimitStore) return config.rateLimitStore;
+
+  const url = config.rateLimitRedisUrl || process.env.RATE_LIMIT_REDIS_URL;
+  if (!url) return null;
+
+  const client = new RedisClient({ url });
+  const prefix = config.rateLimitPrefix || process.env.RATE_LIMIT_PREFIX || 'files-rl:';
+  return (name) => new RedisRateLimitStore({ client, prefix: `${prefix}${name}:` });
+}
+
+/**
+ * Create the request and bandwidth limiters.
+ *
+ * `hooks.resolveRateLimit(req, user, name)` is asked once per request and
+ * limiter (`upload`, `download`, `list`, `delete` or `bandwidth`). It returns
+ * `{ max?, key? }` to override the limit (bytes for `bandwidth`) or the
+ * counter key, or null for the defaults. `user` is null on routes without
+ * authentication (signed links).
+ *
+ * @param {Object} [config={}] - createFilesServer config
+ * @param {number} [config.rateLimitWindowMs] - Window length in ms (RATE_LIMIT_WINDOW_MS, default 60000)
+ * @param {number} [config.rateLimitUpload] - Uploads per window (RATE_LIMIT_UPLOAD, default 10)
+ * @param {number} [config.rateLimitDownload] - Downloads per window (RATE_LIMIT_DOWNLOAD, default 60)
+ * @param {number} [config.rateLimitList] - Listings per window (RATE_LIMIT_LIST, default: download limit)
+ * @param {number} [config.rateLimitDelete] - Deletes and restores per window (RATE_LIMIT_DELETE, default: download limit)
+ * @param {number} [config.rateLimitDownloadBytes] - Download bytes per window (RATE_LIMIT_DOWNLOAD_BYTES, default unlimited)
+ * @param {Function} [config.rateLimitStore] - (name) => store, a new store per limiter
+ * @param {string} [config.rateLimitRedisUrl] - Share counters through Redis (RATE_LIMIT_REDIS_URL)
+ * @param {string} [config.rateLimitPrefix] - Redis key prefix (RATE_LIMIT_PREFIX, default `files-rl:`)
+ * @param {Object} [config.hooks] - { resolveRateLimit }
+ * @returns {Object} { uploadLimiter, downloadLimiter, listLimiter, deleteLimiter, bandwidthLimiter }
+ */
 export function createRateLimiters(config = {}) {
   const windowMs = config.rateLimitWindowMs || parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
   const uploadMax = config.rateLimitUpload || parseInt(process.env.RATE_LIMIT_UPLOAD) || 10;
   const downloadMax = config.rateLimitDownload || parseInt(process.env.RATE_LIMIT_DOWNLOAD) || 60;
+  const listMax = config.rateLimitList || parseInt(process.env.RATE_LIMIT_LIST) || downloadMax;
+  const deleteMax = config.rateLimitDelete || parseInt(process.env.RATE_LIMIT_DELETE) || downloadMax;
+  const downloadBytes = config.rateLimitDownloadBytes || parseInt(process.env.RATE_LIMIT_DOWNLOAD_BYTES) || null;
+
+  const hooks = config.hooks || {};
+  const createStore = resolveStoreFactory(config);
 
   const keyGenerator = (req) => req.user?.id || req.ip;
 
-  const uploadLimiter = rateLimit({
-    windowMs,
-    max: uploadMax,
-    keyGenerator,
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: { error: 'Too Many Requests', message: 'Upload rate limit exceeded. Try again later.' }
-  });
-
-  const downloadLimiter = rateLimit({
-    windowMs,
-    max: downloadMax,
-    keyGenerator,
-    standardHeaders: true,
-    legacyHeaders: false,
-    message: { error: 'Too Many Requests', message: 'Rate limit exceeded. Try again later.' }
-  });
-
-  return { uploadLimiter, downloadLimiter };
+  // One hook call per request and limiter
+  const policies = new WeakMap();
+  function resolvePolicy(req, name) {
+    if (!hooks.resolveRateLimit) return Promise.resolve(null);
+
+    let byName = policies.get(req);
+    if (!byName) {
+      byName = new Map();
+      policies.set(req, byName);
+    }
+    if (!byName.has(name)) {
+      byName.set(name, Promise.resolve()
+        .then(() => hooks.resolveRateLimit(req, req.user || null, name))
+        .catch((error) => {
+          console.error('resolveRateLimit hook error:', error.message);
+          return null;
+        }));
+    }
+    return byName.get(name);
+  }
+
+  function requestLimiter(name, max, message) {
+    return rateLimit({
+      windowMs,
+      limit: async (req) => (await resolvePolicy(req, name))?.max ?? max,
+      keyGenerator: async (req) => (await resolvePolicy(req, name))?.key ?? keyGenerator(req),
+      store: createStore ? createStore(name) : undefined,
+      passOnStoreError: true,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: { error: 'Too Many Requests', message }
+    });
+  }
+
+  return {
+    uploadLimiter: requestLimiter('upload', uploadMax, 'Upload rate limit exceeded. Try again later.'),
+    downloadLimiter: requestLimiter('download', downloadMax, 'Rate limit exceeded. Try again later.'),
+    listLimiter: requestLimiter('list', listMax, 'Rate limit exceeded. Try again later.'),
+    deleteLimiter: requestLimiter('delete', deleteMax, 'Rate limit exceeded. Try again later.'),
+    bandwidthLimiter: createBandwidthLimiter({
+      windowMs,
+      maxBytes: downloadBytes,
+      store: createStore ? createStore('bandwidth') : undefined,
+      keyGenerator,
+      resolvePolicy: hooks.resolveRateLimit ? (req) => resolvePolicy(req, 'bandwidth') : undefined
+    })
+  };
 }
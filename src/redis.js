@@ -0,0 +1,223 @@
+/**
+ * Minimal Redis client (RESP2) for shared state such as rate-limit counters.
+ *
+ * Commands are pipelined on one connection and answered in order. The
+ * connection opens on the first command and again after it drops; commands
+ * waiting when it drops fail with statusCode 503, as do server errors.
+ * `rediss://` URLs (or `options.tls`) connect over TLS.
+ */
+
+import net from 'net';
+import tls from 'tls';
+
+function redisUnavailable(detail) {
+  const error = new Error(`Redis unavailable: ${detail}`);
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings.
+ *
+ * @param {Array<string|number>} args
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one reply from `buffer` at `offset`.
+ *
+ * @returns {Object|null} { value, offset } past the reply, or null if incomplete.
+ *   Error replies are returned as Error values.
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: values, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+export class RedisClient {
+  /**
+   * @param {Object|string} [options={}] - Options, or a `redis://[:password@]host[:port][/db]` URL
+   *   (`rediss://` for TLS)
+   * @param {string} [options.url] - Connection URL (overrides host, port, password and db)
+   * @param {string} [options.host='127.0.0.1']
+   * @param {number} [options.port=6379]
+   * @param {string} [options.username] - ACL user (Redis 6+)
+   * @param {string} [options.password]
+   * @param {number} [options.db=0]
+   * @param {boolean|Object} [options.tls=false] - Connect over TLS; an object is passed to tls.connect (e.g. { ca })
+   * @param {number} [options.timeout=5000] - Connect and reply timeout in ms
+   * @throws {Error} for a URL scheme other than redis: or rediss:
+   */
+  constructor(options = {}) {
+    if (typeof options === 'string') options = { url: options };
+
+    let { host = '127.0.0.1', port = 6379, username = null, password = null, db = 0, tls: secure = false } = options;
+    if (options.url) {
+      const url = new URL(options.url);
+      if (url.protocol !== 'redis:' && url.protocol !== 'rediss:') {
+        throw new Error(`Unsupported Redis URL scheme ${url.protocol} (use redis: or rediss:)`);
+      }
+      if (url.protocol === 'rediss:' && !secure) secure = true;
+      host = url.hostname || host;
+      port = Number(url.port) || port;
+      username = decodeURIComponent(url.username) || null;
+      password = decodeURIComponent(url.password) || null;
+      db = Number(url.pathname.slice(1)) || 0;
+    }
+
+    this.host = host;
+    this.port = port;
+    this.username = username;
+    this.password = password;
+    this.db = db;
+    this.tls = secure;
+    this.timeout = options.timeout || 5000;
+
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Send one command.
+   *
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} the reply: string, number, null or an array of these
+   * @throws {Error} statusCode 503 on an error reply or when Redis cannot be reached
+   */
+  command(...args) {
+    return new Promise((resolve, reject) => {
+      const socket = this.connect();
+      this.pending.push({ resolve, reject });
+      socket.ref();
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Close the connection. Pending commands fail; the next command reconnects.
+   */
+  close() {
+    this.socket?.destroy();
+  }
+
+  connect() {
+    if (this.socket) return this.socket;
+
+    const socket = this.tls
+      ? tls.connect({
+        host: this.host,
+        port: this.port,
+        servername: net.isIP(this.host) ? undefined : this.host,
+        ...(typeof this.tls === 'object' ? this.tls : {})
+      })
+      : net.createConnection(this.port, this.host);
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    socket.setNoDelay(true);
+    socket.setTimeout(this.timeout, () => {
+      // Only a waiting command makes silence an error
+      if (this.pending.length > 0) socket.destroy(new Error('timed out'));
+    });
+    socket.on('data', (data) => this.receive(data));
+    socket.on('error', () => {});
+    socket.on('close', (hadError) => {
+      if (this.socket === socket) this.socket = null;
+      const failed = this.pending.splice(0);
+      for (const { reject } of failed) {
+        reject(redisUnavailable(hadError ? 'connection failed' : 'connection closed'));
+      }
+    });
+
+    // Sent ahead of the caller's command on the same pipeline
+    const setup = [];
+    if (this.password) {
+      setup.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.db) setup.push(['SELECT', this.db]);
+    for (const args of setup) {
+      this.pending.push({ resolve: () => {}, reject: () => {}, setup: true });
+      socket.write(encodeCommand(args));
+    }
+
+    return socket;
+  }
+
+  receive(data) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, data]) : data;
+
+    let offset = 0;
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket?.destroy(error);
+        return;
+      }
+      if (!reply) break;
+      offset = reply.offset;
+
+      const waiter = this.pending.shift();
+      if (!waiter) continue;
+      if (reply.value instanceof Error) {
+        // A failed AUTH or SELECT leaves the connection unusable
+        if (waiter.setup) {
+          console.error(`Redis setup error: ${reply.value.message}`);
+          this.socket?.destroy();
+          return;
+        }
+        waiter.reject(redisUnavailable(reply.value.message));
+      } else {
+        waiter.resolve(reply.value);
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+    // Don't keep the process alive for an idle connection
+    if (this.pending.length === 0) this.socket?.unref();
+  }
+}
@@ -0,0 +1,237 @@
+import express from 'express';
+import { once } from 'events';
+import archiver from 'archiver';
+import { MAX_LIST_LIMIT } from '../storage.js';
+import { checkScanned, contentDisposition } from './download.js';
+import { UUID, describeError, sendError } from './errors.js';
+
+// Most files per archive
+export const DEFAULT_MAX_ARCHIVE_ENTRIES = 1000;
+
+// Name of the entry listing files left out of an archive
+const REPORT_NAME = '_skipped.json';
+
+// Already compressed types are stored rather than deflated again
+const INCOMPRESSIBLE_TYPES = /^(image\/(?!svg|bmp|tiff)|video\/|audio\/|application\/(zip|gzip|x-7z-compressed|x-rar-compressed|pdf)$)/i;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * A safe, unique name for a file inside the archive. Path separators and
+ * control characters are replaced so entries cannot escape the extraction
+ * directory; repeated names get ` (1)`, ` (2)`… before the extension.
+ * Names are compared case-insensitively, as Windows and macOS extract them.
+ *
+ * @param {string} fileName
+ * @param {string} fileId - Used when the name is empty
+ * @param {Set<string>} used - Lower-cased names taken so far (updated)
+ * @returns {string}
+ */
+export function archiveEntryName(fileName, fileId, used) {
+  let name = String(fileName || '').replace(/[\x00-\x1f\x7f]/g, '').replace(/[\\/:]/g, '_').trim();
+  if (!name || /^\.+$/.test(name)) name = fileId;
+
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  let candidate = name;
+  for (let n = 1; used.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  used.add(candidate.toLowerCase());
+
+  return candidate;
+}
+
+/**
+ * File IDs named by the request body: `fileIds`, or every file matching
+ * `resource_type` (and `resource_id`) under the caller's prefix.
+ */
+async function requestedFileIds(req, storage, location, maxEntries) {
+  const body = req.body || {};
+
+  if (body.fileIds !== undefined) {
+    if (!Array.isArray(body.fileIds) || body.fileIds.length === 0) {
+      throw badRequest('fileIds must be a non-empty array');
+    }
+    if (!body.fileIds.every(id => typeof id === 'string' && UUID.test(id))) {
+      throw badRequest('Invalid file ID format');
+    }
+
+    const fileIds = [...new Set(body.fileIds)];
+    if (fileIds.length > maxEntries) {
+      throw badRequest(`At most ${maxEntries} files fit in one archive`);
+    }
+    return fileIds;
+  }
+
+  if (!body.resource_type) {
+    throw badRequest('Send fileIds or a resource_type (and resource_id) filter');
+  }
+
+  const resourceType = String(body.resource_type);
+  const resourceId = body.resource_id !== undefined && body.resource_id !== null ? String(body.resource_id) : null;
+  const filter = (file) => file.resourceType === resourceType && (resourceId === null || file.resourceId === resourceId);
+
+  const { tenantId, userId, scope, blobPrefix } = location;
+  const fileIds = [];
+  let cursor = null;
+  do {
+    const page = await storage.listFilesPage(tenantId, userId, scope, blobPrefix, { limit: MAX_LIST_LIMIT, cursor, filter });
+    fileIds.push(...page.files.map(file => file.fileId));
+    cursor = page.cursor;
+    if (fileIds.length > maxEntries) {
+      throw badRequest(`More than ${maxEntries} files match; narrow the filter`);
+    }
+  } while (cursor);
+
+  return fileIds;
+}
+
+/**
+ * Why a file cannot go into the archive, or null when the error is not
+ * about that one file (and should fail the whole request).
+ */
+function skippedEntry(fileId, error) {
+  const { status, message } = describeError(error);
+  return [403, 404, 409].includes(status) ? { fileId, status, message } : null;
+}
+
+/**
+ * ZIP archive router factory.
+ *
+ *   POST /files/archive  { fileIds: [...], name? }
+ *   POST /files/archive  { resource_type, resource_id?, name? }
+ *     → 200 application/zip, streamed
+ *
+ * Each file gets the checks `GET /files/:id` makes: authorization through
+ * `options.authorizeFile`, ownership in storage and the malware scan verdict.
+ * A file that is missing, forbidden or not yet scanned is left out rather
+ * than failing the request. Such files are listed in a `_skipped.json` entry
+ * and counted in the `X-Archive-Skipped` header. If no file can be included,
+ * the response is 404 `{ error, message, skipped }` instead.
+ *
+ * All checks run before the first byte is sent. The archive is then built
+ * while it streams, one storage stream at a time, and nothing is buffered.
+ * If storage fails after that, the connection is cut so the client does not
+ * keep a truncated ZIP. Repeated file names get ` (1)`, ` (2)`… and names
+ * that are not safe on disk are cleaned.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.onDownload]    - async (meta) => void  (called per archived file; meta.archive is true)
+ * @param {Object} [options={}]
+ * @param {Function} [options.authorizeFile] - async (req, fileId) => scope, from createFileAuthorizer (default: req.fileScope)
+ * @param {number} [options.maxEntries=1000] - Most files per archive
+ * @param {boolean} [options.requireScan=false] - Leave out files without a clean malware scan verdict
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the archive route (e.g. rate limiter)
+ * @returns {express.Router}
+ */
+export function createArchiveRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+  const authorizeFile = options.authorizeFile || (async (req) => req.fileScope || 'user');
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ARCHIVE_ENTRIES;
+
+  router.post('/files/archive', limiter, async (req, res) => {
+    const user = req.user;
+    const userId = user.id;
+    const tenantId = user.tenantId;
+
+    let blobPrefix;
+    const entries = [];
+    const skipped = [];
+    try {
+      blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const location = { tenantId, userId, scope: req.fileScope || 'user', blobPrefix };
+      for (const fileId of await requestedFileIds(req, storage, location, maxEntries)) {
+        try {
+          const scope = await authorizeFile(req, fileId);
+          const file = await storage.statFile(fileId, tenantId, userId, scope, blobPrefix);
+          checkScanned(file, options.requireScan);
+          entries.push({ scope, file });
+        } catch (error) {
+          const entry = skippedEntry(fileId, error);
+          if (!entry) throw error;
+          skipped.push(entry);
+        }
+      }
+    } catch (error) {
+      if (error.statusCode !== 400) {
+        console.error('Archive error:', error);
+      }
+      return sendError(res, error, 'Failed to create archive');
+    }
+
+    if (entries.length === 0) {
+      return res.status(404).json({ error: 'Not Found', message: 'None of the requested files can be archived', skipped });
+    }
+
+    const archiveName = String(req.body?.name || 'files').replace(/\.zip$/i, '') + '.zip';
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', archiveName));
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Archive-Skipped', skipped.length);
+
+    const archive = archiver('zip');
+    // Stop waiting on the archive once the client has gone
+    const aborted = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) aborted.abort();
+    });
+    archive.on('error', () => res.destroy());
+    archive.pipe(res);
+
+    const names = new Set(skipped.length > 0 ? [REPORT_NAME] : []);
+    let stream = null;
+    try {
+      for (const { scope, file } of entries) {
+        let metadata;
+        ({ stream, metadata } = await storage.downloadFile(file.fileId, tenantId, userId, scope, blobPrefix));
+
+        const added = once(archive, 'entry', { signal: aborted.signal });
+        archive.append(stream, {
+          name: archiveEntryName(file.fileName, file.fileId, names),
+          date: new Date(file.lastModified || file.uploadedAt || Date.now()),
+          store: INCOMPRESSIBLE_TYPES.test(file.contentType || '')
+        });
+        await Promise.race([
+          added,
+          once(stream, 'error').then(([error]) => { throw error; })
+        ]);
+        stream = null;
+
+        if (hooks.onDownload) {
+          try {
+            await hooks.onDownload({ fileId: file.fileId, userId, tenantId, ...metadata, archive: true, req });
+          } catch (hookErr) {
+            console.error('onDownload hook error (non-fatal):', hookErr.message);
+          }
+        }
+      }
+
+      if (skipped.length > 0) {
+        archive.append(JSON.stringify({ skipped }, null, 2), { name: REPORT_NAME });
+      }
+      await archive.finalize();
+    } catch (error) {
+      if (!aborted.signal.aborted) {
+        console.error('Archive stream error:', error);
+      }
+      stream?.destroy();
+      archive.abort();
+      res.destroy();
+    }
+  });
+
+  return router;
+}
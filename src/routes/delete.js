@@ -1,17 +1,34 @@
 import express from 'express';
+import { UUID, sendError } from './errors.js';
+import { purgeDate } from './trash.js';
 
 /**
  * Delete file router factory.
  *
- * @param {AzureStorageClient} storage - Azure storage client instance
+ *   DELETE /files/:id
+ *     → 200 { success, message }                           (permanent)
+ *     → 200 { success, message, deletedAt, purgeAt }       (soft delete)
+ *
+ * With `options.softDelete` the file moves to the trash instead, where it can
+ * be restored until it is purged `retentionDays` later (see createTrashRouter).
+ * Trashed files keep counting toward quotas until they are purged; a
+ * permanent delete takes the file off its owner's usage (`options.quota`).
+ *
+ * @param {StorageDriver} storage - Storage driver instance
  * @param {Object} [hooks={}] - Plugin hooks
  * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Object} [options={}]
+ * @param {boolean} [options.softDelete=false] - Move files to the trash instead of deleting them
+ * @param {number} [options.retentionDays=30] - Days a trashed file is kept (for `purgeAt`)
+ * @param {Object} [options.quota] - Quota tracker from createQuotaTracker
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the delete route (e.g. rate limiter)
  * @returns {express.Router}
  */
-export function createDeleteRouter(storage, hooks = {}) {
+export function createDeleteRouter(storage, hooks = {}, options = {}) {
   const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
 
-  router.delete('/files/:id', async (req, res) => {
+  router.delete('/files/:id', limiter, async (req, res) => {
     try {
       const fileId = req.params.id;
       const user = req.user;
@@ -19,8 +36,7 @@ export function createDeleteRouter(storage, hooks = {}) {
       const tenantId = user.tenantId;
       const scope = req.fileScope || 'user';
 
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(fileId)) {
+      if (!UUID.test(fileId)) {
         return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
       }
 
@@ -28,25 +44,30 @@ export function createDeleteRouter(storage, hooks = {}) {
         ? await hooks.resolveTenant(req, user)
         : null;
 
-      await storage.deleteFile(fileId, tenantId, userId, scope, blobPrefix);
-
-      res.status(200).json({ success: true, message: 'File deleted successfully' });
-    } catch (error) {
-      console.error('Delete error:', error);
-
-      if (error.message === 'File not found') {
-        return res.status(404).json({ error: 'Not Found', message: 'File not found' });
+      if (options.softDelete) {
+        const { deletedAt } = await storage.trashFile(fileId, tenantId, userId, scope, blobPrefix);
+        return res.status(200).json({
+          success: true,
+          message: 'File moved to trash',
+          deletedAt,
+          purgeAt: purgeDate(deletedAt, options.retentionDays)
+        });
       }
 
-      if (error.message.startsWith('Unauthorized:')) {
-        return res.status(403).json({ error: 'Forbidden', message: error.message });
-      }
+      const file = options.quota
+        ? await storage.statFile(fileId, tenantId, userId, scope, blobPrefix)
+        : null;
+
+      await storage.deleteFile(fileId, tenantId, userId, scope, blobPrefix);
 
-      if (error.statusCode === 503) {
-        return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+      if (file) {
+        await options.quota.record({ tenantId: file.tenantId, userId: file.uploadedBy }, -file.size, -1);
       }
 
-      res.status(500).json({ error: 'Internal Server Error', message: 'Failed to delete file' });
+      res.status(200).json({ success: true, message: 'File deleted successfully' });
+    } catch (error) {
+      console.error('Delete error:', error);
+      sendError(res, error, 'Failed to delete file');
     }
   });
 
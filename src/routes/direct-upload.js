@@ -0,0 +1,180 @@
+import express from 'express';
+import { parseFileAttributes } from '../storage.js';
+import { storedFileLocation } from '../scanner.js';
+import { parseDigests } from '../checksum.js';
+import { checkContentPolicy, normalizeContentType, parseContentPolicy, requestContentPolicies, resolveContentType } from '../content-type.js';
+import { UUID, sendError } from './errors.js';
+
+/**
+ * Direct-to-storage upload router factory.
+ *
+ *   POST /uploads/presign       { filename, contentType, size, checksum?, resource_type?, resource_id?, meta_*? }
+ *     → 201 { success, upload: { id, url, method, headers, expiresAt } }
+ *   POST /uploads/:id/complete
+ *     → 201 { success, file }  (same shape as POST /upload)
+ *
+ * The client sends the bytes straight to the storage service with the
+ * returned method, URL and headers, then calls `complete`. The URL names a
+ * staging blob, not the file: completion checks the staged bytes and copies
+ * them to the file, so anything written through the URL afterwards is never
+ * served. The file is visible from then on, and `onUpload` fires. Only the
+ * user who presigned an upload may complete it. Must be mounted before the
+ * tus router, which owns `/uploads/:id`.
+ *
+ * The declared type and filename are checked against the content policy
+ * when presigning (415). At completion the staged bytes are read back once:
+ * their type is detected from the first bytes and checked again, and they
+ * are hashed (`file.checksum`, `onUpload`'s `checksum`). A `checksum` given
+ * when presigning (`sha256:<hex>` or `sha-256=:<base64>:`) must match, or
+ * `complete` gets 400. Content refused either way is discarded; it can be
+ * uploaded again while the URL is valid.
+ *
+ * With `options.scan` the file is scanned at completion, before `onUpload`;
+ * in sync mode an infected file is deleted and `complete` gets 422.
+ *
+ * With `options.quota`, the declared size is checked against the caller's
+ * quota when presigning (507, or 413 if it alone is over a byte limit) and
+ * the completed file is added to usage.
+ *
+ * @param {StorageDriver} storage - Storage driver instance (Azure or S3; others return 501)
+ * @param {number} [maxFileSize=100MB] - Maximum declared size in bytes
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.onUpload]      - async (meta) => void  (called once the upload completes)
+ * @param {Function} [hooks.resolveContentPolicy] - (req, user) => tenant allow/deny lists | null
+ * @param {Object} [options={}]
+ * @param {number} [options.expiresIn=900] - Presigned URL lifetime in seconds
+ * @param {Object} [options.contentPolicy] - Global allow/deny lists (see createUploadRouter)
+ * @param {Function} [options.creationLimiter] - Middleware applied to POST /uploads/presign only
+ * @param {Function} [options.scan] - Malware scan stage from createScanStage
+ * @param {Object} [options.quota] - Quota tracker from createQuotaTracker
+ * @returns {express.Router}
+ */
+export function createDirectUploadRouter(storage, maxFileSize = 100 * 1024 * 1024, hooks = {}, options = {}) {
+  const router = express.Router();
+  const creationLimiter = options.creationLimiter || ((req, res, next) => next());
+  const contentPolicy = parseContentPolicy(options.contentPolicy);
+
+  router.post('/uploads/presign', creationLimiter, async (req, res) => {
+    try {
+      const { filename, contentType } = req.body || {};
+      const size = Number(req.body?.size);
+
+      if (!Number.isInteger(size) || size < 0) {
+        return res.status(400).json({ error: 'Bad Request', message: 'size must be a non-negative integer (bytes)' });
+      }
+
+      if (size > maxFileSize) {
+        return res.status(413).json({
+          error: 'Payload Too Large',
+          message: `File size exceeds ${Math.round(maxFileSize / 1024 / 1024)}MB limit`
+        });
+      }
+
+      if (options.quota) {
+        await options.quota.check(req, { bytes: size, files: 1 });
+      }
+
+      const attributes = parseFileAttributes(req.body);
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      const checksum = parseDigests(req.body?.checksum, 'checksum field');
+      const declaredType = normalizeContentType(contentType) || 'application/octet-stream';
+      checkContentPolicy(await requestContentPolicies(req, hooks, contentPolicy), declaredType, filename);
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const upload = await storage.createDirectUpload(user.tenantId, user.id, {
+        originalFilename: filename || 'upload',
+        contentType: declaredType,
+        length: size,
+        attributes,
+        checksum
+      }, scope, blobPrefix, { expiresIn: options.expiresIn });
+
+      res.status(201).json({
+        success: true,
+        upload: {
+          id: upload.uploadId,
+          url: upload.url,
+          method: upload.method,
+          headers: upload.headers,
+          expiresAt: upload.expiresAt
+        }
+      });
+    } catch (error) {
+      console.error('Direct upload presign error:', error);
+      sendError(res, error, 'Failed to create upload URL');
+    }
+  });
+
+  router.post('/uploads/:id/complete', async (req, res) => {
+    try {
+      const uploadId = req.params.id;
+      const user = req.user;
+
+      if (!UUID.test(uploadId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid upload ID format' });
+      }
+
+      const upload = await storage.getDirectUpload(uploadId);
+      if (upload.userId !== user.id || (upload.tenantId || null) !== (user.tenantId || null)) {
+        throw new Error('Unauthorized: Upload belongs to different user');
+      }
+
+      const policies = await requestContentPolicies(req, hooks, contentPolicy);
+      const fileMetadata = await storage.completeDirectUpload(uploadId, {
+        resolveContentType: async (head) => {
+          const type = resolveContentType(head, upload.contentType);
+          checkContentPolicy(policies, type, upload.originalFilename);
+          return type;
+        }
+      });
+      const scan = options.scan
+        ? await options.scan(storedFileLocation(fileMetadata, upload.scope))
+        : null;
+
+      if (options.quota) {
+        await options.quota.record({ tenantId: upload.tenantId, userId: upload.userId }, fileMetadata.size, 1);
+      }
+
+      if (hooks.onUpload) {
+        try {
+          await hooks.onUpload({ ...fileMetadata, req });
+        } catch (hookErr) {
+          console.error('onUpload hook error (non-fatal):', hookErr.message);
+        }
+      }
+
+      const fileResponse = {
+        id: fileMetadata.fileId,
+        name: fileMetadata.originalFilename,
+        contentType: fileMetadata.contentType,
+        size: fileMetadata.size,
+        uploadedAt: fileMetadata.uploadedAt,
+        checksum: fileMetadata.checksum ?? null,
+        resourceType: fileMetadata.resourceType ?? null,
+        resourceId: fileMetadata.resourceId ?? null,
+        meta: fileMetadata.meta || {}
+      };
+
+      if (fileMetadata.tenantId) {
+        fileResponse.tenantId = fileMetadata.tenantId;
+      }
+
+      if (scan) {
+        fileResponse.scanStatus = scan.status;
+      }
+
+      res.status(201).json({ success: true, file: fileResponse });
+    } catch (error) {
+      console.error('Direct upload complete error:', error);
+      sendError(res, error, 'Failed to complete upload');
+    }
+  });
+
+  return router;
+}
@@ -1,18 +1,260 @@
 import express from 'express';
+import { VERSION_ID } from '../storage.js';
+import { formatDigests } from '../checksum.js';
+import { UUID, sendError } from './errors.js';
+
+// Types a browser would execute when rendered inline
+const ACTIVE_CONTENT_TYPES = /^(text\/html|application\/xhtml\+xml|image\/svg\+xml|text\/xml|application\/xml)\b/i;
+
+/**
+ * Build a Content-Disposition header value (RFC 6266).
+ * The quoted `filename` is an ASCII-only fallback; names with anything else
+ * also get an RFC 5987 `filename*` carrying the exact UTF-8 name.
+ *
+ * @param {string} type - 'attachment' or 'inline'
+ * @param {string} [fileName]
+ * @returns {string}
+ */
+export function contentDisposition(type, fileName) {
+  if (!fileName) return type;
+
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '\\$&');
+  if (/^[\x20-\x7e]*$/.test(fileName)) {
+    return `${type}; filename="${fallback}"`;
+  }
+
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Resolve a request's `Range` header against the file.
+ * Only single byte ranges are honoured; anything else (multiple ranges, other
+ * units, malformed headers, a stale `If-Range`) falls back to the full file,
+ * as RFC 9110 allows.
+ *
+ * @param {express.Request} req
+ * @param {Object} file - statFile() result
+ * @returns {Object|null|false} { offset, count }, null for the full file, false if unsatisfiable
+ */
+function resolveRange(req, file) {
+  const ifRange = req.headers['if-range'];
+  if (ifRange) {
+    const matches = ifRange.startsWith('"')
+      ? ifRange === file.etag
+      : new Date(file.lastModified).getTime() <= Date.parse(ifRange);
+    if (!matches) return null;
+  }
+
+  const ranges = req.range(file.size, { combine: true });
+
+  if (ranges === -1) return false;
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+
+  const [{ start, end }] = ranges;
+  return { offset: start, count: end - start + 1 };
+}
+
+/**
+ * Refuse files that failed a malware scan (403) and, when scanning is
+ * required, files without a clean verdict yet (409).
+ *
+ * @param {Object} file - statFile result
+ * @param {boolean} [requireScan=false]
+ */
+export function checkScanned(file, requireScan = false) {
+  const status = file.scan ? file.scan.status : null;
+
+  if (status === 'infected') {
+    throw Object.assign(new Error('File failed the malware scan'), { statusCode: 403 });
+  }
+  if (requireScan && status !== 'clean') {
+    throw Object.assign(new Error('File has not passed the malware scan yet'), { statusCode: 409 });
+  }
+}
+
+/**
+ * Stream a file to the response: validators and 304, single ranges (206/416),
+ * Content-Disposition and hardening headers, and the file's digests as
+ * `Repr-Digest` (RFC 9530; whole file, also on 206). Shared by the
+ * authenticated download route and signed links.
+ *
+ * Storage errors are thrown for the caller to map to a status code.
+ * HEAD requests get the same headers (and status) without a body; the blob is
+ * not opened, `beforeStream` and `onDownload` are not called. Files that
+ * failed a malware scan are refused (403), as are unscanned ones with
+ * `requireScan` (409).
+ *
+ * @param {express.Request} req
+ * @param {express.Response} res
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} location - { fileId, tenantId, userId, scope, blobPrefix, version?, variant? }
+ * @param {Object} [options={}]
+ * @param {Object} [options.hooks={}] - Plugin hooks (onDownload)
+ * @param {string} [options.cacheControl='private, no-cache'] - Cache-Control header
+ * @param {Object} [options.meta] - Extra fields for the onDownload hook
+ * @param {Function} [options.beforeStream] - async (file) => void, called once content will actually be sent
+ * @param {boolean} [options.requireScan=false] - Only serve files with a clean malware scan verdict
+ */
+export async function sendFile(req, res, storage, location, options = {}) {
+  const { fileId, tenantId, userId, scope, blobPrefix, version, variant } = location;
+  const hooks = options.hooks || {};
+
+  const disposition = req.query.disposition || 'attachment';
+  if (disposition !== 'attachment' && disposition !== 'inline') {
+    return res.status(400).json({ error: 'Bad Request', message: 'disposition must be "attachment" or "inline"' });
+  }
+
+  // Validators and range checks need the blob's properties, not its content
+  const file = await storage.statFile(fileId, tenantId, userId, scope, blobPrefix, { version, variant });
+  checkScanned(file, options.requireScan);
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', options.cacheControl || 'private, no-cache');
+  if (file.etag) res.setHeader('ETag', file.etag);
+  if (file.lastModified) res.setHeader('Last-Modified', new Date(file.lastModified).toUTCString());
+  const digest = formatDigests(file.checksum);
+  if (digest) res.setHeader('Repr-Digest', digest);
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  if (req.headers.range) {
+    range = resolveRange(req, file);
+
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ error: 'Range Not Satisfiable', message: `Requested range not satisfiable for ${file.size} bytes` });
+    }
+  }
+
+  // HEAD gets the download's headers without opening the blob; it is not a download
+  let stream = null;
+  if (req.method !== 'HEAD') {
+    if (options.beforeStream) {
+      await options.beforeStream(file);
+    }
+
+    let metadata;
+    ({ stream, metadata } = await storage.downloadFile(fileId, tenantId, userId, scope, blobPrefix, range || {}, { version, variant }));
+
+    // Call onDownload hook (non-blocking)
+    if (hooks.onDownload) {
+      try {
+        await hooks.onDownload({ fileId, userId, tenantId, ...metadata, range, ...options.meta, req });
+      } catch (hookErr) {
+        console.error('onDownload hook error (non-fatal):', hookErr.message);
+      }
+    }
+  }
+
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', contentDisposition(disposition, file.fileName));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (disposition === 'inline' && ACTIVE_CONTENT_TYPES.test(file.contentType)) {
+    res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:; sandbox");
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.offset}-${range.offset + range.count - 1}/${file.size}`);
+    res.setHeader('Content-Length', range.count);
+  } else {
+    res.setHeader('Content-Length', file.size);
+  }
+
+  if (!stream) {
+    return res.end();
+  }
+
+  stream.pipe(res);
+
+  stream.on('error', (error) => {
+    console.error('Stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal Server Error', message: 'Failed to stream file' });
+    }
+  });
+}
+
+/**
+ * JSON body fields for a file's metadata, from a statFile result.
+ * Shared by `GET /files/:id/metadata` and the routes that change a file.
+ *
+ * @param {Object} file - statFile result
+ * @returns {Object}
+ */
+export function fileMetadataResponse(file) {
+  return {
+    id: file.fileId,
+    name: file.fileName,
+    contentType: file.contentType,
+    size: file.size,
+    uploadedAt: file.uploadedAt,
+    uploadedBy: file.uploadedBy,
+    tenantId: file.tenantId,
+    scope: file.scope,
+    resourceType: file.resourceType,
+    resourceId: file.resourceId,
+    meta: file.meta,
+    checksum: file.checksum,
+    scan: file.scan || null,
+    etag: file.etag || null,
+    lastModified: file.lastModified ? new Date(file.lastModified).toISOString() : null,
+    versionId: file.versionId ?? null
+  };
+}
 
 /**
  * Download router factory.
  *
- * @param {AzureStorageClient} storage - Azure storage client instance
+ * Supports single-range requests (`Range: bytes=...` → 206 with Content-Range,
+ * 416 when unsatisfiable) so media players can seek and clients can resume.
+ * Sends `ETag` / `Last-Modified` and answers `If-None-Match` /
+ * `If-Modified-Since` with 304 before the blob is opened.
+ *
+ * `?disposition=inline` lets browsers preview the file instead of saving it.
+ * Inline HTML/SVG/XML is served under a sandboxing CSP so it cannot run
+ * script in this origin.
+ *
+ * `?version=<versionId>` (from `GET /files/:id/versions`) reads an earlier
+ * version instead of the current content.
+ *
+ * With `options.requireScan` (malware scanning enabled) only files with a
+ * clean verdict are served; pending ones get 409. Infected files always get
+ * 403. Their metadata stays readable.
+ *
+ *   GET  /files/:id           → file content
+ *   HEAD /files/:id           → the same headers, no body
+ *   GET  /files/:id/metadata  → 200 { success, file: { id, name, contentType, size, uploadedAt, uploadedBy, tenantId, scope, resourceType, resourceId, meta, checksum, scan, etag, lastModified, versionId } }
+ *
+ * @param {StorageDriver} storage - Storage driver instance
  * @param {Object} [hooks={}] - Plugin hooks
  * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
- * @param {Function} [hooks.onDownload]    - async (meta) => void  (called after successful download)
+ * @param {Function} [hooks.onDownload]    - async (meta) => void  (called after successful download; meta.range set for partial requests)
+ * @param {Object} [options={}]
+ * @param {string} [options.cacheControl='private, no-cache'] - Cache-Control header for file responses
+ * @param {boolean} [options.requireScan=false] - Refuse files without a clean malware scan verdict
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the download and metadata routes (e.g. rate limiter)
  * @returns {express.Router}
  */
-export function createDownloadRouter(storage, hooks = {}) {
+export function createDownloadRouter(storage, hooks = {}, options = {}) {
   const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+
 
-  router.get('/files/:id', async (req, res) => {
+  // `?version=` as a storage option; undefined when absent, false when malformed
+  function requestedVersion(req) {
+    if (req.query.version === undefined) return undefined;
+    return typeof req.query.version === 'string' && VERSION_ID.test(req.query.version) && req.query.version;
+  }
+
+  // Also answers HEAD (Express routes HEAD to GET handlers)
+  router.get('/files/:id', limiter, async (req, res) => {
     try {
       const fileId = req.params.id;
       const user = req.user;
@@ -20,54 +262,56 @@ export function createDownloadRouter(storage, hooks = {}) {
       const tenantId = user.tenantId;
       const scope = req.fileScope || 'user';
 
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      if (!uuidRegex.test(fileId)) {
+      if (!UUID.test(fileId)) {
         return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
       }
 
+      const version = requestedVersion(req);
+      if (version === false) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid version ID format' });
+      }
+
       const blobPrefix = hooks.resolveTenant
         ? await hooks.resolveTenant(req, user)
         : null;
 
-      const { stream, metadata } = await storage.downloadFile(fileId, tenantId, userId, scope, blobPrefix);
-
-      // Call onDownload hook (non-blocking)
-      if (hooks.onDownload) {
-        try {
-          await hooks.onDownload({ fileId, userId, tenantId, ...metadata, req });
-        } catch (hookErr) {
-          console.error('onDownload hook error (non-fatal):', hookErr.message);
-        }
-      }
-
-      res.setHeader('Content-Type', metadata.contentType);
-      res.setHeader('Content-Length', metadata.size);
-      res.setHeader('Content-Disposition', `attachment; filename="${metadata.fileName}"`);
-
-      stream.pipe(res);
-
-      stream.on('error', (error) => {
-        console.error('Stream error:', error);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Internal Server Error', message: 'Failed to stream file' });
-        }
+      await sendFile(req, res, storage, { fileId, tenantId, userId, scope, blobPrefix, version }, {
+        hooks,
+        cacheControl: options.cacheControl,
+        requireScan: options.requireScan
       });
     } catch (error) {
       console.error('Download error:', error);
+      sendError(res, error, 'Failed to download file');
+    }
+  });
 
-      if (error.message === 'File not found') {
-        return res.status(404).json({ error: 'Not Found', message: 'File not found' });
-      }
+  router.get('/files/:id/metadata', limiter, async (req, res) => {
+    try {
+      const fileId = req.params.id;
+      const user = req.user;
+      const scope = req.fileScope || 'user';
 
-      if (error.message.startsWith('Unauthorized:')) {
-        return res.status(403).json({ error: 'Forbidden', message: error.message });
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
       }
 
-      if (error.statusCode === 503) {
-        return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+      const version = requestedVersion(req);
+      if (version === false) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid version ID format' });
       }
 
-      res.status(500).json({ error: 'Internal Server Error', message: 'Failed to download file' });
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const file = await storage.statFile(fileId, user.tenantId, user.id, scope, blobPrefix, { version });
+
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.status(200).json({ success: true, file: fileMetadataResponse(file) });
+    } catch (error) {
+      console.error('File metadata error:', error);
+      sendError(res, error, 'Failed to read file metadata');
     }
   });
 
@@ -0,0 +1,71 @@
+/**
+ * ID validation and error responses shared by the route modules, so every
+ * route maps a driver or helper error to the same status.
+ *
+ * Error conventions (what drivers, hooks and helpers throw):
+ *   - `Error('File not found')` (also Version, Variant, Upload) → 404
+ *   - `Error('Unauthorized: ...')`                             → 403
+ *   - `multer.MulterError`                                     → 400
+ *   - `Error(...)` with a `statusCode` listed in STATUS_TEXT   → that status
+ *   - anything else                                            → 500, with the route's fallback message
+ */
+
+import multer from 'multer';
+
+// File and upload IDs
+export const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const STATUS_TEXT = {
+  400: 'Bad Request',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  410: 'Gone',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Entity',
+  501: 'Not Implemented',
+  503: 'Service Unavailable',
+  507: 'Insufficient Storage'
+};
+
+const NOT_FOUND = /^(File|Version|Variant|Upload) not found$/;
+
+/**
+ * Map an error to the response routes send for it.
+ *
+ * @param {Error} error
+ * @param {string} [fallbackMessage] - Message for a 500 (the error's own is not exposed)
+ * @returns {Object} { status, error, message }
+ */
+export function describeError(error, fallbackMessage) {
+  let status = 500;
+  if (NOT_FOUND.test(error.message)) {
+    status = 404;
+  } else if (error.message.startsWith('Unauthorized:')) {
+    status = 403;
+  } else if (error instanceof multer.MulterError) {
+    status = 400;
+  } else if (STATUS_TEXT[error.statusCode] && error.statusCode !== 404) {
+    // A bare 404 from a storage SDK is a bug, not a missing file
+    status = error.statusCode;
+  }
+
+  if (status === 500) {
+    return { status, error: 'Internal Server Error', message: fallbackMessage };
+  }
+  return { status, error: STATUS_TEXT[status], message: error.message };
+}
+
+/**
+ * Send the `{ error, message }` response for an error (see describeError).
+ *
+ * @param {express.Response} res
+ * @param {Error} error
+ * @param {string} fallbackMessage
+ */
+export function sendError(res, error, fallbackMessage) {
+  const { status, error: reason, message } = describeError(error, fallbackMessage);
+  return res.status(status).json({ error: reason, message });
+}
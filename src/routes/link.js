@@ -0,0 +1,173 @@
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { signLink, verifyLink, MemoryLinkStore } from '../links.js';
+import { sendFile } from './download.js';
+import { UUID, sendError } from './errors.js';
+
+const DEFAULT_LINK_TTL = 60 * 60;           // 1 hour
+const MAX_LINK_TTL = 7 * 24 * 60 * 60;      // 7 days
+
+/**
+ * Parse an optional positive integer from a JSON body field.
+ *
+ * @returns {number|null|undefined} undefined when absent, null when invalid
+ */
+function parsePositiveInt(value) {
+  if (value === undefined || value === null) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Signed link creation router factory.
+ *
+ *   POST /files/:id/link  { expiresIn?, maxDownloads? }
+ *     → 201 { success, link: { url, expiresAt, maxDownloads } }
+ *
+ * Runs behind the normal authentication and authorization chain; the link
+ * pins the caller's file location (tenant, user, scope, prefix) so the public
+ * route needs no token to find it.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Object} options
+ * @param {string} options.secret - HMAC secret; link creation returns 503 without it
+ * @param {string} [options.baseUrl] - Public base URL for returned links (default: from the request)
+ * @param {number} [options.maxTtl=7d] - Longest allowed expiresIn, in seconds
+ * @returns {express.Router}
+ */
+export function createLinkRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const maxTtl = options.maxTtl || MAX_LINK_TTL;
+
+  router.post('/files/:id/link', async (req, res) => {
+    try {
+      const fileId = req.params.id;
+      const user = req.user;
+      const userId = user.id;
+      const tenantId = user.tenantId;
+      const scope = req.fileScope || 'user';
+
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+
+      if (!options.secret) {
+        return res.status(503).json({ error: 'Service Unavailable', message: 'Signed links are not configured (LINK_SIGNING_SECRET)' });
+      }
+
+      const expiresIn = parsePositiveInt(req.body?.expiresIn) ?? DEFAULT_LINK_TTL;
+      if (expiresIn === null || expiresIn > maxTtl) {
+        return res.status(400).json({ error: 'Bad Request', message: `expiresIn must be between 1 and ${maxTtl} seconds` });
+      }
+
+      const maxDownloads = parsePositiveInt(req.body?.maxDownloads);
+      if (maxDownloads === null) {
+        return res.status(400).json({ error: 'Bad Request', message: 'maxDownloads must be a positive integer' });
+      }
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      // Fail now rather than hand out a link to a missing or foreign file
+      await storage.statFile(fileId, tenantId, userId, scope, blobPrefix);
+
+      const expiresAt = new Date(Date.now() + expiresIn * 1000);
+      const token = signLink({
+        jti: uuidv4(),
+        fid: fileId,
+        tid: tenantId || null,
+        uid: userId,
+        scp: scope,
+        pfx: blobPrefix,
+        exp: Math.floor(expiresAt.getTime() / 1000),
+        max: maxDownloads ?? null
+      }, options.secret);
+
+      const baseUrl = options.baseUrl || `${req.protocol}://${req.get('host')}`;
+
+      res.status(201).json({
+        success: true,
+        link: {
+          url: `${baseUrl.replace(/\/$/, '')}/links/${token}`,
+          expiresAt: expiresAt.toISOString(),
+          maxDownloads: maxDownloads ?? null
+        }
+      });
+    } catch (error) {
+      console.error('Link error:', error);
+      sendError(res, error, 'Failed to create link');
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Public signed link download router factory.
+ *
+ *   GET /links/:token[?disposition=inline]
+ *
+ * Needs no Authorization header, so it works in `<img src>`, `<video>` and
+ * plain anchors. Must be mounted before the authentication middleware.
+ * Responses behave like `GET /files/:id` (ranges, 304, disposition). Every
+ * response that sends content counts towards the link's `maxDownloads`.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.onDownload] - async (meta) => void  (meta.linkId identifies the link)
+ * @param {Object} options
+ * @param {string} options.secret - HMAC secret used to sign links
+ * @param {Object} [options.store=MemoryLinkStore] - Download counter: { increment(linkId, expiresAt) → count }
+ * @param {string} [options.cacheControl='private, no-cache'] - Cache-Control header for file responses
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the download route (e.g. rate limiters)
+ * @param {boolean} [options.requireScan=false] - Refuse files without a clean malware scan verdict
+ * @returns {express.Router}
+ */
+export function createSignedLinkRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const store = options.store || new MemoryLinkStore();
+  const limiter = options.limiter || ((req, res, next) => next());
+
+  router.get('/links/:token', limiter, async (req, res) => {
+    try {
+      if (!options.secret) {
+        return res.status(404).json({ error: 'Not Found', message: 'The requested endpoint does not exist' });
+      }
+
+      const claims = verifyLink(req.params.token, options.secret);
+
+      await sendFile(req, res, storage, {
+        fileId: claims.fid,
+        tenantId: claims.tid,
+        userId: claims.uid,
+        scope: claims.scp,
+        blobPrefix: claims.pfx
+      }, {
+        hooks,
+        cacheControl: options.cacheControl,
+        meta: { linkId: claims.jti },
+        requireScan: options.requireScan,
+        beforeStream: async () => {
+          if (!claims.max) return;
+          const count = await store.increment(claims.jti, claims.exp * 1000);
+          if (count > claims.max) {
+            throw Object.assign(new Error('Link download limit reached'), { statusCode: 410 });
+          }
+        }
+      });
+    } catch (error) {
+      if (![403, 409, 410].includes(error.statusCode)) {
+        console.error('Signed link download error:', error);
+      }
+
+      // The file was deleted or moved since the link was issued
+      const moved = error.message === 'File not found' || error.message.startsWith('Unauthorized:');
+      sendError(res, moved ? new Error('File not found') : error, 'Failed to download file');
+    }
+  });
+
+  return router;
+}
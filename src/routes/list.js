@@ -1,38 +1,205 @@
 import express from 'express';
+import { MAX_LIST_LIMIT } from '../storage.js';
+import { sendError } from './errors.js';
+
+// Most matching files a sorted listing reads (each page re-reads them)
+const DEFAULT_MAX_SORTED_FILES = 1000;
+
+const SORT_FIELDS = {
+  name: 'fileName',
+  size: 'size',
+  uploadedAt: 'uploadedAt'
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse an optional ISO date query parameter.
+ *
+ * @returns {number|null} epoch ms, null when absent
+ */
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw badRequest(`${name} must be an ISO 8601 date`);
+  return time;
+}
+
+/**
+ * Build the file filter from the query string, or null when nothing is filtered.
+ *
+ *   contentType     — prefix match, e.g. `image/` or `application/pdf`
+ *   name            — case-insensitive filename substring
+ *   uploadedAfter   — inclusive lower bound (ISO date)
+ *   uploadedBefore  — exclusive upper bound (ISO date)
+ *   resource_type   — exact match
+ *   resource_id     — exact match
+ */
+function buildFilter(query) {
+  const contentType = query.contentType ? String(query.contentType).toLowerCase() : null;
+  const name = query.name ? String(query.name).toLowerCase() : null;
+  const after = parseDate(query.uploadedAfter, 'uploadedAfter');
+  const before = parseDate(query.uploadedBefore, 'uploadedBefore');
+  const resourceType = query.resource_type ? String(query.resource_type) : null;
+  const resourceId = query.resource_id ? String(query.resource_id) : null;
+
+  if (!contentType && !name && after === null && before === null && !resourceType && !resourceId) return null;
+
+  return (file) => {
+    if (contentType && !String(file.contentType || '').toLowerCase().startsWith(contentType)) return false;
+    if (name && !String(file.fileName || '').toLowerCase().includes(name)) return false;
+    if (resourceType && file.resourceType !== resourceType) return false;
+    if (resourceId && file.resourceId !== resourceId) return false;
+
+    const uploadedAt = Date.parse(file.uploadedAt);
+    if (after !== null && !(uploadedAt >= after)) return false;
+    if (before !== null && !(uploadedAt < before)) return false;
+
+    return true;
+  };
+}
+
+/**
+ * Compare two files by a sort field, falling back to the file ID so the
+ * order is total and a cursor position is unambiguous.
+ */
+function compareFiles(a, b, field) {
+  const x = a[field] ?? '';
+  const y = b[field] ?? '';
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return a.fileId < b.fileId ? -1 : a.fileId > b.fileId ? 1 : 0;
+}
+
+/**
+ * Return one sorted page. Storage can only page in key order, so every
+ * matching file is read and sorted; the cursor is the last file's sort value
+ * and ID (keyset), so pages stay consistent while files are added or removed.
+ * Reading stops, with a 400, once more than `maxFiles` match.
+ */
+async function listSortedPage(storage, location, { sort, order, limit, cursor, filter, maxFiles }) {
+  const field = SORT_FIELDS[sort];
+
+  let position = null;
+  if (cursor) {
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      position = null;
+    }
+    if (!position || position.sort !== sort || position.order !== order || typeof position.id !== 'string') {
+      throw badRequest('Invalid cursor');
+    }
+  }
+
+  const { tenantId, userId, scope, blobPrefix } = location;
+  const all = [];
+  let storageCursor = null;
+  do {
+    const page = await storage.listFilesPage(tenantId, userId, scope, blobPrefix, {
+      limit: Math.min(MAX_LIST_LIMIT, maxFiles + 1 - all.length),
+      cursor: storageCursor,
+      filter
+    });
+    all.push(...page.files);
+    storageCursor = page.cursor;
+
+    if (all.length > maxFiles) {
+      throw badRequest(`More than ${maxFiles} files match; narrow the listing with filters to sort it, or list without sort`);
+    }
+  } while (storageCursor);
+
+  const direction = order === 'desc' ? -1 : 1;
+  all.sort((a, b) => direction * compareFiles(a, b, field));
+
+  const start = position
+    ? all.findIndex(file => direction * compareFiles(file, { [field]: position.value, fileId: position.id }, field) > 0)
+    : 0;
+  const files = start === -1 ? [] : all.slice(start, start + limit);
+
+  const last = files[files.length - 1];
+  const more = start !== -1 && start + limit < all.length;
+  const nextCursor = more
+    ? Buffer.from(JSON.stringify({ sort, order, value: last[field] ?? null, id: last.fileId })).toString('base64url')
+    : null;
+
+  return { files, nextCursor };
+}
 
 /**
  * List files router factory.
  *
- * @param {AzureStorageClient} storage - Azure storage client instance
+ *   GET /files?limit=&cursor=&sort=name|size|uploadedAt&order=asc|desc
+ *             &contentType=&name=&uploadedAfter=&uploadedBefore=&resource_type=&resource_id=
+ *     → 200 { success, count, files, nextCursor }
+ *
+ * Without `sort`, files come back in storage order and pages are read
+ * straight from the storage listing. Pass `nextCursor` back as `cursor` with
+ * the same query to get the next page; it is null on the last one.
+ *
+ * With `sort`, every matching file is read for each page, so sorting is
+ * refused (400) when more than `options.maxSortedFiles` match.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
  * @param {Object} [hooks={}] - Plugin hooks
  * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Object} [options={}]
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the list route (e.g. rate limiter)
+ * @param {number} [options.maxSortedFiles=1000] - Most matching files a sorted listing reads
  * @returns {express.Router}
  */
-export function createListRouter(storage, hooks = {}) {
+export function createListRouter(storage, hooks = {}, options = {}) {
   const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+  const maxSortedFiles = options.maxSortedFiles || DEFAULT_MAX_SORTED_FILES;
 
-  router.get('/files', async (req, res) => {
+  router.get('/files', limiter, async (req, res) => {
     try {
       const user = req.user;
       const userId = user.id;
       const tenantId = user.tenantId;
       const scope = req.fileScope || 'user';
 
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        throw badRequest(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+      }
+
+      const sort = req.query.sort;
+      if (sort !== undefined && !SORT_FIELDS[sort]) {
+        throw badRequest(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+      }
+
+      const order = req.query.order || 'asc';
+      if (order !== 'asc' && order !== 'desc') {
+        throw badRequest('order must be asc or desc');
+      }
+
+      const cursor = req.query.cursor ? String(req.query.cursor) : null;
+      const filter = buildFilter(req.query);
+
       const blobPrefix = hooks.resolveTenant
         ? await hooks.resolveTenant(req, user)
         : null;
 
-      const files = await storage.listFiles(tenantId, userId, scope, blobPrefix);
+      let files;
+      let nextCursor;
+      if (sort) {
+        ({ files, nextCursor } = await listSortedPage(storage, { tenantId, userId, scope, blobPrefix }, { sort, order, limit, cursor, filter, maxFiles: maxSortedFiles }));
+      } else {
+        ({ files, cursor: nextCursor } = await storage.listFilesPage(tenantId, userId, scope, blobPrefix, { limit, cursor, filter }));
+      }
 
-      res.status(200).json({ success: true, count: files.length, files });
+      res.status(200).json({ success: true, count: files.length, files, nextCursor });
     } catch (error) {
-      console.error('List files error:', error);
-
-      if (error.statusCode === 503) {
-        return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+      if (error.statusCode !== 400) {
+        console.error('List files error:', error);
       }
-
-      res.status(500).json({ error: 'Internal Server Error', message: 'Failed to list files' });
+      sendError(res, error, 'Failed to list files');
     }
   });
 
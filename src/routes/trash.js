@@ -0,0 +1,97 @@
+import express from 'express';
+import { MAX_LIST_LIMIT } from '../storage.js';
+import { fileMetadataResponse } from './download.js';
+import { UUID, sendError } from './errors.js';
+
+// Default number of days a trashed file can still be restored
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * When a file trashed at `deletedAt` becomes eligible for purging.
+ *
+ * @param {string} deletedAt - ISO date
+ * @param {number} [retentionDays=30]
+ * @returns {string} ISO date
+ */
+export function purgeDate(deletedAt, retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+  return new Date(Date.parse(deletedAt) + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Trash router factory (soft delete).
+ *
+ *   GET  /trash?limit=&cursor=
+ *     → 200 { success, count, files, nextCursor }  (files carry deletedAt, deletedBy, purgeAt)
+ *   POST /files/:id/restore
+ *     → 200 { success, file }  (same shape as GET /files/:id/metadata)
+ *
+ * Lists and restores files under the same prefix `GET /files` uses. Mount it
+ * only when the delete router runs with `softDelete`; the purge itself is
+ * `storage.purgeTrash()`, which createFilesServer runs on a timer.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Object} [options={}]
+ * @param {number} [options.retentionDays=30] - Days a trashed file is kept (for `purgeAt`)
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the trash and restore routes (e.g. rate limiter)
+ * @returns {express.Router}
+ */
+export function createTrashRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+
+  router.get('/trash', limiter, async (req, res) => {
+    try {
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        return res.status(400).json({ error: 'Bad Request', message: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}` });
+      }
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const page = await storage.listFilesPage(user.tenantId, user.id, scope, blobPrefix, {
+        limit,
+        cursor: req.query.cursor ? String(req.query.cursor) : null,
+        trashed: true
+      });
+
+      const files = page.files.map(file => ({ ...file, purgeAt: purgeDate(file.deletedAt, options.retentionDays) }));
+
+      res.status(200).json({ success: true, count: files.length, files, nextCursor: page.cursor });
+    } catch (error) {
+      console.error('List trash error:', error);
+      sendError(res, error, 'Failed to list trash');
+    }
+  });
+
+  router.post('/files/:id/restore', limiter, async (req, res) => {
+    try {
+      const fileId = req.params.id;
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const file = await storage.restoreFile(fileId, user.tenantId, user.id, scope, blobPrefix);
+
+      res.status(200).json({ success: true, file: fileMetadataResponse(file) });
+    } catch (error) {
+      console.error('Restore error:', error);
+      sendError(res, error, 'Failed to restore file');
+    }
+  });
+
+  return router;
+}
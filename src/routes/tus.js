@@ -0,0 +1,304 @@
+import express from 'express';
+import { Readable, Transform } from 'stream';
+import { parseFileAttributes } from '../storage.js';
+import { storedFileLocation } from '../scanner.js';
+import { parseUploadMetadata } from '../upload-metadata.js';
+import { UUID, sendError } from './errors.js';
+import { SNIFF_BYTES, checkContentPolicy, normalizeContentType, parseContentPolicy, peekStream, requestContentPolicies, resolveContentType, sniffContentType } from '../content-type.js';
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination';
+
+/**
+ * Pass at most `max` bytes through; fail the stream if the client sends more.
+ *
+ * @param {number} max
+ * @returns {Transform}
+ */
+function limitBytes(max) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > max) {
+        const error = new Error('Chunk exceeds Upload-Length');
+        error.statusCode = 413;
+        return callback(error);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Parse a non-negative integer header. Returns null when missing or malformed.
+ *
+ * @param {string} [value]
+ * @returns {number|null}
+ */
+function parseLength(value) {
+  if (value === undefined || !/^\d+$/.test(value)) return null;
+  return Number(value);
+}
+
+/**
+ * Resumable upload router factory (tus 1.0.0 core + creation + termination).
+ *
+ *   OPTIONS /uploads      — capability discovery
+ *   POST    /uploads      — create an upload (Upload-Length, Upload-Metadata)
+ *   HEAD    /uploads/:id  — current Upload-Offset
+ *   PATCH   /uploads/:id  — append bytes at Upload-Offset
+ *   DELETE  /uploads/:id  — terminate an unfinished upload
+ *
+ * The upload ID becomes the file ID once the last byte is stored, at which
+ * point `onUpload` fires exactly once. Only the user who created an upload
+ * may resume or terminate it. `resource_type`, `resource_id` and `meta_*`
+ * entries in Upload-Metadata are stored with the file.
+ *
+ * The declared `filetype` and `filename` are checked against the content
+ * policy at creation, and the file's first bytes are sniffed before anything
+ * past them is stored, however the client splits them into chunks: content
+ * that contradicts the declared type, or is of a refused type, gets 415.
+ *
+ * With `options.scan` the completed file is scanned before `onUpload` fires;
+ * in sync mode the request that stores the last byte waits for the verdict
+ * and gets 422 (file deleted) if it is infected.
+ *
+ * With `options.quota`, creation checks Upload-Length against the caller's
+ * quota (507, or 413 if it alone is over a byte limit) and the completed file
+ * is added to usage.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {number} [maxFileSize=100MB] - Maximum Upload-Length in bytes
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.onUpload]      - async (meta) => void  (called once the upload completes)
+ * @param {Function} [hooks.resolveContentPolicy] - (req, user) => tenant allow/deny lists | null
+ * @param {Object} [options={}]
+ * @param {Function} [options.creationLimiter] - Middleware applied to POST /uploads only
+ * @param {Object} [options.contentPolicy] - Global allow/deny lists (see createUploadRouter)
+ * @param {Function} [options.scan] - Malware scan stage from createScanStage
+ * @param {Object} [options.quota] - Quota tracker from createQuotaTracker
+ * @returns {express.Router}
+ */
+export function createTusRouter(storage, maxFileSize = 100 * 1024 * 1024, hooks = {}, options = {}) {
+  const router = express.Router();
+  const creationLimiter = options.creationLimiter || ((req, res, next) => next());
+  const contentPolicy = parseContentPolicy(options.contentPolicy);
+
+  // Per-process guard against two PATCH requests racing on the same upload
+  const inFlight = new Set();
+
+  router.all(['/uploads', '/uploads/:id'], (req, res, next) => {
+    res.setHeader('Tus-Resumable', TUS_VERSION);
+
+    if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+      res.setHeader('Tus-Version', TUS_VERSION);
+      return res.status(412).json({ error: 'Precondition Failed', message: `Unsupported Tus-Resumable version; expected ${TUS_VERSION}` });
+    }
+
+    if (req.params.id !== undefined && !UUID.test(req.params.id)) {
+      return res.status(400).json({ error: 'Bad Request', message: 'Invalid upload ID format' });
+    }
+
+    next();
+  });
+
+  /**
+   * Load an upload and make sure it belongs to the caller.
+   */
+  async function loadOwnedUpload(req) {
+    const upload = await storage.getResumableUpload(req.params.id);
+    if (upload.userId !== req.user.id || (upload.tenantId || null) !== (req.user.tenantId || null)) {
+      throw new Error('Unauthorized: Upload belongs to different user');
+    }
+    return upload;
+  }
+
+  /**
+   * Scan a just-completed upload, count it, then fire `onUpload`.
+   */
+  async function finishUpload(file, scope, req) {
+    if (options.scan) {
+      await options.scan(storedFileLocation(file, scope));
+    }
+    if (options.quota) {
+      await options.quota.record({ tenantId: file.tenantId, userId: file.userId }, file.size, 1);
+    }
+    await notifyUpload(file, req);
+  }
+
+  async function notifyUpload(file, req) {
+    if (!hooks.onUpload) return;
+    try {
+      await hooks.onUpload({ ...file, req });
+    } catch (hookErr) {
+      console.error('onUpload hook error (non-fatal):', hookErr.message);
+    }
+  }
+
+  router.options('/uploads', (req, res) => {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', TUS_EXTENSIONS);
+    res.setHeader('Tus-Max-Size', String(maxFileSize));
+    res.status(204).end();
+  });
+
+  router.post('/uploads', creationLimiter, async (req, res) => {
+    try {
+      if (req.headers['upload-defer-length'] !== undefined) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Upload-Defer-Length is not supported' });
+      }
+
+      const length = parseLength(req.headers['upload-length']);
+      if (length === null) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Missing or invalid Upload-Length header' });
+      }
+
+      if (length > maxFileSize) {
+        return res.status(413).json({
+          error: 'Payload Too Large',
+          message: `File size exceeds ${Math.round(maxFileSize / 1024 / 1024)}MB limit`
+        });
+      }
+
+      if (options.quota) {
+        await options.quota.check(req, { bytes: length, files: 1 });
+      }
+
+      const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+      const attributes = parseFileAttributes(metadata);
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      const originalFilename = metadata.filename || metadata.name || 'upload';
+      const contentType = normalizeContentType(metadata.filetype || metadata.type) || 'application/octet-stream';
+      checkContentPolicy(await requestContentPolicies(req, hooks, contentPolicy), contentType, originalFilename);
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const upload = await storage.createResumableUpload(user.tenantId, user.id, {
+        originalFilename,
+        contentType,
+        length,
+        attributes
+      }, scope, blobPrefix);
+
+      // A zero-length upload is complete as soon as it exists
+      if (length === 0) {
+        const result = await storage.appendResumableUpload(upload.uploadId, 0, Readable.from([]));
+        await finishUpload(result.file, scope, req);
+      }
+
+      res.setHeader('Location', `${req.baseUrl}${req.path}/${upload.uploadId}`);
+      res.setHeader('Upload-Offset', String(upload.offset));
+      res.status(201).end();
+    } catch (error) {
+      console.error('Resumable upload create error:', error);
+      sendError(res, error, 'Failed to create upload');
+    }
+  });
+
+  router.head('/uploads/:id', async (req, res) => {
+    try {
+      const upload = await loadOwnedUpload(req);
+
+      res.setHeader('Upload-Offset', String(upload.offset));
+      res.setHeader('Upload-Length', String(upload.length));
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).end();
+    } catch (error) {
+      if (error.message !== 'Upload not found') {
+        console.error('Resumable upload head error:', error);
+      }
+      res.setHeader('Cache-Control', 'no-store');
+      sendError(res, error, 'Failed to read upload');
+    }
+  });
+
+  router.patch('/uploads/:id', async (req, res) => {
+    const uploadId = req.params.id;
+
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Unsupported Media Type', message: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const offset = parseLength(req.headers['upload-offset']);
+    if (offset === null) {
+      return res.status(400).json({ error: 'Bad Request', message: 'Missing or invalid Upload-Offset header' });
+    }
+
+    if (inFlight.has(uploadId)) {
+      return res.status(409).json({ error: 'Conflict', message: 'Another request is writing to this upload' });
+    }
+    inFlight.add(uploadId);
+
+    try {
+      const upload = await loadOwnedUpload(req);
+      storage.checkUploadOffset(upload, offset);
+
+      let body = req.pipe(limitBytes(upload.length - offset));
+      // The limit can trip before the driver attaches; it still sees the error via pipeline
+      body.on('error', () => {});
+      req.once('error', (err) => body.destroy(err));
+      // Client went away mid-chunk: end the body so the bytes received so far are kept
+      req.once('close', () => {
+        if (!req.complete) body.destroy(Object.assign(new Error('Client disconnected during upload'), { code: 'ECONNABORTED' }));
+      });
+
+      // The file's head must bear out the type declared at creation; the type
+      // detected from it is what the file is stored with. The head may arrive
+      // over several requests: what has arrived is kept with the upload, and
+      // no byte past it is stored until the whole head has been checked.
+      const sniffLength = Math.min(SNIFF_BYTES, upload.length);
+      let contentType;
+      let head;
+      if (offset < sniffLength) {
+        const peeked = await peekStream(body, sniffLength - offset);
+        peeked.stream.on('error', () => {});
+        body = peeked.stream;
+        head = Buffer.concat([(upload.head || Buffer.alloc(0)).subarray(0, offset), peeked.head]);
+        // A partial head that is already recognisable can be refused early;
+        // the type stored is decided on the whole head
+        if (head.length >= sniffLength || sniffContentType(head)) {
+          const resolved = resolveContentType(head, upload.contentType);
+          checkContentPolicy(await requestContentPolicies(req, hooks, contentPolicy), resolved, upload.originalFilename);
+          if (head.length >= sniffLength) contentType = resolved;
+        }
+      }
+
+      const result = await storage.appendResumableUpload(uploadId, offset, body, { contentType, head });
+
+      if (result.completed) {
+        await finishUpload(result.file, upload.scope, req);
+      }
+
+      res.setHeader('Upload-Offset', String(result.offset));
+      res.status(204).end();
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        console.warn(`Resumable upload ${uploadId}: client disconnected; received bytes kept`);
+        return;
+      }
+      console.error('Resumable upload patch error:', error);
+      sendError(res, error, 'Failed to write upload');
+    } finally {
+      inFlight.delete(uploadId);
+    }
+  });
+
+  router.delete('/uploads/:id', async (req, res) => {
+    try {
+      await loadOwnedUpload(req);
+      await storage.abortResumableUpload(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Resumable upload delete error:', error);
+      sendError(res, error, 'Failed to terminate upload');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,156 @@
+import express from 'express';
+import { fileMetadataResponse } from './download.js';
+import { UUID, sendError } from './errors.js';
+import { checkContentPolicy, parseContentPolicy, peekStream, requestContentPolicies, resolveContentType } from '../content-type.js';
+
+// Printable characters only; no path separators or control characters
+const FILENAME = /^[^\u0000-\u001f\u007f/\\]{1,255}$/;
+const CONTENT_TYPE = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/i;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Validate a PATCH body into updateFile changes.
+ *
+ * @param {Object} body - { name?, contentType?, meta?: { key: value | null } }
+ * @returns {Object} { originalFilename?, contentType?, meta? }
+ */
+function parseChanges(body) {
+  const changes = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !FILENAME.test(body.name)) {
+      throw badRequest('name must be 1-255 characters without slashes or control characters');
+    }
+    changes.originalFilename = body.name;
+  }
+
+  if (body.contentType !== undefined) {
+    if (typeof body.contentType !== 'string' || !CONTENT_TYPE.test(body.contentType)) {
+      throw badRequest('contentType must be a MIME type such as application/pdf');
+    }
+    changes.contentType = body.contentType.toLowerCase();
+  }
+
+  if (body.meta !== undefined) {
+    if (!body.meta || typeof body.meta !== 'object' || Array.isArray(body.meta)) {
+      throw badRequest('meta must be an object of key: value (null removes a key)');
+    }
+    changes.meta = body.meta;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw badRequest('Nothing to update: send name, contentType or meta');
+  }
+
+  return changes;
+}
+
+/**
+ * Resolve a requested content type against the file's first bytes, as an
+ * upload's declared type is. Returns the type to store and the ETag of the
+ * content that was read.
+ *
+ * @throws {Error} statusCode 415 when the content contradicts the type
+ */
+async function resolveNewContentType(storage, fileId, tenantId, userId, scope, blobPrefix, contentType) {
+  const { stream, metadata } = await storage.downloadFile(fileId, tenantId, userId, scope, blobPrefix);
+  try {
+    const { head, stream: rest } = await peekStream(stream);
+    rest.destroy();
+    return { contentType: resolveContentType(head, contentType), etag: metadata.etag };
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Update file router factory.
+ *
+ *   PATCH /files/:id  { name?, contentType?, meta?: { key: value | null } }
+ *     → 200 { success, file }  (same shape as GET /files/:id/metadata)
+ *
+ * Renames or re-types a file and edits its `meta_*` fields without changing
+ * its ID or content. Send `If-Match: <ETag>` to update only if nobody changed
+ * the file since it was read; a mismatch returns 412. Resource linkage is not
+ * editable, since uploads are authorized against it.
+ *
+ * The resulting name and type are checked against the content policy, as
+ * uploads are. A new `contentType` must be borne out by the file's first
+ * bytes: the type detected from them is what is stored, and content that
+ * contradicts the requested type gets 415.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.onUpdate]      - async (meta) => void  (called after a successful update; meta.changes lists what changed)
+ * @param {Function} [hooks.resolveContentPolicy] - (req, user) => tenant allow/deny lists | null
+ * @param {Object} [options={}]
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the update route (e.g. rate limiter)
+ * @param {Object} [options.contentPolicy] - Global allow/deny lists (see createUploadRouter)
+ * @returns {express.Router}
+ */
+export function createUpdateRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+  const contentPolicy = parseContentPolicy(options.contentPolicy);
+
+  router.patch('/files/:id', limiter, async (req, res) => {
+    try {
+      const fileId = req.params.id;
+      const user = req.user;
+      const userId = user.id;
+      const tenantId = user.tenantId;
+      const scope = req.fileScope || 'user';
+
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+
+      const changes = parseChanges(req.body || {});
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const policies = await requestContentPolicies(req, hooks, contentPolicy);
+      let ifMatch = req.headers['if-match'];
+
+      if (changes.contentType !== undefined) {
+        const resolved = await resolveNewContentType(storage, fileId, tenantId, userId, scope, blobPrefix, changes.contentType);
+        storage.checkIfMatch(resolved.etag, ifMatch);
+        changes.contentType = resolved.contentType;
+        // Only re-type the content that was sniffed
+        ifMatch = resolved.etag;
+      }
+
+      const file = await storage.updateFile(fileId, tenantId, userId, scope, blobPrefix, changes, {
+        ifMatch,
+        checkPolicy: (contentType, filename) => checkContentPolicy(policies, contentType, filename)
+      });
+
+      // Call onUpdate hook (non-blocking)
+      if (hooks.onUpdate) {
+        try {
+          await hooks.onUpdate({ ...file, userId, tenantId, changes, req });
+        } catch (hookErr) {
+          console.error('onUpdate hook error (non-fatal):', hookErr.message);
+        }
+      }
+
+      if (file.etag) res.setHeader('ETag', file.etag);
+      res.status(200).json({ success: true, file: fileMetadataResponse(file) });
+    } catch (error) {
+      if (![400, 412, 415].includes(error.statusCode)) {
+        console.error('Update error:', error);
+      }
+      sendError(res, error, 'Failed to update file');
+    }
+  });
+
+  return router;
+}
@@ -1,82 +1,383 @@
 import express from 'express';
 import multer from 'multer';
+import { Transform } from 'stream';
+import { parseFileAttributes } from '../storage.js';
+import { checkContentPolicy, parseContentPolicy, peekStream, requestContentPolicies, resolveContentType } from '../content-type.js';
+import { parseDigests } from '../checksum.js';
+import { quotaExceeded } from '../quota.js';
+import { describeError, sendError } from './errors.js';
+
+// Bytes received per request across all file parts, for the total size cap
+const requestBytes = new WeakMap();
+
+// `checksum` field values already applied to a file of the request
+const checksumsUsed = new WeakMap();
+
+/**
+ * The digests a file part must match: a `checksum` field sent since the
+ * previous file part, else for the single-file `file` field a
+ * `Repr-Digest` / `Content-Digest` header, which then describes the file
+ * rather than the multipart body.
+ *
+ * @returns {Object|null} { sha256?, md5? }
+ * @throws {Error} statusCode 400 on a malformed digest
+ */
+function expectedChecksum(req, file) {
+  const values = [].concat(req.body?.checksum ?? []);
+  const used = checksumsUsed.get(req) || 0;
+  checksumsUsed.set(req, values.length);
+
+  if (values.length > used) {
+    return parseDigests(values.at(-1), 'checksum field');
+  }
+  if (file.fieldname === 'file') {
+    if (req.headers['repr-digest']) return parseDigests(req.headers['repr-digest'], 'Repr-Digest header');
+    if (req.headers['content-digest']) return parseDigests(req.headers['content-digest'], 'Content-Digest header');
+  }
+  return null;
+}
+
+/**
+ * Error for a file part that went over a size limit. Reported per file, so
+ * the other files in the request are still stored.
+ */
+function limitError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 413;
+  return error;
+}
+
+/**
+ * Multer storage engine that pipes each file part straight into the storage
+ * driver instead of buffering it in memory.
+ *
+ * - Size limits: the per-file and per-request caps are enforced as bytes flow.
+ *   A file that crosses one is failed (its partial blob is discarded), the rest
+ *   of its part is drained, and it is reported as a per-file error — later
+ *   files in the same request are still processed.
+ * - Client disconnect: the driver stream is failed as soon as the request closes
+ *   before it was fully received, which discards the partial blob; multer then
+ *   removes the files already stored by this request.
+ * - Content type: the first bytes are sniffed before the driver is called.
+ *   The detected type replaces `file.mimetype`; a contradicting claim or a
+ *   type/extension the content policy refuses fails the file with 415.
+ * - Checksum: the driver hashes the content as it is stored; a digest the
+ *   client sent (see expectedChecksum) that does not match fails the file
+ *   with 400 before it is committed.
+ * - Malware scan: with `options.scan`, each stored file is scanned before the
+ *   next part is read; its verdict is set as `storageMeta.scan`. An infected
+ *   file fails with 422 (sync mode), a scanner outage with 503.
+ * - Quota: when the route has set `req.quotaAllowance` (from the quota
+ *   tracker's check), a file that would take usage over a limit fails with
+ *   507, or 413 if it is larger than a byte limit on its own. Each file
+ *   takes one off the allowance's file count, given back if it fails.
+ *
+ * `options.write` replaces the default `storage.uploadFile` call (which
+ * passes `options.dedup` on), e.g. to
+ * store the part as a new version of an existing file. Its result becomes
+ * `file.storageMeta`. Set `options.removeOnError: false` when that write
+ * cannot be undone by deleting the file.
+ *
+ * @param {StorageDriver} storage
+ * @param {Object} hooks
+ * @param {Object} limits - { fileSize, totalSize } in bytes
+ * @param {Object} [options={}]
+ * @param {Function} [options.write] - async (req, file, body, blobPrefix, attributes, { checksum }) => storageMeta
+ * @param {boolean} [options.removeOnError=true] - Delete stored files when the request fails
+ * @param {Object} [options.contentPolicy] - Global allow/deny lists (from parseContentPolicy)
+ * @param {Function} [options.scan] - Scan stage from createScanStage
+ * @param {boolean} [options.dedup=false] - Store files in dedup mode (see StorageDriver#uploadFile)
+ * @returns {Object} multer StorageEngine
+ */
+export function createStreamingStorage(storage, hooks, limits, options = {}) {
+  const write = options.write || ((req, file, body, blobPrefix, attributes, { checksum }) => storage.uploadFile(
+    req.user.tenantId, req.user.id, body, file.originalname, file.mimetype, req.fileScope || 'user', blobPrefix, attributes, { checksum, dedup: !!options.dedup }
+  ));
+
+  return {
+    _handleFile(req, file, cb) {
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      const allowance = req.quotaAllowance;
+
+      // Only fields sent before this file part are in req.body yet
+      let attributes;
+      let checksum;
+      try {
+        attributes = parseFileAttributes(req.body);
+        checksum = expectedChecksum(req, file);
+        const quotaError = allowance && quotaExceeded(allowance, { files: 1 });
+        if (quotaError) throw quotaError;
+      } catch (err) {
+        file.stream.resume();
+        return cb(null, { size: 0, uploadError: err, scope });
+      }
+      // Parts can arrive while the previous one is still being stored, so its slot is taken up front
+      if (allowance) allowance.files--;
+
+      // Intermediate stream: failing it aborts this file without touching
+      // busboy's own file stream, which multer tracks separately.
+      let fileBytes = 0;
+      const body = new Transform({
+        transform(chunk, encoding, callback) {
+          fileBytes += chunk.length;
+          const total = (requestBytes.get(req) || 0) + chunk.length;
+          requestBytes.set(req, total);
+
+          if (fileBytes > limits.fileSize) {
+            return callback(limitError('LIMIT_FILE_SIZE', `File size exceeds ${Math.round(limits.fileSize / 1024 / 1024)}MB limit`));
+          }
+          if (total > limits.totalSize) {
+            return callback(limitError('LIMIT_TOTAL_SIZE', `Total upload size exceeds ${Math.round(limits.totalSize / 1024 / 1024)}MB limit`));
+          }
+          const quotaError = allowance && quotaExceeded(allowance, { bytes: total, largest: fileBytes });
+          if (quotaError) return callback(quotaError);
+          callback(null, chunk);
+        }
+      });
+      // A failure can land before the driver starts reading; the driver still
+      // sees it through stream.errored, so only the unhandled event is silenced here.
+      body.on('error', () => {});
+
+      const onClose = () => {
+        if (req.complete) return;
+        const error = new Error('Client disconnected during upload');
+        error.code = 'ECONNABORTED';
+        body.destroy(error);
+      };
+
+      req.once('close', onClose);
+      file.stream.pipe(body);
+
+      const finish = (err, info) => {
+        req.off('close', onClose);
+        cb(err, info);
+      };
+
+      Promise.resolve(hooks.resolveTenant ? hooks.resolveTenant(req, user) : null)
+        .then(async (blobPrefix) => {
+          const { head, stream } = await peekStream(body);
+          stream.on('error', () => {});
+
+          // Store the detected type, not the one the client claimed
+          file.mimetype = resolveContentType(head, file.mimetype);
+          checkContentPolicy(await requestContentPolicies(req, hooks, options.contentPolicy), file.mimetype, file.originalname);
+
+          const storageMeta = await write(req, file, stream, blobPrefix, attributes, { checksum });
+          if (options.scan) {
+            // A failed scan has already removed the file when it could be
+            storageMeta.scan = await options.scan(
+              { fileId: storageMeta.fileId, tenantId: user.tenantId, userId: user.id, scope, blobPrefix },
+              { removeInfected: options.removeOnError !== false }
+            );
+          }
+          finish(null, { size: storageMeta.size, storageMeta, scope, blobPrefix });
+        })
+        .catch((err) => {
+          // Keep busboy moving to the next part, and don't count bytes that weren't stored
+          file.stream.unpipe(body);
+          file.stream.resume();
+          requestBytes.set(req, (requestBytes.get(req) || 0) - fileBytes);
+          if (allowance) allowance.files++;
+
+          if (err.code === 'ECONNABORTED') return finish(err);
+          finish(null, { size: 0, uploadError: err, scope });
+        });
+    },
+
+    // Called by multer when the request fails after this file was stored
+    _removeFile(req, file, cb) {
+      if (!file.storageMeta || options.removeOnError === false) return cb(null);
+
+      const { fileId, tenantId, userId } = file.storageMeta;
+      storage.deleteFile(fileId, tenantId, userId, file.scope, file.blobPrefix)
+        .then(() => cb(null), cb);
+    }
+  };
+}
+
+/**
+ * Response body fields for a stored file.
+ */
+function toFileResponse(fileMetadata) {
+  const fileResponse = {
+    id: fileMetadata.fileId,
+    name: fileMetadata.originalFilename,
+    contentType: fileMetadata.contentType,
+    size: fileMetadata.size,
+    uploadedAt: fileMetadata.uploadedAt,
+    checksum: fileMetadata.checksum ?? null,
+    resourceType: fileMetadata.resourceType ?? null,
+    resourceId: fileMetadata.resourceId ?? null,
+    meta: fileMetadata.meta || {}
+  };
+
+  if (fileMetadata.tenantId) {
+    fileResponse.tenantId = fileMetadata.tenantId;
+  }
+
+  if (fileMetadata.scan) {
+    fileResponse.scanStatus = fileMetadata.scan.status;
+  }
+
+  return fileResponse;
+}
 
 /**
  * Upload router factory.
+ * File parts are streamed to storage as they arrive; nothing is buffered in memory.
+ *
+ *   POST /upload  field `file`   → 201 { success, file }
+ *                 fields `resource_type`, `resource_id`, `meta_*` (before the file parts) → stored with each file
+ *                 field `checksum` (before its file part) or `Repr-Digest` / `Content-Digest` header → verified
+ *   POST /upload  field `files`  → { success, uploaded, failed, files: [{ name, success, file | error, message }] }
+ *
+ * A multi-file post returns 201 when every file was stored, 207 when only
+ * some were, and the first file's error status when none were. `onUpload`
+ * fires once per stored file.
+ *
+ * Each file's type is detected from its content and stored instead of the
+ * claimed one; a contradicting claim, or a type or extension refused by
+ * `options.contentPolicy` or the tenant's `hooks.resolveContentPolicy`, fails
+ * that file with 415.
+ *
+ * Every file is hashed as it is stored and `file.checksum` returns
+ * `{ sha256, md5 }` (base64). A `checksum` field (`sha256:<hex>` or
+ * `sha-256=:<base64>:`) sent before a file part, or for the `file` field a
+ * `Repr-Digest` / `Content-Digest` header, must match or that file fails with
+ * 400 and is not stored.
  *
- * @param {AzureStorageClient} storage - Azure storage client instance
+ * With `options.scan` every stored file is scanned for malware before the
+ * response; `file.scanStatus` is `clean`, or `pending` in async mode. In sync
+ * mode an infected file is deleted and fails with 422.
+ *
+ * With `options.dedup` the tenant's identical files share one stored copy of
+ * their content; responses, downloads and listings are unchanged.
+ *
+ * With `options.quota`, a request is refused with 507 up front when the
+ * caller is already at a limit, and each file that would take the user or
+ * tenant over a limit fails with 507 (413 if it alone is over a byte limit).
+ * Stored files are added to usage.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
  * @param {number} [maxFileSize=100MB] - Maximum file size in bytes
  * @param {Object} [hooks={}] - Plugin hooks
  * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
- * @param {Function} [hooks.onUpload]      - async (meta) => void  (called after successful upload)
+ * @param {Function} [hooks.onUpload]      - async (meta) => void  (called after each successful upload)
+ * @param {Function} [hooks.resolveContentPolicy] - (req, user) => { allowedTypes?, deniedTypes?, allowedExtensions?, deniedExtensions? } | null
+ * @param {Object} [options={}]
+ * @param {number} [options.maxFiles=10] - Maximum files per request
+ * @param {number} [options.maxTotalSize=maxFileSize] - Maximum bytes per request across all files
+ * @param {Object} [options.contentPolicy] - { allowedTypes, deniedTypes, allowedExtensions, deniedExtensions } (arrays or comma-separated; `image/*` wildcards)
+ * @param {Function} [options.scan] - Malware scan stage from createScanStage
+ * @param {boolean} [options.dedup=false] - Store each distinct content once per tenant
+ * @param {Object} [options.quota] - Quota tracker from createQuotaTracker
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the upload route (e.g. rate limiter)
  * @returns {express.Router}
  */
-export function createUploadRouter(storage, maxFileSize = 100 * 1024 * 1024, hooks = {}) {
+export function createUploadRouter(storage, maxFileSize = 100 * 1024 * 1024, hooks = {}, options = {}) {
   const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+  const maxFiles = options.maxFiles || 10;
+  const maxTotalSize = options.maxTotalSize || maxFileSize;
 
   const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: maxFileSize, files: 1 },
-    fileFilter: (req, file, cb) => cb(null, true)
+    storage: createStreamingStorage(storage, hooks, { fileSize: maxFileSize, totalSize: maxTotalSize }, {
+      contentPolicy: parseContentPolicy(options.contentPolicy),
+      scan: options.scan,
+      dedup: options.dedup
+    }),
+    limits: { files: maxFiles }
   });
 
-  router.post('/upload', upload.single('file'), async (req, res) => {
+  const receiveFiles = upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'files', maxCount: maxFiles }
+  ]);
+
+  async function notifyUpload(fileMetadata, req) {
+    if (!hooks.onUpload) return;
+    // Non-blocking — errors are logged but don't fail the request
     try {
-      if (!req.file) {
-        return res.status(400).json({ error: 'Bad Request', message: 'No file uploaded' });
+      await hooks.onUpload({ ...fileMetadata, req });
+    } catch (hookErr) {
+      console.error('onUpload hook error (non-fatal):', hookErr.message);
+    }
+  }
+
+  router.post('/upload', limiter, async (req, res) => {
+    try {
+      if (options.quota) {
+        req.quotaAllowance = await options.quota.check(req, { files: 1 });
       }
 
-      const user = req.user;
-      const userId = user.id;
-      const tenantId = user.tenantId;
-      const { buffer, originalname, mimetype } = req.file;
+      // Run multer inside the handler so its errors (e.g. LIMIT_FILE_COUNT) get mapped below
+      await new Promise((resolve, reject) => {
+        receiveFiles(req, res, (err) => (err ? reject(err) : resolve()));
+      });
 
-      // Resolve blob prefix via hook or fall back to scope-based default
-      const blobPrefix = hooks.resolveTenant
-        ? await hooks.resolveTenant(req, user)
-        : null;
+      const single = req.files?.file || [];
+      const multiple = req.files?.files || [];
 
-      const scope = req.fileScope || 'user';
+      if (options.quota) {
+        const stored = [...single, ...multiple].filter(file => !file.uploadError);
+        await options.quota.record(
+          { tenantId: req.user.tenantId, userId: req.user.id },
+          stored.reduce((bytes, file) => bytes + file.storageMeta.size, 0),
+          stored.length
+        );
+      }
 
-      const fileMetadata = await storage.uploadFile(tenantId, userId, buffer, originalname, mimetype, scope, blobPrefix);
+      if (single.length === 0 && multiple.length === 0) {
+        return res.status(400).json({ error: 'Bad Request', message: 'No file uploaded' });
+      }
 
-      // Call onUpload hook if provided (non-blocking — errors are logged but don't fail the request)
-      if (hooks.onUpload) {
-        try {
-          await hooks.onUpload({ ...fileMetadata, req });
-        } catch (hookErr) {
-          console.error('onUpload hook error (non-fatal):', hookErr.message);
+      // Single-file form: original response shape
+      if (multiple.length === 0) {
+        const [file] = single;
+        if (file.uploadError) {
+          const { status, error, message } = describeError(file.uploadError, 'Failed to upload file');
+          if (status === 500) console.error('Upload error:', file.uploadError);
+          return res.status(status).json({ error, message });
         }
+
+        await notifyUpload(file.storageMeta, req);
+        return res.status(201).json({ success: true, file: toFileResponse(file.storageMeta) });
       }
 
-      const fileResponse = {
-        id: fileMetadata.fileId,
-        name: fileMetadata.originalFilename,
-        contentType: fileMetadata.contentType,
-        size: fileMetadata.size,
-        uploadedAt: fileMetadata.uploadedAt
-      };
+      const results = [];
+      for (const file of [...single, ...multiple]) {
+        if (file.uploadError) {
+          const { status, error, message } = describeError(file.uploadError, 'Failed to upload file');
+          if (status === 500) console.error(`Upload error (${file.originalname}):`, file.uploadError);
+          results.push({ name: file.originalname, success: false, status, error, message });
+          continue;
+        }
 
-      if (tenantId) {
-        fileResponse.tenantId = tenantId;
+        await notifyUpload(file.storageMeta, req);
+        results.push({ name: file.originalname, success: true, file: toFileResponse(file.storageMeta) });
       }
 
-      res.status(201).json({ success: true, file: fileResponse });
-    } catch (error) {
-      console.error('Upload error:', error);
+      const uploaded = results.filter(r => r.success).length;
+      const failed = results.length - uploaded;
+      const status = failed === 0 ? 201 : uploaded > 0 ? 207 : results[0].status;
 
-      if (error.code === 'LIMIT_FILE_SIZE') {
-        return res.status(413).json({
-          error: 'Payload Too Large',
-          message: `File size exceeds ${Math.round(maxFileSize / 1024 / 1024)}MB limit`
-        });
+      res.status(status).json({ success: failed === 0, uploaded, failed, files: results });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        console.warn('Upload aborted by client; partial upload discarded');
+        return;
       }
 
-      if (error.statusCode === 503) {
-        return res.status(503).json({ error: 'Service Unavailable', message: error.message });
+      console.error('Upload error:', error);
+
+      if (error.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({ error: 'Bad Request', message: `Too many files; at most ${maxFiles} per request` });
       }
 
-      res.status(500).json({ error: 'Internal Server Error', message: 'Failed to upload file' });
+      sendError(res, error, 'Failed to upload file');
     }
   });
 
@@ -0,0 +1,42 @@
+import express from 'express';
+import { createQuotaTracker } from '../quota.js';
+import { sendError } from './errors.js';
+
+/**
+ * Storage usage router factory.
+ *
+ *   GET /usage
+ *     → 200 { success, user: { bytes, files, maxBytes, maxFiles }, tenant: { ... } | null }
+ *
+ * Reports the caller's usage and their tenant's (null without a tenant)
+ * against the limits that apply to them; a null limit is unlimited. Pass the
+ * tracker the upload routes use, so the figures include their changes.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.resolveQuota]  - async (req, user) => limits | null (see createQuotaTracker)
+ * @param {Object} [options={}]
+ * @param {Object} [options.quota] - Quota tracker from createQuotaTracker (default: a new one without limits)
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the usage route (e.g. rate limiter)
+ * @returns {express.Router}
+ */
+export function createUsageRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+  const quota = options.quota || createQuotaTracker(storage, hooks);
+
+  router.get('/usage', limiter, async (req, res) => {
+    try {
+      const { user, tenant } = await quota.usage(req);
+
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.status(200).json({ success: true, user, tenant });
+    } catch (error) {
+      console.error('Usage error:', error);
+      sendError(res, error, 'Failed to read usage');
+    }
+  });
+
+  return router;
+}
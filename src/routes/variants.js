@@ -0,0 +1,113 @@
+import express from 'express';
+import { DEFAULT_IMAGE_PRESETS, parseImagePresets, isVariantSource, variantFileName, renderVariant } from '../variants.js';
+import { sendFile, checkScanned } from './download.js';
+import { UUID, sendError } from './errors.js';
+
+/**
+ * Image variant router factory.
+ *
+ *   GET  /files/:id/variants/:preset  → the image resized per the preset
+ *   HEAD /files/:id/variants/:preset  → the same headers, no body
+ *
+ * A variant is rendered on its first request and stored next to the file
+ * (see putFileVariant), then served from storage like a download: ETag and
+ * Last-Modified with 304, single ranges (206/416), `?disposition=inline`.
+ * It is rendered again once the file gets new content or the preset's
+ * settings change, and deleted with the file. Concurrent first requests for
+ * the same variant share one rendering.
+ *
+ * Variants exist for JPEG, PNG, WebP, GIF, AVIF and TIFF files (415
+ * otherwise); an unknown preset is 404 and an image that cannot be decoded
+ * 422. Files refused by the malware scan are refused here too, before
+ * anything is rendered.
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.onDownload]    - async (meta) => void  (meta.variant is the preset name)
+ * @param {Object} [options={}]
+ * @param {Object|string} [options.presets] - Image presets (see parseImagePresets); default `thumbnail`, 256×256 WebP
+ * @param {string} [options.cacheControl='private, no-cache'] - Cache-Control header for variant responses
+ * @param {boolean} [options.requireScan=false] - Refuse files without a clean malware scan verdict
+ * @param {Function|Function[]} [options.limiter] - Middleware applied to the variant route (e.g. rate limiter)
+ * @returns {express.Router}
+ */
+export function createVariantRouter(storage, hooks = {}, options = {}) {
+  const router = express.Router();
+  const limiter = options.limiter || ((req, res, next) => next());
+  const presets = parseImagePresets(options.presets || DEFAULT_IMAGE_PRESETS);
+
+  // `${fileId}/${presetKey}` → rendering in progress
+  const rendering = new Map();
+
+  /**
+   * Render and store a variant unless a current one is stored already.
+   * Variants keep the file's uploaded_at, so a different one means new content.
+   */
+  async function ensureVariant(location, file, preset) {
+    const { fileId, tenantId, userId, scope, blobPrefix } = location;
+
+    try {
+      const variant = await storage.statFile(fileId, tenantId, userId, scope, blobPrefix, { variant: preset.key });
+      if (variant.uploadedAt === file.uploadedAt) return;
+    } catch (error) {
+      if (error.message !== 'Variant not found') throw error;
+    }
+
+    const key = `${fileId}/${preset.key}`;
+    if (!rendering.has(key)) {
+      const render = (async () => {
+        const { stream } = await storage.downloadFile(fileId, tenantId, userId, scope, blobPrefix);
+        const content = await renderVariant(stream, preset);
+        await storage.putFileVariant(fileId, tenantId, userId, scope, blobPrefix, preset.key,
+          content, variantFileName(file.fileName, preset), preset.contentType);
+      })();
+      rendering.set(key, render.finally(() => rendering.delete(key)));
+    }
+    await rendering.get(key);
+  }
+
+  // Also answers HEAD (Express routes HEAD to GET handlers)
+  router.get('/files/:id/variants/:preset', limiter, async (req, res) => {
+    try {
+      const fileId = req.params.id;
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+
+      const preset = Object.hasOwn(presets, req.params.preset) ? presets[req.params.preset] : null;
+      if (!preset) {
+        return res.status(404).json({ error: 'Not Found', message: `Unknown image preset: ${req.params.preset}` });
+      }
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const location = { fileId, tenantId: user.tenantId, userId: user.id, scope, blobPrefix };
+      const file = await storage.statFile(fileId, user.tenantId, user.id, scope, blobPrefix);
+      checkScanned(file, options.requireScan);
+
+      if (!isVariantSource(file.contentType)) {
+        return res.status(415).json({ error: 'Unsupported Media Type', message: `Image variants are not available for ${file.contentType}` });
+      }
+
+      await ensureVariant(location, file, preset);
+
+      await sendFile(req, res, storage, { ...location, variant: preset.key }, {
+        hooks,
+        cacheControl: options.cacheControl,
+        requireScan: options.requireScan,
+        meta: { variant: req.params.preset }
+      });
+    } catch (error) {
+      console.error('Image variant error:', error);
+      sendError(res, error, 'Failed to read image variant');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,192 @@
+import express from 'express';
+import multer from 'multer';
+import { VERSION_ID } from '../storage.js';
+import { parseContentPolicy } from '../content-type.js';
+import { fileMetadataResponse } from './download.js';
+import { UUID, sendError } from './errors.js';
+import { createStreamingStorage } from './upload.js';
+
+/**
+ * File version router factory.
+ *
+ *   PUT  /files/:id  field `file`
+ *     → 200 { success, file }  (same shape as GET /files/:id/metadata, plus versionId: null)
+ *   GET  /files/:id/versions
+ *     → 200 { success, fileId, count, versions: [{ versionId, current, fileName, contentType, size, uploadedAt }] }
+ *   POST /files/:id/versions/:versionId/promote
+ *     → 200 { success, file }
+ *
+ * PUT replaces a file's content under the same ID, keeping the previous
+ * content as a version; the file's name and type follow the new upload while
+ * its owner, resource linkage and `meta_*` fields carry over. Promoting copies
+ * an earlier version back as the current one, so the content it replaces
+ * becomes a version in turn. Send `If-Match: <ETag>` with either to replace
+ * only the version you read (412 otherwise). Earlier versions are read with
+ * `GET /files/:id?version=<versionId>` and removed with the file. New content
+ * is type-checked like `POST /upload` (415 on a mismatch or refused type) and
+ * verified against a `checksum` field or digest header the same way (400).
+ * With `options.scan`, new content is scanned too; an infected version stays
+ * current, marked infected and refused by downloads, and PUT answers 422 —
+ * promote an earlier version to recover.
+ *
+ * With `options.quota`, the size difference between the new and the replaced
+ * content is added to the owner's usage; new content that would take usage
+ * over a limit fails with 507 (413 if it alone is over a byte limit).
+ *
+ * @param {StorageDriver} storage - Storage driver instance
+ * @param {number} [maxFileSize=100MB] - Maximum file size in bytes
+ * @param {Object} [hooks={}] - Plugin hooks
+ * @param {Function} [hooks.resolveTenant] - (req, user) => blobPrefix string
+ * @param {Function} [hooks.onUpdate]      - async (meta) => void  (meta.changes is { newVersion: true } or { promotedVersion })
+ * @param {Function} [hooks.resolveContentPolicy] - (req, user) => tenant allow/deny lists | null
+ * @param {Object} [options={}]
+ * @param {Function} [options.uploadLimiter] - Middleware applied to PUT /files/:id only
+ * @param {Object} [options.contentPolicy] - Global allow/deny lists (see createUploadRouter)
+ * @param {Function} [options.scan] - Malware scan stage from createScanStage
+ * @param {Object} [options.quota] - Quota tracker from createQuotaTracker
+ * @returns {express.Router}
+ */
+export function createVersionRouter(storage, maxFileSize = 100 * 1024 * 1024, hooks = {}, options = {}) {
+  const router = express.Router();
+  const uploadLimiter = options.uploadLimiter || ((req, res, next) => next());
+
+  const upload = multer({
+    storage: createStreamingStorage(storage, hooks, { fileSize: maxFileSize, totalSize: maxFileSize }, {
+      write: (req, file, body, blobPrefix, attributes, { checksum }) => storage.putFileVersion(
+        req.params.id, req.user.tenantId, req.user.id, req.fileScope || 'user', blobPrefix,
+        body, file.originalname, file.mimetype, { ifMatch: req.headers['if-match'], checksum }
+      ),
+      // The previous content is now a version; deleting would lose the file
+      removeOnError: false,
+      contentPolicy: parseContentPolicy(options.contentPolicy),
+      scan: options.scan
+    }),
+    limits: { files: 1 }
+  });
+  const receiveFile = upload.single('file');
+
+  async function notifyUpdate(file, changes, req) {
+    if (!hooks.onUpdate) return;
+    // Non-blocking — errors are logged but don't fail the request
+    try {
+      await hooks.onUpdate({ ...file, userId: req.user.id, tenantId: req.user.tenantId, changes, req });
+    } catch (hookErr) {
+      console.error('onUpdate hook error (non-fatal):', hookErr.message);
+    }
+  }
+
+  /**
+   * The file as it is before a change, for the usage difference. Null without a quota tracker.
+   */
+  async function currentFile(req) {
+    if (!options.quota) return null;
+
+    const blobPrefix = hooks.resolveTenant
+      ? await hooks.resolveTenant(req, req.user)
+      : null;
+    return storage.statFile(req.params.id, req.user.tenantId, req.user.id, req.fileScope || 'user', blobPrefix);
+  }
+
+  async function recordChange(previous, file) {
+    if (!previous) return;
+    await options.quota.record({ tenantId: previous.tenantId, userId: previous.uploadedBy }, file.size - previous.size, 0);
+  }
+
+  router.put('/files/:id', uploadLimiter, async (req, res) => {
+    try {
+      if (!UUID.test(req.params.id)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+
+      // The replaced content's size is freed up for the new one
+      const previous = await currentFile(req);
+      const allowance = previous && await options.quota.allowance(req);
+      if (allowance) {
+        req.quotaAllowance = { ...allowance, bytes: allowance.bytes + previous.size, files: Infinity };
+      }
+
+      await new Promise((resolve, reject) => {
+        receiveFile(req, res, (err) => (err ? reject(err) : resolve()));
+      });
+
+      if (!req.file) {
+        return res.status(400).json({ error: 'Bad Request', message: 'No file uploaded' });
+      }
+      if (req.file.uploadError) {
+        throw req.file.uploadError;
+      }
+
+      const file = req.file.storageMeta;
+      await recordChange(previous, file);
+      await notifyUpdate(file, { newVersion: true }, req);
+
+      if (file.etag) res.setHeader('ETag', file.etag);
+      res.status(200).json({ success: true, file: fileMetadataResponse(file) });
+    } catch (error) {
+      if (error.code === 'ECONNABORTED') {
+        console.warn('Version upload aborted by client; partial upload discarded');
+        return;
+      }
+      console.error('Version upload error:', error);
+      sendError(res, error, 'Failed to upload file version');
+    }
+  });
+
+  router.get('/files/:id/versions', async (req, res) => {
+    try {
+      const fileId = req.params.id;
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const versions = await storage.listFileVersions(fileId, user.tenantId, user.id, scope, blobPrefix);
+
+      res.setHeader('Cache-Control', 'private, no-cache');
+      res.status(200).json({ success: true, fileId, count: versions.length, versions });
+    } catch (error) {
+      console.error('List versions error:', error);
+      sendError(res, error, 'Failed to list file versions');
+    }
+  });
+
+  router.post('/files/:id/versions/:versionId/promote', async (req, res) => {
+    try {
+      const { id: fileId, versionId } = req.params;
+      const user = req.user;
+      const scope = req.fileScope || 'user';
+
+      if (!UUID.test(fileId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid file ID format' });
+      }
+      if (!VERSION_ID.test(versionId)) {
+        return res.status(400).json({ error: 'Bad Request', message: 'Invalid version ID format' });
+      }
+
+      const blobPrefix = hooks.resolveTenant
+        ? await hooks.resolveTenant(req, user)
+        : null;
+
+      const previous = await currentFile(req);
+      const file = await storage.promoteFileVersion(fileId, user.tenantId, user.id, scope, blobPrefix, versionId, {
+        ifMatch: req.headers['if-match']
+      });
+      await recordChange(previous, file);
+      await notifyUpdate(file, { promotedVersion: versionId }, req);
+
+      if (file.etag) res.setHeader('ETag', file.etag);
+      res.status(200).json({ success: true, file: fileMetadataResponse(file) });
+    } catch (error) {
+      console.error('Promote version error:', error);
+      sendError(res, error, 'Failed to promote file version');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,1299 @@
+import {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { v4 as uuidv4 } from 'uuid';
+import { StorageDriver, DIRECT_UPLOAD_TTL, countBytes, readChunks } from './storage.js';
+import { digestBuffer, digestStream } from './checksum.js';
+
+// S3 multipart parts must be at least 5MB (except the last one)
+const PART_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Whether a conditional request lost its race: 412 when the ETag no longer
+ * matches, 409 ConditionalRequestConflict when another write was in flight.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isConditionFailure(error) {
+  const status = error.$metadata?.httpStatusCode;
+  return status === 412 || (status === 409 && error.name === 'ConditionalRequestConflict');
+}
+
+/**
+ * S3-compatible object storage operations (AWS S3, MinIO, ...).
+ * Handles upload, download, stat, list, and delete operations.
+ *
+ * Object keys follow the same prefix scheme as AzureStorageClient and the
+ * file metadata is stored as S3 user metadata (x-amz-meta-*). S3 only allows
+ * US-ASCII metadata values, so original_filename is stored URI-encoded.
+ */
+export class S3StorageClient extends StorageDriver {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket            - Bucket name
+   * @param {string} [options.region]          - AWS region (default 'us-east-1')
+   * @param {string} [options.endpoint]        - Custom endpoint, e.g. 'http://localhost:9000' for MinIO
+   * @param {boolean} [options.forcePathStyle] - Path-style addressing (default: true when endpoint is set)
+   * @param {string} [options.accessKeyId]     - Access key (falls back to the AWS default credential chain)
+   * @param {string} [options.secretAccessKey] - Secret key
+   */
+  constructor(options = {}) {
+    super();
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = options.endpoint || null;
+    this.forcePathStyle = options.forcePathStyle ?? !!options.endpoint;
+    this.accessKeyId = options.accessKeyId || null;
+    this.secretAccessKey = options.secretAccessKey || null;
+    this.client = null;
+    this.isConfigured = !!options.bucket;
+  }
+
+  /**
+   * Initialize the S3 client and create the bucket if it does not exist.
+   */
+  async initialize() {
+    if (!this.isConfigured) {
+      console.warn('⚠️  S3_BUCKET not set — file uploads will fail');
+      return;
+    }
+
+    try {
+      const clientConfig = {
+        region: this.region,
+        forcePathStyle: this.forcePathStyle,
+        // Otherwise presigned PUT URLs embed the CRC32 of an empty body and every real upload fails
+        requestChecksumCalculation: 'WHEN_REQUIRED'
+      };
+      if (this.endpoint) clientConfig.endpoint = this.endpoint;
+      if (this.accessKeyId && this.secretAccessKey) {
+        clientConfig.credentials = {
+          accessKeyId: this.accessKeyId,
+          secretAccessKey: this.secretAccessKey
+        };
+      }
+
+      this.client = new S3Client(clientConfig);
+
+      try {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode !== 404) throw error;
+        await this.client.send(new CreateBucketCommand({ Bucket: this.bucket }));
+      }
+
+      console.log(`S3 storage initialized: bucket=${this.bucket}${this.endpoint ? ` endpoint=${this.endpoint}` : ''}`);
+    } catch (error) {
+      console.error('Failed to initialize S3 storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload file to S3.
+   *
+   * @param {string} tenantId - Tenant ID (stored as metadata)
+   * @param {string} userId - User ID (for ownership metadata)
+   * @param {Buffer|Readable} content - File content. Streams are sent as a multipart upload
+   *                                    that is aborted (parts discarded) if the stream fails.
+   * @param {string} originalFilename - Original filename
+   * @param {string} contentType - MIME type
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [attributes={}] - resource_type / resource_id / meta_* (metadata + object tags)
+   * @param {Object} [options={}] - { checksum, dedup }; in dedup mode the object holds only the content hash
+   * @returns {Object} File metadata
+   */
+  async uploadFile(tenantId, userId, content, originalFilename, contentType, scope = 'user', blobPrefix = null, attributes = {}, options = {}) {
+    this.assertReady();
+
+    const fileId = uuidv4();
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const blobName = this.blobName(prefix, fileId);
+    const uploadedAt = new Date().toISOString();
+
+    const metadata = {
+      tenant_id: tenantId || '',
+      user_id: userId,
+      original_filename: originalFilename,
+      content_type: contentType,
+      uploaded_at: uploadedAt,
+      file_id: fileId,
+      scope: scope,
+      ...attributes
+    };
+    const params = {
+      Bucket: this.bucket,
+      Key: blobName,
+      ContentType: contentType,
+      Metadata: this.encodeMetadata(metadata),
+      Tagging: this.encodeTags(attributes)
+    };
+
+    let size;
+    let digests;
+    if (options.dedup) {
+      const shared = await this.storeSharedContent(tenantId, fileId, content, options.checksum);
+      ({ size, digests } = shared);
+      const stored = { ...metadata, ...this.checksumMetadata(digests), ...this.sharedContentMetadata(shared) };
+      try {
+        await this.client.send(new PutObjectCommand({ ...params, Metadata: this.encodeMetadata(stored), Body: shared.hash }));
+      } catch (error) {
+        await this.releaseSharedContent(stored);
+        throw error;
+      }
+    } else if (Buffer.isBuffer(content)) {
+      digests = digestBuffer(content, options.checksum);
+      params.Metadata = this.encodeMetadata({ ...metadata, ...this.checksumMetadata(digests) });
+      await this.client.send(new PutObjectCommand({ ...params, Body: content, ContentLength: content.length }));
+      size = content.length;
+    } else {
+      const counted = countBytes(content);
+      const hashed = digestStream(counted, options.checksum);
+      const { ETag } = await new Upload({ client: this.client, params: { ...params, Body: hashed } }).done();
+      size = counted.bytes;
+      digests = hashed.digests;
+      await this.recordDigests({ key: blobName, etag: ETag, size }, metadata, digests);
+    }
+
+    return {
+      fileId,
+      blobName,
+      tenantId,
+      userId,
+      originalFilename,
+      contentType,
+      size,
+      uploadedAt,
+      checksum: digests,
+      ...this.fileAttributes(attributes)
+    };
+  }
+
+  /**
+   * Download file from S3.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID (for namespace prefix resolution)
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [range={}] - { offset = 0, count } byte range to read
+   * @param {Object} [options={}] - { version } to read an earlier version, { variant } an image variant
+   * @returns {Object} { stream, metadata }
+   */
+  async downloadFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, range = {}, options = {}) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix, { version: options.version, variant: options.variant });
+
+    const offset = range.offset || 0;
+    const byteRange = offset > 0 || range.count !== undefined
+      ? `bytes=${offset}-${range.count === undefined ? '' : offset + range.count - 1}`
+      : undefined;
+
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: object.contentKey,
+      Range: byteRange
+    }));
+
+    return {
+      stream: response.Body,
+      metadata: {
+        fileName: object.metadata.original_filename,
+        contentType: object.metadata.content_type,
+        size: object.size,
+        etag: object.etag,
+        lastModified: object.lastModified
+      }
+    };
+  }
+
+  /**
+   * Read file metadata without downloading the object.
+   *
+   * @returns {Object} { fileId, fileName, contentType, size, uploadedAt, etag, lastModified }
+   */
+  async statFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix, { version: options.version, variant: options.variant });
+
+    return this.toFileStat(fileId, object.metadata, {
+      size: object.size,
+      etag: object.etag,
+      lastModified: object.lastModified,
+      versionId: object.versionId || null
+    });
+  }
+
+  /**
+   * List files in a prefix namespace.
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Array} List of file metadata
+   */
+  async listFiles(tenantId, userId, scope = 'user', blobPrefix = null) {
+    this.assertReady();
+
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const files = [];
+
+    for await (const key of this.listKeys(prefix)) {
+      const object = await this.headObject(key);
+      if (!object || !object.metadata.file_id || object.metadata.deleted_at) continue;
+
+      files.push(this.toListedFile(object.metadata, object.size));
+    }
+
+    return files;
+  }
+
+  /**
+   * Read one page of objects via ListObjectsV2's continuation token.
+   * Metadata needs a HEAD per object, so keys before `after` are skipped first.
+   */
+  async listPage(prefix, token, pageSize, after) {
+    this.assertReady();
+
+    const response = await this.client.send(new ListObjectsV2Command({
+      Bucket: this.bucket,
+      Prefix: prefix,
+      MaxKeys: pageSize,
+      ContinuationToken: token || undefined
+    }));
+
+    const entries = [];
+    for (const item of response.Contents || []) {
+      if (after !== null && item.Key <= after) continue;
+
+      const object = await this.headObject(item.Key);
+      if (!object || !object.metadata.file_id) continue;
+
+      entries.push({ key: item.Key, file: this.toListedFile(object.metadata, object.size) });
+    }
+
+    return { entries, nextToken: response.IsTruncated ? response.NextContinuationToken : null };
+  }
+
+  /**
+   * Update an object's metadata in place by copying it onto itself.
+   * `ifMatch` is checked against the file's ETag, which includes the metadata
+   * revision (see headObject), and the copy is conditional on the content
+   * ETag that was read. The check and the copy are separate requests, so two
+   * edits racing between them can both apply.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [changes={}] - { originalFilename?, contentType?, meta? }
+   * @param {Object} [options={}] - { ifMatch }
+   * @returns {Object} Updated file metadata (same shape as statFile)
+   */
+  async updateFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, changes = {}, options = {}) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(object.etag, options.ifMatch);
+
+    await this.replaceMetadata(object, this.applyFileChanges(object.metadata, changes, options));
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Delete file from S3, with its versions and image variants. Content it
+   * shares in dedup mode is deleted once no other file refers to it.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   */
+  async deleteFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: object.key
+    }));
+    await this.deleteVersions(fileId);
+    await this.deleteVariants(object);
+    await this.releaseSharedContent(object.metadata);
+  }
+
+  /**
+   * Replace an object's content. The current object is first copied to
+   * `_versions/{fileId}/{versionId}`; if the new upload fails, that copy is
+   * removed again and the object is unchanged. The copy and the upload are
+   * conditional on the content ETag that was read, so a concurrent PUT or
+   * promote gives 412; a concurrent metadata-only edit is not detected there
+   * and is overwritten.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Buffer|Readable} content - New content
+   * @param {string} originalFilename - Filename of the new content
+   * @param {string} contentType - MIME type of the new content
+   * @param {Object} [options={}] - { ifMatch }
+   * @returns {Object} New current file metadata (same shape as statFile)
+   */
+  async putFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, content, originalFilename, contentType, options = {}) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(object.etag, options.ifMatch);
+
+    const metadata = this.versionMetadata(object.metadata, originalFilename, contentType);
+    const params = {
+      Bucket: this.bucket,
+      Key: object.key,
+      IfMatch: object.contentEtag || object.etag,
+      ContentType: contentType,
+      Metadata: this.encodeMetadata(metadata),
+      Tagging: this.encodeTags(this.pickAttributes(metadata))
+    };
+
+    const versionKey = await this.archiveVersion(object);
+    let streamed = null;
+    try {
+      if (Buffer.isBuffer(content)) {
+        const digests = digestBuffer(content, options.checksum);
+        params.Metadata = this.encodeMetadata({ ...metadata, ...this.checksumMetadata(digests) });
+        await this.client.send(new PutObjectCommand({ ...params, Body: content, ContentLength: content.length }));
+      } else {
+        const counted = countBytes(content);
+        const hashed = digestStream(counted, options.checksum);
+        const { ETag } = await new Upload({ client: this.client, params: { ...params, Body: hashed } }).done();
+        streamed = { key: object.key, etag: ETag, size: counted.bytes, digests: hashed.digests };
+      }
+    } catch (error) {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: versionKey })).catch(() => {});
+      if (isConditionFailure(error)) this.preconditionFailed();
+      throw error;
+    }
+
+    if (streamed) {
+      await this.recordDigests(streamed, metadata, streamed.digests);
+    }
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * List the current object and the copies under `_versions/{fileId}/`.
+   *
+   * @returns {Array} [{ versionId, current, fileName, contentType, size, uploadedAt }]
+   */
+  async listFileVersions(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+    const prefix = this.versionPrefix(fileId);
+
+    const versions = [];
+    for await (const key of this.listKeys(prefix)) {
+      const version = await this.headObject(key);
+      if (version) versions.push(this.toFileVersion(key.slice(prefix.length), version.metadata, version.size));
+    }
+
+    return this.sortFileVersions(this.toFileVersion(null, object.metadata, object.size), versions);
+  }
+
+  /**
+   * Copy an earlier version back over the object, keeping the current
+   * content as a version first. The archive copy and the copy back are
+   * conditional on the content ETag that was read; if the copy back fails,
+   * the archived version is removed again.
+   *
+   * @param {string} versionId - From listFileVersions
+   * @param {Object} [options={}] - { ifMatch }
+   * @returns {Object} New current file metadata (same shape as statFile)
+   */
+  async promoteFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, versionId, options = {}) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+    this.checkIfMatch(object.etag, options.ifMatch);
+    const version = await this.findVersion(fileId, versionId);
+    if (this.exceedsCopyLimit(version)) {
+      this.notSupported('File versions over 5GB');
+    }
+
+    const metadata = this.versionMetadata(object.metadata, version.metadata.original_filename, version.metadata.content_type, version.metadata);
+
+    const versionKey = await this.archiveVersion(object);
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: object.key,
+        IfMatch: object.contentEtag || object.etag,
+        CopySource: `${this.bucket}/${encodeURIComponent(version.key)}`,
+        MetadataDirective: 'REPLACE',
+        ContentType: metadata.content_type,
+        Metadata: this.encodeMetadata({ ...metadata, revision: uuidv4() }),
+        TaggingDirective: 'REPLACE',
+        Tagging: this.encodeTags(this.pickAttributes(metadata))
+      }));
+    } catch (error) {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: versionKey })).catch(() => {});
+      if (isConditionFailure(error)) this.preconditionFailed();
+      throw error;
+    }
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Upload an image variant to `{prefix}_variants/{fileId}/{variant}`.
+   *
+   * @param {string} variant - Preset key
+   * @param {Buffer} content - The rendered image
+   * @param {string} fileName - Variant filename
+   * @param {string} contentType - Variant MIME type
+   * @returns {Object} Variant metadata (same shape as statFile)
+   */
+  async putFileVariant(fileId, tenantId, userId, scope = 'user', blobPrefix = null, variant, content, fileName, contentType) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+
+    const metadata = this.variantMetadata(object.metadata, fileName, contentType, digestBuffer(content));
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.variantPrefix(object.key, fileId) + variant,
+      Body: content,
+      ContentLength: content.length,
+      ContentType: contentType,
+      Metadata: this.encodeMetadata(metadata)
+    }));
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix, { variant });
+  }
+
+  /**
+   * Mark an object as deleted in its metadata and record it under `_trash/`.
+   * The record is written first, so a failed trash leaves only a stale
+   * record, which purgeTrash drops.
+   *
+   * @param {string} fileId - File ID (UUID)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (for ownership validation; stored as deleted_by)
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Object} { fileId, deletedAt }
+   */
+  async trashFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix);
+    const { metadata, record } = this.trashEntry({ name: object.key, metadata: object.metadata }, userId);
+
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.trashRecordName(fileId),
+      Body: JSON.stringify(record),
+      ContentType: 'application/json'
+    }));
+    await this.replaceMetadata(object, metadata);
+
+    return { fileId, deletedAt: record.deleted_at };
+  }
+
+  /**
+   * Clear a trashed object's deletion mark and drop its trash record.
+   *
+   * @returns {Object} Restored file metadata (same shape as statFile)
+   */
+  async restoreFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    const object = await this.findObject(fileId, tenantId, userId, scope, blobPrefix, { trashed: true });
+
+    await this.replaceMetadata(object, this.restoredMetadata(object.metadata));
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.trashRecordName(fileId)
+    }));
+
+    return this.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  }
+
+  /**
+   * Delete every object trashed before `before`. A record whose object was
+   * restored (or trashed again later) only loses the stale record.
+   *
+   * @param {Date} before
+   * @returns {Array} [{ fileId, blobName, tenantId, userId, size }]
+   */
+  async purgeTrash(before) {
+    this.assertReady();
+
+    const purged = [];
+    for await (const key of this.listKeys('_trash/')) {
+      const content = await this.getObjectBuffer(key);
+      // Purged by another run in the meantime
+      if (!content) continue;
+
+      const record = JSON.parse(content.toString('utf8'));
+      if (!(Date.parse(record.deleted_at) < before.getTime())) continue;
+
+      const object = await this.headObject(record.blob_name);
+      if (object && object.metadata.deleted_at === record.deleted_at) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: object.key }));
+        await this.deleteVersions(record.file_id);
+        await this.deleteVariants(object);
+        await this.releaseSharedContent(object.metadata);
+        purged.push(this.purgedEntry(record, object.metadata, object.size));
+      }
+
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+
+    return purged;
+  }
+
+  /**
+   * Start a resumable upload backed by an S3 multipart upload.
+   *
+   * tus chunks can be any size but multipart parts must be ≥ 5MB, so bytes that
+   * do not fill a whole part are parked in `_uploads/{uploadId}.tail` and
+   * prepended to the next chunk.
+   *
+   * Object metadata is fixed when the multipart upload is created, so the
+   * object's uploaded_at is the creation time of the upload.
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {Object} file - { originalFilename, contentType, length }
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @returns {Object} Upload state
+   */
+  async createResumableUpload(tenantId, userId, file, scope = 'user', blobPrefix = null) {
+    this.assertReady();
+
+    const state = this.newUploadState(tenantId, userId, file, scope, blobPrefix);
+
+    const response = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: state.blob_name,
+      ContentType: state.content_type,
+      Metadata: this.encodeMetadata({ ...this.uploadBlobMetadata(state), uploaded_at: state.created_at }),
+      Tagging: this.encodeTags(state.attributes)
+    }));
+    state.s3_upload_id = response.UploadId;
+
+    await this.writeUploadState(state);
+
+    return this.toUpload(state, 0);
+  }
+
+  /**
+   * Read a resumable upload's state. The offset is the size of the uploaded parts plus the tail.
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Upload state
+   */
+  async getResumableUpload(uploadId) {
+    const state = await this.readUploadState(uploadId);
+
+    if (state.completed_at) {
+      return this.toUpload(state, state.length);
+    }
+
+    const parts = await this.listUploadParts(state);
+    const tail = await this.headObject(this.uploadTailName(uploadId));
+    const offset = parts.reduce((sum, part) => sum + part.Size, 0) + (tail ? tail.size : 0);
+
+    return this.toUpload(state, offset);
+  }
+
+  /**
+   * Upload the incoming bytes as 5MB parts; complete the multipart upload once all bytes are in.
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {number} offset - Expected current offset
+   * @param {Readable} stream - Chunk content
+   * @param {Object} [options] - { contentType, head } (see StorageDriver#appendResumableUpload)
+   * @returns {Object} { offset, completed, file }
+   */
+  async appendResumableUpload(uploadId, offset, stream, options = {}) {
+    const state = await this.readUploadState(uploadId);
+    const parts = state.completed_at ? [] : await this.listUploadParts(state);
+    const tailName = this.uploadTailName(uploadId);
+    const tail = state.completed_at ? null : await this.getObjectBuffer(tailName);
+
+    let committed = parts.reduce((sum, part) => sum + part.Size, 0);
+    const stored = state.completed_at ? state.length : committed + (tail ? tail.length : 0);
+    this.checkUploadOffset(this.toUpload(state, stored), offset);
+
+    if ((options.contentType && options.contentType !== state.content_type) || options.head) {
+      // Stored now: the upload may be completed by a later request
+      if (options.contentType) state.content_type = options.contentType;
+      if (options.head) state.head = options.head.toString('base64');
+      await this.writeUploadState(state);
+    }
+
+    const completedParts = parts.map(part => ({ ETag: part.ETag, PartNumber: part.PartNumber }));
+    let staleTail = !!tail;
+
+    const source = tail
+      ? (async function* () { yield tail; yield* stream; })()
+      : stream;
+
+    for await (const chunk of readChunks(source, PART_SIZE)) {
+      const isLastPart = committed + chunk.length === state.length;
+
+      if (chunk.length < PART_SIZE && !isLastPart) {
+        // Not enough for a part yet — park it until the next chunk
+        await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: tailName, Body: chunk }));
+        staleTail = false;
+        continue;
+      }
+
+      const partNumber = completedParts.length + 1;
+      const response = await this.client.send(new UploadPartCommand({
+        Bucket: this.bucket,
+        Key: state.blob_name,
+        UploadId: state.s3_upload_id,
+        PartNumber: partNumber,
+        Body: chunk,
+        ContentLength: chunk.length
+      }));
+      completedParts.push({ ETag: response.ETag, PartNumber: partNumber });
+      committed += chunk.length;
+
+      // The old tail's bytes are now inside a part; drop it so they are not counted twice
+      if (staleTail) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: tailName }));
+        staleTail = false;
+      }
+    }
+
+    if (committed < state.length) {
+      const pending = await this.headObject(tailName);
+      return { offset: committed + (pending ? pending.size : 0), completed: false, file: null };
+    }
+
+    state.completed_at = new Date().toISOString();
+
+    if (completedParts.length === 0) {
+      // Zero-byte upload: S3 cannot complete a multipart upload without parts
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket, Key: state.blob_name, UploadId: state.s3_upload_id
+      }));
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: state.blob_name,
+        Body: Buffer.alloc(0),
+        ContentType: state.content_type,
+        Metadata: this.encodeMetadata(this.uploadBlobMetadata(state)),
+        Tagging: this.encodeTags(state.attributes)
+      }));
+    } else {
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: state.blob_name,
+        UploadId: state.s3_upload_id,
+        MultipartUpload: { Parts: completedParts }
+      }));
+    }
+
+    await this.writeUploadState(state);
+
+    return { offset: committed, completed: true, file: this.uploadFileResult(state) };
+  }
+
+  /**
+   * Discard an unfinished resumable upload and its uploaded parts.
+   *
+   * @param {string} uploadId - Upload ID
+   */
+  async abortResumableUpload(uploadId) {
+    const state = await this.readUploadState(uploadId);
+
+    if (state.completed_at) {
+      const error = new Error('Upload already completed');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    await this.client.send(new AbortMultipartUploadCommand({
+      Bucket: this.bucket, Key: state.blob_name, UploadId: state.s3_upload_id
+    }));
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.uploadTailName(uploadId) }));
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.uploadStateName(uploadId) }));
+  }
+
+  /**
+   * Issue a presigned PUT URL for the upload's staging key.
+   *
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {Object} file - { originalFilename, contentType, length, attributes?, checksum? }
+   * @param {string} [scope='user'] - Storage scope: 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - Override blob prefix (from resolveTenant hook)
+   * @param {Object} [options]
+   * @param {number} [options.expiresIn=900] - URL lifetime in seconds
+   * @returns {Object} upload plus { url, method, headers, expiresAt }
+   */
+  async createDirectUpload(tenantId, userId, file, scope = 'user', blobPrefix = null, options = {}) {
+    this.assertReady();
+
+    const state = this.newUploadState(tenantId, userId, file, scope, blobPrefix, 'direct');
+    state.checksum = file.checksum || null;
+    const expiresIn = options.expiresIn || DIRECT_UPLOAD_TTL;
+
+    const url = await getSignedUrl(this.client, new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.directUploadName(state.upload_id),
+      ContentType: state.content_type
+    }), { expiresIn });
+
+    state.expires_at = new Date(Date.now() + expiresIn * 1000).toISOString();
+    await this.writeUploadState(state);
+
+    return {
+      ...this.toUpload(state, 0),
+      url,
+      method: 'PUT',
+      headers: { 'Content-Type': state.content_type },
+      expiresAt: state.expires_at
+    };
+  }
+
+  /**
+   * Read a direct upload's state.
+   *
+   * @param {string} uploadId - Upload ID
+   * @returns {Object} Upload state
+   */
+  async getDirectUpload(uploadId) {
+    const state = await this.readUploadState(uploadId, 'direct');
+    return this.toUpload(state, 0);
+  }
+
+  /**
+   * Verify the staged object, then copy it to the file's key with its
+   * metadata, detected content type and digests, and delete it. A presigned PUT is at most 5GB, which a
+   * single CopyObject always covers. Reading and copying are both conditional
+   * on the ETag that was checked.
+   *
+   * @param {string} uploadId - Upload ID
+   * @param {Object} [options] - { resolveContentType } (see StorageDriver#completeDirectUpload)
+   * @returns {Object} File metadata (same shape as uploadFile)
+   */
+  async completeDirectUpload(uploadId, options = {}) {
+    const state = await this.readUploadState(uploadId, 'direct');
+    const staging = this.directUploadName(uploadId);
+
+    // The object's own length: its metadata is whatever the client sent
+    let head = null;
+    try {
+      head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: staging }));
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode !== 404) throw error;
+    }
+
+    const size = head ? head.ContentLength : null;
+    // Bytes written after completion are never used
+    if (head && (state.completed_at || size !== state.length)) {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: staging }));
+    }
+    this.checkDirectUploadSize(state, size);
+
+    let digests;
+    try {
+      const object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: staging, IfMatch: head.ETag }));
+      digests = await this.inspectDirectUpload(object.Body, state, options);
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 412) throw this.directUploadOverwritten();
+      if (error.statusCode === 400 || error.statusCode === 415) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: staging }));
+      }
+      throw error;
+    }
+
+    state.completed_at = new Date().toISOString();
+
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: state.blob_name,
+        CopySource: `${this.bucket}/${encodeURIComponent(staging)}`,
+        CopySourceIfMatch: head.ETag,
+        MetadataDirective: 'REPLACE',
+        ContentType: state.content_type,
+        Metadata: this.encodeMetadata({ ...this.uploadBlobMetadata(state), ...this.checksumMetadata(digests) }),
+        TaggingDirective: 'REPLACE',
+        Tagging: this.encodeTags(state.attributes)
+      }));
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 412) throw this.directUploadOverwritten();
+      throw error;
+    }
+
+    await this.writeUploadState(state);
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: staging }));
+
+    return { ...this.uploadFileResult(state), checksum: digests };
+  }
+
+  /**
+   * Rename legacy `{fileId}.{ext}` objects to `{fileId}` (server-side copy + delete).
+   *
+   * @param {string} [prefix=''] - Only migrate objects under this prefix
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report renames without performing them
+   * @returns {Array} [{ from, to }]
+   */
+  async migrateLegacyBlobNames(prefix = '', options = {}) {
+    this.assertReady();
+
+    const renamed = [];
+
+    for await (const key of this.listKeys(prefix)) {
+      const object = await this.headObject(key);
+      const target = object && this.migratedBlobName(key, object.metadata);
+      if (!target) continue;
+
+      if (!options.dryRun) {
+        await this.client.send(new CopyObjectCommand({
+          Bucket: this.bucket,
+          Key: target,
+          CopySource: `${this.bucket}/${encodeURIComponent(key)}`,
+          MetadataDirective: 'COPY'
+        }));
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+      }
+
+      renamed.push({ from: key, to: target });
+    }
+
+    return renamed;
+  }
+
+  /**
+   * Resolve a file ID to its object and check ownership. Trashed files are
+   * missing unless `options.trashed` is set, which looks only at the trash.
+   * With `options.version`, the checks apply to the current object and that
+   * earlier version is returned instead; likewise the image variant named by
+   * `options.variant`.
+   * HEADs `{prefix}{fileId}` directly; falls back to a listing narrowed to
+   * `{prefix}{fileId}.` for objects stored under the legacy `{fileId}.{ext}` key.
+   *
+   * @returns {Object} { key, size, metadata }
+   */
+  async findObject(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    this.assertReady();
+
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    const key = this.blobName(prefix, fileId);
+
+    let object = await this.headObject(key);
+
+    if (!object) {
+      for await (const legacyKey of this.listKeys(`${key}.`)) {
+        object = await this.headObject(legacyKey);
+        if (object && object.metadata.file_id === fileId) break;
+        object = null;
+      }
+    }
+
+    if (!object || object.metadata.file_id !== fileId) {
+      throw new Error('File not found');
+    }
+
+    this.checkOwnership(object.metadata, userId, scope, blobPrefix);
+    this.checkTrashed(object.metadata, options.trashed);
+
+    if (options.variant) return this.findVariant(object, options.variant);
+    return options.version ? this.findVersion(fileId, options.version) : object;
+  }
+
+  /**
+   * HEAD an image variant of a file. Callers check the object first.
+   *
+   * @param {Object} object - The file, from findObject
+   * @param {string} variant - Preset key
+   * @returns {Object} { key, size, metadata, etag, lastModified }
+   */
+  async findVariant(object, variant) {
+    const found = await this.headObject(this.variantPrefix(object.key, object.metadata.file_id) + variant);
+    if (!found) throw new Error('Variant not found');
+
+    return found;
+  }
+
+  /**
+   * HEAD an earlier version of a file. Callers check the current object first.
+   *
+   * @param {string} fileId
+   * @param {string} versionId
+   * @returns {Object} { key, size, metadata, etag, lastModified, versionId }
+   */
+  async findVersion(fileId, versionId) {
+    const version = await this.headObject(this.versionName(fileId, versionId));
+    if (!version) throw new Error('Version not found');
+
+    return { ...version, versionId };
+  }
+
+  /**
+   * Copy an object (content, metadata and tags) to a new version key. The
+   * copy is conditional on the content ETag that was read (412 otherwise).
+   *
+   * @param {Object} object - From findObject
+   * @returns {Promise<string>} the version's key
+   */
+  async archiveVersion(object) {
+    if (this.exceedsCopyLimit(object)) {
+      this.notSupported('File versions on objects over 5GB');
+    }
+
+    const key = this.versionName(object.metadata.file_id, this.newVersionId());
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        CopySource: `${this.bucket}/${encodeURIComponent(object.key)}`,
+        CopySourceIfMatch: object.contentEtag || object.etag
+      }));
+    } catch (error) {
+      if (isConditionFailure(error)) this.preconditionFailed();
+      throw error;
+    }
+
+    return key;
+  }
+
+  /**
+   * Delete every stored version of a file.
+   *
+   * @param {string} fileId
+   */
+  async deleteVersions(fileId) {
+    for await (const key of this.listKeys(this.versionPrefix(fileId))) {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+  }
+
+  /**
+   * Delete every stored image variant of a file.
+   *
+   * @param {Object} object - The file, from findObject or headObject
+   */
+  async deleteVariants(object) {
+    for await (const key of this.listKeys(this.variantPrefix(object.key, object.metadata.file_id))) {
+      await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    }
+  }
+
+  /**
+   * Yield every object key under a prefix, following continuation tokens.
+   *
+   * @param {string} prefix
+   */
+  async *listKeys(prefix) {
+    let continuationToken;
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const item of response.Contents || []) {
+        yield item.Key;
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  /**
+   * HEAD an object and decode its metadata. Returns null when the object is gone.
+   * `contentKey` is where the bytes are: the shared content for a file stored
+   * in dedup mode, else the object itself.
+   *
+   * S3 ETags track content only, so `etag` adds the `revision` that
+   * replaceMetadata stores with every metadata change; `contentEtag` is the
+   * object's own, for conditional S3 requests.
+   *
+   * @param {string} key
+   * @returns {Object|null} { key, contentKey, size, metadata, etag, contentEtag, lastModified }
+   */
+  async headObject(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      const metadata = { ...(response.Metadata || {}) };
+      if (metadata.original_filename) {
+        metadata.original_filename = decodeURIComponent(metadata.original_filename);
+      }
+      return {
+        key,
+        contentKey: metadata.content_blob || key,
+        size: this.contentSize(metadata, response.ContentLength),
+        metadata,
+        etag: metadata.revision ? `${response.ETag.slice(0, -1)}.${metadata.revision}"` : response.ETag,
+        contentEtag: response.ETag,
+        lastModified: response.LastModified
+      };
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * All parts uploaded so far for a resumable upload, in part-number order.
+   *
+   * @param {Object} state - Upload state record
+   * @returns {Array} [{ PartNumber, ETag, Size }]
+   */
+  async listUploadParts(state) {
+    const parts = [];
+    let marker;
+    do {
+      const response = await this.client.send(new ListPartsCommand({
+        Bucket: this.bucket,
+        Key: state.blob_name,
+        UploadId: state.s3_upload_id,
+        PartNumberMarker: marker
+      }));
+      parts.push(...(response.Parts || []));
+      marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts.sort((a, b) => a.PartNumber - b.PartNumber);
+  }
+
+  /**
+   * Key of the object holding a resumable upload's not-yet-part-sized bytes.
+   *
+   * @param {string} uploadId
+   * @returns {string}
+   */
+  uploadTailName(uploadId) {
+    return `_uploads/${uploadId}.tail`;
+  }
+
+  /**
+   * Read a whole (small) object into memory. Returns null when it does not exist.
+   *
+   * @param {string} key
+   * @returns {Buffer|null}
+   */
+  async getObjectBuffer(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Load an upload's state record.
+   *
+   * @param {string} uploadId
+   * @param {string} [type='tus'] - Expected upload type; others read as 'Upload not found'
+   * @returns {Object}
+   */
+  async readUploadState(uploadId, type = 'tus') {
+    this.assertReady();
+
+    const content = await this.getObjectBuffer(this.uploadStateName(uploadId));
+    if (!content) throw new Error('Upload not found');
+
+    const state = JSON.parse(content.toString('utf8'));
+    this.checkUploadType(state, type);
+    return state;
+  }
+
+  /**
+   * Persist a resumable upload's state record.
+   *
+   * @param {Object} state
+   */
+  async writeUploadState(state) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.uploadStateName(state.upload_id),
+      Body: JSON.stringify(state),
+      ContentType: 'application/json'
+    }));
+  }
+
+  /**
+   * Upload shared content (dedup mode) to its own object.
+   */
+  async writeSharedBlob(name, content, expected = null) {
+    if (Buffer.isBuffer(content)) {
+      const digests = digestBuffer(content, expected);
+      await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: name, Body: content, ContentLength: content.length }));
+      return { size: content.length, digests };
+    }
+
+    const counted = countBytes(content);
+    const hashed = digestStream(counted, expected);
+    await new Upload({ client: this.client, params: { Bucket: this.bucket, Key: name, Body: hashed } }).done();
+    return { size: counted.bytes, digests: hashed.digests };
+  }
+
+  /**
+   * Create a JSON record object with a conditional write (If-None-Match: *).
+   */
+  async createSharedRecord(name, record) {
+    try {
+      await this.client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: name,
+        Body: JSON.stringify(record),
+        ContentType: 'application/json',
+        IfNoneMatch: '*'
+      }));
+      return true;
+    } catch (error) {
+      // 409 while a concurrent conditional write is still in flight
+      const status = error.$metadata?.httpStatusCode;
+      if (status === 412 || status === 409) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Read a record from createSharedRecord. Returns null when it does not exist.
+   */
+  async readSharedRecord(name) {
+    const content = await this.getObjectBuffer(name);
+    return content ? JSON.parse(content.toString('utf8')) : null;
+  }
+
+  /**
+   * Whether any object key starts with a prefix.
+   */
+  async hasSharedBlobs(prefix) {
+    const response = await this.client.send(new ListObjectsV2Command({ Bucket: this.bucket, Prefix: prefix, MaxKeys: 1 }));
+    return (response.Contents || []).length > 0;
+  }
+
+  /**
+   * Delete a shared content object or record.
+   */
+  async deleteSharedBlob(name) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: name }));
+  }
+
+  /**
+   * Whether an object is over the 5GB a single CopyObject can copy. The
+   * object of a file stored in dedup mode only holds the content hash.
+   *
+   * @param {Object} object - { size, metadata? }, e.g. from headObject
+   * @returns {boolean}
+   */
+  exceedsCopyLimit(object) {
+    return !object.metadata?.content_blob && object.size > 5 * 1024 * 1024 * 1024;
+  }
+
+  /**
+   * Record the digests of streamed content. Object metadata is fixed when an
+   * upload starts, so this copies the object onto itself once the digests are
+   * known. Skipped over 5GB (a single copy's limit) and if the object changed
+   * since the upload returned `etag`.
+   *
+   * @param {Object} object - { key, etag, size } of the uploaded object
+   * @param {Object} metadata - Metadata it was uploaded with
+   * @param {Object} digests - { sha256, md5 }
+   */
+  async recordDigests(object, metadata, digests) {
+    if (object.size > 5 * 1024 * 1024 * 1024) return;
+
+    try {
+      await this.replaceMetadata(object, { ...metadata, ...this.checksumMetadata(digests) });
+    } catch (error) {
+      if (error.statusCode !== 412) throw error;
+    }
+  }
+
+  /**
+   * Replace an object's metadata (and tags) by copying it onto itself, with
+   * a new `revision`. The copy is conditional on the content ETag that was
+   * read; losing the race gives 412.
+   *
+   * @param {Object} object - From findObject, or { key, etag, size } of a fresh upload
+   * @param {Object} metadata - Complete new metadata
+   */
+  async replaceMetadata(object, metadata) {
+    if (this.exceedsCopyLimit(object)) {
+      this.notSupported('Metadata changes on objects over 5GB');
+    }
+
+    try {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: object.key,
+        CopySource: `${this.bucket}/${encodeURIComponent(object.key)}`,
+        CopySourceIfMatch: object.contentEtag || object.etag,
+        MetadataDirective: 'REPLACE',
+        ContentType: metadata.content_type,
+        Metadata: this.encodeMetadata({ ...metadata, revision: uuidv4() }),
+        TaggingDirective: 'REPLACE',
+        Tagging: this.encodeTags(this.pickAttributes(metadata))
+      }));
+    } catch (error) {
+      if (!isConditionFailure(error)) throw error;
+      this.preconditionFailed();
+    }
+  }
+
+  /**
+   * Prepare blob metadata for S3: values must be US-ASCII, so the filename is URI-encoded.
+   *
+   * @param {Object} metadata
+   * @returns {Object}
+   */
+  encodeMetadata(metadata) {
+    return { ...metadata, original_filename: encodeURIComponent(metadata.original_filename) };
+  }
+
+  /**
+   * Object tags for file attributes as the `Tagging` query string, or undefined when there are none.
+   *
+   * @param {Object} [attributes]
+   * @returns {string|undefined}
+   */
+  encodeTags(attributes) {
+    return attributes && Object.keys(attributes).length ? new URLSearchParams(attributes).toString() : undefined;
+  }
+
+  /**
+   * Throw unless the driver is configured and initialized.
+   */
+  assertReady() {
+    if (!this.isConfigured) {
+      this.notConfigured();
+    }
+
+    if (!this.client) {
+      throw new Error('S3 storage not initialized');
+    }
+  }
+
+  /**
+   * Get the underlying S3 client (for advanced operations).
+   */
+  getClient() {
+    return this.client;
+  }
+}
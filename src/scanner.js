@@ -0,0 +1,231 @@
+/**
+ * Malware scanning for uploads.
+ *
+ * ClamdScanner speaks clamd's INSTREAM protocol over TCP or a Unix socket.
+ * createScanStage runs it on stored files and records the verdict in the
+ * file's metadata (`scan_status` = `clean` | `infected`, plus
+ * `scan_signature` and `scanned_at`); a file without a verdict is pending.
+ *
+ * - sync:  the upload request waits for the verdict; infected files are
+ *          deleted and the upload fails with 422.
+ * - async: the upload returns at once with the file pending and the scan runs
+ *          in the background; infected files stay in place, quarantined by
+ *          their `infected` status.
+ *
+ * Downloads refuse infected files, and files without a `clean` verdict while
+ * scanning is enabled (see sendFile's `requireScan`).
+ */
+
+import net from 'net';
+
+// clamd's default StreamMaxLength is 25MB; chunks just have to stay under it
+const CHUNK_SIZE = 64 * 1024;
+
+// Tries at recording a verdict while metadata edits keep changing the ETag
+const MAX_VERDICT_ATTEMPTS = 3;
+
+function scannerUnavailable(detail) {
+  const error = new Error(`Malware scanner unavailable: ${detail}`);
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * clamd client (INSTREAM).
+ */
+export class ClamdScanner {
+  /**
+   * @param {Object} [options={}]
+   * @param {string} [options.host='127.0.0.1']
+   * @param {number} [options.port=3310]
+   * @param {string} [options.socketPath] - Unix socket; takes precedence over host/port
+   * @param {number} [options.timeout=60000] - Socket idle timeout in ms
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 3310;
+    this.socketPath = options.socketPath || null;
+    this.timeout = options.timeout || 60000;
+  }
+
+  /**
+   * Stream content to clamd and return its verdict.
+   *
+   * @param {import('stream').Readable} stream
+   * @returns {Promise<Object>} { infected, signature } — signature is null when clean
+   * @throws {Error} statusCode 503 when clamd cannot be reached or reports an error
+   */
+  scanStream(stream) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socketPath
+        ? net.createConnection(this.socketPath)
+        : net.createConnection(this.port, this.host);
+
+      let reply = '';
+      let socketError = null;
+
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('timed out')));
+      socket.on('data', (chunk) => { reply += chunk.toString('utf8'); });
+      socket.on('error', (err) => { socketError = err; });
+
+      // clamd may answer early (e.g. size limit exceeded) and hang up; the
+      // reply counts, whatever happened to the rest of the upload
+      socket.on('close', () => {
+        stream.destroy();
+        const answer = reply.replace(/[\0\n]+$/, '');
+
+        if (!answer) {
+          return reject(scannerUnavailable(socketError ? socketError.message : 'no reply'));
+        }
+        if (answer.endsWith(': OK')) {
+          return resolve({ infected: false, signature: null });
+        }
+        const found = /: (.+) FOUND$/.exec(answer);
+        if (found) {
+          return resolve({ infected: true, signature: found[1] });
+        }
+        reject(scannerUnavailable(answer));
+      });
+
+      socket.once('connect', async () => {
+        try {
+          socket.write('zINSTREAM\0');
+          for await (const data of stream) {
+            for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+              if (socket.destroyed) return;
+              const part = data.subarray(i, i + CHUNK_SIZE);
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(part.length);
+              if (!socket.write(Buffer.concat([length, part]))) {
+                await new Promise(done => {
+                  socket.once('drain', done);
+                  socket.once('close', done);
+                });
+              }
+            }
+          }
+          // Zero-length chunk ends the stream
+          socket.end(Buffer.alloc(4));
+        } catch (err) {
+          socket.destroy(err);
+        }
+      });
+    });
+  }
+}
+
+/**
+ * The location of a stored upload result (from uploadFile, a completed tus
+ * upload or a completed direct upload), for scanning it.
+ *
+ * @param {Object} file - { fileId, tenantId, userId, blobName }
+ * @param {string} scope
+ * @returns {Object} { fileId, tenantId, userId, scope, blobPrefix }
+ */
+export function storedFileLocation(file, scope) {
+  return {
+    fileId: file.fileId,
+    tenantId: file.tenantId,
+    userId: file.userId,
+    scope,
+    blobPrefix: file.blobName.slice(0, file.blobName.length - file.fileId.length)
+  };
+}
+
+/**
+ * Scan a stored file and record the verdict in its metadata. If the content
+ * is replaced while it is being scanned, the verdict is dropped; the new
+ * content gets its own scan.
+ *
+ * @param {StorageDriver} storage
+ * @param {Object} scanner - { scanStream(stream) → { infected, signature } }
+ * @param {Object} location - { fileId, tenantId, userId, scope, blobPrefix }
+ * @returns {Promise<Object|null>} { status, signature }, null if the content changed
+ */
+export async function scanStoredFile(storage, scanner, location) {
+  const { fileId, tenantId, userId, scope, blobPrefix } = location;
+
+  let file = await storage.statFile(fileId, tenantId, userId, scope, blobPrefix);
+  const uploadedAt = file.uploadedAt;
+
+  const { stream } = await storage.downloadFile(fileId, tenantId, userId, scope, blobPrefix);
+  const result = await scanner.scanStream(stream);
+  const scan = { status: result.infected ? 'infected' : 'clean', signature: result.signature || null };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await storage.updateFile(fileId, tenantId, userId, scope, blobPrefix, { scan }, { ifMatch: file.etag });
+      return scan;
+    } catch (error) {
+      if (error.statusCode !== 412 || attempt === MAX_VERDICT_ATTEMPTS) throw error;
+    }
+
+    // Someone edited the file meanwhile; the verdict still holds for the same content
+    file = await storage.statFile(fileId, tenantId, userId, scope, blobPrefix);
+    if (file.uploadedAt !== uploadedAt) return null;
+  }
+}
+
+/**
+ * Build the scanning step the upload routes run on each stored file.
+ *
+ * @param {StorageDriver} storage
+ * @param {Object} scanner - { scanStream(stream) → { infected, signature } }, e.g. a ClamdScanner
+ * @param {Object} [options={}]
+ * @param {string} [options.mode='sync'] - 'sync' or 'async'
+ * @param {Object} [options.hooks={}] - Plugin hooks
+ * @param {Function} [options.hooks.onScan] - async (meta) => void  (meta: { fileId, tenantId, userId, status, signature })
+ * @returns {Function} async (location, { removeInfected = true }) => { status, signature }
+ *   — status is 'pending' in async mode. In sync mode an infected file throws
+ *   422 and a scanner failure 503; with `removeInfected` the file is deleted
+ *   first (pass false for new versions of an existing file).
+ */
+export function createScanStage(storage, scanner, options = {}) {
+  const mode = options.mode || 'sync';
+  const hooks = options.hooks || {};
+
+  async function scan(location) {
+    const verdict = await scanStoredFile(storage, scanner, location);
+    if (!verdict) return null;
+
+    if (hooks.onScan) {
+      try {
+        await hooks.onScan({ fileId: location.fileId, tenantId: location.tenantId, userId: location.userId, ...verdict });
+      } catch (hookErr) {
+        console.error('onScan hook error (non-fatal):', hookErr.message);
+      }
+    }
+    return verdict;
+  }
+
+  return async function scanUpload(location, { removeInfected = true } = {}) {
+    if (mode === 'async') {
+      scan(location).catch((error) => {
+        // The file stays pending, so downloads keep refusing it
+        console.error(`Malware scan of ${location.fileId} failed:`, error.message);
+      });
+      return { status: 'pending', signature: null };
+    }
+
+    const remove = () => (removeInfected
+      ? storage.deleteFile(location.fileId, location.tenantId, location.userId, location.scope, location.blobPrefix).catch(() => {})
+      : null);
+
+    let result;
+    try {
+      result = await scan(location);
+    } catch (error) {
+      await remove();
+      throw error.statusCode === 503 ? error : scannerUnavailable(error.message);
+    }
+
+    if (result && result.status === 'infected') {
+      await remove();
+      const error = new Error(`File is infected: ${result.signature}`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    return result || { status: 'pending', signature: null };
+  };
+}
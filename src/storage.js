@@ -0,0 +1,1442 @@
+import crypto from 'crypto';
+import { Transform, pipeline } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { digestStream } from './checksum.js';
+import { peekStream } from './content-type.js';
+
+/**
+ * Storage driver contract for stonescriptphp-files.
+ *
+ * Every route factory talks to storage through this interface only, so the
+ * backing store (Azure Blob Storage, local filesystem, ...) can be swapped
+ * via config without touching the HTTP layer.
+ *
+ * All drivers share the same blob naming scheme:
+ *
+ *   {tenantId}/{userId}/{fileId}   — user scope
+ *   {tenantId}/shared/{fileId}     — tenant scope
+ *   {blobPrefix}{fileId}           — resolveTenant hook override
+ *
+ * The blob name is derived from the file ID alone, so lookups go straight to
+ * the blob instead of scanning the prefix. Blobs written before 3.2 are named
+ * `{prefix}{fileId}.{ext}`; drivers still find them with a single listing
+ * narrowed to `{prefix}{fileId}.` and `migrateLegacyBlobNames()` renames them.
+ *
+ * Drivers also share the same metadata keys: tenant_id, user_id,
+ * original_filename, content_type, uploaded_at, file_id, scope. Optional file
+ * attributes (resource_type, resource_id, meta_*) are stored as metadata and
+ * also written as blob index tags / object tags where the backend has them.
+ *
+ * Resumable (tus) and direct (presigned URL) uploads keep a small JSON state
+ * record per upload under `_uploads/{uploadId}.json`, outside every
+ * tenant/user prefix. The record's `type` ('tus' or 'direct') keeps the two
+ * flows from acting on each other's uploads. The upload ID becomes the file
+ * ID once the upload completes. Direct uploads are written by the client to
+ * `_uploads/{uploadId}.direct` and copied to the file's blob on completion,
+ * so the URL the client holds never names a blob that is served.
+ *
+ * Listings page through storage in key order using the backend's own
+ * continuation token, wrapped with the last key returned into an opaque cursor.
+ *
+ * `PUT /files/:id` keeps earlier content as versions: Azure snapshots the blob;
+ * the other drivers copy it to `_versions/{fileId}/{versionId}` first. Deleting
+ * a file removes its versions with it.
+ *
+ * Soft-deleted files stay where they are with `deleted_at` / `deleted_by`
+ * metadata; lookups treat them as missing and listings skip them unless the
+ * trash is asked for. A `_trash/{fileId}.json` record per trashed file lets
+ * purgeTrash() find expired files without scanning every prefix.
+ *
+ * Uploads in dedup mode store their bytes once per tenant, under
+ * `_content/{tenantId}/`: the content itself at `blobs/{id}`, a
+ * `{sha256}.json` index record naming it, and a `{sha256}.refs/{fileId}`
+ * marker per file using it. The file's own blob stays where it would be, with
+ * the usual metadata plus `content_blob` / `content_size` pointing at the
+ * shared bytes, so lookups, listings and ownership checks do not change.
+ *
+ * Image variants (thumbnails, resized copies) sit next to their file as
+ * `{prefix}_variants/{fileId}/{presetKey}`. Their metadata names the file in
+ * `variant_of` instead of `file_id`, so listings and lookups pass over them,
+ * and keeps the file's `uploaded_at` to tell when the file has changed since.
+ *
+ * Error conventions (route handlers depend on these):
+ *   - `Error('File not found')`                  → 404
+ *   - `Error('Upload not found')`                → 404
+ *   - `Error('Version not found')`               → 404
+ *   - `Error('Variant not found')`               → 404
+ *   - `Error('Unauthorized: ...')`               → 403
+ *   - `Error(...)` with `statusCode = 400`       → 400 (malformed listing cursor)
+ *   - `Error(...)` with `statusCode = 409`       → 409 (upload offset / state conflict)
+ *   - `Error(...)` with `statusCode = 412`       → 412 (If-Match did not match the current ETag)
+ *   - `Error(...)` with `statusCode = 501`       → 501 (driver lacks the capability)
+ *   - `Error(...)` with `statusCode = 503`       → 503 (storage not configured)
+ */
+
+// Default lifetime of a presigned direct-upload URL, in seconds
+export const DIRECT_UPLOAD_TTL = 15 * 60;
+
+/**
+ * Wrap a readable in a pass-through that counts the bytes flowing through it.
+ * Source errors are forwarded, so consumers of the returned stream fail too.
+ *
+ * @param {import('stream').Readable} source
+ * @returns {import('stream').Transform} stream with a live `bytes` property
+ */
+export function countBytes(source) {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+
+  pipeline(source, counter, () => {});
+
+  return counter;
+}
+
+/**
+ * Re-chunk a readable into buffers of exactly `size` bytes (the last may be shorter).
+ * If the source fails part-way, the bytes already received are still yielded
+ * before the error is rethrown, so resumable uploads keep everything that arrived.
+ *
+ * @param {AsyncIterable<Buffer>} source
+ * @param {number} size
+ */
+export async function* readChunks(source, size) {
+  let buffered = [];
+  let length = 0;
+  let failure = null;
+
+  try {
+    for await (const chunk of source) {
+      buffered.push(chunk);
+      length += chunk.length;
+
+      while (length >= size) {
+        const all = Buffer.concat(buffered, length);
+        yield all.subarray(0, size);
+        buffered = [all.subarray(size)];
+        length -= size;
+      }
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  if (length > 0) yield Buffer.concat(buffered, length);
+  if (failure) throw failure;
+}
+
+// Blob index tags (Azure) and object tags (S3) allow 10 per blob;
+// resource_type and resource_id take two of them
+export const MAX_META_FIELDS = 8;
+
+const META_KEY = /^meta_[a-z0-9_]{1,64}$/;
+// Characters allowed in both Azure index tags and S3 tags
+const ATTRIBUTE_VALUE = /^[A-Za-z0-9 +\-./:=_]{1,256}$/;
+
+function attributeError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Validate file attributes from upload fields: `resource_type`, `resource_id`
+ * and up to MAX_META_FIELDS `meta_*` fields. Other fields and empty values are
+ * ignored.
+ *
+ * @param {Object} [fields] - Form fields, tus metadata or a JSON body
+ * @returns {Object} metadata entries to store, e.g. { resource_type, resource_id, meta_color }
+ * @throws {Error} statusCode 400 on an invalid key or value, or too many meta_* fields
+ */
+export function parseFileAttributes(fields) {
+  const attributes = {};
+
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (key !== 'resource_type' && key !== 'resource_id' && !key.startsWith('meta_')) continue;
+    if (value === undefined || value === null || value === '') continue;
+
+    if (key.startsWith('meta_') && !META_KEY.test(key)) {
+      throw attributeError(`Invalid metadata key "${key}": use meta_ followed by lowercase letters, digits or _`);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw attributeError(`${key} must be a single value`);
+    }
+    if (!ATTRIBUTE_VALUE.test(String(value))) {
+      throw attributeError(`Invalid ${key}: up to 256 letters, digits, spaces and + - . / : = _`);
+    }
+
+    attributes[key] = String(value);
+  }
+
+  if (Object.keys(attributes).filter(key => key.startsWith('meta_')).length > MAX_META_FIELDS) {
+    throw attributeError(`At most ${MAX_META_FIELDS} meta_* fields are allowed`);
+  }
+
+  return attributes;
+}
+
+// Version IDs are timestamps (Azure snapshot times, or ours with a random suffix)
+export const VERSION_ID = /^[0-9A-Za-z][0-9A-Za-z:.-]{0,63}$/;
+
+// Metadata keys that describe the content itself: the malware scan verdict
+// (see scanner.js), the digests (see checksum.js) and where deduplicated
+// content is kept (see storeSharedContent)
+const CONTENT_KEYS = ['scan_status', 'scan_signature', 'scanned_at', 'checksum_sha256', 'checksum_md5', 'content_blob', 'content_size'];
+
+// Largest page a single listing call returns
+export const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Encode a listing position as an opaque, URL-safe cursor.
+ *
+ * @param {string|null} token - Continuation token of the storage page to resume from
+ * @param {string|null} after - Last key already returned from that page
+ * @returns {string}
+ */
+function encodeListCursor(token, after) {
+  return Buffer.from(JSON.stringify({ t: token, a: after })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeListCursor.
+ *
+ * @param {string} cursor
+ * @returns {Object} { token, after }
+ * @throws {Error} statusCode 400 if the cursor is malformed
+ */
+function decodeListCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    position = null;
+  }
+
+  const valid = (value) => value === null || typeof value === 'string';
+  if (!position || !('t' in position) || !valid(position.t) || !valid(position.a)) {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { token: position.t, after: position.a };
+}
+
+/**
+ * Base class for storage drivers.
+ * Subclasses must implement initialize, uploadFile, downloadFile, statFile, listFiles and deleteFile.
+ */
+export class StorageDriver {
+  /**
+   * Prepare the backing store (create container / directory, open clients).
+   */
+  async initialize() {
+    throw new Error(`${this.constructor.name}.initialize() not implemented`);
+  }
+
+  /**
+   * Store a file. Readable content is streamed to the backend without being
+   * buffered; if the stream errors, nothing is left behind in storage. The
+   * content is hashed on the way (SHA-256 and MD5) and the digests stored with
+   * it; if they contradict `options.checksum`, nothing is stored either.
+   *
+   * With `options.dedup`, content the tenant already stored is not stored
+   * again: the new file refers to the existing bytes (see storeSharedContent).
+   *
+   * @param {string} tenantId
+   * @param {string} userId
+   * @param {Buffer|import('stream').Readable} content
+   * @param {string} originalFilename
+   * @param {string} contentType
+   * @param {string} [scope='user']
+   * @param {string} [blobPrefix=null]
+   * @param {Object} [attributes={}] - From parseFileAttributes
+   * @param {Object} [options={}]
+   * @param {Object} [options.checksum] - Expected { sha256?, md5? } (base64, see parseDigests)
+   * @param {boolean} [options.dedup=false] - Share identical content across the tenant's files
+   * @returns {Promise<Object>} { fileId, blobName, tenantId, userId, originalFilename, contentType, size, uploadedAt, checksum, resourceType, resourceId, meta }
+   * @throws {Error} statusCode 400 if the content does not match `options.checksum`
+   */
+  async uploadFile(tenantId, userId, content, originalFilename, contentType, scope = 'user', blobPrefix = null, attributes = {}, options = {}) {
+    throw new Error(`${this.constructor.name}.uploadFile() not implemented`);
+  }
+
+  /**
+   * Open a file for reading, optionally only a byte range of it.
+   * `metadata.size` is always the size of the whole file.
+   *
+   * @param {Object} [range] - { offset, count }; omit `count` to read to the end
+   * @param {Object} [options]
+   * @param {string} [options.version] - Read an earlier version (see listFileVersions)
+   * @param {string} [options.variant] - Read an image variant (see putFileVariant)
+   * @returns {Promise<Object>} { stream, metadata: { fileName, contentType, size, etag, lastModified } }
+   */
+  async downloadFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, range = {}, options = {}) {
+    throw new Error(`${this.constructor.name}.downloadFile() not implemented`);
+  }
+
+  /**
+   * Read a file's metadata without opening its content.
+   * `etag` is a quoted entity tag that changes whenever the content does.
+   * `checksum` is `{ sha256?, md5? }` (base64 digests) as recorded at upload or
+   * kept by the backend, else null.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.version] - Read an earlier version (see listFileVersions)
+   * @param {string} [options.variant] - Read an image variant (see putFileVariant)
+   * @returns {Promise<Object>} { fileId, fileName, contentType, size, uploadedAt, uploadedBy, tenantId, scope, resourceType, resourceId, meta, checksum, versionId, etag, lastModified } — versionId is null for the current content
+   */
+  async statFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    throw new Error(`${this.constructor.name}.statFile() not implemented`);
+  }
+
+  /**
+   * List files under the resolved prefix.
+   *
+   * @returns {Promise<Array>} [{ fileId, fileName, contentType, size, uploadedAt, resourceType, resourceId, meta }]
+   */
+  async listFiles(tenantId, userId, scope = 'user', blobPrefix = null) {
+    throw new Error(`${this.constructor.name}.listFiles() not implemented`);
+  }
+
+  /**
+   * List one page of files under the resolved prefix, in storage key order.
+   * Files rejected by `filter` don't count towards `limit`, so a page may need
+   * several storage round trips; it is only short when the listing is done.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - Files per page (max MAX_LIST_LIMIT)
+   * @param {string} [options.cursor] - `cursor` from the previous page
+   * @param {Function} [options.filter] - (file) => boolean
+   * @param {boolean|string} [options.trashed=false] - List soft-deleted files (with `deletedAt`, `deletedBy`) instead; 'all' lists both
+   * @returns {Promise<Object>} { files: [{ fileId, fileName, contentType, size, uploadedAt, resourceType, resourceId, meta }], cursor } — cursor is null on the last page
+   */
+  async listFilesPage(tenantId, userId, scope = 'user', blobPrefix = null, options = {}) {
+    const limit = Math.min(options.limit || 100, MAX_LIST_LIMIT);
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+    let { token, after } = options.cursor ? decodeListCursor(options.cursor) : { token: null, after: null };
+
+    const files = [];
+    for (;;) {
+      const page = await this.listPage(prefix, token, limit, after);
+
+      for (let i = 0; i < page.entries.length; i++) {
+        const { key, file } = page.entries[i];
+        if (options.trashed !== 'all' && !!file.deletedAt !== !!options.trashed) continue;
+        if (options.filter && !options.filter(file)) continue;
+
+        files.push(file);
+        if (files.length === limit) {
+          // Resume mid-page if this page has more, otherwise from the next one
+          if (i < page.entries.length - 1) return { files, cursor: encodeListCursor(token, key) };
+          return { files, cursor: page.nextToken ? encodeListCursor(page.nextToken, null) : null };
+        }
+      }
+
+      if (!page.nextToken) return { files, cursor: null };
+      token = page.nextToken;
+      after = null;
+    }
+  }
+
+  /**
+   * Read one storage page of files for listFilesPage. Keys must come back in
+   * ascending order; only keys greater than `after` are returned.
+   *
+   * @param {string} prefix - Resolved blob prefix
+   * @param {string|null} token - Continuation token (null for the first page)
+   * @param {number} pageSize - Page size hint
+   * @param {string|null} after - Skip keys up to and including this one
+   * @returns {Promise<Object>} { entries: [{ key, file }], nextToken } — nextToken is null on the last page
+   */
+  async listPage(prefix, token, pageSize, after) {
+    throw new Error(`${this.constructor.name}.listPage() not implemented`);
+  }
+
+  /**
+   * Change a file's name, content type or `meta_*` fields in place. The file
+   * ID, content and resource linkage stay the same.
+   *
+   * @param {Object} changes - { originalFilename?, contentType?, meta?: { key: value | null }, scan?: { status, signature } } — null removes a meta field; `scan` records a malware scan verdict
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - Only update if the current ETag matches (`*` matches any)
+   * @param {Function} [options.checkPolicy] - (contentType, filename) => void; called with the
+   *   resulting type and name before anything is written, and may throw to refuse the update
+   * @returns {Promise<Object>} the updated file, as statFile returns it
+   */
+  async updateFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null, changes = {}, options = {}) {
+    this.notSupported('Metadata updates');
+  }
+
+  /**
+   * Replace a file's content, keeping its ID. The current content (with its
+   * name and type) is kept as a version first. Resource linkage, meta_* fields
+   * and ownership stay the same.
+   *
+   * @param {Buffer|import('stream').Readable} content
+   * @param {string} originalFilename
+   * @param {string} contentType
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - Only replace if the current ETag matches (`*` matches any)
+   * @param {Object} [options.checksum] - Expected digests, as for uploadFile
+   * @returns {Promise<Object>} the new current file, as statFile returns it
+   */
+  async putFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, content, originalFilename, contentType, options = {}) {
+    this.notSupported('File versions');
+  }
+
+  /**
+   * A file's versions, newest first. The current content comes first with
+   * `versionId: null`.
+   *
+   * @returns {Promise<Array>} [{ versionId, current, fileName, contentType, size, uploadedAt }]
+   */
+  async listFileVersions(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    this.notSupported('File versions');
+  }
+
+  /**
+   * Make an earlier version current again. The current content is kept as a
+   * version first, so promoting never loses anything.
+   *
+   * @param {string} versionId
+   * @param {Object} [options]
+   * @param {string} [options.ifMatch] - Only promote if the current ETag matches (412 otherwise)
+   * @returns {Promise<Object>} the new current file, as statFile returns it
+   */
+  async promoteFileVersion(fileId, tenantId, userId, scope = 'user', blobPrefix = null, versionId, options = {}) {
+    this.notSupported('File versions');
+  }
+
+  /**
+   * Store an image variant rendered from a file, replacing any earlier one
+   * under the same key. Read it back with `{ variant }` on statFile / downloadFile.
+   *
+   * @param {string} variant - Preset key, e.g. `thumbnail-1a2b3c4d`
+   * @param {Buffer} content
+   * @param {string} fileName
+   * @param {string} contentType
+   * @returns {Promise<Object>} the variant, as statFile returns it
+   */
+  async putFileVariant(fileId, tenantId, userId, scope = 'user', blobPrefix = null, variant, content, fileName, contentType) {
+    this.notSupported('Image variants');
+  }
+
+  /**
+   * Remove a file, its versions and its image variants. Content shared in
+   * dedup mode goes with the last file that refers to it.
+   */
+  async deleteFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    throw new Error(`${this.constructor.name}.deleteFile() not implemented`);
+  }
+
+  /**
+   * Soft-delete a file: it disappears from lookups and listings but keeps its
+   * content until restoreFile or purgeTrash.
+   *
+   * @returns {Promise<Object>} { fileId, deletedAt }
+   */
+  async trashFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    this.notSupported('Soft deletes');
+  }
+
+  /**
+   * Bring a soft-deleted file back. Throws 'File not found' unless it is in the trash.
+   *
+   * @returns {Promise<Object>} the restored file, as statFile returns it
+   */
+  async restoreFile(fileId, tenantId, userId, scope = 'user', blobPrefix = null) {
+    this.notSupported('Soft deletes');
+  }
+
+  /**
+   * Permanently remove files that were trashed before a cut-off, across all prefixes.
+   * Safe to run from several instances at once.
+   *
+   * @param {Date} before - Purge files trashed before this time
+   * @returns {Promise<Array>} [{ fileId, blobName, tenantId, userId, size }] — userId is the uploader
+   */
+  async purgeTrash(before) {
+    this.notSupported('Soft deletes');
+  }
+
+  /**
+   * Start a resumable upload. Nothing is visible in listings until it completes.
+   *
+   * @param {string} tenantId
+   * @param {string} userId
+   * @param {Object} file
+   * @param {string} file.originalFilename
+   * @param {string} file.contentType
+   * @param {number} file.length - Total upload size in bytes
+   * @param {Object} [file.attributes] - From parseFileAttributes
+   * @param {string} [scope='user']
+   * @param {string} [blobPrefix=null]
+   * @returns {Promise<Object>} upload state (see getResumableUpload)
+   */
+  async createResumableUpload(tenantId, userId, file, scope = 'user', blobPrefix = null) {
+    this.notSupported('Resumable uploads');
+  }
+
+  /**
+   * Read a resumable upload's state, including the number of bytes stored so far.
+   *
+   * @param {string} uploadId
+   * @returns {Promise<Object>} { uploadId, blobName, tenantId, userId, originalFilename, contentType,
+   *                              scope, length, offset, completed, createdAt, head }
+   */
+  async getResumableUpload(uploadId) {
+    this.notSupported('Resumable uploads');
+  }
+
+  /**
+   * Append bytes at `offset`. Commits the file once `length` bytes are stored.
+   * Bytes received before a stream failure are kept; the error is rethrown.
+   *
+   * @param {string} uploadId
+   * @param {number} offset - Must equal the current offset (409 otherwise)
+   * @param {import('stream').Readable} stream
+   * @param {Object} [options]
+   * @param {string} [options.contentType] - Type detected from the file's head; stored in place of the declared one
+   * @param {Buffer} [options.head] - First bytes of the file received so far; kept with the upload
+   *   (as `head`) so a head split across requests can be sniffed whole
+   * @returns {Promise<Object>} { offset, completed, file } — `file` is set once completed
+   */
+  async appendResumableUpload(uploadId, offset, stream, options = {}) {
+    this.notSupported('Resumable uploads');
+  }
+
+  /**
+   * Discard an unfinished resumable upload and everything staged for it.
+   *
+   * @param {string} uploadId
+   */
+  async abortResumableUpload(uploadId) {
+    this.notSupported('Resumable uploads');
+  }
+
+  /**
+   * Start a direct-to-storage upload: the client PUTs the bytes to a
+   * short-lived, write-only URL for a staging blob, then calls
+   * completeDirectUpload. The bytes are not sent through this process.
+   *
+   * @param {string} tenantId
+   * @param {string} userId
+   * @param {Object} file - { originalFilename, contentType, length, attributes?, checksum? }
+   *   — `checksum` ({ sha256?, md5? }) is checked at completion
+   * @param {string} [scope='user']
+   * @param {string} [blobPrefix=null]
+   * @param {Object} [options]
+   * @param {number} [options.expiresIn=900] - URL lifetime in seconds
+   * @returns {Promise<Object>} upload (see getDirectUpload) plus { url, method, headers, expiresAt }
+   */
+  async createDirectUpload(tenantId, userId, file, scope = 'user', blobPrefix = null, options = {}) {
+    this.notSupported('Direct uploads');
+  }
+
+  /**
+   * Read a direct upload's state.
+   *
+   * @param {string} uploadId
+   * @returns {Promise<Object>} same shape as getResumableUpload (offset is always 0)
+   */
+  async getDirectUpload(uploadId) {
+    this.notSupported('Direct uploads');
+  }
+
+  /**
+   * Check the staged blob and copy it to the file's blob with the usual
+   * metadata, making it a regular file; the staging blob is then deleted.
+   * The staged content is read once to hash it and to detect its type, which
+   * replaces the declared one.
+   *
+   * A staged blob of the wrong size (409), with the wrong digests (400) or
+   * refused by `options.resolveContentType` is deleted; the URL stays usable
+   * until it expires, but writes to it after completion change nothing.
+   *
+   * @param {string} uploadId
+   * @param {Object} [options]
+   * @param {Function} [options.resolveContentType] - async (head) => contentType, given the first bytes; may throw (e.g. 415)
+   * @returns {Promise<Object>} same shape as uploadFile, with `checksum`
+   */
+  async completeDirectUpload(uploadId, options = {}) {
+    this.notSupported('Direct uploads');
+  }
+
+  /**
+   * Rename legacy `{fileId}.{ext}` blobs under a prefix to `{fileId}`.
+   *
+   * @param {string} [prefix=''] - Only migrate blobs under this prefix
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report what would be renamed without changing anything
+   * @returns {Promise<Array>} [{ from, to }]
+   */
+  async migrateLegacyBlobNames(prefix = '', options = {}) {
+    throw new Error(`${this.constructor.name}.migrateLegacyBlobNames() not implemented`);
+  }
+
+  /**
+   * Compute the blob prefix (with trailing slash) for a request.
+   *
+   * @param {string} tenantId
+   * @param {string} userId
+   * @param {string} [scope='user'] - 'user' or 'tenant'
+   * @param {string} [blobPrefix=null] - resolveTenant override; wins when set
+   * @returns {string}
+   */
+  resolvePrefix(tenantId, userId, scope = 'user', blobPrefix = null) {
+    if (blobPrefix !== null) {
+      return blobPrefix.endsWith('/') ? blobPrefix : blobPrefix + '/';
+    }
+    if (scope === 'tenant') {
+      return tenantId ? `${tenantId}/shared/` : 'shared/';
+    }
+    return tenantId ? `${tenantId}/${userId}/` : `${userId}/`;
+  }
+
+  /**
+   * Shape a statFile result from stored metadata plus backend properties.
+   *
+   * @param {string} fileId
+   * @param {Object} metadata - Stored blob metadata
+   * @param {Object} properties - { size, etag, lastModified, checksum, versionId } — checksum as kept by the backend
+   * @returns {Object}
+   */
+  toFileStat(fileId, metadata, { size, etag, lastModified, checksum = null, versionId = null }) {
+    return {
+      fileId,
+      fileName: metadata.original_filename,
+      contentType: metadata.content_type,
+      size,
+      uploadedAt: metadata.uploaded_at,
+      uploadedBy: metadata.user_id,
+      tenantId: metadata.tenant_id || null,
+      scope: metadata.scope || 'user',
+      ...this.fileAttributes(metadata),
+      checksum: this.fileChecksum(metadata, checksum),
+      scan: this.scanResult(metadata),
+      versionId,
+      etag,
+      lastModified
+    };
+  }
+
+  /**
+   * Shape a listing entry from stored metadata.
+   *
+   * @param {Object} metadata - Stored blob metadata
+   * @param {number} size
+   * @returns {Object} { fileId, fileName, contentType, size, uploadedAt, resourceType, resourceId, meta } — plus deletedAt, deletedBy when trashed
+   */
+  toListedFile(metadata, size) {
+    const file = {
+      fileId: metadata.file_id,
+      fileName: metadata.original_filename,
+      contentType: metadata.content_type,
+      size,
+      uploadedAt: metadata.uploaded_at,
+      ...this.fileAttributes(metadata)
+    };
+
+    if (metadata.deleted_at) {
+      file.deletedAt = metadata.deleted_at;
+      file.deletedBy = metadata.deleted_by || null;
+    }
+
+    return file;
+  }
+
+  /**
+   * Read the file attributes back out of stored metadata (or a parseFileAttributes result).
+   *
+   * @param {Object} metadata
+   * @returns {Object} { resourceType, resourceId, meta: { key: value } } — meta keys without the `meta_` prefix
+   */
+  fileAttributes(metadata) {
+    const meta = {};
+    for (const [key, value] of Object.entries(metadata)) {
+      if (key.startsWith('meta_')) meta[key.slice('meta_'.length)] = value;
+    }
+
+    return {
+      resourceType: metadata.resource_type || null,
+      resourceId: metadata.resource_id || null,
+      meta
+    };
+  }
+
+  /**
+   * The attribute entries (resource_type, resource_id, meta_*) of stored metadata.
+   *
+   * @param {Object} metadata
+   * @returns {Object}
+   */
+  pickAttributes(metadata) {
+    return Object.fromEntries(Object.entries(metadata).filter(([key]) =>
+      key === 'resource_type' || key === 'resource_id' || key.startsWith('meta_')));
+  }
+
+  /**
+   * Apply updateFile changes to stored metadata, validating the resulting
+   * meta_* set the same way uploads are validated.
+   *
+   * @param {Object} metadata - Current blob metadata
+   * @param {Object} changes - { originalFilename?, contentType?, meta?, scan? }
+   * @param {Object} [options] - { checkPolicy } (see updateFile)
+   * @returns {Object} new metadata
+   * @throws {Error} statusCode 400 if the resulting attributes are invalid, or what checkPolicy throws
+   */
+  applyFileChanges(metadata, changes, options = {}) {
+    const updated = { ...metadata };
+
+    if (changes.originalFilename !== undefined) updated.original_filename = changes.originalFilename;
+    if (changes.contentType !== undefined) updated.content_type = changes.contentType;
+
+    if (changes.scan !== undefined) {
+      updated.scan_status = changes.scan.status;
+      updated.scanned_at = new Date().toISOString();
+      if (changes.scan.signature) {
+        updated.scan_signature = changes.scan.signature;
+      } else {
+        delete updated.scan_signature;
+      }
+    }
+
+    for (const [key, value] of Object.entries(changes.meta || {})) {
+      if (value === null) {
+        delete updated[`meta_${key}`];
+      } else {
+        updated[`meta_${key}`] = value;
+      }
+    }
+
+    // Throws on bad keys, values or too many fields
+    parseFileAttributes(this.pickAttributes(updated));
+
+    if (options.checkPolicy) {
+      options.checkPolicy(updated.content_type, updated.original_filename);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Throw the standard 412 error unless an If-Match value matches the current ETag.
+   *
+   * @param {string} etag - Current ETag
+   * @param {string} [ifMatch] - If-Match header value; absent means unconditional
+   */
+  checkIfMatch(etag, ifMatch) {
+    if (!ifMatch) return;
+
+    const candidates = ifMatch.split(',').map(value => value.trim());
+    if (candidates.includes('*') || candidates.includes(etag)) return;
+
+    this.preconditionFailed();
+  }
+
+  /**
+   * Throw the standard 412 error used when a conditional write loses a race.
+   */
+  preconditionFailed() {
+    const error = new Error('File has changed; reload it and retry');
+    error.statusCode = 412;
+    throw error;
+  }
+
+  /**
+   * Compute the blob name for a file ID under a prefix.
+   *
+   * @param {string} prefix - Blob prefix (with trailing slash)
+   * @param {string} fileId
+   * @returns {string}
+   */
+  blobName(prefix, fileId) {
+    return `${prefix}${fileId}`;
+  }
+
+  /**
+   * Return the new-style blob name for a legacy `{prefix}{fileId}.{ext}` blob, or null.
+   *
+   * @param {string} name - Existing blob name
+   * @param {Object} metadata - Blob metadata (must carry file_id)
+   * @returns {string|null}
+   */
+  migratedBlobName(name, metadata) {
+    const fileId = metadata && metadata.file_id;
+    if (!fileId) return null;
+
+    const slash = name.lastIndexOf('/');
+    const baseName = name.slice(slash + 1);
+    if (!baseName.startsWith(`${fileId}.`)) return null;
+
+    return this.blobName(name.slice(0, slash + 1), fileId);
+  }
+
+  /**
+   * Enforce user ownership. Tenant-scoped files are shared and resolveTenant
+   * prefixes are trusted — authorization middleware already checked access.
+   *
+   * @param {Object} metadata - Blob metadata
+   * @param {string} userId
+   * @param {string} scope
+   * @param {string|null} blobPrefix
+   */
+  checkOwnership(metadata, userId, scope, blobPrefix) {
+    if (scope === 'user' && blobPrefix === null && metadata.user_id !== userId) {
+      throw new Error('Unauthorized: File belongs to different user');
+    }
+  }
+
+  /**
+   * A new, sortable version ID for drivers without native ones.
+   *
+   * @returns {string} e.g. `20240501T100000000Z-3fa2c1` (no colons, so it is a valid filename everywhere)
+   */
+  newVersionId() {
+    return `${new Date().toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Name of the copy holding an earlier version of a file.
+   *
+   * @param {string} fileId
+   * @param {string} versionId
+   * @returns {string}
+   * @throws {Error} 'Version not found' for a malformed version ID
+   */
+  versionName(fileId, versionId) {
+    if (!VERSION_ID.test(String(versionId))) {
+      throw new Error('Version not found');
+    }
+    return `${this.versionPrefix(fileId)}${versionId}`;
+  }
+
+  /**
+   * Prefix under which a file's earlier versions are kept (non-Azure drivers).
+   *
+   * @param {string} fileId
+   * @returns {string}
+   */
+  versionPrefix(fileId) {
+    return `_versions/${fileId}/`;
+  }
+
+  /**
+   * Prefix under which a file's image variants are kept, next to the file.
+   *
+   * @param {string} blobName - The file's blob name
+   * @param {string} fileId
+   * @returns {string} `{prefix}_variants/{fileId}/`
+   */
+  variantPrefix(blobName, fileId) {
+    return `${blobName.slice(0, blobName.lastIndexOf('/') + 1)}_variants/${fileId}/`;
+  }
+
+  /**
+   * Metadata for an image variant: the file's, minus what identifies or
+   * locates the file itself, with the variant's name, type and digests.
+   * `uploaded_at` stays the file's, so a variant older than the content shows.
+   *
+   * @param {Object} metadata - The file's metadata
+   * @param {string} fileName
+   * @param {string} contentType
+   * @param {Object} digests - { sha256, md5 } of the variant
+   * @returns {Object}
+   */
+  variantMetadata(metadata, fileName, contentType, digests) {
+    const { file_id: fileId, deleted_at, deleted_by, content_blob, content_size, content_ref, ...rest } = metadata;
+    return {
+      ...rest,
+      ...this.checksumMetadata(digests),
+      original_filename: fileName,
+      content_type: contentType,
+      variant_of: fileId
+    };
+  }
+
+  /**
+   * Shape a listFileVersions entry from stored metadata.
+   *
+   * @param {string|null} versionId - null for the current content
+   * @param {Object} metadata
+   * @param {number} size
+   * @returns {Object}
+   */
+  toFileVersion(versionId, metadata, size) {
+    return {
+      versionId,
+      current: versionId === null,
+      fileName: metadata.original_filename,
+      contentType: metadata.content_type,
+      size,
+      uploadedAt: metadata.uploaded_at
+    };
+  }
+
+  /**
+   * Order listFileVersions entries: current first, then newest version first.
+   *
+   * @param {Object} current - Entry for the current content
+   * @param {Array} versions - Entries for earlier versions
+   * @returns {Array}
+   */
+  sortFileVersions(current, versions) {
+    return [current, ...versions.sort((a, b) => (a.versionId < b.versionId ? 1 : a.versionId > b.versionId ? -1 : 0))];
+  }
+
+  /**
+   * Metadata for a file's new current content: everything that belongs to the
+   * file (ID, owner, attributes) from `current`, name and type from the new content.
+   *
+   * @param {Object} current - Current blob metadata
+   * @param {string} originalFilename
+   * @param {string} contentType
+   * @param {Object} [source={}] - Metadata of the new content, whose scan verdict and digests carry over
+   * @returns {Object}
+   */
+  versionMetadata(current, originalFilename, contentType, source = {}) {
+    const metadata = { ...current };
+    // Scan verdicts and digests belong to the content they were made for
+    for (const key of CONTENT_KEYS) {
+      if (source[key] !== undefined) {
+        metadata[key] = source[key];
+      } else {
+        delete metadata[key];
+      }
+    }
+
+    return {
+      ...metadata,
+      original_filename: originalFilename,
+      content_type: contentType,
+      uploaded_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Metadata entries recording content digests.
+   *
+   * @param {Object} digests - { sha256, md5 } as base64
+   * @returns {Object} { checksum_sha256, checksum_md5 }
+   */
+  checksumMetadata(digests) {
+    return { checksum_sha256: digests.sha256, checksum_md5: digests.md5 };
+  }
+
+  /**
+   * A file's digests: those recorded at upload, else what the backend keeps.
+   *
+   * @param {Object} metadata - Stored blob metadata
+   * @param {Object|null} [stored=null] - Backend checksum, e.g. Azure's Content-MD5
+   * @returns {Object|null} { sha256?, md5? }
+   */
+  fileChecksum(metadata, stored = null) {
+    const checksum = { ...stored };
+    if (metadata.checksum_sha256) checksum.sha256 = metadata.checksum_sha256;
+    if (metadata.checksum_md5) checksum.md5 = metadata.checksum_md5;
+    return Object.keys(checksum).length > 0 ? checksum : null;
+  }
+
+  /**
+   * The malware scan verdict recorded in stored metadata.
+   *
+   * @param {Object} metadata
+   * @returns {Object|null} { status, signature, scannedAt }, null if never scanned
+   */
+  scanResult(metadata) {
+    if (!metadata.scan_status) return null;
+    return {
+      status: metadata.scan_status,
+      signature: metadata.scan_signature || null,
+      scannedAt: metadata.scanned_at || null
+    };
+  }
+
+  /**
+   * Prefix under which a tenant's deduplicated content is kept.
+   *
+   * @param {string|null} tenantId
+   * @returns {string}
+   */
+  sharedContentRoot(tenantId) {
+    return `_content/${tenantId || '_'}/`;
+  }
+
+  /**
+   * Size of a file's content. A deduplicated file's own blob only holds the
+   * content hash; its size is recorded as `content_size`.
+   *
+   * @param {Object} metadata - Stored blob metadata
+   * @param {number} size - Size of the blob itself
+   * @returns {number}
+   */
+  contentSize(metadata, size) {
+    return metadata.content_blob ? Number(metadata.content_size) : size;
+  }
+
+  /**
+   * Metadata entries pointing a file at shared content. `content_ref` stays
+   * with the file for good (new versions may have their own content), so
+   * deleting the file can release its reference.
+   *
+   * @param {Object} shared - From storeSharedContent
+   * @returns {Object} { content_blob, content_size, content_ref }
+   */
+  sharedContentMetadata(shared) {
+    return { content_blob: shared.blob, content_size: String(shared.size), content_ref: shared.hash };
+  }
+
+  /**
+   * Store content in dedup mode. The bytes go to a new blob under the
+   * tenant's `_content/` prefix while they are hashed; that blob becomes the
+   * tenant's copy of the content, or is dropped if the tenant already has one.
+   * Either way `fileId` is recorded as a reference to it. An existing copy is
+   * only reused once the reference is in place and the copy is seen to still
+   * exist: a release in another process may have removed it just before.
+   *
+   * @param {string|null} tenantId
+   * @param {string} fileId - File that will refer to the content
+   * @param {Buffer|import('stream').Readable} content
+   * @param {Object|null} [expected] - { sha256?, md5? } from the client
+   * @returns {Promise<Object>} { blob, size, hash, digests } — hash is the SHA-256 in hex
+   * @throws {Error} statusCode 400 if the content does not match `expected`
+   */
+  async storeSharedContent(tenantId, fileId, content, expected = null) {
+    const root = this.sharedContentRoot(tenantId);
+    const staged = `${root}blobs/${uuidv4()}`;
+    const { size, digests } = await this.writeSharedBlob(staged, content, expected);
+    const hash = Buffer.from(digests.sha256, 'base64').toString('hex');
+    const index = `${root}${hash}.json`;
+
+    try {
+      return await this.withContentLock(root + hash, async () => {
+        // Referenced before the index is read, so a concurrent release keeps the content
+        await this.createSharedRecord(`${root}${hash}.refs/${fileId}`, { file_id: fileId });
+
+        for (;;) {
+          if (await this.createSharedRecord(index, { blob: staged, size })) {
+            return { blob: staged, size, hash, digests };
+          }
+          const existing = await this.readSharedRecord(index);
+          if (existing && await this.hasSharedBlobs(existing.blob)) {
+            await this.deleteSharedBlob(staged);
+            return { blob: existing.blob, size, hash, digests };
+          }
+          // The index points at removed content; replace it
+          if (existing) await this.deleteSharedBlob(index);
+          // Released between the calls; claim it again
+        }
+      });
+    } catch (error) {
+      await this.deleteSharedBlob(staged).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a file's reference to shared content, and the content itself once
+   * no file refers to it. Does nothing for files stored without dedup.
+   *
+   * A store in another process may reference the content between the check
+   * for references and the deletion, so they are checked again once the
+   * index is gone: if one appeared, the index is put back and the content
+   * kept. A store that starts later finds no index and keeps its own copy.
+   *
+   * @param {Object} metadata - Stored metadata of the file going away
+   */
+  async releaseSharedContent(metadata) {
+    if (!metadata.content_ref) return;
+
+    const root = this.sharedContentRoot(metadata.tenant_id);
+    const hash = metadata.content_ref;
+
+    await this.withContentLock(root + hash, async () => {
+      await this.deleteSharedBlob(`${root}${hash}.refs/${metadata.file_id}`);
+      if (await this.hasSharedBlobs(`${root}${hash}.refs/`)) return;
+
+      // Index first: an interruption then leaves an unused blob, not a dangling index
+      const index = await this.readSharedRecord(`${root}${hash}.json`);
+      if (!index) return;
+      await this.deleteSharedBlob(`${root}${hash}.json`);
+
+      if (await this.hasSharedBlobs(`${root}${hash}.refs/`)) {
+        // Fails harmlessly if a store has already indexed a copy of its own
+        await this.createSharedRecord(`${root}${hash}.json`, index);
+        return;
+      }
+      await this.deleteSharedBlob(index.blob);
+    });
+  }
+
+  /**
+   * Run `fn` after earlier calls for the same key have settled, so within a
+   * process stores and releases of the same content do not interleave.
+   * Across processes, storeSharedContent and releaseSharedContent re-check
+   * each other's records instead.
+   *
+   * @param {string} key
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} what `fn` returns
+   */
+  async withContentLock(key, fn) {
+    this.contentLocks ??= new Map();
+
+    const run = (this.contentLocks.get(key) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    this.contentLocks.set(key, settled);
+
+    try {
+      return await run;
+    } finally {
+      if (this.contentLocks.get(key) === settled) this.contentLocks.delete(key);
+    }
+  }
+
+  /**
+   * Write a blob outside every file prefix, hashing the content on the way.
+   * Drivers supporting dedup mode implement this and the four methods below.
+   *
+   * @param {string} name
+   * @param {Buffer|import('stream').Readable} content
+   * @param {Object|null} [expected] - { sha256?, md5? } from the client
+   * @returns {Promise<Object>} { size, digests }
+   * @throws {Error} statusCode 400 if the content does not match `expected`
+   */
+  async writeSharedBlob(name, content, expected = null) {
+    this.notSupported('Deduplicated uploads');
+  }
+
+  /**
+   * Write a small JSON record unless one exists under that name already.
+   *
+   * @param {string} name
+   * @param {Object} record
+   * @returns {Promise<boolean>} whether it was written
+   */
+  async createSharedRecord(name, record) {
+    this.notSupported('Deduplicated uploads');
+  }
+
+  /**
+   * Read a record from createSharedRecord.
+   *
+   * @param {string} name
+   * @returns {Promise<Object|null>} null when it does not exist
+   */
+  async readSharedRecord(name) {
+    this.notSupported('Deduplicated uploads');
+  }
+
+  /**
+   * Whether any blob exists under a prefix (a blob's full name included).
+   *
+   * @param {string} prefix
+   * @returns {Promise<boolean>}
+   */
+  async hasSharedBlobs(prefix) {
+    this.notSupported('Deduplicated uploads');
+  }
+
+  /**
+   * Delete a blob if it exists.
+   *
+   * @param {string} name
+   */
+  async deleteSharedBlob(name) {
+    this.notSupported('Deduplicated uploads');
+  }
+
+  /**
+   * Treat a soft-deleted file as missing, or a live one as missing when the
+   * trash is being looked at.
+   *
+   * @param {Object} metadata - Blob metadata
+   * @param {boolean} [trashed=false] - Whether the caller is looking for a trashed file
+   */
+  checkTrashed(metadata, trashed = false) {
+    if (!!metadata.deleted_at !== trashed) {
+      throw new Error('File not found');
+    }
+  }
+
+  /**
+   * Blob metadata for a file moving into the trash, and the matching trash record.
+   *
+   * @param {Object} blob - { name, metadata }
+   * @param {string} userId - Who deleted it
+   * @returns {Object} { metadata, record }
+   */
+  trashEntry(blob, userId) {
+    const deletedAt = new Date().toISOString();
+
+    return {
+      metadata: { ...blob.metadata, deleted_at: deletedAt, deleted_by: userId },
+      record: { file_id: blob.metadata.file_id, blob_name: blob.name, deleted_at: deletedAt }
+    };
+  }
+
+  /**
+   * What purgeTrash reports for a purged file.
+   *
+   * @param {Object} record - Trash record
+   * @param {Object} metadata - The file's blob metadata
+   * @param {number} size - Content size
+   * @returns {Object} { fileId, blobName, tenantId, userId, size }
+   */
+  purgedEntry(record, metadata, size) {
+    return {
+      fileId: record.file_id,
+      blobName: record.blob_name,
+      tenantId: metadata.tenant_id || null,
+      userId: metadata.user_id,
+      size
+    };
+  }
+
+  /**
+   * Blob metadata for a file coming out of the trash.
+   *
+   * @param {Object} metadata
+   * @returns {Object}
+   */
+  restoredMetadata(metadata) {
+    const { deleted_at, deleted_by, ...rest } = metadata;
+    return rest;
+  }
+
+  /**
+   * Name of the trash record for a soft-deleted file.
+   *
+   * @param {string} fileId
+   * @returns {string}
+   */
+  trashRecordName(fileId) {
+    return `_trash/${fileId}.json`;
+  }
+
+  /**
+   * Name of the JSON state record for a resumable upload.
+   *
+   * @param {string} uploadId
+   * @returns {string}
+   */
+  uploadStateName(uploadId) {
+    return `_uploads/${uploadId}.json`;
+  }
+
+  /**
+   * Name of the staging blob a direct upload's client writes to.
+   *
+   * @param {string} uploadId
+   * @returns {string}
+   */
+  directUploadName(uploadId) {
+    return `_uploads/${uploadId}.direct`;
+  }
+
+  /**
+   * Read a direct upload's staged content to the end: detect its type from
+   * the first bytes and hash it, checking the digests given at presign.
+   * Updates `state.content_type` to the type resolved.
+   *
+   * @param {import('stream').Readable} source - The staged content
+   * @param {Object} state - Upload state record
+   * @param {Object} [options] - As for completeDirectUpload
+   * @returns {Promise<Object>} { sha256, md5 } digests
+   * @throws {Error} statusCode 400 on a digest mismatch, or what resolveContentType throws
+   */
+  async inspectDirectUpload(source, state, options = {}) {
+    const { head, stream } = await peekStream(source);
+    if (options.resolveContentType) {
+      state.content_type = await options.resolveContentType(head);
+    }
+
+    const hashed = digestStream(stream, state.checksum || null);
+    // Digests are set once the stream has been read to the end
+    for await (const chunk of hashed) void chunk;
+    return hashed.digests;
+  }
+
+  /**
+   * Build the persisted state record for a new resumable or direct upload.
+   *
+   * @param {string} [type='tus'] - 'tus' or 'direct'
+   * @returns {Object} snake_case record, same key style as blob metadata
+   */
+  newUploadState(tenantId, userId, file, scope = 'user', blobPrefix = null, type = 'tus') {
+    const uploadId = uuidv4();
+    const prefix = this.resolvePrefix(tenantId, userId, scope, blobPrefix);
+
+    return {
+      upload_id: uploadId,
+      type,
+      blob_name: this.blobName(prefix, uploadId),
+      tenant_id: tenantId || '',
+      user_id: userId,
+      original_filename: file.originalFilename,
+      content_type: file.contentType,
+      scope: scope,
+      length: file.length,
+      attributes: file.attributes || {},
+      created_at: new Date().toISOString(),
+      completed_at: null
+    };
+  }
+
+  /**
+   * Convert a persisted upload record into the shape returned to routes.
+   *
+   * @param {Object} state - Record from newUploadState
+   * @param {number} offset - Bytes stored so far
+   * @returns {Object}
+   */
+  toUpload(state, offset) {
+    return {
+      uploadId: state.upload_id,
+      type: state.type || 'tus',
+      blobName: state.blob_name,
+      tenantId: state.tenant_id || null,
+      userId: state.user_id,
+      originalFilename: state.original_filename,
+      contentType: state.content_type,
+      scope: state.scope,
+      length: state.length,
+      offset,
+      completed: !!state.completed_at,
+      createdAt: state.created_at,
+      head: state.head ? Buffer.from(state.head, 'base64') : null
+    };
+  }
+
+  /**
+   * Blob metadata for a completed resumable upload (same keys as uploadFile).
+   *
+   * @param {Object} state
+   * @returns {Object}
+   */
+  uploadBlobMetadata(state) {
+    return {
+      tenant_id: state.tenant_id,
+      user_id: state.user_id,
+      original_filename: state.original_filename,
+      content_type: state.content_type,
+      uploaded_at: state.completed_at,
+      file_id: state.upload_id,
+      scope: state.scope,
+      ...state.attributes
+    };
+  }
+
+  /**
+   * File metadata returned for a completed resumable upload (same shape as uploadFile).
+   *
+   * @param {Object} state
+   * @returns {Object}
+   */
+  uploadFileResult(state) {
+    return {
+      fileId: state.upload_id,
+      blobName: state.blob_name,
+      tenantId: state.tenant_id || null,
+      userId: state.user_id,
+      originalFilename: state.original_filename,
+      contentType: state.content_type,
+      size: state.length,
+      uploadedAt: state.completed_at,
+      ...this.fileAttributes(state.attributes || {})
+    };
+  }
+
+  /**
+   * Treat a state record of the other upload type as missing, so tus requests
+   * cannot touch direct uploads and vice versa. Records from before the type
+   * field existed are tus uploads.
+   *
+   * @param {Object} state
+   * @param {string} type - 'tus' or 'direct'
+   */
+  checkUploadType(state, type) {
+    if ((state.type || 'tus') !== type) {
+      throw new Error('Upload not found');
+    }
+  }
+
+  /**
+   * Reject completing a direct upload twice or with the wrong number of bytes.
+   *
+   * @param {Object} state
+   * @param {number|null} size - Size of the uploaded blob, null if nothing was uploaded
+   */
+  checkDirectUploadSize(state, size) {
+    if (state.completed_at) {
+      const error = new Error('Upload already completed');
+      error.statusCode = 409;
+      throw error;
+    }
+    if (size === null) {
+      const error = new Error('Nothing has been uploaded yet');
+      error.statusCode = 409;
+      throw error;
+    }
+    if (size !== state.length) {
+      const error = new Error(`Uploaded size ${size} does not match declared size ${state.length}`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * The error for a staged direct upload that changed while it was being completed.
+   *
+   * @returns {Error} statusCode 409
+   */
+  directUploadOverwritten() {
+    const error = new Error('Upload was overwritten while completing; retry');
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Reject an append that does not continue where the upload left off.
+   *
+   * @param {Object} upload - Result of getResumableUpload
+   * @param {number} offset - Client-supplied offset
+   */
+  checkUploadOffset(upload, offset) {
+    if (upload.completed) {
+      const error = new Error('Upload already completed');
+      error.statusCode = 409;
+      throw error;
+    }
+    if (offset !== upload.offset) {
+      const error = new Error(`Upload-Offset mismatch: expected ${upload.offset}, got ${offset}`);
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  /**
+   * Throw the standard 501 error for an optional capability this driver lacks.
+   *
+   * @param {string} capability
+   */
+  notSupported(capability) {
+    const error = new Error(`${capability} are not supported by ${this.constructor.name}`);
+    error.statusCode = 501;
+    throw error;
+  }
+
+  /**
+   * Throw the standard 503 error used when a driver has no configuration.
+   */
+  notConfigured() {
+    const error = new Error('Storage not configured');
+    error.statusCode = 503;
+    throw error;
+  }
+}
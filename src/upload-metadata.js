@@ -0,0 +1,23 @@
+/**
+ * tus `Upload-Metadata` header parsing, shared by the tus routes and the
+ * authorization middleware (which reads resource linkage from it).
+ */
+
+/**
+ * Parse a tus `Upload-Metadata` header: comma-separated `key base64value` pairs.
+ *
+ * @param {string} [header]
+ * @returns {Object} decoded key/value pairs (keys without a value map to '')
+ */
+export function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+
+  return metadata;
+}
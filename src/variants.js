@@ -0,0 +1,123 @@
+/**
+ * Image variants: thumbnails and resized copies of uploaded images.
+ *
+ * Presets name a target size and format, e.g.
+ * `{ thumbnail: { width: 256, height: 256, fit: 'cover', format: 'webp' } }`.
+ * A variant is rendered from the original on first request and stored by the
+ * driver under `{prefix}_variants/{fileId}/` (see putFileVariant); later
+ * requests read the stored copy until the original's content changes.
+ */
+
+import crypto from 'crypto';
+import { pipeline } from 'stream';
+import sharp from 'sharp';
+
+// Preset used when none are configured
+export const DEFAULT_IMAGE_PRESETS = {
+  thumbnail: { width: 256, height: 256, fit: 'cover', format: 'webp' }
+};
+
+// Output formats → stored content type
+const FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+
+// sharp's resize modes
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Types variants can be rendered from (SVG is left out: it is a document, not pixels)
+const SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+const PRESET_NAME = /^[A-Za-z0-9_-]{1,32}$/;
+
+function presetError(name, message) {
+  return new Error(`Invalid image preset "${name}": ${message}`);
+}
+
+/**
+ * Validate image presets from config or the IMAGE_PRESETS env var (JSON).
+ * Each preset gets a `key` that changes with its settings, so variants
+ * rendered under older settings are not reused.
+ *
+ * @param {Object|string} [presets=DEFAULT_IMAGE_PRESETS] - { name: { width?, height?, fit?, format?, quality? } }
+ * @returns {Object} { name: { width, height, fit, format, quality, contentType, key } }
+ * @throws {Error} on an invalid preset (at startup)
+ */
+export function parseImagePresets(presets = DEFAULT_IMAGE_PRESETS) {
+  const entries = Object.entries(typeof presets === 'string' ? JSON.parse(presets) : presets);
+  const parsed = {};
+
+  for (const [name, preset] of entries) {
+    if (!PRESET_NAME.test(name)) throw presetError(name, 'names are letters, digits, _ and -');
+
+    const { width = null, height = null, fit = 'cover', format = 'webp', quality = 80 } = preset || {};
+    for (const [field, value] of [['width', width], ['height', height]]) {
+      if (value !== null && !(Number.isInteger(value) && value >= 1 && value <= 8192)) {
+        throw presetError(name, `${field} must be an integer between 1 and 8192`);
+      }
+    }
+    if (width === null && height === null) throw presetError(name, 'width or height is required');
+    if (!FITS.includes(fit)) throw presetError(name, `fit must be one of: ${FITS.join(', ')}`);
+    if (!FORMATS[format]) throw presetError(name, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    if (!(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+      throw presetError(name, 'quality must be an integer between 1 and 100');
+    }
+
+    const settings = { width, height, fit, format, quality };
+    const hash = crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 8);
+    parsed[name] = { ...settings, contentType: FORMATS[format], key: `${name}-${hash}` };
+  }
+
+  return parsed;
+}
+
+/**
+ * Whether variants can be rendered from a content type.
+ *
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function isVariantSource(contentType) {
+  return SOURCE_TYPES.includes(String(contentType).toLowerCase());
+}
+
+/**
+ * File name of a variant: the original's name with the preset format's extension.
+ *
+ * @param {string} fileName - Original file name
+ * @param {Object} preset - From parseImagePresets
+ * @returns {string} e.g. `holiday.webp` for `holiday.JPG`
+ */
+export function variantFileName(fileName, preset) {
+  const base = (fileName || 'image').replace(/\.[^./\\]*$/, '');
+  return `${base}.${preset.format === 'jpeg' ? 'jpg' : preset.format}`;
+}
+
+/**
+ * Render a variant from an image stream. Images are turned upright from their
+ * EXIF orientation and never enlarged.
+ *
+ * @param {import('stream').Readable} source - The original's content
+ * @param {Object} preset - From parseImagePresets
+ * @returns {Promise<Buffer>}
+ * @throws {Error} statusCode 422 if the image cannot be decoded
+ */
+export async function renderVariant(source, preset) {
+  const transformer = sharp()
+    .rotate()
+    .resize({ width: preset.width ?? undefined, height: preset.height ?? undefined, fit: preset.fit, withoutEnlargement: true })
+    .toFormat(preset.format, { quality: preset.quality });
+
+  pipeline(source, transformer, () => {});
+
+  try {
+    return await transformer.toBuffer();
+  } catch (error) {
+    const failure = new Error(`Image could not be processed: ${error.message}`);
+    failure.statusCode = 422;
+    throw failure;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * archive.test.js
+ *
+ * Tests for POST /files/archive: streamed ZIPs of files by ID or resource
+ * filter, per-file authorization and ownership, skipped entries and
+ * duplicate names (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createFileAuthorizer } from '../src/authorization.js';
+import { createArchiveRouter, archiveEntryName } from '../src/routes/archive.js';
+
+let rootDir;
+let storage;
+let server;
+let authServer;
+let baseUrl;
+const downloads = [];
+const denied = new Set();
+
+/**
+ * Read a ZIP's entries from its central directory.
+ *
+ * @returns {Map<string, Buffer>} name → content
+ */
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries.set(name, method === 8 ? zlib.inflateRawSync(data) : data);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function archive(user, body) {
+  return fetch(`${baseUrl}/files/archive`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-user': user },
+    body: JSON.stringify(body)
+  });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-archive-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  // Stand-in for the platform's authorization API
+  authServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { file_id: fileId } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(denied.has(fileId) ? { allowed: false, reason: 'Not your invoice' } : { allowed: true, scope: 'user' }));
+    });
+  }).listen(0);
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user'], tenantId: 't1' };
+    next();
+  });
+  app.use(createArchiveRouter(storage, { onDownload: async (meta) => { downloads.push(meta); } }, {
+    authorizeFile: createFileAuthorizer(`http://localhost:${authServer.address().port}/authorize`),
+    maxEntries: 5
+  }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  authServer.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('archiveEntryName', () => {
+
+  it('numbers repeated names case-insensitively and cleans unsafe ones', () => {
+    const used = new Set();
+    assert.equal(archiveEntryName('report.pdf', 'id1', used), 'report.pdf');
+    assert.equal(archiveEntryName('Report.pdf', 'id2', used), 'Report (1).pdf');
+    assert.equal(archiveEntryName('report.pdf', 'id3', used), 'report (2).pdf');
+    assert.equal(archiveEntryName('../../etc/passwd', 'id4', used), '.._.._etc_passwd');
+    assert.equal(archiveEntryName('..', 'id5', used), 'id5');
+    assert.equal(archiveEntryName('.env', 'id6', used), '.env');
+  });
+});
+
+describe('POST /files/archive', () => {
+
+  it('streams the requested files into one ZIP', async () => {
+    const a = await storage.uploadFile('t1', 'u1', Buffer.from('first invoice '.repeat(50)), 'invoice.txt', 'text/plain');
+    const b = await storage.uploadFile('t1', 'u1', Buffer.from('second invoice'), 'invoice.txt', 'text/plain');
+    const c = await storage.uploadFile('t1', 'u1', Buffer.from([0xff, 0xd8, 0xff, 0x00]), 'scan.jpg', 'image/jpeg');
+
+    const res = await archive('u1', { fileIds: [a.fileId, b.fileId, c.fileId, a.fileId], name: 'March invoices' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/zip');
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="March invoices.zip"');
+    assert.equal(res.headers.get('x-archive-skipped'), '0');
+
+    const entries = readZip(Buffer.from(await res.arrayBuffer()));
+    assert.deepEqual([...entries.keys()], ['invoice.txt', 'invoice (1).txt', 'scan.jpg']);
+    assert.equal(entries.get('invoice.txt').toString(), 'first invoice '.repeat(50));
+    assert.equal(entries.get('invoice (1).txt').toString(), 'second invoice');
+    assert.deepEqual([...entries.get('scan.jpg')], [0xff, 0xd8, 0xff, 0x00]);
+    assert.ok(downloads.some(meta => meta.fileId === c.fileId && meta.archive === true));
+  });
+
+  it('leaves out missing, foreign and forbidden files and reports them', async () => {
+    const mine = await storage.uploadFile('t1', 'u1', Buffer.from('mine'), 'mine.txt', 'text/plain');
+    const theirs = await storage.uploadFile('t1', 'u2', Buffer.from('theirs'), 'theirs.txt', 'text/plain');
+    const secret = await storage.uploadFile('t1', 'u1', Buffer.from('secret'), 'secret.txt', 'text/plain');
+    const missing = '00000000-0000-4000-8000-000000000000';
+    denied.add(secret.fileId);
+
+    const res = await archive('u1', { fileIds: [mine.fileId, theirs.fileId, secret.fileId, missing] });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-archive-skipped'), '3');
+
+    const entries = readZip(Buffer.from(await res.arrayBuffer()));
+    assert.deepEqual([...entries.keys()], ['mine.txt', '_skipped.json']);
+    const { skipped } = JSON.parse(entries.get('_skipped.json'));
+    assert.deepEqual(skipped.map(s => [s.fileId, s.status]), [[theirs.fileId, 404], [secret.fileId, 403], [missing, 404]]);
+    assert.match(skipped[1].message, /Not your invoice/);
+  });
+
+  it('answers 404 when none of the files can be archived', async () => {
+    const res = await archive('u1', { fileIds: ['00000000-0000-4000-8000-000000000000'] });
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).skipped.length, 1);
+  });
+
+  it('archives the files of a resource', async () => {
+    await storage.uploadFile('t1', 'u3', Buffer.from('a'), 'a.txt', 'text/plain', 'user', null, { resource_type: 'invoice', resource_id: '42' });
+    await storage.uploadFile('t1', 'u3', Buffer.from('b'), 'b.txt', 'text/plain', 'user', null, { resource_type: 'invoice', resource_id: '42' });
+    await storage.uploadFile('t1', 'u3', Buffer.from('c'), 'c.txt', 'text/plain', 'user', null, { resource_type: 'invoice', resource_id: '43' });
+
+    const res = await archive('u3', { resource_type: 'invoice', resource_id: 42 });
+    const entries = readZip(Buffer.from(await res.arrayBuffer()));
+    assert.deepEqual([...entries.keys()].sort(), ['a.txt', 'b.txt']);
+  });
+
+  it('rejects malformed and oversized requests', async () => {
+    assert.equal((await archive('u1', {})).status, 400);
+    assert.equal((await archive('u1', { fileIds: [] })).status, 400);
+    assert.equal((await archive('u1', { fileIds: ['not-a-uuid'] })).status, 400);
+
+    const ids = Array.from({ length: 6 }, (_, i) => `00000000-0000-4000-8000-00000000000${i}`);
+    const res = await archive('u1', { fileIds: ids });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /At most 5/);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * checksum.test.js
+ *
+ * Tests for content checksums: digest parsing, and hashing and verification
+ * on upload, new versions and download (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { parseDigests, formatDigests } from '../src/checksum.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+import { createVersionRouter } from '../src/routes/versions.js';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+const uploaded = [];
+
+const sha256 = (content, encoding = 'base64') => crypto.createHash('sha256').update(content).digest(encoding);
+const md5 = (content) => crypto.createHash('md5').update(content).digest('base64');
+
+function upload(parts, headers = {}) {
+  const form = new FormData();
+  for (const [name, value, filename] of parts) {
+    if (filename) form.append(name, new Blob([value]), filename);
+    else form.append(name, value);
+  }
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form, headers });
+}
+
+async function storedFileIds() {
+  return (await storage.listFiles('t1', 'u1')).map(f => f.fileId);
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-checksum-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createUploadRouter(storage, 1024, { onUpload: async (meta) => { uploaded.push(meta); } }));
+  app.use(createDownloadRouter(storage));
+  app.use(createVersionRouter(storage, 1024));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('parseDigests', () => {
+
+  it('reads RFC 9530 fields and hex or base64 items', () => {
+    assert.deepEqual(parseDigests(`sha-256=:${sha256('a')}:, md5=:${md5('a')}:`), { sha256: sha256('a'), md5: md5('a') });
+    assert.deepEqual(parseDigests(`sha256:${sha256('a', 'hex')}`), { sha256: sha256('a') });
+    assert.deepEqual(parseDigests(`SHA256:${sha256('a', 'hex').toUpperCase()}`), { sha256: sha256('a') });
+  });
+
+  it('ignores unsupported algorithms and rejects malformed digests', () => {
+    assert.equal(parseDigests('sha-512=:AAAA:'), null);
+    assert.equal(parseDigests(''), null);
+    assert.throws(() => parseDigests('sha-256=:AAAA:'), { statusCode: 400 });
+    assert.throws(() => parseDigests('not a digest'), { statusCode: 400 });
+  });
+
+  it('formats digests for Repr-Digest', () => {
+    assert.equal(formatDigests({ sha256: 'x', md5: 'y' }), 'sha-256=:x:, md5=:y:');
+    assert.equal(formatDigests(null), null);
+  });
+});
+
+describe('checksums on upload and download', () => {
+
+  it('hashes uploads and returns the digests everywhere', async () => {
+    const res = await upload([['file', 'hello world', 'hello.txt']]);
+    const { file } = await res.json();
+    assert.equal(res.status, 201);
+    assert.deepEqual(file.checksum, { sha256: sha256('hello world'), md5: md5('hello world') });
+    assert.deepEqual(uploaded.at(-1).checksum, file.checksum);
+
+    const meta = await (await fetch(`${baseUrl}/files/${file.id}/metadata`)).json();
+    assert.deepEqual(meta.file.checksum, file.checksum);
+
+    const download = await fetch(`${baseUrl}/files/${file.id}`, { headers: { Range: 'bytes=0-4' } });
+    assert.equal(download.status, 206);
+    assert.equal(download.headers.get('repr-digest'), `sha-256=:${sha256('hello world')}:, md5=:${md5('hello world')}:`);
+  });
+
+  it('verifies a checksum field and a Repr-Digest header', async () => {
+    const field = await upload([['checksum', `sha256:${sha256('data', 'hex')}`], ['file', 'data', 'a.txt']]);
+    assert.equal(field.status, 201);
+
+    const header = await upload([['file', 'data', 'a.txt']], { 'Repr-Digest': `sha-256=:${sha256('data')}:` });
+    assert.equal(header.status, 201);
+  });
+
+  it('rejects a mismatching digest with 400 and stores nothing', async () => {
+    const before = await storedFileIds();
+
+    const res = await upload([['file', 'tampered', 'a.txt']], { 'Content-Digest': `sha-256=:${sha256('original')}:` });
+    const body = await res.json();
+    assert.equal(res.status, 400);
+    assert.match(body.message, /Checksum mismatch/);
+
+    assert.equal((await upload([['checksum', 'sha256:xyz'], ['file', 'x', 'a.txt']])).status, 400);
+    assert.deepEqual(await storedFileIds(), before);
+  });
+
+  it('applies each checksum field to the file part that follows it', async () => {
+    const res = await upload([
+      ['checksum', `md5=:${md5('one')}:`],
+      ['files', 'one', 'one.txt'],
+      ['files', 'two', 'two.txt'],
+      ['checksum', `md5=:${md5('not three')}:`],
+      ['files', 'three', 'three.txt']
+    ]);
+    const body = await res.json();
+    assert.equal(res.status, 207);
+    assert.deepEqual(body.files.map(f => [f.name, f.success]), [['one.txt', true], ['two.txt', true], ['three.txt', false]]);
+  });
+
+  it('rehashes new versions and carries digests through promotion', async () => {
+    const { file } = await (await upload([['file', 'v1', 'doc.txt']])).json();
+
+    const form = new FormData();
+    form.append('checksum', `sha256:${sha256('v2', 'hex')}`);
+    form.append('file', new Blob(['v2']), 'doc.txt');
+    const res = await fetch(`${baseUrl}/files/${file.id}`, { method: 'PUT', body: form });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).file.checksum.sha256, sha256('v2'));
+
+    const { versions } = await (await fetch(`${baseUrl}/files/${file.id}/versions`)).json();
+    await fetch(`${baseUrl}/files/${file.id}/versions/${versions[1].versionId}/promote`, { method: 'POST' });
+    assert.equal((await storage.statFile(file.id, 't1', 'u1')).checksum.sha256, sha256('v1'));
+  });
+});
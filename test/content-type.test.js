@@ -0,0 +1,142 @@
+/**
+ * content-type.test.js
+ *
+ * Unit tests for magic-byte sniffing and allow/deny policies, plus
+ * integration tests for POST /upload backed by LocalFsStorage.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+import { checkContentPolicy, parseContentPolicy, resolveContentType, sniffContentType } from '../src/content-type.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+
+function upload(content, filename, type, tenant = 't1') {
+  const form = new FormData();
+  form.append('file', new Blob([content], type ? { type } : {}), filename);
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form, headers: { 'X-Tenant': tenant } });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-content-type-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: req.headers['x-tenant'] };
+    next();
+  });
+  app.use(createUploadRouter(storage, 1024 * 1024, {
+    resolveContentPolicy: (req, user) => (user.tenantId === 'images-only' ? { allowedTypes: 'image/*' } : null)
+  }, {
+    contentPolicy: { deniedTypes: ['application/vnd.microsoft.portable-executable'], deniedExtensions: ['.exe', 'BAT'] }
+  }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('sniffContentType', () => {
+
+  it('recognises common formats from their first bytes', () => {
+    assert.equal(sniffContentType(PNG), 'image/png');
+    assert.equal(sniffContentType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+    assert.equal(sniffContentType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.equal(sniffContentType(Buffer.from('\x00\x00\x00\x20ftypM4A ', 'latin1')), 'audio/mp4');
+    assert.equal(sniffContentType(Buffer.from('  <!DOCTYPE html><title>x</title>')), 'text/html');
+    assert.equal(sniffContentType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg">')), 'image/svg+xml');
+  });
+
+  it('does not mistake text for short binary signatures', () => {
+    assert.equal(sniffContentType(Buffer.from('BMW,320i,2019\n')), null);
+    assert.equal(sniffContentType(Buffer.from('MZ is a postcode prefix\n')), null);
+    assert.equal(sniffContentType(Buffer.from('')), null);
+  });
+});
+
+describe('resolveContentType', () => {
+
+  it('stores the detected type when the claim is generic or an alias', () => {
+    assert.equal(resolveContentType(PNG, 'application/octet-stream'), 'image/png');
+    assert.equal(resolveContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'image/JPG'), 'image/jpeg');
+  });
+
+  it('keeps a specific claim within a container family', () => {
+    const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    assert.equal(resolveContentType(Buffer.from('PK\x03\x04', 'latin1'), docx), docx);
+  });
+
+  it('keeps the claim for unrecognised content', () => {
+    assert.equal(resolveContentType(Buffer.from('a,b\n1,2\n'), 'text/csv; charset=utf-8'), 'text/csv');
+    assert.equal(resolveContentType(Buffer.from('plain'), ''), 'application/octet-stream');
+  });
+
+  it('rejects contradicting claims with 415', () => {
+    assert.throws(() => resolveContentType(Buffer.from('<html><script>'), 'image/png'), { statusCode: 415 });
+    assert.throws(() => resolveContentType(Buffer.from('not a pdf'), 'application/pdf'), { statusCode: 415 });
+  });
+});
+
+describe('checkContentPolicy', () => {
+
+  it('applies allow and deny lists to types and extensions', () => {
+    const policy = parseContentPolicy({ allowedTypes: 'image/*, application/pdf', deniedTypes: ['image/svg+xml'], allowedExtensions: 'png,.PDF' });
+
+    checkContentPolicy([policy], 'image/png', 'logo.png');
+    checkContentPolicy([policy, null], 'application/pdf', 'Invoice.Pdf');
+    assert.throws(() => checkContentPolicy([policy], 'image/svg+xml', 'logo.png'), { statusCode: 415, message: 'File type image/svg+xml is not allowed' });
+    assert.throws(() => checkContentPolicy([policy], 'text/plain', 'notes.png'), { statusCode: 415 });
+    assert.throws(() => checkContentPolicy([policy], 'image/png', 'logo.gif'), { message: 'File extension .gif is not allowed' });
+    assert.throws(() => checkContentPolicy([policy], 'image/png', 'logo'), { message: 'Files without an extension are not allowed' });
+  });
+
+  it('treats empty lists as no policy', () => {
+    assert.equal(parseContentPolicy({ allowedTypes: '', deniedExtensions: [] }), null);
+  });
+});
+
+describe('POST /upload — content type', () => {
+
+  it('stores the detected type instead of the claimed one', async () => {
+    const res = await upload(PNG, 'photo.png', 'application/octet-stream');
+    const { file } = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(file.contentType, 'image/png');
+    assert.equal((await storage.statFile(file.id, 't1', 'u1')).contentType, 'image/png');
+  });
+
+  it('rejects HTML labelled as an image with 415 and stores nothing', async () => {
+    const res = await upload('<html><body onload="alert(1)">', 'avatar.png', 'image/png');
+    assert.equal(res.status, 415);
+    assert.equal((await res.json()).error, 'Unsupported Media Type');
+    assert.ok(!(await storage.listFiles('t1', 'u1')).some(f => f.fileName === 'avatar.png'));
+  });
+
+  it('applies the global deny list', async () => {
+    assert.equal((await upload('echo hi', 'run.bat', 'text/plain')).status, 415);
+    assert.equal((await upload('echo hi', 'run.sh', 'text/plain')).status, 201);
+  });
+
+  it('applies the tenant policy from resolveContentPolicy', async () => {
+    assert.equal((await upload('a,b', 'data.csv', 'text/csv', 'images-only')).status, 415);
+    assert.equal((await upload(PNG, 'ok.png', 'image/png', 'images-only')).status, 201);
+    assert.equal((await upload('a,b', 'data.csv', 'text/csv', 't2')).status, 201);
+  });
+});
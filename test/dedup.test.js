@@ -0,0 +1,201 @@
+/**
+ * dedup.test.js
+ *
+ * Tests for dedup mode: identical uploads share one stored copy per tenant,
+ * files keep their own IDs, ownership and metadata, and the shared content
+ * goes with the last file referring to it (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+import { createListRouter } from '../src/routes/list.js';
+import { createDeleteRouter } from '../src/routes/delete.js';
+import { createVersionRouter } from '../src/routes/versions.js';
+
+const TEMPLATE = 'quarterly report template '.repeat(100);
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+
+function upload(user, content, filename = 'template.pdf', headers = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: 'text/plain' }), filename);
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form, headers: { 'x-user': user, ...headers } });
+}
+
+function request(user, url, init = {}) {
+  return fetch(`${baseUrl}${url}`, { ...init, headers: { 'x-user': user, ...init.headers } });
+}
+
+async function sharedBlobs(tenantId = 't1') {
+  try {
+    return await fs.readdir(path.join(rootDir, 'files', '_content', tenantId, 'blobs'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-dedup-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use((req, res, next) => {
+    const [tenantId, id] = req.headers['x-user'].split(':');
+    req.user = { id, tenantId };
+    next();
+  });
+  app.use(createUploadRouter(storage, 1024 * 1024, {}, { dedup: true }));
+  app.use(createDownloadRouter(storage));
+  app.use(createListRouter(storage));
+  app.use(createVersionRouter(storage, 1024 * 1024));
+  app.use(createDeleteRouter(storage));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('dedup mode', () => {
+
+  it('stores identical uploads of a tenant once, as separate files', async () => {
+    const first = (await (await upload('t1:u1', TEMPLATE)).json()).file;
+    const second = (await (await upload('t1:u2', TEMPLATE, 'copy.pdf')).json()).file;
+
+    assert.notEqual(first.id, second.id);
+    assert.equal(second.size, TEMPLATE.length);
+    assert.equal(second.checksum.sha256, crypto.createHash('sha256').update(TEMPLATE).digest('base64'));
+    assert.equal((await sharedBlobs()).length, 1);
+
+    const download = await request('t1:u2', `/files/${second.id}`, { headers: { Range: 'bytes=0-8' } });
+    assert.equal(download.status, 206);
+    assert.equal(download.headers.get('content-range'), `bytes 0-8/${TEMPLATE.length}`);
+    assert.equal(await download.text(), 'quarterly');
+
+    const { files } = await (await request('t1:u2', '/files')).json();
+    assert.deepEqual(files.map(f => [f.fileId, f.fileName, f.size]), [[second.id, 'copy.pdf', TEMPLATE.length]]);
+
+    // Sharing content does not share access
+    assert.equal((await request('t1:u2', `/files/${first.id}`)).status, 404);
+
+    await request('t1:u1', `/files/${first.id}`, { method: 'DELETE' });
+    await request('t1:u2', `/files/${second.id}`, { method: 'DELETE' });
+  });
+
+  it('removes the content with the last file referring to it', async () => {
+    const a = (await (await upload('t1:u1', 'shared bytes')).json()).file;
+    const b = (await (await upload('t1:u1', 'shared bytes')).json()).file;
+
+    assert.equal((await request('t1:u1', `/files/${a.id}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await sharedBlobs()).length, 1);
+    assert.equal(await (await request('t1:u1', `/files/${b.id}`)).text(), 'shared bytes');
+
+    await request('t1:u1', `/files/${b.id}`, { method: 'DELETE' });
+    assert.deepEqual(await sharedBlobs(), []);
+  });
+
+  it('keeps tenants apart', async () => {
+    const a = (await (await upload('t1:u1', 'per tenant')).json()).file;
+    const b = (await (await upload('t2:u1', 'per tenant')).json()).file;
+
+    assert.equal((await sharedBlobs('t1')).length, 1);
+    assert.equal((await sharedBlobs('t2')).length, 1);
+
+    await request('t1:u1', `/files/${a.id}`, { method: 'DELETE' });
+    assert.equal(await (await request('t2:u1', `/files/${b.id}`)).text(), 'per tenant');
+    await request('t2:u1', `/files/${b.id}`, { method: 'DELETE' });
+  });
+
+  it('holds the content through new versions and promotion', async () => {
+    const { file } = await (await upload('t1:u1', 'original')).json();
+
+    const form = new FormData();
+    form.append('file', new Blob(['edited']), 'template.pdf');
+    await request('t1:u1', `/files/${file.id}`, { method: 'PUT', body: form });
+    assert.equal(await (await request('t1:u1', `/files/${file.id}`)).text(), 'edited');
+
+    const { versions } = await (await request('t1:u1', `/files/${file.id}/versions`)).json();
+    assert.deepEqual(versions.map(v => v.size), [6, 8]);
+
+    await request('t1:u1', `/files/${file.id}/versions/${versions[1].versionId}/promote`, { method: 'POST' });
+    assert.equal(await (await request('t1:u1', `/files/${file.id}`)).text(), 'original');
+
+    await request('t1:u1', `/files/${file.id}`, { method: 'DELETE' });
+    assert.deepEqual(await sharedBlobs(), []);
+  });
+
+  it('releases the content when a trashed file is purged', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('trashed'), 'a.txt', 'text/plain', 'user', null, {}, { dedup: true });
+
+    await storage.trashFile(fileId, 't1', 'u1');
+    assert.equal((await sharedBlobs()).length, 1);
+
+    await storage.purgeTrash(new Date(Date.now() + 1000));
+    assert.deepEqual(await sharedBlobs(), []);
+  });
+
+  it('stores nothing when the checksum does not match', async () => {
+    const res = await upload('t1:u1', 'tampered', 'a.txt', { 'Repr-Digest': `sha-256=:${crypto.createHash('sha256').update('original').digest('base64')}:` });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await sharedBlobs(), []);
+  });
+});
+
+describe('dedup across processes', () => {
+
+  // A second instance over the same directory has locks of its own, like another replica
+  async function replica() {
+    const other = new LocalFsStorage(rootDir, 'files');
+    await other.initialize();
+    return other;
+  }
+
+  it('keeps content another process references while it is being released', async () => {
+    const content = Buffer.from('shared across replicas');
+    const first = await storage.storeSharedContent('t3', 'f1', content);
+
+    // The store lands right after the release found no other references
+    const releaser = await replica();
+    const hasSharedBlobs = releaser.hasSharedBlobs.bind(releaser);
+    let second;
+    releaser.hasSharedBlobs = async (prefix) => {
+      const found = await hasSharedBlobs(prefix);
+      if (!second) second = await storage.storeSharedContent('t3', 'f2', content);
+      return found;
+    };
+    await releaser.releaseSharedContent({ tenant_id: 't3', file_id: 'f1', content_ref: first.hash });
+
+    assert.equal(second.blob, first.blob);
+    assert.ok(await storage.hasSharedBlobs(second.blob));
+    assert.deepEqual(await storage.readSharedRecord(`_content/t3/${first.hash}.json`), { blob: first.blob, size: content.length });
+
+    await storage.releaseSharedContent({ tenant_id: 't3', file_id: 'f2', content_ref: first.hash });
+    assert.deepEqual(await sharedBlobs('t3'), []);
+  });
+
+  it('does not reuse content whose index outlived it', async () => {
+    const content = Buffer.from('released elsewhere');
+    const first = await storage.storeSharedContent('t4', 'f1', content);
+    await storage.deleteSharedBlob(first.blob);
+
+    const second = await storage.storeSharedContent('t4', 'f2', content);
+    assert.notEqual(second.blob, first.blob);
+    assert.ok(await storage.hasSharedBlobs(second.blob));
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * direct-upload.test.js
+ *
+ * Integration tests for the direct-to-storage upload router, backed by the
+ * S3 driver over an in-memory fake. The client's PUT to the presigned URL is
+ * simulated by writing the object the URL names.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import express from 'express';
+import { S3Client } from '@aws-sdk/client-s3';
+import { S3StorageClient } from '../src/s3-storage.js';
+import { createDirectUploadRouter } from '../src/routes/direct-upload.js';
+import { fakeS3Client } from './fake-s3.js';
+
+let storage;
+let server;
+let baseUrl;
+const completed = [];
+
+function post(url, body) {
+  return fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+}
+
+// The object key a presigned URL writes to (path-style: /{bucket}/{key})
+function presignedKey(url) {
+  return decodeURIComponent(new URL(url).pathname).split('/').slice(2).join('/');
+}
+
+async function presign(filename, contentType, content, fields = {}) {
+  const res = await post('/uploads/presign', { filename, contentType, size: content.length, ...fields });
+  assert.equal(res.status, 201);
+  const { upload } = await res.json();
+  storage.client.objects.set(presignedKey(upload.url), { body: Buffer.from(content), metadata: {} });
+  return upload;
+}
+
+async function download(file) {
+  const { stream } = await storage.downloadFile(file.id, 't1', 'u1');
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+before(() => {
+  storage = new S3StorageClient({ bucket: 'files', endpoint: 'http://s3.test', forcePathStyle: true });
+  // A real client signs the URLs offline; requests go to the fake
+  const client = new S3Client({
+    region: 'us-east-1',
+    endpoint: 'http://s3.test',
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'test', secretAccessKey: 'test' }
+  });
+  const fake = fakeS3Client();
+  client.send = fake.send;
+  client.objects = fake.objects;
+  storage.client = client;
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user-id'] || 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createDirectUploadRouter(storage, 1024, { onUpload: async (meta) => { completed.push(meta.fileId); } }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+describe('direct uploads', () => {
+
+  it('presigns a staging key, not the file', async () => {
+    const upload = await presign('notes.txt', 'text/plain', 'hello');
+    assert.equal(upload.method, 'PUT');
+    assert.equal(presignedKey(upload.url), `_uploads/${upload.id}.direct`);
+  });
+
+  it('serves the staged bytes once completed and fires onUpload', async () => {
+    const upload = await presign('notes.txt', 'text/plain', 'hello');
+
+    const res = await post(`/uploads/${upload.id}/complete`);
+    assert.equal(res.status, 201);
+    const { file } = await res.json();
+    assert.equal(file.id, upload.id);
+    assert.equal(file.size, 5);
+    assert.equal(await download(file), 'hello');
+    assert.ok(completed.includes(file.id));
+  });
+
+  it('ignores writes through the URL after completion', async () => {
+    const upload = await presign('notes.txt', 'text/plain', 'hello');
+    const { file } = await (await post(`/uploads/${upload.id}/complete`)).json();
+
+    // The URL is still valid: overwrite the staging key with the same length
+    storage.client.objects.set(presignedKey(upload.url), { body: Buffer.from('EVIL!'), metadata: { scan_status: 'clean' } });
+    assert.equal(await download(file), 'hello');
+
+    const again = await post(`/uploads/${upload.id}/complete`);
+    assert.equal(again.status, 409);
+    assert.equal(await download(file), 'hello');
+    assert.equal(storage.client.objects.has(presignedKey(upload.url)), false);
+  });
+
+  it('stores the type detected from the staged bytes', async () => {
+    const png = Buffer.from('\x89PNG\r\n\x1a\nIEND', 'latin1');
+    const upload = await presign('image.bin', 'application/octet-stream', png);
+
+    const { file } = await (await post(`/uploads/${upload.id}/complete`)).json();
+    assert.equal(file.contentType, 'image/png');
+    const stat = await storage.statFile(file.id, 't1', 'u1');
+    assert.equal(stat.contentType, 'image/png');
+  });
+
+  it('discards staged bytes that contradict the declared type with 415', async () => {
+    const upload = await presign('image.png', 'image/png', '<html><script>');
+
+    const res = await post(`/uploads/${upload.id}/complete`);
+    assert.equal(res.status, 415);
+    assert.equal(storage.client.objects.has(presignedKey(upload.url)), false);
+    assert.equal(storage.client.objects.has(`t1/u1/${upload.id}`), false);
+  });
+
+  it('hashes the staged bytes on completion', async () => {
+    const sha256 = crypto.createHash('sha256').update('hello').digest();
+    const upload = await presign('notes.txt', 'text/plain', 'hello', { checksum: `sha256:${sha256.toString('hex')}` });
+
+    const res = await post(`/uploads/${upload.id}/complete`);
+    assert.equal(res.status, 201);
+    const { file } = await res.json();
+    assert.equal(file.checksum.sha256, sha256.toString('base64'));
+    assert.equal(file.checksum.md5, crypto.createHash('md5').update('hello').digest('base64'));
+    assert.equal(storage.client.objects.get(`t1/u1/${file.id}`).metadata.checksum_sha256, sha256.toString('base64'));
+  });
+
+  it('discards staged bytes that do not match the checksum given when presigning with 400', async () => {
+    const sha256 = crypto.createHash('sha256').update('hello').digest('hex');
+    const upload = await presign('notes.txt', 'text/plain', 'jello', { checksum: `sha256:${sha256}` });
+
+    const res = await post(`/uploads/${upload.id}/complete`);
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, /Checksum mismatch/);
+    assert.equal(storage.client.objects.has(presignedKey(upload.url)), false);
+    assert.equal(storage.client.objects.has(`t1/u1/${upload.id}`), false);
+  });
+
+  it('rejects a malformed checksum when presigning with 400', async () => {
+    const res = await post('/uploads/presign', { filename: 'x.txt', contentType: 'text/plain', size: 3, checksum: 'sha256:nothex' });
+    assert.equal(res.status, 400);
+  });
+
+  it('refuses to complete an upload with nothing staged', async () => {
+    const res = await post('/uploads/presign', { filename: 'x.txt', contentType: 'text/plain', size: 3 });
+    const { upload } = await res.json();
+    assert.equal((await post(`/uploads/${upload.id}/complete`)).status, 409);
+  });
+
+  it('only lets the uploader complete', async () => {
+    const upload = await presign('notes.txt', 'text/plain', 'hello');
+    const res = await fetch(`${baseUrl}/uploads/${upload.id}/complete`, { method: 'POST', headers: { 'X-User-Id': 'u2' } });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * download.test.js
+ *
+ * Integration tests for the download router, backed by LocalFsStorage.
+ * Verifies full downloads, single-range (206 / 416), conditional (304),
+ * Content-Disposition handling, HEAD and the metadata endpoint.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+
+const CONTENT = '0123456789abcdefghij';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+let fileId;
+let downloads = 0;
+
+function download(headers = {}) {
+  return fetch(`${baseUrl}/files/${fileId}`, { headers });
+}
+
+// fetch() adds `Cache-Control: no-cache` to conditional requests unless one is set,
+// which (correctly) disables 304s — send what a revalidating browser cache would
+function revalidate(headers) {
+  return download({ 'Cache-Control': 'max-age=0', ...headers });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-download-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+  ({ fileId } = await storage.uploadFile('t1', 'u1', Buffer.from(CONTENT), 'digits.txt', 'text/plain'));
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createDownloadRouter(storage, { onDownload: async () => { downloads++; } }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('GET /files/:id', () => {
+
+  it('streams the whole file and advertises range support', async () => {
+    const res = await download();
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('accept-ranges'), 'bytes');
+    assert.equal(await res.text(), CONTENT);
+  });
+
+  it('returns 206 with Content-Range for a single range', async () => {
+    const res = await download({ Range: 'bytes=5-9' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers.get('content-range'), `bytes 5-9/${CONTENT.length}`);
+    assert.equal(res.headers.get('content-length'), '5');
+    assert.equal(await res.text(), '56789');
+  });
+
+  it('supports open-ended and suffix ranges', async () => {
+    assert.equal(await (await download({ Range: 'bytes=15-' })).text(), 'fghij');
+    assert.equal(await (await download({ Range: 'bytes=-3' })).text(), 'hij');
+  });
+
+  it('returns 416 for an unsatisfiable range', async () => {
+    const res = await download({ Range: 'bytes=100-200' });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers.get('content-range'), `bytes */${CONTENT.length}`);
+  });
+
+  it('ignores multi-range requests and sends the whole file', async () => {
+    const res = await download({ Range: 'bytes=0-1,5-6' });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), CONTENT);
+  });
+
+  it('sends validators and answers If-None-Match with 304', async () => {
+    const first = await download();
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.ok(first.headers.get('last-modified'));
+    assert.equal(first.headers.get('cache-control'), 'private, no-cache');
+
+    const res = await revalidate({ 'If-None-Match': etag });
+    assert.equal(res.status, 304);
+    assert.equal(await res.text(), '');
+  });
+
+  it('answers If-Modified-Since with 304 when unchanged', async () => {
+    const lastModified = (await download()).headers.get('last-modified');
+    assert.equal((await revalidate({ 'If-Modified-Since': lastModified })).status, 304);
+  });
+
+  it('ignores Range when If-Range does not match the current ETag', async () => {
+    const res = await download({ Range: 'bytes=0-1', 'If-Range': '"stale"' });
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), CONTENT);
+  });
+
+  it('encodes non-ASCII and quoted filenames per RFC 6266', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'résumé "final".pdf', 'application/pdf');
+    const res = await fetch(`${baseUrl}/files/${meta.fileId}`);
+    assert.equal(
+      res.headers.get('content-disposition'),
+      'attachment; filename="r_sum_ \\"final\\".pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22final%22.pdf'
+    );
+    assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  });
+
+  it('serves inline previews, sandboxing active content', async () => {
+    const text = await fetch(`${baseUrl}/files/${fileId}?disposition=inline`);
+    assert.equal(text.headers.get('content-disposition'), 'inline; filename="digits.txt"');
+    assert.equal(text.headers.get('content-security-policy'), null);
+
+    const html = await storage.uploadFile('t1', 'u1', Buffer.from('<script>1</script>'), 'page.html', 'text/html');
+    const res = await fetch(`${baseUrl}/files/${html.fileId}?disposition=inline`);
+    assert.match(res.headers.get('content-security-policy'), /\bsandbox\b/);
+  });
+
+  it('rejects an unknown disposition', async () => {
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}?disposition=evil`)).status, 400);
+  });
+});
+
+describe('HEAD /files/:id and GET /files/:id/metadata', () => {
+
+  it('answers HEAD with the download headers and no body', async () => {
+    const before = downloads;
+    const res = await fetch(`${baseUrl}/files/${fileId}`, { method: 'HEAD' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-length'), String(CONTENT.length));
+    assert.equal(res.headers.get('content-type'), 'text/plain');
+    assert.equal(res.headers.get('content-disposition'), 'attachment; filename="digits.txt"');
+    assert.ok(res.headers.get('etag'));
+    assert.equal(await res.text(), '');
+    assert.equal(downloads, before);
+  });
+
+  it('returns 404 on HEAD for a missing file', async () => {
+    const res = await fetch(`${baseUrl}/files/00000000-0000-4000-8000-000000000000`, { method: 'HEAD' });
+    assert.equal(res.status, 404);
+  });
+
+  it('returns the stored metadata as JSON', async () => {
+    const res = await fetch(`${baseUrl}/files/${fileId}/metadata`);
+    const { file } = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(file.id, fileId);
+    assert.equal(file.name, 'digits.txt');
+    assert.equal(file.size, CONTENT.length);
+    assert.equal(file.uploadedBy, 'u1');
+    assert.equal(file.tenantId, 't1');
+    assert.equal(file.scope, 'user');
+    assert.deepEqual(file.checksum, {
+      sha256: crypto.createHash('sha256').update(CONTENT).digest('base64'),
+      md5: crypto.createHash('md5').update(CONTENT).digest('base64')
+    });
+    assert.ok(file.etag);
+  });
+
+  it('returns 404 for metadata of another user\'s file', async () => {
+    const other = await storage.uploadFile('t1', 'u2', Buffer.from('private'), 'p.txt', 'text/plain');
+    assert.equal((await fetch(`${baseUrl}/files/${other.fileId}/metadata`)).status, 404);
+  });
+});
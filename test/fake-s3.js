@@ -0,0 +1,109 @@
+/**
+ * In-memory S3 stand-in shared by the S3 driver and route tests (not a test
+ * file itself: the test glob only picks up *.test.js).
+ */
+
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+
+/**
+ * Minimal in-memory stand-in for S3Client#send, keyed on command class name.
+ */
+export function fakeS3Client() {
+  const objects = new Map();
+  const multipart = new Map();
+  const notFound = () => Object.assign(new Error('NotFound'), { $metadata: { httpStatusCode: 404 } });
+  const preconditionFailed = () => Object.assign(new Error('PreconditionFailed'), { $metadata: { httpStatusCode: 412 } });
+  // Like S3's for single-part objects: the MD5 of the content
+  const etag = (obj) => `"${crypto.createHash('md5').update(obj.body).digest('hex')}"`;
+  // Conditional writes: IfMatch names the ETag the destination must have
+  const checkTarget = (input) => {
+    if (input.IfNoneMatch === '*' && objects.has(input.Key)) throw preconditionFailed();
+    if (input.IfMatch && (!objects.has(input.Key) || input.IfMatch !== etag(objects.get(input.Key)))) throw preconditionFailed();
+  };
+
+  return {
+    objects,
+    // What lib-storage's Upload reads to build the object's Location
+    config: { endpoint: async () => ({ protocol: 'http:', hostname: 'localhost', path: '/' }), forcePathStyle: true },
+    async send(command) {
+      const input = command.input;
+      switch (command.constructor.name) {
+        case 'PutObjectCommand':
+          checkTarget(input);
+          objects.set(input.Key, { body: Buffer.from(input.Body), metadata: input.Metadata, tagging: input.Tagging, contentType: input.ContentType });
+          return { ETag: etag(objects.get(input.Key)) };
+        case 'HeadObjectCommand': {
+          const obj = objects.get(input.Key);
+          if (!obj) throw notFound();
+          return { ContentLength: obj.body.length, Metadata: obj.metadata, ETag: etag(obj) };
+        }
+        case 'CopyObjectCommand': {
+          const key = decodeURIComponent(input.CopySource.slice(input.CopySource.indexOf('/') + 1));
+          const obj = objects.get(key);
+          if (!obj) throw notFound();
+          if (input.CopySourceIfMatch && input.CopySourceIfMatch !== etag(obj)) throw preconditionFailed();
+          checkTarget(input);
+          objects.set(input.Key, {
+            body: obj.body,
+            metadata: input.Metadata || obj.metadata,
+            tagging: input.TaggingDirective === 'REPLACE' ? input.Tagging : obj.tagging,
+            contentType: input.MetadataDirective === 'REPLACE' ? input.ContentType : obj.contentType
+          });
+          return {};
+        }
+        case 'GetObjectCommand': {
+          const obj = objects.get(input.Key);
+          if (!obj) throw notFound();
+          if (input.IfMatch && input.IfMatch !== etag(obj)) throw preconditionFailed();
+          const [, start, end] = /^bytes=(\d+)-(\d*)$/.exec(input.Range || '') || [];
+          const content = start === undefined ? obj.body : obj.body.subarray(Number(start), end ? Number(end) + 1 : undefined);
+          const body = Object.assign(Readable.from([content]), { transformToByteArray: async () => content });
+          return { Body: body, ContentLength: content.length };
+        }
+        case 'ListObjectsV2Command': {
+          // Continuation tokens are plain offsets into the sorted key list
+          const keys = [...objects.keys()].filter(k => k.startsWith(input.Prefix)).sort();
+          const start = Number(input.ContinuationToken || 0);
+          const end = start + (input.MaxKeys || 1000);
+          return {
+            Contents: keys.slice(start, end).map(Key => ({ Key })),
+            IsTruncated: end < keys.length,
+            NextContinuationToken: end < keys.length ? String(end) : undefined
+          };
+        }
+        case 'DeleteObjectCommand':
+          objects.delete(input.Key);
+          return {};
+        case 'CreateMultipartUploadCommand': {
+          const UploadId = `mpu-${multipart.size + 1}`;
+          multipart.set(UploadId, { parts: new Map(), metadata: input.Metadata });
+          return { UploadId };
+        }
+        case 'UploadPartCommand':
+          multipart.get(input.UploadId).parts.set(input.PartNumber, Buffer.from(input.Body));
+          return { ETag: `"${input.PartNumber}"` };
+        case 'ListPartsCommand': {
+          const parts = multipart.get(input.UploadId).parts;
+          return {
+            Parts: [...parts].map(([PartNumber, body]) => ({ PartNumber, ETag: `"${PartNumber}"`, Size: body.length })),
+            IsTruncated: false
+          };
+        }
+        case 'CompleteMultipartUploadCommand': {
+          checkTarget(input);
+          const upload = multipart.get(input.UploadId);
+          const body = Buffer.concat(input.MultipartUpload.Parts.map(p => upload.parts.get(p.PartNumber)));
+          objects.set(input.Key, { body, metadata: upload.metadata });
+          multipart.delete(input.UploadId);
+          return {};
+        }
+        case 'AbortMultipartUploadCommand':
+          multipart.delete(input.UploadId);
+          return {};
+        default:
+          throw new Error(`Unexpected command ${command.constructor.name}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * link.test.js
+ *
+ * Integration tests for signed download links, backed by LocalFsStorage.
+ * Verifies link creation, unauthenticated download, tampering, expiry and
+ * download caps.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createLinkRouter, createSignedLinkRouter } from '../src/routes/link.js';
+import { signLink } from '../src/links.js';
+
+const SECRET = 'test-secret';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+let fileId;
+
+async function createLink(body = {}, id = fileId) {
+  const res = await fetch(`${baseUrl}/files/${id}/link`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Test-User': 'u1' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-link-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+  ({ fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('shared'), 'shared.txt', 'text/plain'));
+
+  const app = express();
+  app.use(express.json());
+  app.use(createSignedLinkRouter(storage, {}, { secret: SECRET }));
+  // Stand-in for the authentication chain: only requests with X-Test-User get a user
+  app.use((req, res, next) => {
+    if (!req.headers['x-test-user']) return res.status(401).json({ error: 'Unauthorized' });
+    req.user = { id: req.headers['x-test-user'], tenantId: 't1' };
+    next();
+  });
+  app.use(createLinkRouter(storage, {}, { secret: SECRET }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('signed links', () => {
+
+  it('creates a link that downloads without an Authorization header', async () => {
+    const { status, body } = await createLink({ expiresIn: 60 });
+    assert.equal(status, 201);
+    assert.ok(body.link.url.startsWith(`${baseUrl}/links/`));
+
+    const res = await fetch(body.link.url);
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'shared');
+  });
+
+  it('rejects a tampered token with 403', async () => {
+    const { body } = await createLink();
+    const res = await fetch(body.link.url.replace(/.(?=\.)/, (c) => (c === 'A' ? 'B' : 'A')));
+    assert.equal(res.status, 403);
+  });
+
+  it('rejects an expired token with 410', async () => {
+    const token = signLink({ jti: 'x', fid: fileId, tid: 't1', uid: 'u1', scp: 'user', pfx: null, exp: Math.floor(Date.now() / 1000) - 1 }, SECRET);
+    assert.equal((await fetch(`${baseUrl}/links/${token}`)).status, 410);
+  });
+
+  it('stops serving after maxDownloads', async () => {
+    const { body } = await createLink({ maxDownloads: 1 });
+    assert.equal((await fetch(body.link.url)).status, 200);
+    assert.equal((await fetch(body.link.url)).status, 410);
+  });
+
+  it('refuses to create a link for a missing file', async () => {
+    const { status } = await createLink({}, '00000000-0000-4000-8000-000000000000');
+    assert.equal(status, 404);
+  });
+
+  it('validates expiresIn', async () => {
+    const { status } = await createLink({ expiresIn: 30 * 24 * 60 * 60 });
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * list.test.js
+ *
+ * Integration tests for the list router, backed by LocalFsStorage.
+ * Verifies cursor pagination, sorting and filtering.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createListRouter } from '../src/routes/list.js';
+
+const FILES = [
+  ['banana.txt', 'text/plain', 30, '2025-01-03T00:00:00.000Z'],
+  ['apple.png', 'image/png', 10, '2025-01-01T00:00:00.000Z'],
+  ['cherry.jpg', 'image/jpeg', 50, '2025-01-05T00:00:00.000Z'],
+  ['date.txt', 'text/plain', 20, '2025-01-02T00:00:00.000Z'],
+  ['elderberry.pdf', 'application/pdf', 40, '2025-01-04T00:00:00.000Z']
+];
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+
+async function list(query = {}, mount = '') {
+  const res = await fetch(`${baseUrl}${mount}/files?${new URLSearchParams(query)}`);
+  return { status: res.status, body: await res.json() };
+}
+
+// Follow nextCursor until the last page, returning every page's file names
+async function listAll(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const { body } = await list(cursor ? { ...query, cursor } : query);
+    pages.push(body.files.map(f => f.fileName));
+    cursor = body.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-list-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  for (const [name, contentType, size, uploadedAt] of FILES) {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.alloc(size, 'x'), name, contentType);
+    // Pin upload times so date filters and sorting are deterministic
+    const metaPath = path.join(rootDir, 'files', `${meta.blobName}.meta.json`);
+    const sidecar = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    await fs.writeFile(metaPath, JSON.stringify({ ...sidecar, uploaded_at: uploadedAt }));
+  }
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createListRouter(storage));
+  app.use('/capped', createListRouter(storage, {}, { maxSortedFiles: 4 }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('GET /files', () => {
+
+  it('returns every file on one page with a null cursor by default', async () => {
+    const { status, body } = await list();
+    assert.equal(status, 200);
+    assert.equal(body.count, FILES.length);
+    assert.equal(body.nextCursor, null);
+  });
+
+  it('pages through storage order with nextCursor', async () => {
+    const pages = await listAll({ limit: 2 });
+    assert.deepEqual(pages.map(p => p.length), [2, 2, 1]);
+    assert.equal(new Set(pages.flat()).size, FILES.length);
+  });
+
+  it('sorts by name, size and uploadedAt across pages', async () => {
+    assert.deepEqual((await listAll({ sort: 'name', limit: 2 })).flat(),
+      ['apple.png', 'banana.txt', 'cherry.jpg', 'date.txt', 'elderberry.pdf']);
+    assert.deepEqual((await listAll({ sort: 'size', order: 'desc', limit: 3 })).flat(),
+      ['cherry.jpg', 'elderberry.pdf', 'banana.txt', 'date.txt', 'apple.png']);
+    assert.deepEqual((await listAll({ sort: 'uploadedAt', limit: 4 })).flat(),
+      ['apple.png', 'date.txt', 'banana.txt', 'elderberry.pdf', 'cherry.jpg']);
+  });
+
+  it('filters by content type prefix, name and upload date', async () => {
+    assert.deepEqual((await listAll({ sort: 'name', contentType: 'image/' })).flat(), ['apple.png', 'cherry.jpg']);
+    assert.deepEqual((await listAll({ sort: 'name', name: 'AN' })).flat(), ['banana.txt']);
+    assert.deepEqual((await listAll({
+      sort: 'name',
+      uploadedAfter: '2025-01-02T00:00:00Z',
+      uploadedBefore: '2025-01-04T00:00:00Z'
+    })).flat(), ['banana.txt', 'date.txt']);
+  });
+
+  it('applies filters before counting the page size', async () => {
+    const pages = await listAll({ contentType: 'text/', limit: 1 });
+    assert.deepEqual(pages.flat().sort(), ['banana.txt', 'date.txt']);
+  });
+
+  it('refuses to sort more matching files than the cap with 400', async () => {
+    const { status, body } = await list({ sort: 'name' }, '/capped');
+    assert.equal(status, 400);
+    assert.match(body.message, /More than 4 files match/);
+
+    // Filtered down to the cap, or unsorted, the listing works
+    assert.equal((await list({ sort: 'name', contentType: 'image/' }, '/capped')).body.count, 2);
+    assert.equal((await list({}, '/capped')).body.count, FILES.length);
+  });
+
+  it('rejects invalid parameters with 400', async () => {
+    assert.equal((await list({ limit: 0 })).status, 400);
+    assert.equal((await list({ sort: 'owner' })).status, 400);
+    assert.equal((await list({ uploadedAfter: 'yesterday' })).status, 400);
+    assert.equal((await list({ cursor: 'garbage' })).status, 400);
+    assert.equal((await list({ sort: 'name', cursor: 'garbage' })).status, 400);
+  });
+
+  it('filters by resource linkage and returns the attributes', async () => {
+    await storage.uploadFile('t1', 'u1', Buffer.from('a'), 'inv-42.pdf', 'application/pdf', 'user', null,
+      { resource_type: 'invoice', resource_id: '42', meta_status: 'paid' });
+    await storage.uploadFile('t1', 'u1', Buffer.from('b'), 'inv-43.pdf', 'application/pdf', 'user', null,
+      { resource_type: 'invoice', resource_id: '43' });
+
+    const { body } = await list({ resource_type: 'invoice', resource_id: '42' });
+    assert.equal(body.count, 1);
+    assert.equal(body.files[0].fileName, 'inv-42.pdf');
+    assert.equal(body.files[0].resourceType, 'invoice');
+    assert.deepEqual(body.files[0].meta, { status: 'paid' });
+
+    assert.equal((await list({ resource_type: 'invoice' })).body.count, 2);
+  });
+});
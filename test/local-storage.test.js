@@ -0,0 +1,104 @@
+/**
+ * local-storage.test.js
+ *
+ * Unit tests for the local filesystem storage driver.
+ * Verifies the blob layout, metadata round-trip and ownership checks.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { LocalFsStorage } from '../src/local-storage.js';
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+let rootDir;
+let storage;
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+});
+
+after(async () => {
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('LocalFsStorage', () => {
+
+  it('stores files under {tenant}/{user}/{fileId}', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('hello'), 'hello.txt', 'text/plain');
+    assert.equal(meta.blobName, `t1/u1/${meta.fileId}`);
+    const content = await fs.readFile(path.join(rootDir, 'files', meta.blobName), 'utf8');
+    assert.equal(content, 'hello');
+  });
+
+  it('stores tenant-scoped files under {tenant}/shared/', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.bin', 'application/octet-stream', 'tenant');
+    assert.equal(meta.blobName, `t1/shared/${meta.fileId}`);
+  });
+
+  it('round-trips content and metadata through downloadFile and statFile', async () => {
+    const meta = await storage.uploadFile('t1', 'u2', Buffer.from('abc'), 'a.txt', 'text/plain');
+
+    const { stream, metadata } = await storage.downloadFile(meta.fileId, 't1', 'u2');
+    assert.equal((await readStream(stream)).toString(), 'abc');
+    assert.equal(metadata.fileName, 'a.txt');
+    assert.equal(metadata.contentType, 'text/plain');
+    assert.equal(metadata.size, 3);
+    assert.match(metadata.etag, /^"[0-9a-f]+-[0-9a-f]+"$/);
+    assert.ok(metadata.lastModified instanceof Date);
+
+    const stat = await storage.statFile(meta.fileId, 't1', 'u2');
+    assert.equal(stat.fileName, 'a.txt');
+    assert.equal(stat.size, 3);
+  });
+
+  it('lists only files under the caller prefix', async () => {
+    await storage.uploadFile('t2', 'u3', Buffer.from('1'), 'one.txt', 'text/plain');
+    await storage.uploadFile('t2', 'u4', Buffer.from('2'), 'two.txt', 'text/plain');
+
+    const files = await storage.listFiles('t2', 'u3');
+    assert.deepEqual(files.map(f => f.fileName), ['one.txt']);
+  });
+
+  it('deletes content and metadata', async () => {
+    const meta = await storage.uploadFile('t3', 'u5', Buffer.from('bye'), 'bye.txt', 'text/plain');
+    await storage.deleteFile(meta.fileId, 't3', 'u5');
+    await assert.rejects(storage.statFile(meta.fileId, 't3', 'u5'), { message: 'File not found' });
+    assert.deepEqual(await storage.listFiles('t3', 'u5'), []);
+  });
+
+  it('finds and migrates blobs stored under the legacy {fileId}.{ext} name', async () => {
+    const meta = await storage.uploadFile('t4', 'u6', Buffer.from('old'), 'old.pdf', 'application/pdf');
+    const dir = path.join(rootDir, 'files', 't4', 'u6');
+    await fs.rename(path.join(dir, meta.fileId), path.join(dir, `${meta.fileId}.pdf`));
+    await fs.rename(path.join(dir, `${meta.fileId}.meta.json`), path.join(dir, `${meta.fileId}.pdf.meta.json`));
+
+    const stat = await storage.statFile(meta.fileId, 't4', 'u6');
+    assert.equal(stat.fileName, 'old.pdf');
+
+    const renamed = await storage.migrateLegacyBlobNames('t4/');
+    assert.deepEqual(renamed, [{ from: `t4/u6/${meta.fileId}.pdf`, to: `t4/u6/${meta.fileId}` }]);
+    assert.equal(await fs.readFile(path.join(dir, meta.fileId), 'utf8'), 'old');
+  });
+
+  it('rejects a blob prefix that escapes the storage root', async () => {
+    await assert.rejects(
+      storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.txt', 'text/plain', 'user', '../../etc/'),
+      /Unauthorized/
+    );
+  });
+
+  it('fails with 503 when no root directory is configured', async () => {
+    const unconfigured = new LocalFsStorage(null);
+    await assert.rejects(unconfigured.listFiles('t1', 'u1'), (err) => err.statusCode === 503);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * quota.test.js
+ *
+ * Tests for per-user and per-tenant storage quotas: limit checks on
+ * multipart and tus uploads (507 / 413), usage kept current on upload,
+ * delete and purge, the resolveQuota hook, and GET /usage (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createQuotaTracker, parseQuota } from '../src/quota.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+import { createTusRouter } from '../src/routes/tus.js';
+import { createDeleteRouter } from '../src/routes/delete.js';
+import { createUsageRouter } from '../src/routes/usage.js';
+
+let rootDir;
+let storage;
+let quota;
+let server;
+let baseUrl;
+
+function headers(user, tenant = 't1') {
+  return { 'x-user': user, 'x-tenant': tenant };
+}
+
+function upload(user, files, tenant) {
+  const form = new FormData();
+  for (const [content, filename] of files) {
+    form.append(files.length === 1 ? 'file' : 'files', new Blob([content]), filename);
+  }
+  return fetch(`${baseUrl}/upload`, { method: 'POST', headers: headers(user, tenant), body: form });
+}
+
+async function usage(user, tenant) {
+  const res = await fetch(`${baseUrl}/usage`, { headers: headers(user, tenant) });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-quota-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const hooks = {
+    // Users on the "big" plan have no per-user limits
+    resolveQuota: async (req, user) => (user.id.startsWith('big') ? { userBytes: null, userFiles: null } : null)
+  };
+  quota = createQuotaTracker(storage, hooks, { limits: { userBytes: 1000, userFiles: 3, tenantBytes: 2500 } });
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user'], tenantId: req.headers['x-tenant'] || null };
+    next();
+  });
+  app.use(createUploadRouter(storage, 10000, hooks, { quota }));
+  app.use(createTusRouter(storage, 10000, hooks, { quota }));
+  app.use(createDeleteRouter(storage, hooks, { quota }));
+  app.use(createUsageRouter(storage, hooks, { quota }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('parseQuota', () => {
+
+  it('keeps the keys given and treats empty or invalid values as unlimited', () => {
+    assert.deepEqual(parseQuota({ userBytes: '1024', userFiles: 0, tenantBytes: '', tenantFiles: -1 }),
+      { userBytes: 1024, userFiles: 0, tenantBytes: null, tenantFiles: null });
+    assert.deepEqual(parseQuota({ userBytes: undefined }), { userBytes: null });
+    assert.deepEqual(parseQuota(null), {});
+  });
+});
+
+describe('GET /usage', () => {
+
+  it('counts files already in storage, trashed ones included', async () => {
+    await storage.uploadFile('t2', 'u1', Buffer.alloc(100), 'a.txt', 'text/plain');
+    const trashed = await storage.uploadFile('t2', 'u1', Buffer.alloc(50), 'b.txt', 'text/plain');
+    await storage.trashFile(trashed.fileId, 't2', 'u1');
+    await storage.uploadFile('t2', 'u2', Buffer.alloc(30), 'c.txt', 'text/plain');
+
+    // One listing each for the user and the tenant, trashed files included
+    const listFilesPage = storage.listFilesPage;
+    const listings = [];
+    storage.listFilesPage = function (...args) {
+      listings.push(args[4].trashed);
+      return listFilesPage.apply(this, args);
+    };
+    let body;
+    try {
+      body = await usage('u1', 't2');
+    } finally {
+      storage.listFilesPage = listFilesPage;
+    }
+    assert.deepEqual(listings, ['all', 'all']);
+    assert.deepEqual(body.user, { bytes: 150, files: 2, maxBytes: 1000, maxFiles: 3 });
+    assert.deepEqual(body.tenant, { bytes: 180, files: 3, maxBytes: 2500, maxFiles: null });
+  });
+
+  it('reports no tenant for users without one', async () => {
+    const body = await usage('solo', '');
+    assert.deepEqual(body.user, { bytes: 0, files: 0, maxBytes: 1000, maxFiles: 3 });
+    assert.equal(body.tenant, null);
+  });
+});
+
+describe('quota enforcement', () => {
+
+  it('tracks uploads and refuses one that would go over the byte limit', async () => {
+    assert.equal((await upload('u3', [[Buffer.alloc(600), 'a.bin']])).status, 201);
+    assert.equal((await usage('u3')).user.bytes, 600);
+
+    const res = await upload('u3', [[Buffer.alloc(500), 'b.bin']]);
+    assert.equal(res.status, 507);
+    assert.equal((await res.json()).error, 'Insufficient Storage');
+    assert.deepEqual((await usage('u3')).user, { bytes: 600, files: 1, maxBytes: 1000, maxFiles: 3 });
+  });
+
+  it('answers 413 for a file larger than the limit itself', async () => {
+    const res = await upload('u4', [[Buffer.alloc(1200), 'big.bin']]);
+    assert.equal(res.status, 413);
+  });
+
+  it('stores the files of a multi-file post that fit', async () => {
+    const res = await upload('u5', [[Buffer.alloc(10), 'a.txt'], [Buffer.alloc(10), 'b.txt'], [Buffer.alloc(10), 'c.txt'], [Buffer.alloc(10), 'd.txt']]);
+    const body = await res.json();
+    assert.equal(res.status, 207);
+    assert.deepEqual(body.files.map(f => f.status ?? 201), [201, 201, 201, 507]);
+    assert.match(body.files[3].message, /File count quota/);
+
+    // At the file limit, the next post is refused before anything is read
+    assert.equal((await upload('u5', [[Buffer.alloc(1), 'e.txt']])).status, 507);
+  });
+
+  it('takes deleted files off usage', async () => {
+    const res = await upload('u6', [[Buffer.alloc(900), 'a.bin']]);
+    const { file } = await res.json();
+    assert.equal((await upload('u6', [[Buffer.alloc(200), 'b.bin']])).status, 507);
+
+    const deleted = await fetch(`${baseUrl}/files/${file.id}`, { method: 'DELETE', headers: headers('u6') });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual((await usage('u6')).user, { bytes: 0, files: 0, maxBytes: 1000, maxFiles: 3 });
+    assert.equal((await upload('u6', [[Buffer.alloc(200), 'b.bin']])).status, 201);
+  });
+
+  it('takes purged files off usage', async () => {
+    const res = await upload('u7', [[Buffer.alloc(300), 'a.bin']]);
+    const { file } = await res.json();
+    await storage.trashFile(file.id, 't1', 'u7');
+    assert.equal((await usage('u7')).user.bytes, 300);
+
+    for (const purged of await storage.purgeTrash(new Date(Date.now() + 1000))) {
+      await quota.record(purged, -purged.size, -1);
+    }
+    assert.equal((await usage('u7')).user.bytes, 0);
+  });
+
+  it('applies limits from resolveQuota and the tenant limit across users', async () => {
+    // Tenant t3 is counted from here on; 2500 bytes between all its users
+    assert.equal((await upload('big1', [[Buffer.alloc(1500), 'a.bin']], 't3')).status, 201);
+    assert.equal((await upload('big2', [[Buffer.alloc(900), 'b.bin']], 't3')).status, 201);
+
+    const body = await usage('big2', 't3');
+    assert.deepEqual(body.user, { bytes: 900, files: 1, maxBytes: null, maxFiles: null });
+    assert.deepEqual(body.tenant, { bytes: 2400, files: 2, maxBytes: 2500, maxFiles: null });
+
+    assert.equal((await upload('big1', [[Buffer.alloc(200), 'c.bin']], 't3')).status, 507);
+  });
+
+  it('checks Upload-Length when a tus upload is created and counts it once complete', async () => {
+    const create = (length) => fetch(`${baseUrl}/uploads`, {
+      method: 'POST',
+      headers: { ...headers('u8'), 'Tus-Resumable': '1.0.0', 'Upload-Length': String(length) }
+    });
+
+    assert.equal((await create(1001)).status, 413);
+
+    const created = await create(400);
+    assert.equal(created.status, 201);
+    const patch = await fetch(`${baseUrl}${created.headers.get('location')}`, {
+      method: 'PATCH',
+      headers: { ...headers('u8'), 'Tus-Resumable': '1.0.0', 'Upload-Offset': '0', 'Content-Type': 'application/offset+octet-stream' },
+      body: Buffer.alloc(400)
+    });
+    assert.equal(patch.status, 204);
+    assert.equal((await usage('u8')).user.bytes, 400);
+
+    assert.equal((await create(700)).status, 507);
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * rate-limit.test.js
+ *
+ * Tests for rate limiting: the in-process and Redis stores (the Redis client
+ * against a local RESP stub, or a real server when REDIS_URL is set),
+ * separate limiters per route group, the resolveRateLimit hook and the
+ * download bandwidth limit (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { RedisClient } from '../src/redis.js';
+import { createRateLimiters, MemoryRateLimitStore, RedisRateLimitStore } from '../src/rate-limit.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+import { createListRouter } from '../src/routes/list.js';
+import { createDeleteRouter } from '../src/routes/delete.js';
+
+let rootDir;
+let storage;
+let redis;
+let redisUrl;
+const servers = [];
+
+/**
+ * Minimal Redis: the string and expiry commands the rate-limit store uses,
+ * MULTI/EXEC, and AUTH/SELECT when started with a password.
+ */
+function startRedisStub(password) {
+  const data = new Map();
+  const commands = [];
+
+  function entry(name) {
+    const item = data.get(name);
+    if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      data.delete(name);
+      return null;
+    }
+    return item || null;
+  }
+
+  function incrby(name, amount) {
+    const item = entry(name) || { value: 0, expiresAt: null };
+    item.value += amount;
+    data.set(name, item);
+    return `:${item.value}\r\n`;
+  }
+
+  function run([name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'SET': {
+        const [key, value, px, ms, nx] = args;
+        assert.equal(px, 'PX');
+        assert.equal(nx, 'NX');
+        if (entry(key)) return '$-1\r\n';
+        data.set(key, { value: Number(value), expiresAt: Date.now() + Number(ms) });
+        return '+OK\r\n';
+      }
+      case 'INCRBY': return incrby(args[0], Number(args[1]));
+      case 'DECRBY': return incrby(args[0], -Number(args[1]));
+      case 'GET': {
+        const item = entry(args[0]);
+        return item ? `$${String(item.value).length}\r\n${item.value}\r\n` : '$-1\r\n';
+      }
+      case 'PTTL': {
+        const item = entry(args[0]);
+        if (!item) return ':-2\r\n';
+        return `:${item.expiresAt === null ? -1 : item.expiresAt - Date.now()}\r\n`;
+      }
+      case 'DEL': return `:${data.delete(args[0]) ? 1 : 0}\r\n`;
+      default: return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    server.sockets.add(socket);
+    socket.on('close', () => server.sockets.delete(socket));
+    let buffer = '';
+    let authed = !password;
+    let queued = null;
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      for (;;) {
+        // Requests are arrays of bulk strings
+        const lines = buffer.split('\r\n');
+        if (lines.length < 2) return;
+        const count = Number(lines[0].slice(1));
+        if (lines.length < 1 + count * 2 + 1) return;
+        const args = [];
+        for (let i = 0; i < count; i++) args.push(lines[2 + i * 2]);
+        buffer = lines.slice(1 + count * 2).join('\r\n');
+
+        const name = args[0].toUpperCase();
+        commands.push(args);
+        if (name === 'AUTH') {
+          authed = args[args.length - 1] === password;
+          socket.write(authed ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        } else if (!authed) {
+          socket.write('-NOAUTH Authentication required.\r\n');
+        } else if (name === 'SELECT') {
+          socket.write('+OK\r\n');
+        } else if (name === 'MULTI') {
+          queued = [];
+          socket.write('+OK\r\n');
+        } else if (name === 'EXEC') {
+          const replies = queued.map(run);
+          queued = null;
+          socket.write(`*${replies.length}\r\n${replies.join('')}`);
+        } else if (queued) {
+          queued.push(args);
+          socket.write('+QUEUED\r\n');
+        } else {
+          socket.write(run(args));
+        }
+      }
+    });
+  });
+  server.data = data;
+  server.commands = commands;
+  server.sockets = new Set();
+  return server;
+}
+
+function startApp(config) {
+  const { uploadLimiter, downloadLimiter, listLimiter, deleteLimiter, bandwidthLimiter } = createRateLimiters({
+    rateLimitWindowMs: 60 * 1000,
+    ...config
+  });
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user'] || 'u1', tenantId: req.headers['x-tenant'] || 't1', plan: req.headers['x-plan'] };
+    next();
+  });
+  app.use(createUploadRouter(storage, 1024 * 1024, {}, { limiter: uploadLimiter }));
+  app.use(createDownloadRouter(storage, {}, { limiter: [downloadLimiter, bandwidthLimiter] }));
+  app.use(createListRouter(storage, {}, { limiter: listLimiter }));
+  app.use(createDeleteRouter(storage, {}, { limiter: deleteLimiter }));
+
+  const server = app.listen(0);
+  servers.push(server);
+  return `http://localhost:${server.address().port}`;
+}
+
+function list(baseUrl, headers = {}) {
+  return fetch(`${baseUrl}/files`, { headers });
+}
+
+async function storeFile(userId, size) {
+  const { fileId } = await storage.uploadFile('t1', userId, Buffer.alloc(size, 'a'), 'a.bin', 'application/octet-stream');
+  return fileId;
+}
+
+// The bandwidth limiter adds bytes once the response has closed
+function settle() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-rate-limit-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  redis = startRedisStub('secret');
+  await new Promise((resolve) => redis.listen(0, '127.0.0.1', resolve));
+  redisUrl = `redis://:secret@127.0.0.1:${redis.address().port}/2`;
+});
+
+after(async () => {
+  for (const server of servers) server.close();
+  redis.close();
+  // Connections of the limiters' clients would keep the stub open
+  for (const socket of redis.sockets) socket.destroy();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('MemoryRateLimitStore', () => {
+
+  it('counts amounts per key within the window', async () => {
+    const store = new MemoryRateLimitStore();
+    store.init({ windowMs: 60 * 1000 });
+
+    assert.equal((await store.increment('a')).totalHits, 1);
+    assert.equal((await store.increment('a', 500)).totalHits, 501);
+    await store.decrement('a');
+    assert.equal((await store.get('a')).totalHits, 500);
+    assert.equal(await store.get('b'), undefined);
+
+    await store.resetKey('a');
+    assert.equal(await store.get('a'), undefined);
+  });
+
+  it('starts a new window once the last one ends', async () => {
+    const store = new MemoryRateLimitStore();
+    store.init({ windowMs: 30 });
+
+    await store.increment('a', 5);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(await store.get('a'), undefined);
+    assert.equal((await store.increment('a')).totalHits, 1);
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+
+  it('shares counters between clients, authenticating from the URL', async () => {
+    const clients = [new RedisClient(redisUrl), new RedisClient(redisUrl)];
+    const [a, b] = clients.map((client) => new RedisRateLimitStore({ client, prefix: 'test:' }));
+    a.init({ windowMs: 60 * 1000 });
+    b.init({ windowMs: 60 * 1000 });
+
+    assert.equal((await a.increment('k')).totalHits, 1);
+    const second = await b.increment('k', 10);
+    assert.equal(second.totalHits, 11);
+    assert.ok(second.resetTime.getTime() > Date.now() + 59 * 1000);
+    await a.decrement('k');
+    assert.equal((await b.get('k')).totalHits, 10);
+
+    await b.resetKey('k');
+    assert.equal(await a.get('k'), undefined);
+    assert.equal(redis.data.has('test:k'), false);
+
+    assert.deepEqual(redis.commands.find((args) => args[0] === 'AUTH'), ['AUTH', 'secret']);
+    assert.deepEqual(redis.commands.find((args) => args[0] === 'SELECT'), ['SELECT', '2']);
+    for (const client of clients) client.close();
+  });
+
+  it('fails with 503 when Redis refuses the password', async () => {
+    const client = new RedisClient(`redis://:wrong@127.0.0.1:${redis.address().port}`);
+    await assert.rejects(client.command('GET', 'x'), { statusCode: 503 });
+  });
+
+  it('connects over TLS for rediss:// URLs instead of sending the password in the clear', async () => {
+    // Records what a client sends and never answers
+    const received = [];
+    const server = net.createServer((socket) => socket.on('data', (chunk) => received.push(chunk)));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const client = new RedisClient({ url: `rediss://:secret@127.0.0.1:${server.address().port}`, timeout: 200 });
+    try {
+      await assert.rejects(client.command('GET', 'x'), { statusCode: 503 });
+    } finally {
+      client.close();
+      server.close();
+    }
+    const sent = Buffer.concat(received);
+    assert.equal(sent[0], 0x16, 'a TLS handshake record');
+    assert.equal(sent.includes('secret'), false);
+  });
+
+  it('rejects URLs that are not redis: or rediss:', () => {
+    assert.throws(() => new RedisClient('http://127.0.0.1:6379'), /Unsupported Redis URL scheme http:/);
+  });
+
+  it('works against a real Redis server', { skip: !process.env.REDIS_URL && 'REDIS_URL not set' }, async () => {
+    const client = new RedisClient(process.env.REDIS_URL);
+    const store = new RedisRateLimitStore({ client, prefix: `files-rl-test:${process.pid}:` });
+    store.init({ windowMs: 5000 });
+
+    try {
+      assert.equal((await store.increment('k')).totalHits, 1);
+      assert.equal((await store.increment('k', 4)).totalHits, 5);
+      const { resetTime } = await store.get('k');
+      assert.ok(resetTime.getTime() <= Date.now() + 5000);
+    } finally {
+      await store.resetKey('k');
+      client.close();
+    }
+  });
+});
+
+describe('createRateLimiters', () => {
+
+  it('counts lists and deletes separately and only on their own routes', async () => {
+    const baseUrl = startApp({ rateLimitDownload: 5, rateLimitList: 2, rateLimitDelete: 1, rateLimitUpload: 1 });
+    const fileId = await storeFile('u1', 10);
+
+    assert.equal((await list(baseUrl)).status, 200);
+    assert.equal((await list(baseUrl)).status, 200);
+    const limited = await list(baseUrl);
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).error, 'Too Many Requests');
+
+    // Neither the list nor the upload limiter covers downloads
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await fetch(`${baseUrl}/files/${fileId}`)).status, 200);
+    }
+
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' })).status, 429);
+  });
+
+  it('shares counters between instances through Redis', async () => {
+    const config = { rateLimitList: 2, rateLimitRedisUrl: redisUrl, rateLimitPrefix: 'shared-test:' };
+    const replicas = [startApp(config), startApp(config)];
+
+    assert.equal((await list(replicas[0], { 'x-user': 'r1' })).status, 200);
+    assert.equal((await list(replicas[1], { 'x-user': 'r1' })).status, 200);
+    assert.equal((await list(replicas[0], { 'x-user': 'r1' })).status, 429);
+    assert.equal(redis.data.get('shared-test:list:r1').value, 3);
+  });
+
+  it('lets requests through when the store is unreachable', async () => {
+    const closed = net.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const port = closed.address().port;
+    await new Promise((resolve) => closed.close(resolve));
+
+    const baseUrl = startApp({ rateLimitList: 1, rateLimitRedisUrl: `redis://127.0.0.1:${port}` });
+    assert.equal((await list(baseUrl)).status, 200);
+    assert.equal((await list(baseUrl)).status, 200);
+  });
+
+  it('applies limits and counter keys from resolveRateLimit', async () => {
+    const calls = [];
+    const hooks = {
+      resolveRateLimit: async (req, user, name) => {
+        calls.push(name);
+        if (name !== 'list') return null;
+        if (user.plan === 'pro') return { max: 5 };
+        // Tenant t9 shares one budget between its users
+        return user.tenantId === 't9' ? { key: 'tenant:t9', max: 2 } : null;
+      }
+    };
+    const baseUrl = startApp({ rateLimitList: 1, hooks });
+
+    assert.equal((await list(baseUrl, { 'x-user': 'a', 'x-tenant': 't9' })).status, 200);
+    assert.equal((await list(baseUrl, { 'x-user': 'b', 'x-tenant': 't9' })).status, 200);
+    assert.equal((await list(baseUrl, { 'x-user': 'c', 'x-tenant': 't9' })).status, 429);
+
+    assert.equal((await list(baseUrl, { 'x-user': 'd' })).status, 200);
+    assert.equal((await list(baseUrl, { 'x-user': 'd' })).status, 429);
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await list(baseUrl, { 'x-user': 'e', 'x-plan': 'pro' })).status, 200);
+    }
+    // Asked once per request, not once per option
+    assert.equal(calls.length, 8);
+  });
+});
+
+describe('download bandwidth limit', () => {
+
+  it('refuses downloads once the window\'s bytes are used', async () => {
+    const baseUrl = startApp({ rateLimitDownloadBytes: 150 });
+    const fileId = await storeFile('bw1', 100);
+    const download = () => fetch(`${baseUrl}/files/${fileId}`, { headers: { 'x-user': 'bw1' } });
+
+    const first = await download();
+    assert.equal((await first.arrayBuffer()).byteLength, 100);
+    await settle();
+
+    // Under the limit when it starts, so the download crossing it completes
+    const second = await download();
+    assert.equal(second.status, 200);
+    assert.equal((await second.arrayBuffer()).byteLength, 100);
+    await settle();
+
+    const third = await download();
+    assert.equal(third.status, 429);
+    assert.ok(Number(third.headers.get('retry-after')) > 0);
+    assert.match((await third.json()).message, /bandwidth/);
+
+    // Counted per user
+    const other = await storeFile('bw2', 10);
+    assert.equal((await fetch(`${baseUrl}/files/${other}`, { headers: { 'x-user': 'bw2' } })).status, 200);
+  });
+
+  it('takes the byte limit from resolveRateLimit', async () => {
+    const hooks = { resolveRateLimit: async (req, user, name) => (name === 'bandwidth' && user.plan === 'free' ? { max: 0 } : null) };
+    const baseUrl = startApp({ hooks });
+    const fileId = await storeFile('bw3', 10);
+
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { headers: { 'x-user': 'bw3', 'x-plan': 'free' } })).status, 429);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { headers: { 'x-user': 'bw3' } })).status, 200);
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * s3-storage.test.js
+ *
+ * Unit tests for the S3 storage driver against an in-memory fake client.
+ * Run the same flows against a local MinIO by pointing S3_ENDPOINT at it.
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
+import { S3StorageClient } from '../src/s3-storage.js';
+import { fakeS3Client } from './fake-s3.js';
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+let storage;
+
+beforeEach(() => {
+  storage = new S3StorageClient({ bucket: 'files' });
+  storage.client = fakeS3Client();
+});
+
+describe('S3StorageClient', () => {
+
+  it('stores objects under {tenant}/{user}/{fileId} with metadata', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('hello'), 'résumé.pdf', 'application/pdf');
+    assert.equal(meta.blobName, `t1/u1/${meta.fileId}`);
+
+    const stored = storage.client.objects.get(meta.blobName);
+    assert.equal(stored.metadata.file_id, meta.fileId);
+    assert.equal(stored.metadata.scope, 'user');
+    assert.match(stored.metadata.original_filename, /^[\x20-\x7e]+$/, 'metadata must be ASCII');
+  });
+
+  it('round-trips content and decodes the original filename', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('abc'), 'résumé.pdf', 'application/pdf');
+    const { stream, metadata } = await storage.downloadFile(meta.fileId, 't1', 'u1');
+    assert.equal((await readStream(stream)).toString(), 'abc');
+    assert.equal(metadata.fileName, 'résumé.pdf');
+    assert.equal(metadata.size, 3);
+  });
+
+  it('lists tenant-shared files under {tenant}/shared/', async () => {
+    await storage.uploadFile('t1', 'u1', Buffer.from('1'), 'a.txt', 'text/plain', 'tenant');
+    await storage.uploadFile('t1', 'u1', Buffer.from('2'), 'b.txt', 'text/plain');
+    const files = await storage.listFiles('t1', 'u1', 'tenant');
+    assert.deepEqual(files.map(f => f.fileName), ['a.txt']);
+  });
+
+  it('stores file attributes as metadata and object tags', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'inv.pdf', 'application/pdf', 'user', null,
+      { resource_type: 'invoice', resource_id: '42', meta_status: 'paid' });
+    assert.equal(meta.resourceId, '42');
+
+    const obj = storage.client.objects.get(meta.blobName);
+    assert.equal(obj.metadata.resource_type, 'invoice');
+    assert.equal(obj.tagging, 'resource_type=invoice&resource_id=42&meta_status=paid');
+
+    const [listed] = await storage.listFiles('t1', 'u1');
+    assert.deepEqual(listed.meta, { status: 'paid' });
+  });
+
+  it('records digests of streamed uploads and rejects mismatches', async () => {
+    const digest = crypto.createHash('sha256').update('streamed').digest('base64');
+    const meta = await storage.uploadFile('t1', 'u1', Readable.from([Buffer.from('streamed')]), 's.txt', 'text/plain');
+    assert.equal(meta.checksum.sha256, digest);
+    assert.equal(storage.client.objects.get(meta.blobName).metadata.checksum_sha256, digest);
+    assert.equal((await storage.statFile(meta.fileId, 't1', 'u1')).checksum.sha256, digest);
+
+    await assert.rejects(
+      storage.uploadFile('t1', 'u1', Readable.from([Buffer.from('other')]), 's.txt', 'text/plain', 'user', null, {}, { checksum: { sha256: digest } }),
+      { statusCode: 400 }
+    );
+    assert.equal((await storage.listFiles('t1', 'u1')).length, 1);
+  });
+
+  it('shares identical content in dedup mode until the last file is deleted', async () => {
+    const content = () => Readable.from([Buffer.from('same template')]);
+    const a = await storage.uploadFile('t1', 'u1', content(), 'a.pdf', 'application/pdf', 'user', null, {}, { dedup: true });
+    const b = await storage.uploadFile('t1', 'u2', content(), 'b.pdf', 'application/pdf', 'user', null, {}, { dedup: true });
+    const blobs = () => [...storage.client.objects.keys()].filter(k => k.startsWith('_content/t1/blobs/'));
+    assert.equal(blobs().length, 1);
+
+    const { stream, metadata } = await storage.downloadFile(b.fileId, 't1', 'u2');
+    assert.equal((await readStream(stream)).toString(), 'same template');
+    assert.equal(metadata.size, 13);
+    assert.deepEqual((await storage.listFiles('t1', 'u2')).map(f => [f.fileName, f.size]), [['b.pdf', 13]]);
+
+    await storage.updateFile(a.fileId, 't1', 'u1', 'user', null, { originalFilename: 'renamed.pdf' });
+    await storage.deleteFile(a.fileId, 't1', 'u1');
+    assert.equal(blobs().length, 1);
+    await storage.deleteFile(b.fileId, 't1', 'u2');
+    assert.deepEqual([...storage.client.objects.keys()].filter(k => k.startsWith('_content/')), []);
+  });
+
+  it('updates metadata in place and honours If-Match', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'old.txt', 'text/plain', 'user', null, { meta_status: 'draft' });
+
+    const updated = await storage.updateFile(meta.fileId, 't1', 'u1', 'user', null, { originalFilename: 'new.txt', meta: { status: 'done' } });
+    assert.equal(updated.fileName, 'new.txt');
+    assert.deepEqual(updated.meta, { status: 'done' });
+    assert.equal(storage.client.objects.get(meta.blobName).body.toString(), 'x');
+
+    await assert.rejects(
+      storage.updateFile(meta.fileId, 't1', 'u1', 'user', null, { originalFilename: 'x.txt' }, { ifMatch: '"stale"' }),
+      (err) => err.statusCode === 412
+    );
+  });
+
+  it('changes the ETag with metadata-only edits, so a stale If-Match fails', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'a.txt', 'text/plain');
+    const before = await storage.statFile(meta.fileId, 't1', 'u1');
+
+    const renamed = await storage.updateFile(meta.fileId, 't1', 'u1', 'user', null, { originalFilename: 'b.txt' }, { ifMatch: before.etag });
+    assert.notEqual(renamed.etag, before.etag);
+
+    // e.g. a scan verdict for content read before the rename
+    await assert.rejects(
+      storage.updateFile(meta.fileId, 't1', 'u1', 'user', null, { scan: { status: 'clean' } }, { ifMatch: before.etag }),
+      (err) => err.statusCode === 412
+    );
+    const again = await storage.updateFile(meta.fileId, 't1', 'u1', 'user', null, { scan: { status: 'clean' } }, { ifMatch: renamed.etag });
+    assert.equal(again.scan.status, 'clean');
+  });
+
+  it('pages through a listing with a cursor', async () => {
+    for (const name of ['a.txt', 'b.png', 'c.txt', 'd.txt', 'e.txt']) {
+      await storage.uploadFile('t1', 'u1', Buffer.from(name), name, name.endsWith('.png') ? 'image/png' : 'text/plain');
+    }
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await storage.listFilesPage('t1', 'u1', 'user', null, {
+        limit: 2,
+        cursor,
+        filter: (file) => file.contentType === 'text/plain'
+      });
+      assert.ok(page.files.length <= 2);
+      seen.push(...page.files.map(f => f.fileName));
+      cursor = page.cursor;
+    } while (cursor);
+
+    assert.deepEqual(seen.sort(), ['a.txt', 'c.txt', 'd.txt', 'e.txt']);
+  });
+
+  it('rejects access to another user\'s file under a shared prefix', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.txt', 'text/plain');
+    // Move the object under u2's prefix to simulate a misplaced blob
+    const obj = storage.client.objects.get(meta.blobName);
+    storage.client.objects.delete(meta.blobName);
+    storage.client.objects.set(`t1/u2/${meta.fileId}.txt`, obj);
+    await assert.rejects(storage.statFile(meta.fileId, 't1', 'u2'), /^Error: Unauthorized:/);
+  });
+
+  it('deletes objects', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.txt', 'text/plain');
+    await storage.deleteFile(meta.fileId, 't1', 'u1');
+    await assert.rejects(storage.downloadFile(meta.fileId, 't1', 'u1'), { message: 'File not found' });
+  });
+
+  it('trashes, restores and purges objects', async () => {
+    const kept = await storage.uploadFile('t1', 'u1', Buffer.from('k'), 'kept.txt', 'text/plain', 'user', null, { meta_status: 'paid' });
+    const purged = await storage.uploadFile('t1', 'u1', Buffer.from('p'), 'purged.txt', 'text/plain');
+
+    await storage.trashFile(kept.fileId, 't1', 'u1');
+    await storage.trashFile(purged.fileId, 't1', 'u1');
+    await assert.rejects(storage.statFile(kept.fileId, 't1', 'u1'), { message: 'File not found' });
+    assert.deepEqual(await storage.listFiles('t1', 'u1'), []);
+
+    const { files } = await storage.listFilesPage('t1', 'u1', 'user', null, { trashed: true });
+    assert.deepEqual(files.map(f => f.fileName).sort(), ['kept.txt', 'purged.txt']);
+
+    const restored = await storage.restoreFile(kept.fileId, 't1', 'u1');
+    assert.deepEqual(restored.meta, { status: 'paid' });
+    assert.equal(storage.client.objects.get(kept.blobName).tagging, 'meta_status=paid');
+
+    const removed = await storage.purgeTrash(new Date(Date.now() + 1000));
+    assert.deepEqual(removed, [{ fileId: purged.fileId, blobName: purged.blobName, tenantId: 't1', userId: 'u1', size: 1 }]);
+    assert.ok(!storage.client.objects.has(purged.blobName));
+    assert.ok(![...storage.client.objects.keys()].some(key => key.startsWith('_trash/')));
+    assert.equal((await storage.statFile(kept.fileId, 't1', 'u1')).fileName, 'kept.txt');
+  });
+
+  it('keeps earlier versions under _versions/ and promotes them', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('v1'), 'draft.txt', 'text/plain', 'user', null, { meta_status: 'draft' });
+
+    const current = await storage.putFileVersion(meta.fileId, 't1', 'u1', 'user', null, Buffer.from('v2 final'), 'final.txt', 'text/markdown');
+    assert.equal(current.fileName, 'final.txt');
+    assert.deepEqual(current.meta, { status: 'draft' });
+
+    const versions = await storage.listFileVersions(meta.fileId, 't1', 'u1');
+    assert.deepEqual(versions.map(v => [v.current, v.fileName, v.size]), [[true, 'final.txt', 8], [false, 'draft.txt', 2]]);
+
+    const { stream } = await storage.downloadFile(meta.fileId, 't1', 'u1', 'user', null, {}, { version: versions[1].versionId });
+    assert.equal((await readStream(stream)).toString(), 'v1');
+    await assert.rejects(storage.statFile(meta.fileId, 't1', 'u1', 'user', null, { version: '20260101T000000000Z-000000' }), { message: 'Version not found' });
+
+    const promoted = await storage.promoteFileVersion(meta.fileId, 't1', 'u1', 'user', null, versions[1].versionId);
+    assert.equal(promoted.fileName, 'draft.txt');
+    assert.equal(storage.client.objects.get(meta.blobName).tagging, 'meta_status=draft');
+    assert.equal((await storage.listFileVersions(meta.fileId, 't1', 'u1')).length, 3);
+
+    await storage.deleteFile(meta.fileId, 't1', 'u1');
+    assert.ok(![...storage.client.objects.keys()].some(key => key.startsWith('_versions/')));
+  });
+
+  it('replaces only the content that was read', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('v1'), 'a.txt', 'text/plain');
+
+    // A concurrent PUT lands between the HEAD and the upload
+    const send = storage.client.send;
+    let writes = 0;
+    storage.client.send = async (command) => {
+      if (command.constructor.name === 'PutObjectCommand' && command.input.Key === meta.blobName) {
+        storage.client.objects.get(meta.blobName).body = Buffer.from(`other ${++writes}`);
+      }
+      return send(command);
+    };
+    for (const content of [Buffer.from('v2'), Readable.from([Buffer.from('v2')])]) {
+      await assert.rejects(
+        storage.putFileVersion(meta.fileId, 't1', 'u1', 'user', null, content, 'a.txt', 'text/plain'),
+        (err) => err.statusCode === 412
+      );
+    }
+    storage.client.send = send;
+
+    assert.equal(writes, 2);
+    assert.equal(storage.client.objects.get(meta.blobName).body.toString(), 'other 2');
+    assert.equal((await storage.listFileVersions(meta.fileId, 't1', 'u1')).length, 1);
+  });
+
+  it('promotes only over the content that was read', async () => {
+    const meta = await storage.uploadFile('t1', 'u1', Buffer.from('v1'), 'a.txt', 'text/plain');
+    await storage.putFileVersion(meta.fileId, 't1', 'u1', 'user', null, Buffer.from('v2'), 'a.txt', 'text/plain');
+    const [, original] = await storage.listFileVersions(meta.fileId, 't1', 'u1');
+
+    await assert.rejects(
+      storage.promoteFileVersion(meta.fileId, 't1', 'u1', 'user', null, original.versionId, { ifMatch: '"stale"' }),
+      (err) => err.statusCode === 412
+    );
+
+    // A concurrent PUT lands between the HEAD and the copy back
+    const send = storage.client.send;
+    storage.client.send = async (command) => {
+      if (command.constructor.name === 'CopyObjectCommand' && command.input.Key === meta.blobName) {
+        storage.client.objects.get(meta.blobName).body = Buffer.from('v3');
+      }
+      return send(command);
+    };
+    await assert.rejects(
+      storage.promoteFileVersion(meta.fileId, 't1', 'u1', 'user', null, original.versionId),
+      (err) => err.statusCode === 412
+    );
+    storage.client.send = send;
+
+    assert.equal(storage.client.objects.get(meta.blobName).body.toString(), 'v3');
+    assert.equal((await storage.listFileVersions(meta.fileId, 't1', 'u1')).length, 2);
+  });
+
+  it('keeps image variants next to the file, out of listings, until it is deleted', async () => {
+    const meta = await storage.uploadFile('t1', 'u9', Buffer.from('png bytes'), 'photo.png', 'image/png');
+    await assert.rejects(storage.statFile(meta.fileId, 't1', 'u9', 'user', null, { variant: 'thumb-0000' }), { message: 'Variant not found' });
+
+    const variant = await storage.putFileVariant(meta.fileId, 't1', 'u9', 'user', null, 'thumb-0000', Buffer.from('webp'), 'photo.webp', 'image/webp');
+    assert.deepEqual([variant.fileName, variant.contentType, variant.size, variant.uploadedAt], ['photo.webp', 'image/webp', 4, meta.uploadedAt]);
+    assert.ok(storage.client.objects.has(`t1/u9/_variants/${meta.fileId}/thumb-0000`));
+    assert.deepEqual((await storage.listFiles('t1', 'u9')).map(f => f.fileName), ['photo.png']);
+
+    await storage.deleteFile(meta.fileId, 't1', 'u9');
+    assert.ok(![...storage.client.objects.keys()].some(key => key.includes('_variants/')));
+  });
+
+  it('assembles a resumable upload from chunks smaller than a part', async () => {
+    const chunk = Buffer.alloc(3 * 1024 * 1024, 'r');
+    const upload = await storage.createResumableUpload('t1', 'u1', {
+      originalFilename: 'big.bin', contentType: 'application/octet-stream', length: chunk.length * 2
+    });
+
+    const first = await storage.appendResumableUpload(upload.uploadId, 0, Readable.from([chunk]));
+    assert.deepEqual(first, { offset: chunk.length, completed: false, file: null });
+    assert.equal((await storage.getResumableUpload(upload.uploadId)).offset, chunk.length);
+
+    const second = await storage.appendResumableUpload(upload.uploadId, chunk.length, Readable.from([chunk]));
+    assert.equal(second.completed, true);
+    assert.equal(second.file.fileId, upload.uploadId);
+
+    const stat = await storage.statFile(upload.uploadId, 't1', 'u1');
+    assert.equal(stat.size, chunk.length * 2);
+    assert.equal(stat.fileName, 'big.bin');
+    assert.equal(storage.client.objects.has(`_uploads/${upload.uploadId}.tail`), false);
+  });
+
+  it('copies a directly uploaded object into place with metadata when completed', async () => {
+    const state = storage.newUploadState('t1', 'u1', { originalFilename: 'direct.bin', contentType: 'application/pdf', length: 4 }, 'user', null, 'direct');
+    await storage.writeUploadState(state);
+    // Simulates the client's PUT to the presigned URL: no file metadata yet
+    const staging = storage.directUploadName(state.upload_id);
+    storage.client.objects.set(staging, { body: Buffer.from('data'), metadata: { scan_status: 'clean' } });
+
+    const file = await storage.completeDirectUpload(state.upload_id);
+    assert.equal(file.fileId, state.upload_id);
+    assert.equal(storage.client.objects.has(staging), false);
+
+    const stat = await storage.statFile(state.upload_id, 't1', 'u1');
+    assert.equal(stat.fileName, 'direct.bin');
+    assert.equal(storage.client.objects.get(state.blob_name).metadata.scan_status, undefined);
+    await assert.rejects(storage.completeDirectUpload(state.upload_id), (err) => err.statusCode === 409);
+  });
+
+  it('deletes a directly uploaded object of the wrong size', async () => {
+    const state = storage.newUploadState('t1', 'u1', { originalFilename: 'x.bin', contentType: 'application/pdf', length: 4 }, 'user', null, 'direct');
+    await storage.writeUploadState(state);
+    const staging = storage.directUploadName(state.upload_id);
+    storage.client.objects.set(staging, { body: Buffer.from('too long'), metadata: {} });
+
+    await assert.rejects(storage.completeDirectUpload(state.upload_id), (err) => err.statusCode === 409);
+    assert.equal(storage.client.objects.has(staging), false);
+    assert.equal(storage.client.objects.has(state.blob_name), false);
+  });
+
+  it('keeps tus and direct uploads apart', async () => {
+    const state = storage.newUploadState('t1', 'u1', { originalFilename: 'x.bin', contentType: 'text/plain', length: 1 }, 'user', null, 'direct');
+    await storage.writeUploadState(state);
+    await assert.rejects(storage.getResumableUpload(state.upload_id), { message: 'Upload not found' });
+  });
+
+  it('fails with 503 when no bucket is configured', async () => {
+    const unconfigured = new S3StorageClient({});
+    await assert.rejects(unconfigured.listFiles('t1', 'u1'), (err) => err.statusCode === 503);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * scanner.test.js
+ *
+ * Tests for malware scanning: the clamd INSTREAM client against a local stub,
+ * and the sync/async scan stage wired into uploads and downloads
+ * (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { ClamdScanner, createScanStage } from '../src/scanner.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+import { createVersionRouter } from '../src/routes/versions.js';
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+let rootDir;
+let storage;
+let clamd;
+let clamdPort;
+const servers = [];
+const scans = [];
+
+/**
+ * Minimal clamd: reads zINSTREAM frames and flags content containing "EICAR".
+ */
+function startClamdStub() {
+  const frames = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let content = Buffer.alloc(0);
+    let started = false;
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (!started) {
+        const end = buffer.indexOf(0);
+        if (end === -1) return;
+        assert.equal(buffer.subarray(0, end).toString(), 'zINSTREAM');
+        buffer = buffer.subarray(end + 1);
+        started = true;
+      }
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          socket.end(content.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (buffer.length < 4 + length) return;
+        frames.push(length);
+        content = Buffer.concat([content, buffer.subarray(4, 4 + length)]);
+        buffer = buffer.subarray(4 + length);
+      }
+    });
+  });
+  server.frames = frames;
+  return server;
+}
+
+async function startApp(scan, requireScan = true) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createUploadRouter(storage, 1024 * 1024, {}, { scan }));
+  app.use(createDownloadRouter(storage, {}, { requireScan }));
+  app.use(createVersionRouter(storage, 1024 * 1024, {}, { scan }));
+
+  const server = app.listen(0);
+  servers.push(server);
+  return `http://localhost:${server.address().port}`;
+}
+
+function upload(baseUrl, content, filename = 'doc.txt') {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: 'text/plain' }), filename);
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+}
+
+async function storedFileIds() {
+  return (await storage.listFiles('t1', 'u1')).map(f => f.fileId);
+}
+
+async function waitForScan(fileId) {
+  for (let i = 0; i < 100; i++) {
+    const file = await storage.statFile(fileId, 't1', 'u1');
+    if (file.scan) return file.scan;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('scan verdict never recorded');
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-scanner-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  clamd = startClamdStub();
+  await new Promise(resolve => clamd.listen(0, resolve));
+  clamdPort = clamd.address().port;
+});
+
+after(async () => {
+  for (const server of servers) server.close();
+  clamd.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('ClamdScanner', () => {
+
+  it('reports clean and infected streams', async () => {
+    const scanner = new ClamdScanner({ port: clamdPort });
+
+    assert.deepEqual(await scanner.scanStream(Readable.from([Buffer.from('hello')])), { infected: false, signature: null });
+    assert.deepEqual(await scanner.scanStream(Readable.from([Buffer.from(EICAR)])), { infected: true, signature: 'Eicar-Test-Signature' });
+  });
+
+  it('sends large content in bounded chunks', async () => {
+    const scanner = new ClamdScanner({ port: clamdPort });
+    clamd.frames.length = 0;
+
+    await scanner.scanStream(Readable.from([Buffer.alloc(200 * 1024, 'a')]));
+    assert.deepEqual(clamd.frames, [65536, 65536, 65536, 8192]);
+  });
+
+  it('fails with 503 when clamd is unreachable', async () => {
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const scanner = new ClamdScanner({ port });
+    await assert.rejects(scanner.scanStream(Readable.from([Buffer.from('x')])), { statusCode: 503 });
+  });
+});
+
+describe('sync scanning', () => {
+  let baseUrl;
+
+  before(async () => {
+    const stage = createScanStage(storage, new ClamdScanner({ port: clamdPort }), {
+      hooks: { onScan: async (meta) => { scans.push(meta); } }
+    });
+    baseUrl = await startApp(stage);
+  });
+
+  it('stores clean files with a clean verdict', async () => {
+    const res = await upload(baseUrl, 'quarterly numbers');
+    const { file } = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(file.scanStatus, 'clean');
+    assert.equal(scans.at(-1).fileId, file.id);
+
+    const download = await fetch(`${baseUrl}/files/${file.id}`);
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), 'quarterly numbers');
+
+    const meta = await (await fetch(`${baseUrl}/files/${file.id}/metadata`)).json();
+    assert.equal(meta.file.scan.status, 'clean');
+  });
+
+  it('rejects infected uploads with 422 and keeps nothing', async () => {
+    const before = await storedFileIds();
+
+    const res = await upload(baseUrl, EICAR, 'eicar.txt');
+    const body = await res.json();
+    assert.equal(res.status, 422);
+    assert.match(body.message, /Eicar-Test-Signature/);
+    assert.deepEqual(await storedFileIds(), before);
+    assert.equal(scans.at(-1).status, 'infected');
+  });
+
+  it('keeps an infected new version but refuses to serve it', async () => {
+    const { file } = await (await upload(baseUrl, 'v1')).json();
+
+    const form = new FormData();
+    form.append('file', new Blob([EICAR], { type: 'text/plain' }), 'doc.txt');
+    const res = await fetch(`${baseUrl}/files/${file.id}`, { method: 'PUT', body: form });
+    assert.equal(res.status, 422);
+
+    assert.equal((await fetch(`${baseUrl}/files/${file.id}`)).status, 403);
+    assert.equal((await storage.listFileVersions(file.id, 't1', 'u1')).length, 2);
+  });
+
+  it('fails uploads with 503 while the scanner is down', async () => {
+    const url = await startApp(createScanStage(storage, new ClamdScanner({ port: 1 })));
+    const before = await storedFileIds();
+
+    const res = await upload(url, 'hello');
+    assert.equal(res.status, 503);
+    assert.deepEqual(await storedFileIds(), before);
+  });
+});
+
+describe('async scanning', () => {
+
+  it('accepts uploads as pending and quarantines infected ones', async () => {
+    const baseUrl = await startApp(createScanStage(storage, new ClamdScanner({ port: clamdPort }), { mode: 'async' }));
+
+    const res = await upload(baseUrl, EICAR, 'eicar.txt');
+    const { file } = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(file.scanStatus, 'pending');
+
+    assert.deepEqual(await waitForScan(file.id), {
+      status: 'infected',
+      signature: 'Eicar-Test-Signature',
+      scannedAt: (await storage.statFile(file.id, 't1', 'u1')).scan.scannedAt
+    });
+    const download = await fetch(`${baseUrl}/files/${file.id}`);
+    assert.equal(download.status, 403);
+    assert.equal((await download.json()).message, 'File failed the malware scan');
+  });
+
+  it('refuses downloads until the verdict is in', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const scanner = {
+      async scanStream(stream) {
+        stream.resume();
+        await gate;
+        return { infected: false, signature: null };
+      }
+    };
+    const baseUrl = await startApp(createScanStage(storage, scanner, { mode: 'async' }));
+
+    const { file } = await (await upload(baseUrl, 'awaiting scan')).json();
+    assert.equal((await fetch(`${baseUrl}/files/${file.id}`)).status, 409);
+
+    release();
+    assert.equal((await waitForScan(file.id)).status, 'clean');
+    assert.equal(await (await fetch(`${baseUrl}/files/${file.id}`)).text(), 'awaiting scan');
+  });
+
+  it('still refuses infected files when scanning is not required', async () => {
+    const baseUrl = await startApp(undefined, false);
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.txt', 'text/plain');
+    const { etag } = await storage.statFile(fileId, 't1', 'u1');
+
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`)).status, 200);
+    await storage.updateFile(fileId, 't1', 'u1', 'user', null, { scan: { status: 'infected', signature: 'Test' } }, { ifMatch: etag });
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`)).status, 403);
+  });
+});
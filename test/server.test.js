@@ -0,0 +1,101 @@
+/**
+ * server.test.js
+ *
+ * Tests for createFilesServer wiring: each request is authenticated and
+ * authorized once, whichever router serves it (LocalFsStorage, with a local
+ * stub of the authorization service).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { createFilesServer } from '../src/index.js';
+
+let rootDir;
+let authorization;
+let server;
+let baseUrl;
+const authenticated = [];
+const authorized = [];
+const logLevel = process.env.LOG_LEVEL;
+
+function call(method, url, body) {
+  authenticated.length = 0;
+  authorized.length = 0;
+  return fetch(`${baseUrl}${url}`, { method, body });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-server-test-'));
+
+  authorization = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      authorized.push(JSON.parse(raw));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ allowed: true, scope: 'user' }));
+    });
+  });
+  await new Promise((resolve) => authorization.listen(0, '127.0.0.1', resolve));
+
+  process.env.LOG_LEVEL = 'error';
+  const files = createFilesServer({
+    storageDriver: 'local',
+    localStoragePath: rootDir,
+    authorizationUrl: `http://127.0.0.1:${authorization.address().port}/authorize`,
+    softDelete: true,
+    hooks: {
+      authenticateRequest: async (req) => {
+        authenticated.push(req.path);
+        return { userId: 'u1', tenantId: 't1' };
+      }
+    }
+  });
+  await files.storage.initialize();
+
+  server = files.app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  authorization.close();
+  if (logLevel === undefined) delete process.env.LOG_LEVEL;
+  else process.env.LOG_LEVEL = logLevel;
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('createFilesServer', () => {
+
+  it('authenticates and authorizes each request once', async () => {
+    const form = new FormData();
+    form.append('file', new Blob(['hello']), 'hello.txt');
+    const uploaded = await call('POST', '/upload', form);
+    assert.equal(uploaded.status, 201);
+    assert.equal(authenticated.length, 1);
+    assert.deepEqual(authorized.map((body) => body.action), ['upload']);
+    const { file } = await uploaded.json();
+
+    for (const [method, action] of [['GET', 'download'], ['DELETE', 'delete']]) {
+      const res = await call(method, `/files/${file.id}`);
+      assert.equal(res.status, 200);
+      assert.equal(authenticated.length, 1);
+      assert.deepEqual(authorized, [{ action, file_id: file.id }]);
+    }
+
+    // Routes mounted last (the trash) are not authorized again on the way
+    assert.equal((await call('POST', `/files/${file.id}/restore`)).status, 200);
+    assert.equal(authenticated.length, 1);
+    assert.equal(authorized.length, 1);
+  });
+
+  it('does not ask the authorization service about listings', async () => {
+    assert.equal((await call('GET', '/files')).status, 200);
+    assert.equal(authenticated.length, 1);
+    assert.equal(authorized.length, 0);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * trash.test.js
+ *
+ * Integration tests for soft delete, backed by LocalFsStorage.
+ * Verifies that trashed files are hidden, listed in GET /trash, restorable,
+ * and removed for good by purgeTrash.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+import { createListRouter } from '../src/routes/list.js';
+import { createDeleteRouter } from '../src/routes/delete.js';
+import { createTrashRouter } from '../src/routes/trash.js';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+
+async function upload(name) {
+  const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from(name), name, 'text/plain');
+  return fileId;
+}
+
+async function listIds(url) {
+  const body = await (await fetch(`${baseUrl}${url}`)).json();
+  return body.files.map(file => file.fileId);
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-trash-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const options = { softDelete: true, retentionDays: 7 };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createDownloadRouter(storage));
+  app.use(createListRouter(storage));
+  app.use(createDeleteRouter(storage, {}, options));
+  app.use(createTrashRouter(storage, {}, options));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('soft delete', () => {
+
+  it('moves a deleted file to the trash, hidden from downloads and listings', async () => {
+    const fileId = await upload('contract.txt');
+
+    const res = await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.message, 'File moved to trash');
+    assert.equal(Date.parse(body.purgeAt) - Date.parse(body.deletedAt), 7 * 24 * 60 * 60 * 1000);
+
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' })).status, 404);
+    assert.ok(!(await listIds('/files')).includes(fileId));
+
+    const trash = await (await fetch(`${baseUrl}/trash`)).json();
+    const entry = trash.files.find(file => file.fileId === fileId);
+    assert.equal(entry.fileName, 'contract.txt');
+    assert.equal(entry.deletedBy, 'u1');
+    assert.equal(entry.purgeAt, body.purgeAt);
+  });
+
+  it('restores a trashed file', async () => {
+    const fileId = await upload('invoice.txt');
+    await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' });
+
+    const res = await fetch(`${baseUrl}/files/${fileId}/restore`, { method: 'POST' });
+    const { file } = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(file.name, 'invoice.txt');
+
+    const download = await fetch(`${baseUrl}/files/${fileId}`);
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), 'invoice.txt');
+    assert.ok((await listIds('/files')).includes(fileId));
+    assert.ok(!(await listIds('/trash')).includes(fileId));
+  });
+
+  it('returns 404 when restoring a file that is not in the trash', async () => {
+    const fileId = await upload('live.txt');
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}/restore`, { method: 'POST' })).status, 404);
+    assert.equal((await fetch(`${baseUrl}/files/not-a-uuid/restore`, { method: 'POST' })).status, 400);
+  });
+
+  it('purges only files trashed before the cut-off', async () => {
+    const expired = await upload('old.txt');
+    const restored = await upload('restored.txt');
+    await storage.trashFile(expired, 't1', 'u1');
+    await storage.trashFile(restored, 't1', 'u1');
+    await storage.restoreFile(restored, 't1', 'u1');
+
+    assert.deepEqual(await storage.purgeTrash(new Date(Date.now() - 60 * 1000)), []);
+
+    const purged = await storage.purgeTrash(new Date(Date.now() + 1000));
+    assert.ok(purged.some(entry => entry.fileId === expired));
+    assert.ok(!purged.some(entry => entry.fileId === restored));
+
+    await assert.rejects(storage.restoreFile(expired, 't1', 'u1'), { message: 'File not found' });
+    assert.ok((await listIds('/files')).includes(restored));
+    assert.deepEqual(await listIds('/trash'), []);
+  });
+});
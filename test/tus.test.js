@@ -0,0 +1,164 @@
+/**
+ * tus.test.js
+ *
+ * Integration tests for the resumable (tus) upload router, backed by LocalFsStorage.
+ * Verifies chunked resumption, offset conflicts, ownership and termination.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createTusRouter } from '../src/routes/tus.js';
+import { parseUploadMetadata } from '../src/upload-metadata.js';
+
+const TUS = { 'Tus-Resumable': '1.0.0' };
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+const completed = [];
+
+function create(length, headers = {}) {
+  return fetch(`${baseUrl}/uploads`, {
+    method: 'POST',
+    headers: { ...TUS, 'Upload-Length': String(length), ...headers }
+  });
+}
+
+function patch(location, offset, body, headers = {}) {
+  return fetch(`${baseUrl}${location}`, {
+    method: 'PATCH',
+    headers: { ...TUS, 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset), ...headers },
+    body
+  });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-tus-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: req.headers['x-user-id'] || 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createTusRouter(storage, 1024, { onUpload: async (meta) => { completed.push(meta.fileId); } }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('parseUploadMetadata', () => {
+
+  it('decodes base64 values and keeps valueless keys', () => {
+    const header = `filename ${Buffer.from('résumé.pdf').toString('base64')},is_private`;
+    assert.deepEqual(parseUploadMetadata(header), { filename: 'résumé.pdf', is_private: '' });
+  });
+});
+
+describe('tus uploads', () => {
+
+  it('resumes an upload across PATCH requests and fires onUpload once', async () => {
+    const filename = Buffer.from('notes.txt').toString('base64');
+    const created = await create(10, { 'Upload-Metadata': `filename ${filename}` });
+    assert.equal(created.status, 201);
+    const location = created.headers.get('location');
+    const fileId = location.split('/').pop();
+
+    const first = await patch(location, 0, 'hello');
+    assert.equal(first.status, 204);
+    assert.equal(first.headers.get('upload-offset'), '5');
+
+    const head = await fetch(`${baseUrl}${location}`, { method: 'HEAD', headers: TUS });
+    assert.equal(head.headers.get('upload-offset'), '5');
+    assert.equal(head.headers.get('upload-length'), '10');
+
+    const second = await patch(location, 5, 'world');
+    assert.equal(second.status, 204);
+    assert.equal(second.headers.get('upload-offset'), '10');
+
+    const stat = await storage.statFile(fileId, 't1', 'u1');
+    assert.equal(stat.fileName, 'notes.txt');
+    assert.equal(stat.size, 10);
+    assert.deepEqual(completed.filter(id => id === fileId), [fileId]);
+  });
+
+  it('rejects a first chunk that contradicts the declared filetype with 415', async () => {
+    const filetype = Buffer.from('image/png').toString('base64');
+    const location = (await create(15, { 'Upload-Metadata': `filetype ${filetype}` })).headers.get('location');
+
+    const res = await patch(location, 0, '<html><script>');
+    assert.equal(res.status, 415);
+    const head = await fetch(`${baseUrl}${location}`, { method: 'HEAD', headers: TUS });
+    assert.equal(head.headers.get('upload-offset'), '0');
+  });
+
+  it('sniffs a head split across chunks before storing anything past it', async () => {
+    const filetype = Buffer.from('image/png').toString('base64');
+    const html = '<html><script>alert(1)</script></html>';
+    const location = (await create(html.length, { 'Upload-Metadata': `filetype ${filetype}` })).headers.get('location');
+
+    assert.equal((await patch(location, 0, html.slice(0, 1))).status, 204);
+    const res = await patch(location, 1, html.slice(1));
+    assert.equal(res.status, 415);
+    const head = await fetch(`${baseUrl}${location}`, { method: 'HEAD', headers: TUS });
+    assert.equal(head.headers.get('upload-offset'), '1');
+  });
+
+  it('stores the type detected from the first chunk once a later chunk completes the upload', async () => {
+    const png = Buffer.from('\x89PNG\r\n\x1a\n', 'latin1');
+    const created = await create(png.length + 4);
+    const location = created.headers.get('location');
+    const fileId = location.split('/').pop();
+
+    assert.equal((await patch(location, 0, png)).status, 204);
+    assert.equal((await patch(location, png.length, 'IEND')).status, 204);
+
+    const stat = await storage.statFile(fileId, 't1', 'u1');
+    assert.equal(stat.contentType, 'image/png');
+  });
+
+  it('rejects a PATCH at the wrong offset with 409', async () => {
+    const location = (await create(10)).headers.get('location');
+    await patch(location, 0, 'abc');
+    assert.equal((await patch(location, 0, 'abc')).status, 409);
+  });
+
+  it('rejects bytes beyond Upload-Length with 413', async () => {
+    const location = (await create(4)).headers.get('location');
+    assert.equal((await patch(location, 0, 'too long')).status, 413);
+  });
+
+  it('rejects an Upload-Length above the maximum with 413', async () => {
+    assert.equal((await create(4096)).status, 413);
+  });
+
+  it('requires the Tus-Resumable header', async () => {
+    const res = await fetch(`${baseUrl}/uploads`, { method: 'POST', headers: { 'Upload-Length': '1' } });
+    assert.equal(res.status, 412);
+  });
+
+  it('only lets the creator resume an upload', async () => {
+    const location = (await create(10)).headers.get('location');
+    assert.equal((await patch(location, 0, 'abc', { 'X-User-Id': 'u2' })).status, 403);
+  });
+
+  it('terminates an unfinished upload', async () => {
+    const location = (await create(10)).headers.get('location');
+    await patch(location, 0, 'abc');
+
+    assert.equal((await fetch(`${baseUrl}${location}`, { method: 'DELETE', headers: TUS })).status, 204);
+    assert.equal((await fetch(`${baseUrl}${location}`, { method: 'HEAD', headers: TUS })).status, 404);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * update.test.js
+ *
+ * Integration tests for PATCH /files/:id, backed by LocalFsStorage.
+ * Verifies renames, meta_* edits, If-Match concurrency, the content policy and
+ * the onUpdate hook.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createUpdateRouter } from '../src/routes/update.js';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+const updates = [];
+
+function patch(fileId, body, headers = {}) {
+  return fetch(`${baseUrl}/files/${fileId}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-update-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createUpdateRouter(storage, { onUpdate: async (meta) => { updates.push(meta); } }, {
+    contentPolicy: { deniedTypes: ['text/html'], deniedExtensions: ['exe', 'html'] }
+  }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('PATCH /files/:id', () => {
+
+  it('renames a file in place and fires onUpdate', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('%PDF-1.7'), 'scan001.pdf', 'application/pdf');
+
+    const res = await patch(fileId, { name: 'Lease agreement.pdf', contentType: 'Application/PDF' });
+    const { file } = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(file.id, fileId);
+    assert.equal(file.name, 'Lease agreement.pdf');
+    assert.equal(file.contentType, 'application/pdf');
+    assert.equal(res.headers.get('etag'), file.etag);
+
+    const stat = await storage.statFile(fileId, 't1', 'u1');
+    assert.equal(stat.fileName, 'Lease agreement.pdf');
+    assert.deepEqual(updates.at(-1).changes, { originalFilename: 'Lease agreement.pdf', contentType: 'application/pdf' });
+  });
+
+  it('sets and removes meta fields, keeping resource linkage', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'inv.pdf', 'application/pdf', 'user', null,
+      { resource_type: 'invoice', resource_id: '42', meta_status: 'draft', meta_batch: '7' });
+
+    const { file } = await (await patch(fileId, { meta: { status: 'paid', batch: null } })).json();
+    assert.deepEqual(file.meta, { status: 'paid' });
+    assert.equal(file.resourceId, '42');
+  });
+
+  it('updates only when If-Match matches the current ETag', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'a.txt', 'text/plain');
+    const { etag } = await storage.statFile(fileId, 't1', 'u1');
+
+    const first = await patch(fileId, { name: 'b.txt' }, { 'If-Match': etag });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.headers.get('etag'), etag);
+
+    // A second writer still holding the old ETag loses
+    const second = await patch(fileId, { name: 'c.txt' }, { 'If-Match': etag });
+    assert.equal(second.status, 412);
+    assert.equal((await storage.statFile(fileId, 't1', 'u1')).fileName, 'b.txt');
+  });
+
+  it('refuses a rename to a denied extension with 415', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('hello'), 'notes.txt', 'text/plain');
+
+    const res = await patch(fileId, { name: 'notes.exe' });
+    assert.equal(res.status, 415);
+    assert.equal((await storage.statFile(fileId, 't1', 'u1')).fileName, 'notes.txt');
+  });
+
+  it('refuses a content type that is denied or that the content contradicts with 415', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('hello'), 'notes.txt', 'text/plain');
+
+    assert.equal((await patch(fileId, { contentType: 'text/html' })).status, 415);
+    assert.equal((await patch(fileId, { contentType: 'image/png' })).status, 415);
+    assert.equal((await storage.statFile(fileId, 't1', 'u1')).contentType, 'text/plain');
+  });
+
+  it('stores the type detected from the content when re-typing', async () => {
+    const png = Buffer.from('\x89PNG\r\n\x1a\nIEND', 'latin1');
+    const { fileId } = await storage.uploadFile('t1', 'u1', png, 'image', 'application/x-unknown');
+
+    const { file } = await (await patch(fileId, { contentType: 'application/octet-stream' })).json();
+    assert.equal(file.contentType, 'image/png');
+  });
+
+  it('rejects invalid changes with 400', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'a.txt', 'text/plain');
+    assert.equal((await patch(fileId, {})).status, 400);
+    assert.equal((await patch(fileId, { name: '../etc/passwd' })).status, 400);
+    assert.equal((await patch(fileId, { contentType: 'not a type' })).status, 400);
+    assert.equal((await patch(fileId, { meta: { 'Bad-Key': 'v' } })).status, 400);
+  });
+
+  it('returns 404 for another user\'s file', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u2', Buffer.from('x'), 'p.txt', 'text/plain');
+    assert.equal((await patch(fileId, { name: 'mine.txt' })).status, 404);
+  });
+});
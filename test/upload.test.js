@@ -0,0 +1,179 @@
+/**
+ * upload.test.js
+ *
+ * Integration tests for the streaming upload router, backed by LocalFsStorage.
+ * Verifies size-limit enforcement, multi-file posts with partial success, and
+ * that aborted uploads leave nothing behind.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createUploadRouter } from '../src/routes/upload.js';
+
+const MAX_FILE_SIZE = 1024;
+const MAX_FILES = 3;
+const MAX_TOTAL_SIZE = 1500;
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+const uploaded = [];
+
+function upload(content, filename = 'a.txt', fields = {}) {
+  const form = new FormData();
+  // Text fields must precede the file part to be seen while it streams
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append('file', new Blob([content]), filename);
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+}
+
+function uploadMany(files) {
+  const form = new FormData();
+  for (const [content, filename] of files) {
+    form.append('files', new Blob([content]), filename);
+  }
+  return fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+}
+
+async function storedFiles() {
+  return fs.readdir(path.join(rootDir, 'files', 't1', 'u1')).catch(() => []);
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-upload-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createUploadRouter(storage, MAX_FILE_SIZE, {
+    onUpload: async (meta) => { uploaded.push(meta.originalFilename); }
+  }, { maxFiles: MAX_FILES, maxTotalSize: MAX_TOTAL_SIZE }));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('POST /upload — streaming', () => {
+
+  it('stores a file within the size limit', async () => {
+    const res = await upload(Buffer.alloc(100, 'a'));
+    const body = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(body.file.size, 100);
+
+    const stat = await storage.statFile(body.file.id, 't1', 'u1');
+    assert.equal(stat.size, 100);
+  });
+
+  it('stores resource linkage and meta_* fields with the file', async () => {
+    const res = await upload('inv', 'inv.pdf', { resource_type: 'invoice', resource_id: '42', meta_status: 'paid', other: 'ignored' });
+    const { file } = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(file.resourceType, 'invoice');
+    assert.equal(file.resourceId, '42');
+    assert.deepEqual(file.meta, { status: 'paid' });
+
+    const stat = await storage.statFile(file.id, 't1', 'u1');
+    assert.equal(stat.resourceType, 'invoice');
+    assert.deepEqual(stat.meta, { status: 'paid' });
+  });
+
+  it('rejects invalid meta_* fields with 400 and stores nothing', async () => {
+    const before = await storedFiles();
+    assert.equal((await upload('x', 'x.txt', { 'meta_Bad-Key': 'v' })).status, 400);
+    assert.equal((await upload('x', 'x.txt', { meta_note: 'no <html>' })).status, 400);
+    assert.deepEqual(await storedFiles(), before);
+  });
+
+  it('returns 413 for an oversized file and keeps no partial blob', async () => {
+    const before = await storedFiles();
+    const res = await upload(Buffer.alloc(MAX_FILE_SIZE * 4, 'b'));
+    assert.equal(res.status, 413);
+    assert.deepEqual(await storedFiles(), before);
+  });
+
+  it('discards the partial blob when the client disconnects', async () => {
+    const before = await storedFiles();
+
+    await new Promise((resolve) => {
+      const req = http.request(`${baseUrl}/upload`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'multipart/form-data; boundary=XX' }
+      });
+      req.on('error', () => {});
+      req.write('--XX\r\nContent-Disposition: form-data; name="file"; filename="c.txt"\r\n\r\n' + 'c'.repeat(500));
+      setTimeout(() => {
+        req.destroy();
+        setTimeout(resolve, 200);
+      }, 100);
+    });
+
+    assert.deepEqual(await storedFiles(), before);
+  });
+});
+
+describe('POST /upload — multiple files', () => {
+
+  it('stores every file and fires onUpload for each', async () => {
+    uploaded.length = 0;
+    const res = await uploadMany([['one', 'one.txt'], ['two', 'two.txt']]);
+    const body = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(body.success, true);
+    assert.equal(body.uploaded, 2);
+    assert.deepEqual(body.files.map(f => f.file.name), ['one.txt', 'two.txt']);
+    assert.deepEqual(uploaded, ['one.txt', 'two.txt']);
+  });
+
+  it('reports partial success with 207 when one file is too large', async () => {
+    uploaded.length = 0;
+    const res = await uploadMany([
+      ['small', 'small.txt'],
+      [Buffer.alloc(MAX_FILE_SIZE + 1, 'x'), 'big.txt'],
+      ['after', 'after.txt']
+    ]);
+    const body = await res.json();
+    assert.equal(res.status, 207);
+    assert.equal(body.success, false);
+    assert.equal(body.uploaded, 2);
+    assert.equal(body.failed, 1);
+    assert.deepEqual(body.files.map(f => f.success), [true, false, true]);
+    assert.equal(body.files[1].status, 413);
+    assert.deepEqual(uploaded, ['small.txt', 'after.txt']);
+  });
+
+  it('fails files past the per-request total size cap', async () => {
+    const res = await uploadMany([
+      [Buffer.alloc(1000, 'a'), 'first.txt'],
+      [Buffer.alloc(1000, 'b'), 'second.txt']
+    ]);
+    const body = await res.json();
+    assert.equal(res.status, 207);
+    assert.equal(body.files[0].success, true);
+    assert.equal(body.files[1].success, false);
+    assert.match(body.files[1].message, /Total upload size/);
+  });
+
+  it('rejects more than the maximum file count and keeps nothing', async () => {
+    const before = await storedFiles();
+    const res = await uploadMany(Array.from({ length: MAX_FILES + 1 }, (_, i) => ['x', `${i}.txt`]));
+    assert.equal(res.status, 400);
+    assert.deepEqual(await storedFiles(), before);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * variants.test.js
+ *
+ * Tests for image variants: preset parsing, rendering on first request,
+ * reuse, download semantics (ETag, ranges), regeneration after new content
+ * and deletion with the file (LocalFsStorage).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import sharp from 'sharp';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { parseImagePresets, variantFileName } from '../src/variants.js';
+import { createVariantRouter } from '../src/routes/variants.js';
+import { createVersionRouter } from '../src/routes/versions.js';
+import { createDeleteRouter } from '../src/routes/delete.js';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+
+function image(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } }).toFormat(format).toBuffer();
+}
+
+async function uploadImage(width, height, contentType = 'image/png') {
+  return storage.uploadFile('t1', 'u1', await image(width, height), 'photo.png', contentType);
+}
+
+async function variantFiles(fileId) {
+  try {
+    return await fs.readdir(path.join(rootDir, 'files', 't1', 'u1', '_variants', fileId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-variants-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createVariantRouter(storage, {}, {
+    presets: {
+      thumbnail: { width: 64, height: 64 },
+      small: { width: 32, format: 'jpeg' }
+    }
+  }));
+  app.use(createVersionRouter(storage, 1024 * 1024));
+  app.use(createDeleteRouter(storage));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('parseImagePresets', () => {
+
+  it('fills in defaults and keys presets by their settings', () => {
+    const presets = parseImagePresets('{"thumb":{"width":100}}');
+    assert.equal(presets.thumb.fit, 'cover');
+    assert.equal(presets.thumb.contentType, 'image/webp');
+    assert.match(presets.thumb.key, /^thumb-[0-9a-f]{8}$/);
+    assert.notEqual(parseImagePresets({ thumb: { width: 101 } }).thumb.key, presets.thumb.key);
+  });
+
+  it('rejects invalid presets', () => {
+    assert.throws(() => parseImagePresets({ thumb: {} }), /width or height/);
+    assert.throws(() => parseImagePresets({ thumb: { width: 0 } }), /width/);
+    assert.throws(() => parseImagePresets({ thumb: { width: 10, format: 'bmp' } }), /format/);
+    assert.throws(() => parseImagePresets({ 'a/b': { width: 10 } }), /names/);
+  });
+
+  it('names variants after the original', () => {
+    assert.equal(variantFileName('holiday.JPG', { format: 'webp' }), 'holiday.webp');
+    assert.equal(variantFileName('scan', { format: 'jpeg' }), 'scan.jpg');
+  });
+});
+
+describe('GET /files/:id/variants/:preset', () => {
+
+  it('renders a variant once and serves the stored copy after that', async () => {
+    const { fileId } = await uploadImage(300, 200);
+
+    const res = await fetch(`${baseUrl}/files/${fileId}/variants/thumbnail`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/webp');
+    assert.match(res.headers.get('content-disposition'), /filename="photo\.webp"/);
+    const { width, height, format } = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+    assert.deepEqual([width, height, format], [64, 64, 'webp']);
+
+    const [stored] = await variantFiles(fileId).then(names => names.filter(n => !n.endsWith('.meta.json')));
+    const mtime = (await fs.stat(path.join(rootDir, 'files', 't1', 'u1', '_variants', fileId, stored))).mtimeMs;
+
+    const again = await fetch(`${baseUrl}/files/${fileId}/variants/thumbnail`);
+    assert.equal(again.headers.get('etag'), res.headers.get('etag'));
+    assert.equal((await fs.stat(path.join(rootDir, 'files', 't1', 'u1', '_variants', fileId, stored))).mtimeMs, mtime);
+
+    const small = await fetch(`${baseUrl}/files/${fileId}/variants/small`);
+    const meta = await sharp(Buffer.from(await small.arrayBuffer())).metadata();
+    assert.deepEqual([meta.width, meta.height, meta.format], [32, 21, 'jpeg']);
+  });
+
+  it('answers conditional and range requests like a download', async () => {
+    const { fileId } = await uploadImage(300, 200);
+    const url = `${baseUrl}/files/${fileId}/variants/thumbnail`;
+
+    const full = await fetch(url);
+    const body = Buffer.from(await full.arrayBuffer());
+
+    const notModified = await fetch(url, { headers: { 'If-None-Match': full.headers.get('etag'), 'Cache-Control': 'max-age=0' } });
+    assert.equal(notModified.status, 304);
+
+    const partial = await fetch(url, { headers: { Range: 'bytes=0-9' } });
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), `bytes 0-9/${body.length}`);
+    assert.deepEqual(Buffer.from(await partial.arrayBuffer()), body.subarray(0, 10));
+
+    const head = await fetch(url, { method: 'HEAD' });
+    assert.equal(head.headers.get('content-length'), String(body.length));
+  });
+
+  it('renders again once the file has new content', async () => {
+    const { fileId } = await uploadImage(300, 200);
+    const url = `${baseUrl}/files/${fileId}/variants/small`;
+    await fetch(url);
+
+    const form = new FormData();
+    form.append('file', new Blob([await image(100, 100)], { type: 'image/png' }), 'square.png');
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { method: 'PUT', body: form })).status, 200);
+
+    const res = await fetch(url);
+    const { width, height } = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+    assert.deepEqual([width, height], [32, 32]);
+    assert.match(res.headers.get('content-disposition'), /filename="square\.jpg"/);
+  });
+
+  it('deletes variants with the file and keeps them out of listings', async () => {
+    const { fileId } = await uploadImage(300, 200);
+    await fetch(`${baseUrl}/files/${fileId}/variants/thumbnail`);
+    assert.equal((await variantFiles(fileId)).length, 2);
+    assert.deepEqual((await storage.listFiles('t1', 'u1')).filter(f => !f.fileId), []);
+
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' })).status, 200);
+    assert.deepEqual(await variantFiles(fileId), []);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}/variants/thumbnail`)).status, 404);
+  });
+
+  it('refuses unknown presets, non-images and undecodable images', async () => {
+    const { fileId } = await uploadImage(10, 10);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}/variants/huge`)).status, 404);
+
+    const text = await storage.uploadFile('t1', 'u1', Buffer.from('hello'), 'a.txt', 'text/plain');
+    assert.equal((await fetch(`${baseUrl}/files/${text.fileId}/variants/thumbnail`)).status, 415);
+
+    const broken = await storage.uploadFile('t1', 'u1', Buffer.from('not really a png'), 'b.png', 'image/png');
+    assert.equal((await fetch(`${baseUrl}/files/${broken.fileId}/variants/thumbnail`)).status, 422);
+    assert.deepEqual(await variantFiles(broken.fileId), []);
+  });
+});
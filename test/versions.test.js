@@ -0,0 +1,162 @@
+/**
+ * versions.test.js
+ *
+ * Integration tests for file versioning, backed by LocalFsStorage.
+ * Verifies PUT /files/:id, version history, ?version= downloads, promotion,
+ * If-Match and cleanup on delete.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { LocalFsStorage } from '../src/local-storage.js';
+import { createDownloadRouter } from '../src/routes/download.js';
+import { createDeleteRouter } from '../src/routes/delete.js';
+import { createVersionRouter } from '../src/routes/versions.js';
+
+let rootDir;
+let storage;
+let server;
+let baseUrl;
+const updates = [];
+
+function put(fileId, content, filename, headers = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([content], { type: 'text/plain' }), filename);
+  return fetch(`${baseUrl}/files/${fileId}`, { method: 'PUT', body: form, headers });
+}
+
+async function versions(fileId) {
+  return (await (await fetch(`${baseUrl}/files/${fileId}/versions`)).json()).versions;
+}
+
+before(async () => {
+  rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'files-versions-test-'));
+  storage = new LocalFsStorage(rootDir, 'files');
+  await storage.initialize();
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'u1', tenantId: 't1' };
+    next();
+  });
+  app.use(createDownloadRouter(storage));
+  app.use(createVersionRouter(storage, 1024, { onUpdate: async (meta) => { updates.push(meta); } }));
+  app.use(createDeleteRouter(storage));
+
+  server = app.listen(0);
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(rootDir, { recursive: true, force: true });
+});
+
+describe('file versions', () => {
+
+  it('uploads a new version under the same ID and keeps the old one', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('first'), 'report.txt', 'text/plain', 'user', null, { meta_status: 'draft' });
+
+    const res = await put(fileId, 'second draft', 'report-v2.txt');
+    const { file } = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(file.id, fileId);
+    assert.equal(file.name, 'report-v2.txt');
+    assert.equal(file.size, 12);
+    assert.deepEqual(file.meta, { status: 'draft' });
+    assert.equal(res.headers.get('etag'), file.etag);
+    assert.deepEqual(updates.at(-1).changes, { newVersion: true });
+
+    assert.equal(await (await fetch(`${baseUrl}/files/${fileId}`)).text(), 'second draft');
+
+    const history = await versions(fileId);
+    assert.deepEqual(history.map(v => [v.current, v.versionId === null, v.fileName]), [
+      [true, true, 'report-v2.txt'],
+      [false, false, 'report.txt']
+    ]);
+
+    const old = await fetch(`${baseUrl}/files/${fileId}?version=${history[1].versionId}`);
+    assert.equal(old.status, 200);
+    assert.equal(await old.text(), 'first');
+
+    const meta = await (await fetch(`${baseUrl}/files/${fileId}/metadata?version=${history[1].versionId}`)).json();
+    assert.equal(meta.file.versionId, history[1].versionId);
+    assert.equal(meta.file.name, 'report.txt');
+  });
+
+  it('promotes an earlier version back to current', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('original'), 'logo.txt', 'text/plain');
+    await put(fileId, 'redesign', 'logo-new.txt');
+    const [, original] = await versions(fileId);
+
+    const res = await fetch(`${baseUrl}/files/${fileId}/versions/${original.versionId}/promote`, { method: 'POST' });
+    const { file } = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(file.name, 'logo.txt');
+    assert.deepEqual(updates.at(-1).changes, { promotedVersion: original.versionId });
+
+    assert.equal(await (await fetch(`${baseUrl}/files/${fileId}`)).text(), 'original');
+    assert.deepEqual((await versions(fileId)).map(v => v.fileName), ['logo.txt', 'logo-new.txt', 'logo.txt']);
+  });
+
+  it('honours If-Match on PUT', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('a'), 'a.txt', 'text/plain');
+    const { etag } = await storage.statFile(fileId, 't1', 'u1');
+
+    assert.equal((await put(fileId, 'b', 'a.txt', { 'If-Match': '"stale"' })).status, 412);
+    assert.equal((await put(fileId, 'b', 'a.txt', { 'If-Match': etag })).status, 200);
+    assert.equal((await put(fileId, 'c', 'a.txt', { 'If-Match': etag })).status, 412);
+    assert.equal(await (await fetch(`${baseUrl}/files/${fileId}`)).text(), 'b');
+  });
+
+  it('honours If-Match on promote', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('one'), 'a.txt', 'text/plain');
+    await put(fileId, 'two', 'a.txt');
+    const [, original] = await versions(fileId);
+    const { etag } = await storage.statFile(fileId, 't1', 'u1');
+    const promote = (headers) => fetch(`${baseUrl}/files/${fileId}/versions/${original.versionId}/promote`, { method: 'POST', headers });
+
+    // Another editor replaced the content after this one read it
+    await put(fileId, 'three', 'a.txt');
+    assert.equal((await promote({ 'If-Match': etag })).status, 412);
+    assert.equal(await (await fetch(`${baseUrl}/files/${fileId}`)).text(), 'three');
+    assert.equal((await versions(fileId)).length, 3);
+
+    const fresh = await storage.statFile(fileId, 't1', 'u1');
+    assert.equal((await promote({ 'If-Match': fresh.etag })).status, 200);
+    assert.equal(await (await fetch(`${baseUrl}/files/${fileId}`)).text(), 'one');
+  });
+
+  it('rejects oversized versions and leaves the file unchanged', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('small'), 's.txt', 'text/plain');
+
+    assert.equal((await put(fileId, Buffer.alloc(2048, 'x'), 's.txt')).status, 413);
+    assert.equal(await (await fetch(`${baseUrl}/files/${fileId}`)).text(), 'small');
+  });
+
+  it('returns 404 for unknown files and versions, 400 for malformed IDs', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.txt', 'text/plain');
+
+    assert.equal((await put('00000000-0000-4000-8000-000000000000', 'x', 'x.txt')).status, 404);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}?version=20260101T000000000Z-abcdef`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}?version=../../etc`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}/versions/20260101T000000000Z-abcdef/promote`, { method: 'POST' })).status, 404);
+  });
+
+  it('removes versions with the file', async () => {
+    const { fileId } = await storage.uploadFile('t1', 'u1', Buffer.from('x'), 'x.txt', 'text/plain');
+    await put(fileId, 'y', 'x.txt');
+    const [, earlier] = await versions(fileId);
+    const versionDir = path.join(rootDir, 'files', '_versions', fileId);
+    await fs.access(versionDir);
+
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}`, { method: 'DELETE' })).status, 200);
+    await assert.rejects(fs.access(versionDir));
+    assert.equal((await fetch(`${baseUrl}/files/${fileId}?version=${earlier.versionId}`)).status, 404);
+  });
+});